@@ -86,6 +86,7 @@ const authLimiter = rateLimit({
 
 app.use('/api/v1/auth/login', authLimiter);
 app.use('/api/v1/auth/register', authLimiter);
+app.use('/api/v1/auth/signup', authLimiter);
 
 // API Routes
 app.use('/api', routes);
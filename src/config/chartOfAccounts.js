@@ -0,0 +1,80 @@
+/**
+ * Default Chart of Accounts
+ * Starter account hierarchy seeded for every new company
+ */
+
+import { ACCOUNT_TYPES, ACCOUNT_MAPPING_KEYS } from './constants.js';
+
+/**
+ * Accounts are listed parents-first so they can be created in order.
+ * `parentNumber` refers to the accountNumber of the parent account.
+ */
+export const DEFAULT_CHART_OF_ACCOUNTS = [
+  // Assets
+  { accountNumber: '1000', accountName: 'Assets', accountType: ACCOUNT_TYPES.ASSET },
+  { accountNumber: '1100', accountName: 'Current Assets', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1000' },
+  { accountNumber: '1110', accountName: 'Cash in Hand', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1100' },
+  { accountNumber: '1120', accountName: 'Bank Accounts', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1100' },
+  { accountNumber: '1130', accountName: 'Accounts Receivable', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1100' },
+  { accountNumber: '1140', accountName: 'Inventory', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1100' },
+  { accountNumber: '1150', accountName: 'Input Tax Receivable', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1100' },
+  { accountNumber: '1200', accountName: 'Fixed Assets', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1000' },
+  { accountNumber: '1210', accountName: 'Furniture & Fixtures', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1200' },
+  { accountNumber: '1220', accountName: 'Office Equipment', accountType: ACCOUNT_TYPES.ASSET, parentNumber: '1200' },
+
+  // Liabilities
+  { accountNumber: '2000', accountName: 'Liabilities', accountType: ACCOUNT_TYPES.LIABILITY },
+  { accountNumber: '2100', accountName: 'Current Liabilities', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2000' },
+  { accountNumber: '2110', accountName: 'Accounts Payable', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2100' },
+  { accountNumber: '2120', accountName: 'Output Tax Payable', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2100' },
+  { accountNumber: '2130', accountName: 'Accrued Expenses', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2100' },
+  { accountNumber: '2140', accountName: 'Goods Received Not Invoiced', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2100' },
+  { accountNumber: '2200', accountName: 'Long-term Liabilities', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2000' },
+  { accountNumber: '2210', accountName: 'Loans', accountType: ACCOUNT_TYPES.LIABILITY, parentNumber: '2200' },
+
+  // Equity
+  { accountNumber: '3000', accountName: 'Equity', accountType: ACCOUNT_TYPES.EQUITY },
+  { accountNumber: '3100', accountName: 'Owner\'s Capital', accountType: ACCOUNT_TYPES.EQUITY, parentNumber: '3000' },
+  { accountNumber: '3200', accountName: 'Retained Earnings', accountType: ACCOUNT_TYPES.EQUITY, parentNumber: '3000' },
+  { accountNumber: '3300', accountName: 'Opening Balance Equity', accountType: ACCOUNT_TYPES.EQUITY, parentNumber: '3000' },
+
+  // Revenue
+  { accountNumber: '4000', accountName: 'Revenue', accountType: ACCOUNT_TYPES.REVENUE },
+  { accountNumber: '4100', accountName: 'Sales', accountType: ACCOUNT_TYPES.REVENUE, parentNumber: '4000' },
+  { accountNumber: '4200', accountName: 'Other Income', accountType: ACCOUNT_TYPES.REVENUE, parentNumber: '4000' },
+
+  // Expenses
+  { accountNumber: '5000', accountName: 'Expenses', accountType: ACCOUNT_TYPES.EXPENSE },
+  { accountNumber: '5100', accountName: 'Cost of Goods Sold', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5200', accountName: 'Purchases', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5300', accountName: 'Salaries & Wages', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5400', accountName: 'Rent', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5500', accountName: 'Utilities', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5600', accountName: 'Inventory Adjustments', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5700', accountName: 'Purchase Price Variance', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' },
+  { accountNumber: '5900', accountName: 'Miscellaneous Expenses', accountType: ACCOUNT_TYPES.EXPENSE, parentNumber: '5000' }
+];
+
+/**
+ * Default posting accounts, keyed by mapping key.
+ * Values refer to accountNumbers in DEFAULT_CHART_OF_ACCOUNTS.
+ */
+export const DEFAULT_ACCOUNT_MAPPINGS = {
+  [ACCOUNT_MAPPING_KEYS.ACCOUNTS_RECEIVABLE]: '1130',
+  [ACCOUNT_MAPPING_KEYS.ACCOUNTS_PAYABLE]: '2110',
+  [ACCOUNT_MAPPING_KEYS.SALES]: '4100',
+  [ACCOUNT_MAPPING_KEYS.PURCHASES]: '5200',
+  [ACCOUNT_MAPPING_KEYS.TAX_PAYABLE]: '2120',
+  [ACCOUNT_MAPPING_KEYS.TAX_RECEIVABLE]: '1150',
+  [ACCOUNT_MAPPING_KEYS.CASH]: '1110',
+  [ACCOUNT_MAPPING_KEYS.BANK]: '1120',
+  [ACCOUNT_MAPPING_KEYS.RETAINED_EARNINGS]: '3200',
+  [ACCOUNT_MAPPING_KEYS.INVENTORY]: '1140',
+  [ACCOUNT_MAPPING_KEYS.COST_OF_GOODS_SOLD]: '5100',
+  [ACCOUNT_MAPPING_KEYS.INVENTORY_ADJUSTMENT]: '5600',
+  [ACCOUNT_MAPPING_KEYS.GOODS_RECEIVED_NOT_INVOICED]: '2140',
+  [ACCOUNT_MAPPING_KEYS.OPENING_BALANCE_EQUITY]: '3300',
+  [ACCOUNT_MAPPING_KEYS.PURCHASE_PRICE_VARIANCE]: '5700'
+};
+
+export default DEFAULT_CHART_OF_ACCOUNTS;
@@ -74,11 +74,127 @@ export const STOCK_MOVEMENT_TYPES = {
   OPENING_STOCK: 'OPENING_STOCK'
 };
 
+export const INVENTORY_VALUATION_METHODS = {
+  WEIGHTED_AVERAGE: 'WEIGHTED_AVERAGE',
+  FIFO: 'FIFO'
+};
+
+export const STOCK_TRANSFER_STATUS = {
+  DRAFT: 'DRAFT',
+  DISPATCHED: 'DISPATCHED',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED'
+};
+
+export const STOCK_COUNT_STATUS = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  APPROVED: 'APPROVED',
+  CANCELLED: 'CANCELLED'
+};
+
+export const STOCK_ALERT_STATUS = {
+  OPEN: 'OPEN',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  RESOLVED: 'RESOLVED'
+};
+
+export const SERIAL_NUMBER_STATUS = {
+  IN_STOCK: 'IN_STOCK',
+  IN_TRANSIT: 'IN_TRANSIT',
+  SOLD: 'SOLD',
+  REMOVED: 'REMOVED'
+};
+
 export const TRANSACTION_TYPES = {
   DEBIT: 'DEBIT',
   CREDIT: 'CREDIT'
 };
 
+export const JOURNAL_ENTRY_TYPES = {
+  MANUAL: 'MANUAL',
+  SYSTEM: 'SYSTEM',
+  ADJUSTMENT: 'ADJUSTMENT'
+};
+
+export const REFERENCE_TYPES = {
+  JOURNAL_REVERSAL: 'JOURNAL_REVERSAL',
+  INVOICE: 'INVOICE',
+  BILL: 'BILL',
+  RECEIPT: 'RECEIPT',
+  PAYMENT: 'PAYMENT',
+  SALES_RETURN: 'SALES_RETURN',
+  PURCHASE_RETURN: 'PURCHASE_RETURN',
+  GOODS_RECEIPT: 'GOODS_RECEIPT',
+  STOCK_TRANSFER: 'STOCK_TRANSFER',
+  STOCK_COUNT: 'STOCK_COUNT',
+  STOCK_ADJUSTMENT: 'STOCK_ADJUSTMENT',
+  YEAR_END_CLOSE: 'YEAR_END_CLOSE'
+};
+
+export const ACCOUNT_MAPPING_KEYS = {
+  ACCOUNTS_RECEIVABLE: 'ACCOUNTS_RECEIVABLE',
+  ACCOUNTS_PAYABLE: 'ACCOUNTS_PAYABLE',
+  SALES: 'SALES',
+  PURCHASES: 'PURCHASES',
+  TAX_PAYABLE: 'TAX_PAYABLE',
+  TAX_RECEIVABLE: 'TAX_RECEIVABLE',
+  CASH: 'CASH',
+  BANK: 'BANK',
+  RETAINED_EARNINGS: 'RETAINED_EARNINGS',
+  INVENTORY: 'INVENTORY',
+  INVENTORY_ADJUSTMENT: 'INVENTORY_ADJUSTMENT',
+  COST_OF_GOODS_SOLD: 'COST_OF_GOODS_SOLD',
+  GOODS_RECEIVED_NOT_INVOICED: 'GOODS_RECEIVED_NOT_INVOICED',
+  OPENING_BALANCE_EQUITY: 'OPENING_BALANCE_EQUITY',
+  PURCHASE_PRICE_VARIANCE: 'PURCHASE_PRICE_VARIANCE'
+};
+
+export const FISCAL_PERIOD_TYPES = {
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY'
+};
+
+export const FISCAL_PERIOD_STATUS = {
+  OPEN: 'OPEN',
+  SOFT_CLOSED: 'SOFT_CLOSED',
+  LOCKED: 'LOCKED'
+};
+
+export const NUMBER_SEQUENCES = {
+  CUSTOMER: { key: 'CUSTOMER', prefix: 'CUST-', padding: 4 },
+  VENDOR: { key: 'VENDOR', prefix: 'VEND-', padding: 4 }
+};
+
+export const NUMBER_SERIES_TYPES = {
+  PURCHASE_QUOTATION: 'PURCHASE_QUOTATION',
+  PURCHASE_ORDER: 'PURCHASE_ORDER',
+  GOODS_RECEIPT: 'GOODS_RECEIPT',
+  BILL: 'BILL',
+  PURCHASE_RETURN: 'PURCHASE_RETURN',
+  PAYMENT: 'PAYMENT',
+  SALES_QUOTATION: 'SALES_QUOTATION',
+  SALES_ORDER: 'SALES_ORDER',
+  DELIVERY_CHALLAN: 'DELIVERY_CHALLAN',
+  INVOICE: 'INVOICE',
+  SALES_RETURN: 'SALES_RETURN',
+  RECEIPT: 'RECEIPT',
+  JOURNAL_ENTRY: 'JOURNAL_ENTRY',
+  STOCK_TRANSFER: 'STOCK_TRANSFER',
+  STOCK_COUNT: 'STOCK_COUNT',
+  STOCK_ADJUSTMENT: 'STOCK_ADJUSTMENT'
+};
+
+export const NUMBER_SERIES_RESET = {
+  NEVER: 'NEVER',
+  YEARLY: 'YEARLY',
+  MONTHLY: 'MONTHLY'
+};
+
+export const REPORT_COMPARISONS = {
+  PREVIOUS_PERIOD: 'PREVIOUS_PERIOD',
+  PREVIOUS_YEAR: 'PREVIOUS_YEAR'
+};
+
 export const PAGINATION = {
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 20,
@@ -118,6 +234,19 @@ export const PERMISSIONS = {
   EXPORT: 'export'
 };
 
+/**
+ * Documents that post to the ledger on approval, keyed by their
+ * permission resource name
+ */
+export const POSTABLE_DOCUMENTS = {
+  invoices: { referenceType: REFERENCE_TYPES.INVOICE, module: MODULES.SALES },
+  'sales-returns': { referenceType: REFERENCE_TYPES.SALES_RETURN, module: MODULES.SALES },
+  receipts: { referenceType: REFERENCE_TYPES.RECEIPT, module: MODULES.SALES },
+  bills: { referenceType: REFERENCE_TYPES.BILL, module: MODULES.PURCHASES },
+  'purchase-returns': { referenceType: REFERENCE_TYPES.PURCHASE_RETURN, module: MODULES.PURCHASES },
+  payments: { referenceType: REFERENCE_TYPES.PAYMENT, module: MODULES.PURCHASES }
+};
+
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
@@ -152,9 +281,14 @@ export const ERROR_CODES = {
 
   // Business Logic
   INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+  BATCH_EXPIRED: 'BATCH_EXPIRED',
   CREDIT_LIMIT_EXCEEDED: 'CREDIT_LIMIT_EXCEEDED',
   INVOICE_ALREADY_PAID: 'INVOICE_ALREADY_PAID',
-  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION'
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  JOURNAL_NOT_BALANCED: 'JOURNAL_NOT_BALANCED',
+  JOURNAL_ALREADY_POSTED: 'JOURNAL_ALREADY_POSTED',
+  ACCOUNT_MAPPING_MISSING: 'ACCOUNT_MAPPING_MISSING',
+  FISCAL_PERIOD_CLOSED: 'FISCAL_PERIOD_CLOSED'
 };
 
 export const CACHE_KEYS = {
@@ -180,12 +314,27 @@ export default {
   ACCOUNT_TYPES,
   PRODUCT_TYPES,
   STOCK_MOVEMENT_TYPES,
+  INVENTORY_VALUATION_METHODS,
+  STOCK_TRANSFER_STATUS,
+  STOCK_COUNT_STATUS,
+  STOCK_ALERT_STATUS,
+  SERIAL_NUMBER_STATUS,
   TRANSACTION_TYPES,
+  JOURNAL_ENTRY_TYPES,
+  REFERENCE_TYPES,
+  ACCOUNT_MAPPING_KEYS,
+  FISCAL_PERIOD_TYPES,
+  FISCAL_PERIOD_STATUS,
+  NUMBER_SEQUENCES,
+  NUMBER_SERIES_TYPES,
+  NUMBER_SERIES_RESET,
+  REPORT_COMPARISONS,
   PAGINATION,
   JWT_CONFIG,
   RATE_LIMIT,
   MODULES,
   PERMISSIONS,
+  POSTABLE_DOCUMENTS,
   HTTP_STATUS,
   ERROR_CODES,
   CACHE_KEYS,
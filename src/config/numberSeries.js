@@ -0,0 +1,35 @@
+/**
+ * Default Number Series
+ * Document numbering used until a company configures its own series
+ */
+
+import { NUMBER_SERIES_TYPES, NUMBER_SERIES_RESET } from './constants.js';
+
+const { NEVER } = NUMBER_SERIES_RESET;
+
+/**
+ * Per document type: prefix, format, zero padding of {SEQ} and reset rule.
+ * Format tokens are {PREFIX}, {FY}, {YYYY}, {YY}, {MM} and {SEQ}.
+ */
+export const DEFAULT_NUMBER_SERIES = {
+  [NUMBER_SERIES_TYPES.PURCHASE_QUOTATION]: { prefix: 'PQ-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.PURCHASE_ORDER]: { prefix: 'PO-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.GOODS_RECEIPT]: { prefix: 'GRN-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.BILL]: { prefix: 'BILL-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.PURCHASE_RETURN]: { prefix: 'PR-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.PAYMENT]: { prefix: 'PAY-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.SALES_QUOTATION]: { prefix: 'SQ-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.SALES_ORDER]: { prefix: 'SO-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.DELIVERY_CHALLAN]: { prefix: 'DC-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.INVOICE]: { prefix: 'INV-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.SALES_RETURN]: { prefix: 'SR-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.RECEIPT]: { prefix: 'RCT-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.JOURNAL_ENTRY]: { prefix: 'JE-', format: '{PREFIX}{SEQ}', padding: 6, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.STOCK_TRANSFER]: { prefix: 'ST-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.STOCK_COUNT]: { prefix: 'SC-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER },
+  [NUMBER_SERIES_TYPES.STOCK_ADJUSTMENT]: { prefix: 'ADJ-', format: '{PREFIX}{SEQ}', padding: 4, resetFrequency: NEVER }
+};
+
+export default {
+  DEFAULT_NUMBER_SERIES
+};
@@ -0,0 +1,61 @@
+/**
+ * Standard Permission Set
+ * Module resources that every company admin is granted on signup
+ */
+
+import { MODULES, PERMISSIONS } from './constants.js';
+
+/**
+ * Resources per module, following the document models in the schema
+ */
+export const MODULE_RESOURCES = {
+  [MODULES.USERS]: ['users', 'permissions'],
+  [MODULES.INVENTORY]: [
+    'warehouses',
+    'stock',
+    'stock-transfers',
+    'stock-counts',
+    'stock-adjustments',
+    'stock-alerts'
+  ],
+  [MODULES.PRODUCTS]: ['products', 'categories', 'brands'],
+  [MODULES.PURCHASES]: [
+    'vendors',
+    'purchase-quotations',
+    'purchase-orders',
+    'goods-receipts',
+    'bills',
+    'purchase-returns',
+    'payments'
+  ],
+  [MODULES.SALES]: [
+    'customers',
+    'sales-quotations',
+    'sales-orders',
+    'delivery-challans',
+    'invoices',
+    'sales-returns',
+    'receipts'
+  ],
+  [MODULES.ACCOUNTS]: ['accounts', 'journal-entries', 'fiscal-periods'],
+  [MODULES.REPORTS]: ['reports']
+};
+
+/**
+ * Every module/action/resource combination in the standard set
+ */
+export const STANDARD_PERMISSIONS = Object.entries(MODULE_RESOURCES).flatMap(
+  ([module, resources]) => resources.flatMap((resource) =>
+    Object.values(PERMISSIONS).map((action) => ({
+      module,
+      action,
+      resource,
+      description: `${action} ${resource}`
+    }))
+  )
+);
+
+export default {
+  MODULE_RESOURCES,
+  STANDARD_PERMISSIONS
+};
@@ -0,0 +1,136 @@
+/**
+ * Account Controller
+ * HTTP request handlers for chart of accounts endpoints
+ */
+
+import * as accountService from '../services/account.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new account
+ * @route POST /api/v1/accounts
+ * @access Private
+ */
+export const createAccount = asyncHandler(async (req, res) => {
+  const account = await accountService.createAccount(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    account,
+    'Account created successfully'
+  ).send(res);
+});
+
+/**
+ * Get accounts list
+ * @route GET /api/v1/accounts
+ * @access Private
+ */
+export const getAccounts = asyncHandler(async (req, res) => {
+  const result = await accountService.getAccounts(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.accounts,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Accounts retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get chart of accounts tree
+ * @route GET /api/v1/accounts/tree
+ * @access Private
+ */
+export const getAccountTree = asyncHandler(async (req, res) => {
+  const tree = await accountService.getAccountTree(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    tree,
+    'Account tree retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get account by ID
+ * @route GET /api/v1/accounts/:id
+ * @access Private
+ */
+export const getAccountById = asyncHandler(async (req, res) => {
+  const account = await accountService.getAccountById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    account,
+    'Account retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update account
+ * @route PATCH /api/v1/accounts/:id
+ * @access Private
+ */
+export const updateAccount = asyncHandler(async (req, res) => {
+  const account = await accountService.updateAccount(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    account,
+    'Account updated successfully'
+  ).send(res);
+});
+
+/**
+ * Deactivate account
+ * @route POST /api/v1/accounts/:id/deactivate
+ * @access Private
+ */
+export const deactivateAccount = asyncHandler(async (req, res) => {
+  const account = await accountService.deactivateAccount(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    account,
+    'Account deactivated successfully'
+  ).send(res);
+});
+
+/**
+ * Activate account
+ * @route POST /api/v1/accounts/:id/activate
+ * @access Private
+ */
+export const activateAccount = asyncHandler(async (req, res) => {
+  const account = await accountService.activateAccount(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    account,
+    'Account activated successfully'
+  ).send(res);
+});
+
+export default {
+  createAccount,
+  getAccounts,
+  getAccountTree,
+  getAccountById,
+  updateAccount,
+  deactivateAccount,
+  activateAccount
+};
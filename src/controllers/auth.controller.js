@@ -21,6 +21,20 @@ export const register = asyncHandler(async (req, res) => {
   ).send(res);
 });
 
+/**
+ * Signup new company with its admin user
+ * @route POST /api/v1/auth/signup
+ * @access Public
+ */
+export const signup = asyncHandler(async (req, res) => {
+  const result = await authService.signup(req.body);
+
+  ApiResponse.created(
+    result,
+    'Company registered successfully'
+  ).send(res);
+});
+
 /**
  * Login user
  * @route POST /api/v1/auth/login
@@ -115,6 +129,7 @@ export const verifyToken = asyncHandler(async (req, res) => {
 
 export default {
   register,
+  signup,
   login,
   refreshToken,
   logout,
@@ -0,0 +1,103 @@
+/**
+ * Brand Controller
+ * HTTP request handlers for brand endpoints
+ */
+
+import * as brandService from '../services/brand.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new brand
+ * @route POST /api/v1/brands
+ * @access Private
+ */
+export const createBrand = asyncHandler(async (req, res) => {
+  const brand = await brandService.createBrand(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    brand,
+    'Brand created successfully'
+  ).send(res);
+});
+
+/**
+ * Get brands list
+ * @route GET /api/v1/brands
+ * @access Private
+ */
+export const getBrands = asyncHandler(async (req, res) => {
+  const result = await brandService.getBrands(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.brands,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Brands retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get brand by ID
+ * @route GET /api/v1/brands/:id
+ * @access Private
+ */
+export const getBrandById = asyncHandler(async (req, res) => {
+  const brand = await brandService.getBrandById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    brand,
+    'Brand retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update brand
+ * @route PATCH /api/v1/brands/:id
+ * @access Private
+ */
+export const updateBrand = asyncHandler(async (req, res) => {
+  const brand = await brandService.updateBrand(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    brand,
+    'Brand updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete brand
+ * @route DELETE /api/v1/brands/:id
+ * @access Private
+ */
+export const deleteBrand = asyncHandler(async (req, res) => {
+  const result = await brandService.deleteBrand(
+    req.user.companyId,
+    req.params.id,
+    req.query,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    result,
+    'Brand deleted successfully'
+  ).send(res);
+});
+
+export default {
+  createBrand,
+  getBrands,
+  getBrandById,
+  updateBrand,
+  deleteBrand
+};
@@ -0,0 +1,118 @@
+/**
+ * Category Controller
+ * HTTP request handlers for product category endpoints
+ */
+
+import * as categoryService from '../services/category.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new category
+ * @route POST /api/v1/categories
+ * @access Private
+ */
+export const createCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.createCategory(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    category,
+    'Category created successfully'
+  ).send(res);
+});
+
+/**
+ * Get categories list
+ * @route GET /api/v1/categories
+ * @access Private
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+  const result = await categoryService.getCategories(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.categories,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Categories retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get category tree
+ * @route GET /api/v1/categories/tree
+ * @access Private
+ */
+export const getCategoryTree = asyncHandler(async (req, res) => {
+  const tree = await categoryService.getCategoryTree(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    tree,
+    'Category tree retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get category by ID
+ * @route GET /api/v1/categories/:id
+ * @access Private
+ */
+export const getCategoryById = asyncHandler(async (req, res) => {
+  const category = await categoryService.getCategoryById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    category,
+    'Category retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update category
+ * @route PATCH /api/v1/categories/:id
+ * @access Private
+ */
+export const updateCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.updateCategory(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    category,
+    'Category updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete category
+ * @route DELETE /api/v1/categories/:id
+ * @access Private
+ */
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const result = await categoryService.deleteCategory(
+    req.user.companyId,
+    req.params.id,
+    req.query,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    result,
+    'Category deleted successfully'
+  ).send(res);
+});
+
+export default {
+  createCategory,
+  getCategories,
+  getCategoryTree,
+  getCategoryById,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,123 @@
+/**
+ * Company Controller
+ * HTTP request handlers for company management endpoints
+ */
+
+import * as companyService from '../services/company.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new company
+ * @route POST /api/v1/companies
+ * @access Private (Superadmin only)
+ */
+export const createCompany = asyncHandler(async (req, res) => {
+  const company = await companyService.createCompany(req.body, req.user.id);
+
+  ApiResponse.created(
+    company,
+    'Company created successfully'
+  ).send(res);
+});
+
+/**
+ * Get companies list
+ * @route GET /api/v1/companies
+ * @access Private
+ */
+export const getCompanies = asyncHandler(async (req, res) => {
+  const result = await companyService.getCompanies(req.query, req.user);
+
+  ApiResponse.paginated(
+    result.companies,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Companies retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get current user's company
+ * @route GET /api/v1/companies/current
+ * @access Private
+ */
+export const getCurrentCompany = asyncHandler(async (req, res) => {
+  const company = await companyService.getCompanyById(req.user.companyId, req.user);
+
+  ApiResponse.success(
+    company,
+    'Company retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get company by ID
+ * @route GET /api/v1/companies/:id
+ * @access Private
+ */
+export const getCompanyById = asyncHandler(async (req, res) => {
+  const company = await companyService.getCompanyById(req.params.id, req.user);
+
+  ApiResponse.success(
+    company,
+    'Company retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update company
+ * @route PATCH /api/v1/companies/:id
+ * @access Private (Superadmin or own Company Admin)
+ */
+export const updateCompany = asyncHandler(async (req, res) => {
+  const company = await companyService.updateCompany(
+    req.params.id,
+    req.body,
+    req.user
+  );
+
+  ApiResponse.success(
+    company,
+    'Company updated successfully'
+  ).send(res);
+});
+
+/**
+ * Activate company
+ * @route POST /api/v1/companies/:id/activate
+ * @access Private (Superadmin only)
+ */
+export const activateCompany = asyncHandler(async (req, res) => {
+  const company = await companyService.setCompanyActive(req.params.id, true, req.user);
+
+  ApiResponse.success(
+    company,
+    'Company activated successfully'
+  ).send(res);
+});
+
+/**
+ * Deactivate company
+ * @route POST /api/v1/companies/:id/deactivate
+ * @access Private (Superadmin only)
+ */
+export const deactivateCompany = asyncHandler(async (req, res) => {
+  const company = await companyService.setCompanyActive(req.params.id, false, req.user);
+
+  ApiResponse.success(
+    company,
+    'Company deactivated successfully'
+  ).send(res);
+});
+
+export default {
+  createCompany,
+  getCompanies,
+  getCurrentCompany,
+  getCompanyById,
+  updateCompany,
+  activateCompany,
+  deactivateCompany
+};
@@ -0,0 +1,98 @@
+/**
+ * Customer Controller
+ * HTTP request handlers for customer master endpoints
+ */
+
+import * as customerService from '../services/customer.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new customer
+ * @route POST /api/v1/customers
+ * @access Private
+ */
+export const createCustomer = asyncHandler(async (req, res) => {
+  const customer = await customerService.createCustomer(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    customer,
+    'Customer created successfully'
+  ).send(res);
+});
+
+/**
+ * Get customers list
+ * @route GET /api/v1/customers
+ * @access Private
+ */
+export const getCustomers = asyncHandler(async (req, res) => {
+  const result = await customerService.getCustomers(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.customers,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Customers retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get customer by ID
+ * @route GET /api/v1/customers/:id
+ * @access Private
+ */
+export const getCustomerById = asyncHandler(async (req, res) => {
+  const customer = await customerService.getCustomerById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    customer,
+    'Customer retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update customer
+ * @route PATCH /api/v1/customers/:id
+ * @access Private
+ */
+export const updateCustomer = asyncHandler(async (req, res) => {
+  const customer = await customerService.updateCustomer(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    customer,
+    'Customer updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete customer
+ * @route DELETE /api/v1/customers/:id
+ * @access Private
+ */
+export const deleteCustomer = asyncHandler(async (req, res) => {
+  await customerService.deleteCustomer(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Customer deleted successfully'
+  ).send(res);
+});
+
+export default {
+  createCustomer,
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+  deleteCustomer
+};
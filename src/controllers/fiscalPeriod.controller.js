@@ -0,0 +1,141 @@
+/**
+ * Fiscal Period Controller
+ * HTTP request handlers for fiscal period endpoints
+ */
+
+import * as fiscalPeriodService from '../services/fiscalPeriod.service.js';
+import * as postingService from '../services/posting.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { FISCAL_PERIOD_STATUS } from '../config/constants.js';
+
+/**
+ * Generate fiscal periods for a fiscal year
+ * @route POST /api/v1/fiscal-periods/generate
+ * @access Private
+ */
+export const generateFiscalPeriods = asyncHandler(async (req, res) => {
+  const periods = await fiscalPeriodService.generateFiscalPeriods(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    periods,
+    'Fiscal periods generated successfully'
+  ).send(res);
+});
+
+/**
+ * Get fiscal periods
+ * @route GET /api/v1/fiscal-periods
+ * @access Private
+ */
+export const getFiscalPeriods = asyncHandler(async (req, res) => {
+  const periods = await fiscalPeriodService.getFiscalPeriods(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    periods,
+    'Fiscal periods retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get fiscal period by ID
+ * @route GET /api/v1/fiscal-periods/:id
+ * @access Private
+ */
+export const getFiscalPeriodById = asyncHandler(async (req, res) => {
+  const period = await fiscalPeriodService.getFiscalPeriodById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    period,
+    'Fiscal period retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Reopen fiscal period
+ * @route POST /api/v1/fiscal-periods/:id/open
+ * @access Private
+ */
+export const openFiscalPeriod = asyncHandler(async (req, res) => {
+  const period = await fiscalPeriodService.setFiscalPeriodStatus(
+    req.user.companyId,
+    req.params.id,
+    FISCAL_PERIOD_STATUS.OPEN,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    period,
+    'Fiscal period opened successfully'
+  ).send(res);
+});
+
+/**
+ * Soft-close fiscal period
+ * @route POST /api/v1/fiscal-periods/:id/soft-close
+ * @access Private
+ */
+export const softCloseFiscalPeriod = asyncHandler(async (req, res) => {
+  const period = await fiscalPeriodService.setFiscalPeriodStatus(
+    req.user.companyId,
+    req.params.id,
+    FISCAL_PERIOD_STATUS.SOFT_CLOSED,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    period,
+    'Fiscal period soft-closed successfully'
+  ).send(res);
+});
+
+/**
+ * Lock fiscal period
+ * @route POST /api/v1/fiscal-periods/:id/lock
+ * @access Private
+ */
+export const lockFiscalPeriod = asyncHandler(async (req, res) => {
+  const period = await fiscalPeriodService.setFiscalPeriodStatus(
+    req.user.companyId,
+    req.params.id,
+    FISCAL_PERIOD_STATUS.LOCKED,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    period,
+    'Fiscal period locked successfully'
+  ).send(res);
+});
+
+/**
+ * Close fiscal year into retained earnings
+ * @route POST /api/v1/fiscal-periods/year-end-close
+ * @access Private
+ */
+export const closeFiscalYear = asyncHandler(async (req, res) => {
+  const result = await postingService.closeFiscalYear(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    result,
+    'Fiscal year closed successfully'
+  ).send(res);
+});
+
+export default {
+  generateFiscalPeriods,
+  getFiscalPeriods,
+  getFiscalPeriodById,
+  openFiscalPeriod,
+  softCloseFiscalPeriod,
+  lockFiscalPeriod,
+  closeFiscalYear
+};
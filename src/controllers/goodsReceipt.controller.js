@@ -0,0 +1,136 @@
+/**
+ * Goods Receipt Controller
+ * HTTP request handlers for goods receipt endpoints
+ */
+
+import * as goodsReceiptService from '../services/goodsReceipt.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create draft goods receipt
+ * @route POST /api/v1/goods-receipts
+ * @access Private
+ */
+export const createGoodsReceipt = asyncHandler(async (req, res) => {
+  const receipt = await goodsReceiptService.createGoodsReceipt(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    receipt,
+    'Goods receipt created successfully'
+  ).send(res);
+});
+
+/**
+ * Get goods receipts list
+ * @route GET /api/v1/goods-receipts
+ * @access Private
+ */
+export const getGoodsReceipts = asyncHandler(async (req, res) => {
+  const result = await goodsReceiptService.getGoodsReceipts(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.receipts,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Goods receipts retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get goods receipt by ID
+ * @route GET /api/v1/goods-receipts/:id
+ * @access Private
+ */
+export const getGoodsReceiptById = asyncHandler(async (req, res) => {
+  const receipt = await goodsReceiptService.getGoodsReceiptById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    receipt,
+    'Goods receipt retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update draft goods receipt
+ * @route PATCH /api/v1/goods-receipts/:id
+ * @access Private
+ */
+export const updateGoodsReceipt = asyncHandler(async (req, res) => {
+  const receipt = await goodsReceiptService.updateGoodsReceipt(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    receipt,
+    'Goods receipt updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete draft goods receipt
+ * @route DELETE /api/v1/goods-receipts/:id
+ * @access Private
+ */
+export const deleteGoodsReceipt = asyncHandler(async (req, res) => {
+  await goodsReceiptService.deleteGoodsReceipt(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Goods receipt deleted successfully'
+  ).send(res);
+});
+
+/**
+ * Receive goods into stock
+ * @route POST /api/v1/goods-receipts/:id/receive
+ * @access Private
+ */
+export const receiveGoodsReceipt = asyncHandler(async (req, res) => {
+  const receipt = await goodsReceiptService.receiveGoodsReceipt(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    receipt,
+    'Goods received successfully'
+  ).send(res);
+});
+
+/**
+ * Void received goods receipt
+ * @route POST /api/v1/goods-receipts/:id/void
+ * @access Private
+ */
+export const voidGoodsReceipt = asyncHandler(async (req, res) => {
+  const receipt = await goodsReceiptService.voidGoodsReceipt(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    receipt,
+    'Goods receipt voided successfully'
+  ).send(res);
+});
+
+export default {
+  createGoodsReceipt,
+  getGoodsReceipts,
+  getGoodsReceiptById,
+  updateGoodsReceipt,
+  deleteGoodsReceipt,
+  receiveGoodsReceipt,
+  voidGoodsReceipt
+};
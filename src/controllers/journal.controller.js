@@ -0,0 +1,137 @@
+/**
+ * Journal Controller
+ * HTTP request handlers for journal entry endpoints
+ */
+
+import * as journalService from '../services/journal.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create draft journal entry
+ * @route POST /api/v1/journal-entries
+ * @access Private
+ */
+export const createJournalEntry = asyncHandler(async (req, res) => {
+  const entry = await journalService.createJournalEntry(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    entry,
+    'Journal entry created successfully'
+  ).send(res);
+});
+
+/**
+ * Get journal entries list
+ * @route GET /api/v1/journal-entries
+ * @access Private
+ */
+export const getJournalEntries = asyncHandler(async (req, res) => {
+  const result = await journalService.getJournalEntries(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.entries,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Journal entries retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get journal entry by ID
+ * @route GET /api/v1/journal-entries/:id
+ * @access Private
+ */
+export const getJournalEntryById = asyncHandler(async (req, res) => {
+  const entry = await journalService.getJournalEntryById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    entry,
+    'Journal entry retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update draft journal entry
+ * @route PATCH /api/v1/journal-entries/:id
+ * @access Private
+ */
+export const updateJournalEntry = asyncHandler(async (req, res) => {
+  const entry = await journalService.updateJournalEntry(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    entry,
+    'Journal entry updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete draft journal entry
+ * @route DELETE /api/v1/journal-entries/:id
+ * @access Private
+ */
+export const deleteJournalEntry = asyncHandler(async (req, res) => {
+  await journalService.deleteJournalEntry(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Journal entry deleted successfully'
+  ).send(res);
+});
+
+/**
+ * Post journal entry to the ledger
+ * @route POST /api/v1/journal-entries/:id/post
+ * @access Private
+ */
+export const postJournalEntry = asyncHandler(async (req, res) => {
+  const entry = await journalService.postJournalEntry(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    entry,
+    'Journal entry posted successfully'
+  ).send(res);
+});
+
+/**
+ * Reverse posted journal entry
+ * @route POST /api/v1/journal-entries/:id/reverse
+ * @access Private
+ */
+export const reverseJournalEntry = asyncHandler(async (req, res) => {
+  const entry = await journalService.reverseJournalEntry(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    entry,
+    'Journal entry reversed successfully'
+  ).send(res);
+});
+
+export default {
+  createJournalEntry,
+  getJournalEntries,
+  getJournalEntryById,
+  updateJournalEntry,
+  deleteJournalEntry,
+  postJournalEntry,
+  reverseJournalEntry
+};
@@ -0,0 +1,65 @@
+/**
+ * Number Series Controller
+ * HTTP request handlers for document numbering endpoints
+ */
+
+import * as numberSeriesService from '../services/numberSeries.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Get all document number series
+ * @route GET /api/v1/number-series
+ * @access Private
+ */
+export const getNumberSeries = asyncHandler(async (req, res) => {
+  const series = await numberSeriesService.getNumberSeries(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    series,
+    'Number series retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get number series of a document type
+ * @route GET /api/v1/number-series/:documentType
+ * @access Private
+ */
+export const getNumberSeriesByType = asyncHandler(async (req, res) => {
+  const series = await numberSeriesService.getNumberSeriesByType(
+    req.user.companyId,
+    req.params.documentType,
+    req.query
+  );
+
+  ApiResponse.success(
+    series,
+    'Number series retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Configure number series of a document type
+ * @route PUT /api/v1/number-series/:documentType
+ * @access Private
+ */
+export const updateNumberSeries = asyncHandler(async (req, res) => {
+  const series = await numberSeriesService.updateNumberSeries(
+    req.user.companyId,
+    req.params.documentType,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    series,
+    'Number series updated successfully'
+  ).send(res);
+});
+
+export default {
+  getNumberSeries,
+  getNumberSeriesByType,
+  updateNumberSeries
+};
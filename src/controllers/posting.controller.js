@@ -0,0 +1,106 @@
+/**
+ * Posting Controller
+ * HTTP request handlers for document posting endpoints
+ */
+
+import * as postingService from '../services/posting.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { POSTABLE_DOCUMENTS } from '../config/constants.js';
+
+/**
+ * Get default posting accounts
+ * @route GET /api/v1/postings/account-mappings
+ * @access Private
+ */
+export const getAccountMappings = asyncHandler(async (req, res) => {
+  const mappings = await postingService.getAccountMappings(req.user.companyId);
+
+  ApiResponse.success(
+    mappings,
+    'Account mappings retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update default posting accounts
+ * @route PUT /api/v1/postings/account-mappings
+ * @access Private
+ */
+export const updateAccountMappings = asyncHandler(async (req, res) => {
+  const mappings = await postingService.updateAccountMappings(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    mappings,
+    'Account mappings updated successfully'
+  ).send(res);
+});
+
+/**
+ * Get journal entries posted for a document
+ * @route GET /api/v1/postings/:documentType/:id
+ * @access Private
+ */
+export const getDocumentEntries = asyncHandler(async (req, res) => {
+  const entries = await postingService.getDocumentEntries(
+    req.user.companyId,
+    POSTABLE_DOCUMENTS[req.params.documentType].referenceType,
+    req.params.id
+  );
+
+  ApiResponse.success(
+    entries,
+    'Document journal entries retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Approve document and post it to the ledger
+ * @route POST /api/v1/postings/:documentType/:id/approve
+ * @access Private
+ */
+export const approveDocument = asyncHandler(async (req, res) => {
+  const result = await postingService.approveDocument(
+    req.user.companyId,
+    POSTABLE_DOCUMENTS[req.params.documentType].referenceType,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    result,
+    'Document approved and posted successfully'
+  ).send(res);
+});
+
+/**
+ * Void document and reverse its ledger entry
+ * @route POST /api/v1/postings/:documentType/:id/void
+ * @access Private
+ */
+export const voidDocument = asyncHandler(async (req, res) => {
+  const result = await postingService.voidDocument(
+    req.user.companyId,
+    POSTABLE_DOCUMENTS[req.params.documentType].referenceType,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    result,
+    'Document voided successfully'
+  ).send(res);
+});
+
+export default {
+  getAccountMappings,
+  updateAccountMappings,
+  getDocumentEntries,
+  approveDocument,
+  voidDocument
+};
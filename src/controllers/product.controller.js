@@ -0,0 +1,153 @@
+/**
+ * Product Controller
+ * HTTP request handlers for product catalog endpoints
+ */
+
+import * as productService from '../services/product.service.js';
+import * as bundleService from '../services/bundle.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new product
+ * @route POST /api/v1/products
+ * @access Private
+ */
+export const createProduct = asyncHandler(async (req, res) => {
+  const product = await productService.createProduct(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    product,
+    'Product created successfully'
+  ).send(res);
+});
+
+/**
+ * Get products list
+ * @route GET /api/v1/products
+ * @access Private
+ */
+export const getProducts = asyncHandler(async (req, res) => {
+  const result = await productService.getProducts(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.products,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Products retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get product by ID
+ * @route GET /api/v1/products/:id
+ * @access Private
+ */
+export const getProductById = asyncHandler(async (req, res) => {
+  const product = await productService.getProductById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    product,
+    'Product retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get bundle components
+ * @route GET /api/v1/products/:id/components
+ * @access Private
+ */
+export const getBundleComponents = asyncHandler(async (req, res) => {
+  const bundle = await bundleService.getBundleComponents(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    bundle,
+    'Bundle components retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Replace bundle components
+ * @route PUT /api/v1/products/:id/components
+ * @access Private
+ */
+export const setBundleComponents = asyncHandler(async (req, res) => {
+  const bundle = await bundleService.setBundleComponents(
+    req.user.companyId,
+    req.params.id,
+    req.body.components,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    bundle,
+    'Bundle components updated successfully'
+  ).send(res);
+});
+
+/**
+ * Get bundle availability from component stock
+ * @route GET /api/v1/products/:id/availability
+ * @access Private
+ */
+export const getBundleAvailability = asyncHandler(async (req, res) => {
+  const availability = await bundleService.getBundleAvailability(
+    req.user.companyId,
+    req.params.id,
+    req.query
+  );
+
+  ApiResponse.success(
+    availability,
+    'Bundle availability retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update product
+ * @route PATCH /api/v1/products/:id
+ * @access Private
+ */
+export const updateProduct = asyncHandler(async (req, res) => {
+  const product = await productService.updateProduct(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    product,
+    'Product updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete product
+ * @route DELETE /api/v1/products/:id
+ * @access Private
+ */
+export const deleteProduct = asyncHandler(async (req, res) => {
+  await productService.deleteProduct(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Product deleted successfully'
+  ).send(res);
+});
+
+export default {
+  createProduct,
+  getProducts,
+  getProductById,
+  getBundleComponents,
+  setBundleComponents,
+  getBundleAvailability,
+  updateProduct,
+  deleteProduct
+};
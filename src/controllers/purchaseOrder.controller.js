@@ -0,0 +1,194 @@
+/**
+ * Purchase Order Controller
+ * HTTP request handlers for purchase order endpoints
+ */
+
+import * as purchaseOrderService from '../services/purchaseOrder.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create draft purchase order
+ * @route POST /api/v1/purchase-orders
+ * @access Private
+ */
+export const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.createPurchaseOrder(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    order,
+    'Purchase order created successfully'
+  ).send(res);
+});
+
+/**
+ * Get purchase orders list
+ * @route GET /api/v1/purchase-orders
+ * @access Private
+ */
+export const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const result = await purchaseOrderService.getPurchaseOrders(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.orders,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Purchase orders retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get purchase order by ID
+ * @route GET /api/v1/purchase-orders/:id
+ * @access Private
+ */
+export const getPurchaseOrderById = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.getPurchaseOrderById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    order,
+    'Purchase order retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update draft purchase order
+ * @route PATCH /api/v1/purchase-orders/:id
+ * @access Private
+ */
+export const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.updatePurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    order,
+    'Purchase order updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete draft purchase order
+ * @route DELETE /api/v1/purchase-orders/:id
+ * @access Private
+ */
+export const deletePurchaseOrder = asyncHandler(async (req, res) => {
+  await purchaseOrderService.deletePurchaseOrder(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Purchase order deleted successfully'
+  ).send(res);
+});
+
+/**
+ * Submit purchase order for approval
+ * @route POST /api/v1/purchase-orders/:id/submit
+ * @access Private
+ */
+export const submitPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.submitPurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    order,
+    'Purchase order submitted for approval successfully'
+  ).send(res);
+});
+
+/**
+ * Approve purchase order
+ * @route POST /api/v1/purchase-orders/:id/approve
+ * @access Private
+ */
+export const approvePurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.approvePurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    order,
+    'Purchase order approved successfully'
+  ).send(res);
+});
+
+/**
+ * Mark purchase order as sent to the vendor
+ * @route POST /api/v1/purchase-orders/:id/send
+ * @access Private
+ */
+export const sendPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.sendPurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    order,
+    'Purchase order sent successfully'
+  ).send(res);
+});
+
+/**
+ * Close purchase order before it is fully received
+ * @route POST /api/v1/purchase-orders/:id/complete
+ * @access Private
+ */
+export const completePurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.completePurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    order,
+    'Purchase order completed successfully'
+  ).send(res);
+});
+
+/**
+ * Cancel purchase order
+ * @route POST /api/v1/purchase-orders/:id/cancel
+ * @access Private
+ */
+export const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseOrderService.cancelPurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    order,
+    'Purchase order cancelled successfully'
+  ).send(res);
+});
+
+export default {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  submitPurchaseOrder,
+  approvePurchaseOrder,
+  sendPurchaseOrder,
+  completePurchaseOrder,
+  cancelPurchaseOrder
+};
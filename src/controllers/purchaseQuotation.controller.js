@@ -0,0 +1,199 @@
+/**
+ * Purchase Quotation Controller
+ * HTTP request handlers for RFQ, vendor quote and comparison endpoints
+ */
+
+import * as purchaseQuotationService from '../services/purchaseQuotation.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Raise requests for quotation, one per vendor
+ * @route POST /api/v1/purchase-quotations
+ * @access Private
+ */
+export const createPurchaseQuotations = asyncHandler(async (req, res) => {
+  const quotations = await purchaseQuotationService.createPurchaseQuotations(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    quotations,
+    'Purchase quotations requested successfully'
+  ).send(res);
+});
+
+/**
+ * Get purchase quotations list
+ * @route GET /api/v1/purchase-quotations
+ * @access Private
+ */
+export const getPurchaseQuotations = asyncHandler(async (req, res) => {
+  const result = await purchaseQuotationService.getPurchaseQuotations(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.quotations,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Purchase quotations retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Compare vendor quotes side by side
+ * @route GET /api/v1/purchase-quotations/compare
+ * @access Private
+ */
+export const compareQuotations = asyncHandler(async (req, res) => {
+  const comparison = await purchaseQuotationService.compareQuotations(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    comparison,
+    'Purchase quotations compared successfully'
+  ).send(res);
+});
+
+/**
+ * Get purchase quotation by ID
+ * @route GET /api/v1/purchase-quotations/:id
+ * @access Private
+ */
+export const getPurchaseQuotationById = asyncHandler(async (req, res) => {
+  const quotation = await purchaseQuotationService.getPurchaseQuotationById(
+    req.user.companyId,
+    req.params.id
+  );
+
+  ApiResponse.success(
+    quotation,
+    'Purchase quotation retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update draft purchase quotation
+ * @route PATCH /api/v1/purchase-quotations/:id
+ * @access Private
+ */
+export const updatePurchaseQuotation = asyncHandler(async (req, res) => {
+  const quotation = await purchaseQuotationService.updatePurchaseQuotation(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    quotation,
+    'Purchase quotation updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete purchase quotation
+ * @route DELETE /api/v1/purchase-quotations/:id
+ * @access Private
+ */
+export const deletePurchaseQuotation = asyncHandler(async (req, res) => {
+  await purchaseQuotationService.deletePurchaseQuotation(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    null,
+    'Purchase quotation deleted successfully'
+  ).send(res);
+});
+
+/**
+ * Record the vendor's quote
+ * @route POST /api/v1/purchase-quotations/:id/quote
+ * @access Private
+ */
+export const recordVendorQuote = asyncHandler(async (req, res) => {
+  const quotation = await purchaseQuotationService.recordVendorQuote(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    quotation,
+    'Vendor quote recorded successfully'
+  ).send(res);
+});
+
+/**
+ * Approve purchase quotation
+ * @route POST /api/v1/purchase-quotations/:id/approve
+ * @access Private
+ */
+export const approvePurchaseQuotation = asyncHandler(async (req, res) => {
+  const quotation = await purchaseQuotationService.approvePurchaseQuotation(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    quotation,
+    'Purchase quotation approved successfully'
+  ).send(res);
+});
+
+/**
+ * Reject purchase quotation
+ * @route POST /api/v1/purchase-quotations/:id/reject
+ * @access Private
+ */
+export const rejectPurchaseQuotation = asyncHandler(async (req, res) => {
+  const quotation = await purchaseQuotationService.rejectPurchaseQuotation(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    quotation,
+    'Purchase quotation rejected successfully'
+  ).send(res);
+});
+
+/**
+ * Convert purchase quotation to a purchase order
+ * @route POST /api/v1/purchase-quotations/:id/convert
+ * @access Private
+ */
+export const convertToPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await purchaseQuotationService.convertToPurchaseOrder(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    order,
+    'Purchase order created from quotation successfully'
+  ).send(res);
+});
+
+export default {
+  createPurchaseQuotations,
+  getPurchaseQuotations,
+  compareQuotations,
+  getPurchaseQuotationById,
+  updatePurchaseQuotation,
+  deletePurchaseQuotation,
+  recordVendorQuote,
+  approvePurchaseQuotation,
+  rejectPurchaseQuotation,
+  convertToPurchaseOrder
+};
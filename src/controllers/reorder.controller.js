@@ -0,0 +1,82 @@
+/**
+ * Reorder Controller
+ * HTTP request handlers for low-stock, stock alert and purchase suggestion endpoints
+ */
+
+import * as reorderService from '../services/reorder.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Get low-stock report
+ * @route GET /api/v1/reorder/low-stock
+ * @access Private
+ */
+export const getLowStockReport = asyncHandler(async (req, res) => {
+  const report = await reorderService.getLowStockReport(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    report,
+    'Low-stock report retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock alerts list
+ * @route GET /api/v1/reorder/alerts
+ * @access Private
+ */
+export const getStockAlerts = asyncHandler(async (req, res) => {
+  const result = await reorderService.getStockAlerts(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.alerts,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Stock alerts retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Acknowledge stock alert
+ * @route POST /api/v1/reorder/alerts/:id/acknowledge
+ * @access Private
+ */
+export const acknowledgeStockAlert = asyncHandler(async (req, res) => {
+  const alert = await reorderService.acknowledgeStockAlert(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    alert,
+    'Stock alert acknowledged successfully'
+  ).send(res);
+});
+
+/**
+ * Draft purchase orders for low stock
+ * @route POST /api/v1/reorder/suggest-purchase-orders
+ * @access Private
+ */
+export const suggestPurchaseOrders = asyncHandler(async (req, res) => {
+  const result = await reorderService.suggestPurchaseOrders(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    result,
+    'Purchase orders suggested successfully'
+  ).send(res);
+});
+
+export default {
+  getLowStockReport,
+  getStockAlerts,
+  acknowledgeStockAlert,
+  suggestPurchaseOrders
+};
@@ -0,0 +1,78 @@
+/**
+ * Report Controller
+ * HTTP request handlers for financial report endpoints
+ */
+
+import * as reportService from '../services/report.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Get trial balance
+ * @route GET /api/v1/reports/trial-balance
+ * @access Private
+ */
+export const getTrialBalance = asyncHandler(async (req, res) => {
+  const report = await reportService.getTrialBalance(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    report,
+    'Trial balance generated successfully'
+  ).send(res);
+});
+
+/**
+ * Get profit and loss statement
+ * @route GET /api/v1/reports/profit-and-loss
+ * @access Private
+ */
+export const getProfitAndLoss = asyncHandler(async (req, res) => {
+  const report = await reportService.getProfitAndLoss(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    report,
+    'Profit and loss statement generated successfully'
+  ).send(res);
+});
+
+/**
+ * Get balance sheet
+ * @route GET /api/v1/reports/balance-sheet
+ * @access Private
+ */
+export const getBalanceSheet = asyncHandler(async (req, res) => {
+  const report = await reportService.getBalanceSheet(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    report,
+    'Balance sheet generated successfully'
+  ).send(res);
+});
+
+/**
+ * Get general ledger for an account
+ * @route GET /api/v1/reports/ledger/:accountId
+ * @access Private
+ */
+export const getAccountLedger = asyncHandler(async (req, res) => {
+  const { pagination, ...ledger } = await reportService.getAccountLedger(
+    req.user.companyId,
+    req.params.accountId,
+    req.query
+  );
+
+  ApiResponse.paginated(
+    ledger,
+    pagination.page,
+    pagination.limit,
+    pagination.total,
+    'Account ledger generated successfully'
+  ).send(res);
+});
+
+export default {
+  getTrialBalance,
+  getProfitAndLoss,
+  getBalanceSheet,
+  getAccountLedger
+};
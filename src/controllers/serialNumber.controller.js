@@ -0,0 +1,47 @@
+/**
+ * Serial Number Controller
+ * HTTP request handlers for serial number list and lookup endpoints
+ */
+
+import * as serialNumberService from '../services/serialNumber.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Get serial numbers list
+ * @route GET /api/v1/serial-numbers
+ * @access Private
+ */
+export const getSerialNumbers = asyncHandler(async (req, res) => {
+  const result = await serialNumberService.getSerialNumbers(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.serialNumbers,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Serial numbers retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Look up a serial number with its history
+ * @route GET /api/v1/serial-numbers/lookup/:serialNumber
+ * @access Private
+ */
+export const lookupSerialNumber = asyncHandler(async (req, res) => {
+  const units = await serialNumberService.lookupSerialNumber(
+    req.user.companyId,
+    req.params.serialNumber
+  );
+
+  ApiResponse.success(
+    units,
+    'Serial number history retrieved successfully'
+  ).send(res);
+});
+
+export default {
+  getSerialNumbers,
+  lookupSerialNumber
+};
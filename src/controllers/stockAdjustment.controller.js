@@ -0,0 +1,30 @@
+/**
+ * Stock Adjustment Controller
+ * HTTP request handlers for opening stock and stock adjustment endpoints
+ */
+
+import * as stockAdjustmentService from '../services/stockAdjustment.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Record opening stock or a stock adjustment
+ * @route POST /api/v1/stock-adjustments
+ * @access Private
+ */
+export const createStockAdjustment = asyncHandler(async (req, res) => {
+  const result = await stockAdjustmentService.createStockAdjustment(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    result,
+    'Stock adjustment recorded successfully'
+  ).send(res);
+});
+
+export default {
+  createStockAdjustment
+};
@@ -0,0 +1,59 @@
+/**
+ * Stock Batch Controller
+ * HTTP request handlers for stock batch and near-expiry endpoints
+ */
+
+import * as stockBatchService from '../services/stockBatch.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Get stock batches list
+ * @route GET /api/v1/stock-batches
+ * @access Private
+ */
+export const getStockBatches = asyncHandler(async (req, res) => {
+  const result = await stockBatchService.getStockBatches(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.batches,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Stock batches retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get near-expiry report
+ * @route GET /api/v1/stock-batches/near-expiry
+ * @access Private
+ */
+export const getNearExpiryReport = asyncHandler(async (req, res) => {
+  const report = await stockBatchService.getNearExpiryReport(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    report,
+    'Near-expiry report retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock batch by ID with movements
+ * @route GET /api/v1/stock-batches/:id
+ * @access Private
+ */
+export const getStockBatchById = asyncHandler(async (req, res) => {
+  const batch = await stockBatchService.getStockBatchById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    batch,
+    'Stock batch retrieved successfully'
+  ).send(res);
+});
+
+export default {
+  getStockBatches,
+  getNearExpiryReport,
+  getStockBatchById
+};
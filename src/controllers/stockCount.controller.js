@@ -0,0 +1,141 @@
+/**
+ * Stock Count Controller
+ * HTTP request handlers for stock count endpoints
+ */
+
+import * as stockCountService from '../services/stockCount.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Start stock count
+ * @route POST /api/v1/stock-counts
+ * @access Private
+ */
+export const createStockCount = asyncHandler(async (req, res) => {
+  const count = await stockCountService.createStockCount(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    count,
+    'Stock count started successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock counts list
+ * @route GET /api/v1/stock-counts
+ * @access Private
+ */
+export const getStockCounts = asyncHandler(async (req, res) => {
+  const result = await stockCountService.getStockCounts(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.counts,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Stock counts retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock count by ID with variances
+ * @route GET /api/v1/stock-counts/:id
+ * @access Private
+ */
+export const getStockCountById = asyncHandler(async (req, res) => {
+  const count = await stockCountService.getStockCountById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    count,
+    'Stock count retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Record counted quantities
+ * @route PUT /api/v1/stock-counts/:id/items
+ * @access Private
+ */
+export const recordCountedQuantities = asyncHandler(async (req, res) => {
+  const count = await stockCountService.recordCountedQuantities(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    count,
+    'Counted quantities recorded successfully'
+  ).send(res);
+});
+
+/**
+ * Count a product by barcode
+ * @route POST /api/v1/stock-counts/:id/scan
+ * @access Private
+ */
+export const scanCountItem = asyncHandler(async (req, res) => {
+  const item = await stockCountService.scanCountItem(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    item,
+    'Barcode scanned successfully'
+  ).send(res);
+});
+
+/**
+ * Cancel stock count
+ * @route POST /api/v1/stock-counts/:id/cancel
+ * @access Private
+ */
+export const cancelStockCount = asyncHandler(async (req, res) => {
+  const count = await stockCountService.cancelStockCount(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    count,
+    'Stock count cancelled successfully'
+  ).send(res);
+});
+
+/**
+ * Approve stock count and post adjustments
+ * @route POST /api/v1/stock-counts/:id/approve
+ * @access Private
+ */
+export const approveStockCount = asyncHandler(async (req, res) => {
+  const result = await stockCountService.approveStockCount(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    result,
+    'Stock count approved successfully'
+  ).send(res);
+});
+
+export default {
+  createStockCount,
+  getStockCounts,
+  getStockCountById,
+  recordCountedQuantities,
+  scanCountItem,
+  cancelStockCount,
+  approveStockCount
+};
@@ -0,0 +1,153 @@
+/**
+ * Stock Transfer Controller
+ * HTTP request handlers for stock transfer endpoints
+ */
+
+import * as stockTransferService from '../services/stockTransfer.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create draft stock transfer
+ * @route POST /api/v1/stock-transfers
+ * @access Private
+ */
+export const createStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockTransferService.createStockTransfer(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    transfer,
+    'Stock transfer created successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock transfers list
+ * @route GET /api/v1/stock-transfers
+ * @access Private
+ */
+export const getStockTransfers = asyncHandler(async (req, res) => {
+  const result = await stockTransferService.getStockTransfers(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.transfers,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Stock transfers retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get goods in transit between warehouses
+ * @route GET /api/v1/stock-transfers/in-transit
+ * @access Private
+ */
+export const getInTransitStock = asyncHandler(async (req, res) => {
+  const items = await stockTransferService.getInTransitStock(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    items,
+    'In-transit stock retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock transfer by ID
+ * @route GET /api/v1/stock-transfers/:id
+ * @access Private
+ */
+export const getStockTransferById = asyncHandler(async (req, res) => {
+  const transfer = await stockTransferService.getStockTransferById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    transfer,
+    'Stock transfer retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update draft stock transfer
+ * @route PATCH /api/v1/stock-transfers/:id
+ * @access Private
+ */
+export const updateStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockTransferService.updateStockTransfer(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    transfer,
+    'Stock transfer updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete draft stock transfer
+ * @route DELETE /api/v1/stock-transfers/:id
+ * @access Private
+ */
+export const deleteStockTransfer = asyncHandler(async (req, res) => {
+  await stockTransferService.deleteStockTransfer(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Stock transfer deleted successfully'
+  ).send(res);
+});
+
+/**
+ * Dispatch stock transfer from the source warehouse
+ * @route POST /api/v1/stock-transfers/:id/dispatch
+ * @access Private
+ */
+export const dispatchStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockTransferService.dispatchStockTransfer(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    transfer,
+    'Stock transfer dispatched successfully'
+  ).send(res);
+});
+
+/**
+ * Receive stock transfer goods at the destination warehouse
+ * @route POST /api/v1/stock-transfers/:id/receive
+ * @access Private
+ */
+export const receiveStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockTransferService.receiveStockTransfer(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    transfer,
+    'Stock transfer received successfully'
+  ).send(res);
+});
+
+export default {
+  createStockTransfer,
+  getStockTransfers,
+  getInTransitStock,
+  getStockTransferById,
+  updateStockTransfer,
+  deleteStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer
+};
@@ -0,0 +1,113 @@
+/**
+ * Vendor Controller
+ * HTTP request handlers for vendor master endpoints
+ */
+
+import * as vendorService from '../services/vendor.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new vendor
+ * @route POST /api/v1/vendors
+ * @access Private
+ */
+export const createVendor = asyncHandler(async (req, res) => {
+  const vendor = await vendorService.createVendor(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    vendor,
+    'Vendor created successfully'
+  ).send(res);
+});
+
+/**
+ * Get vendors list
+ * @route GET /api/v1/vendors
+ * @access Private
+ */
+export const getVendors = asyncHandler(async (req, res) => {
+  const result = await vendorService.getVendors(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.vendors,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Vendors retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get vendor by ID
+ * @route GET /api/v1/vendors/:id
+ * @access Private
+ */
+export const getVendorById = asyncHandler(async (req, res) => {
+  const vendor = await vendorService.getVendorById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    vendor,
+    'Vendor retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get vendor summary
+ * @route GET /api/v1/vendors/:id/summary
+ * @access Private
+ */
+export const getVendorSummary = asyncHandler(async (req, res) => {
+  const summary = await vendorService.getVendorSummary(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    summary,
+    'Vendor summary retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update vendor
+ * @route PATCH /api/v1/vendors/:id
+ * @access Private
+ */
+export const updateVendor = asyncHandler(async (req, res) => {
+  const vendor = await vendorService.updateVendor(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    vendor,
+    'Vendor updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete vendor
+ * @route DELETE /api/v1/vendors/:id
+ * @access Private
+ */
+export const deleteVendor = asyncHandler(async (req, res) => {
+  await vendorService.deleteVendor(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Vendor deleted successfully'
+  ).send(res);
+});
+
+export default {
+  createVendor,
+  getVendors,
+  getVendorById,
+  getVendorSummary,
+  updateVendor,
+  deleteVendor
+};
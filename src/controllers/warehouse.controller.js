@@ -0,0 +1,132 @@
+/**
+ * Warehouse Controller
+ * HTTP request handlers for warehouse endpoints
+ */
+
+import * as warehouseService from '../services/warehouse.service.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Create new warehouse
+ * @route POST /api/v1/warehouses
+ * @access Private
+ */
+export const createWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await warehouseService.createWarehouse(
+    req.user.companyId,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.created(
+    warehouse,
+    'Warehouse created successfully'
+  ).send(res);
+});
+
+/**
+ * Get warehouses list
+ * @route GET /api/v1/warehouses
+ * @access Private
+ */
+export const getWarehouses = asyncHandler(async (req, res) => {
+  const result = await warehouseService.getWarehouses(req.user.companyId, req.query);
+
+  ApiResponse.paginated(
+    result.warehouses,
+    result.pagination.page,
+    result.pagination.limit,
+    result.pagination.total,
+    'Warehouses retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get stock summary per warehouse
+ * @route GET /api/v1/warehouses/stock-summary
+ * @access Private
+ */
+export const getWarehouseStockSummary = asyncHandler(async (req, res) => {
+  const summary = await warehouseService.getWarehouseStockSummary(req.user.companyId, req.query);
+
+  ApiResponse.success(
+    summary,
+    'Warehouse stock summary retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Get warehouse by ID
+ * @route GET /api/v1/warehouses/:id
+ * @access Private
+ */
+export const getWarehouseById = asyncHandler(async (req, res) => {
+  const warehouse = await warehouseService.getWarehouseById(req.user.companyId, req.params.id);
+
+  ApiResponse.success(
+    warehouse,
+    'Warehouse retrieved successfully'
+  ).send(res);
+});
+
+/**
+ * Update warehouse
+ * @route PATCH /api/v1/warehouses/:id
+ * @access Private
+ */
+export const updateWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await warehouseService.updateWarehouse(
+    req.user.companyId,
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    warehouse,
+    'Warehouse updated successfully'
+  ).send(res);
+});
+
+/**
+ * Make warehouse the company default
+ * @route POST /api/v1/warehouses/:id/set-default
+ * @access Private
+ */
+export const setDefaultWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await warehouseService.setDefaultWarehouse(
+    req.user.companyId,
+    req.params.id,
+    req.user.id
+  );
+
+  ApiResponse.success(
+    warehouse,
+    'Default warehouse updated successfully'
+  ).send(res);
+});
+
+/**
+ * Delete warehouse
+ * @route DELETE /api/v1/warehouses/:id
+ * @access Private
+ */
+export const deleteWarehouse = asyncHandler(async (req, res) => {
+  await warehouseService.deleteWarehouse(req.user.companyId, req.params.id, req.user.id);
+
+  ApiResponse.success(
+    null,
+    'Warehouse deleted successfully'
+  ).send(res);
+});
+
+export default {
+  createWarehouse,
+  getWarehouses,
+  getWarehouseStockSummary,
+  getWarehouseById,
+  updateWarehouse,
+  setDefaultWarehouse,
+  deleteWarehouse
+};
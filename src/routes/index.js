@@ -6,6 +6,28 @@
 import express from 'express';
 import authRoutes from './v1/auth.route.js';
 import userRoutes from './v1/user.route.js';
+import companyRoutes from './v1/company.route.js';
+import accountRoutes from './v1/account.route.js';
+import journalRoutes from './v1/journal.route.js';
+import postingRoutes from './v1/posting.route.js';
+import reportRoutes from './v1/report.route.js';
+import fiscalPeriodRoutes from './v1/fiscalPeriod.route.js';
+import customerRoutes from './v1/customer.route.js';
+import vendorRoutes from './v1/vendor.route.js';
+import numberSeriesRoutes from './v1/numberSeries.route.js';
+import productRoutes from './v1/product.route.js';
+import categoryRoutes from './v1/category.route.js';
+import brandRoutes from './v1/brand.route.js';
+import warehouseRoutes from './v1/warehouse.route.js';
+import stockTransferRoutes from './v1/stockTransfer.route.js';
+import stockCountRoutes from './v1/stockCount.route.js';
+import reorderRoutes from './v1/reorder.route.js';
+import stockBatchRoutes from './v1/stockBatch.route.js';
+import serialNumberRoutes from './v1/serialNumber.route.js';
+import purchaseQuotationRoutes from './v1/purchaseQuotation.route.js';
+import purchaseOrderRoutes from './v1/purchaseOrder.route.js';
+import goodsReceiptRoutes from './v1/goodsReceipt.route.js';
+import stockAdjustmentRoutes from './v1/stockAdjustment.route.js';
 
 const router = express.Router();
 
@@ -26,6 +48,28 @@ router.get('/health', (req, res) => {
  */
 router.use('/v1/auth', authRoutes);
 router.use('/v1/users', userRoutes);
+router.use('/v1/companies', companyRoutes);
+router.use('/v1/accounts', accountRoutes);
+router.use('/v1/journal-entries', journalRoutes);
+router.use('/v1/postings', postingRoutes);
+router.use('/v1/reports', reportRoutes);
+router.use('/v1/fiscal-periods', fiscalPeriodRoutes);
+router.use('/v1/customers', customerRoutes);
+router.use('/v1/vendors', vendorRoutes);
+router.use('/v1/number-series', numberSeriesRoutes);
+router.use('/v1/products', productRoutes);
+router.use('/v1/categories', categoryRoutes);
+router.use('/v1/brands', brandRoutes);
+router.use('/v1/warehouses', warehouseRoutes);
+router.use('/v1/stock-transfers', stockTransferRoutes);
+router.use('/v1/stock-counts', stockCountRoutes);
+router.use('/v1/reorder', reorderRoutes);
+router.use('/v1/stock-batches', stockBatchRoutes);
+router.use('/v1/serial-numbers', serialNumberRoutes);
+router.use('/v1/purchase-quotations', purchaseQuotationRoutes);
+router.use('/v1/purchase-orders', purchaseOrderRoutes);
+router.use('/v1/goods-receipts', goodsReceiptRoutes);
+router.use('/v1/stock-adjustments', stockAdjustmentRoutes);
 
 /**
  * API info endpoint
@@ -39,7 +83,29 @@ router.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       auth: '/api/v1/auth',
-      users: '/api/v1/users'
+      users: '/api/v1/users',
+      companies: '/api/v1/companies',
+      accounts: '/api/v1/accounts',
+      journalEntries: '/api/v1/journal-entries',
+      postings: '/api/v1/postings',
+      reports: '/api/v1/reports',
+      fiscalPeriods: '/api/v1/fiscal-periods',
+      customers: '/api/v1/customers',
+      vendors: '/api/v1/vendors',
+      numberSeries: '/api/v1/number-series',
+      products: '/api/v1/products',
+      categories: '/api/v1/categories',
+      brands: '/api/v1/brands',
+      warehouses: '/api/v1/warehouses',
+      stockTransfers: '/api/v1/stock-transfers',
+      stockCounts: '/api/v1/stock-counts',
+      reorder: '/api/v1/reorder',
+      stockBatches: '/api/v1/stock-batches',
+      serialNumbers: '/api/v1/serial-numbers',
+      purchaseQuotations: '/api/v1/purchase-quotations',
+      purchaseOrders: '/api/v1/purchase-orders',
+      goodsReceipts: '/api/v1/goods-receipts',
+      stockAdjustments: '/api/v1/stock-adjustments'
     }
   });
 });
@@ -0,0 +1,104 @@
+/**
+ * Account Routes
+ * API routes for chart of accounts endpoints
+ */
+
+import express from 'express';
+import * as accountController from '../../controllers/account.controller.js';
+import * as accountValidation from '../../validations/account.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All account routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/accounts
+ * @desc    Create new account
+ * @access  Private (accounts.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.CREATE, 'accounts'),
+  validateBody(accountValidation.createAccountSchema),
+  accountController.createAccount
+);
+
+/**
+ * @route   GET /api/v1/accounts
+ * @desc    Get accounts with filters
+ * @access  Private (accounts.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'accounts'),
+  validateQuery(accountValidation.getAccountsListSchema),
+  accountController.getAccounts
+);
+
+/**
+ * @route   GET /api/v1/accounts/tree
+ * @desc    Get chart of accounts as a tree with rolled-up balances
+ * @access  Private (accounts.read)
+ */
+router.get(
+  '/tree',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'accounts'),
+  validateQuery(accountValidation.getAccountTreeSchema),
+  accountController.getAccountTree
+);
+
+/**
+ * @route   GET /api/v1/accounts/:id
+ * @desc    Get account by ID
+ * @access  Private (accounts.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'accounts'),
+  validateParams(accountValidation.getAccountByIdSchema),
+  accountController.getAccountById
+);
+
+/**
+ * @route   PATCH /api/v1/accounts/:id
+ * @desc    Update account
+ * @access  Private (accounts.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.UPDATE, 'accounts'),
+  validateParams(accountValidation.getAccountByIdSchema),
+  validateBody(accountValidation.updateAccountSchema),
+  accountController.updateAccount
+);
+
+/**
+ * @route   POST /api/v1/accounts/:id/deactivate
+ * @desc    Deactivate account
+ * @access  Private (accounts.update)
+ */
+router.post(
+  '/:id/deactivate',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.UPDATE, 'accounts'),
+  validateParams(accountValidation.getAccountByIdSchema),
+  accountController.deactivateAccount
+);
+
+/**
+ * @route   POST /api/v1/accounts/:id/activate
+ * @desc    Activate account
+ * @access  Private (accounts.update)
+ */
+router.post(
+  '/:id/activate',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.UPDATE, 'accounts'),
+  validateParams(accountValidation.getAccountByIdSchema),
+  accountController.activateAccount
+);
+
+export default router;
@@ -22,6 +22,17 @@ router.post(
   authController.register
 );
 
+/**
+ * @route   POST /api/v1/auth/signup
+ * @desc    Signup new company with its admin user
+ * @access  Public
+ */
+router.post(
+  '/signup',
+  validateBody(authValidation.signupSchema),
+  authController.signup
+);
+
 /**
  * @route   POST /api/v1/auth/login
  * @desc    Login user
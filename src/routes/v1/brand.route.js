@@ -0,0 +1,81 @@
+/**
+ * Brand Routes
+ * API routes for brand endpoints
+ */
+
+import express from 'express';
+import * as brandController from '../../controllers/brand.controller.js';
+import * as brandValidation from '../../validations/brand.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All brand routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/brands
+ * @desc    Create brand
+ * @access  Private (brands.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.CREATE, 'brands'),
+  validateBody(brandValidation.createBrandSchema),
+  brandController.createBrand
+);
+
+/**
+ * @route   GET /api/v1/brands
+ * @desc    Get brands with filters
+ * @access  Private (brands.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'brands'),
+  validateQuery(brandValidation.getBrandsListSchema),
+  brandController.getBrands
+);
+
+/**
+ * @route   GET /api/v1/brands/:id
+ * @desc    Get brand by ID
+ * @access  Private (brands.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'brands'),
+  validateParams(brandValidation.getBrandByIdSchema),
+  brandController.getBrandById
+);
+
+/**
+ * @route   PATCH /api/v1/brands/:id
+ * @desc    Update brand
+ * @access  Private (brands.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.UPDATE, 'brands'),
+  validateParams(brandValidation.getBrandByIdSchema),
+  validateBody(brandValidation.updateBrandSchema),
+  brandController.updateBrand
+);
+
+/**
+ * @route   DELETE /api/v1/brands/:id
+ * @desc    Delete brand, optionally reassigning its products
+ * @access  Private (brands.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.DELETE, 'brands'),
+  validateParams(brandValidation.getBrandByIdSchema),
+  validateQuery(brandValidation.deleteBrandSchema),
+  brandController.deleteBrand
+);
+
+export default router;
@@ -0,0 +1,93 @@
+/**
+ * Category Routes
+ * API routes for product category endpoints
+ */
+
+import express from 'express';
+import * as categoryController from '../../controllers/category.controller.js';
+import * as categoryValidation from '../../validations/category.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All category routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/categories
+ * @desc    Create category
+ * @access  Private (categories.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.CREATE, 'categories'),
+  validateBody(categoryValidation.createCategorySchema),
+  categoryController.createCategory
+);
+
+/**
+ * @route   GET /api/v1/categories
+ * @desc    Get categories with filters
+ * @access  Private (categories.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'categories'),
+  validateQuery(categoryValidation.getCategoriesListSchema),
+  categoryController.getCategories
+);
+
+/**
+ * @route   GET /api/v1/categories/tree
+ * @desc    Get category tree with product counts
+ * @access  Private (categories.read)
+ */
+router.get(
+  '/tree',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'categories'),
+  validateQuery(categoryValidation.getCategoryTreeSchema),
+  categoryController.getCategoryTree
+);
+
+/**
+ * @route   GET /api/v1/categories/:id
+ * @desc    Get category by ID
+ * @access  Private (categories.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'categories'),
+  validateParams(categoryValidation.getCategoryByIdSchema),
+  categoryController.getCategoryById
+);
+
+/**
+ * @route   PATCH /api/v1/categories/:id
+ * @desc    Update or re-parent category
+ * @access  Private (categories.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.UPDATE, 'categories'),
+  validateParams(categoryValidation.getCategoryByIdSchema),
+  validateBody(categoryValidation.updateCategorySchema),
+  categoryController.updateCategory
+);
+
+/**
+ * @route   DELETE /api/v1/categories/:id
+ * @desc    Delete category, optionally reassigning its products
+ * @access  Private (categories.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.DELETE, 'categories'),
+  validateParams(categoryValidation.getCategoryByIdSchema),
+  validateQuery(categoryValidation.deleteCategorySchema),
+  categoryController.deleteCategory
+);
+
+export default router;
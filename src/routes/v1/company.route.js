@@ -0,0 +1,99 @@
+/**
+ * Company Routes
+ * API routes for company management endpoints
+ */
+
+import express from 'express';
+import * as companyController from '../../controllers/company.controller.js';
+import * as companyValidation from '../../validations/company.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate, requireRole } from '../../middleware/auth.js';
+import { USER_ROLES } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All company routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/companies
+ * @desc    Create new company
+ * @access  Private (Superadmin only)
+ */
+router.post(
+  '/',
+  requireRole(USER_ROLES.SUPERADMIN),
+  validateBody(companyValidation.createCompanySchema),
+  companyController.createCompany
+);
+
+/**
+ * @route   GET /api/v1/companies
+ * @desc    Get companies (Superadmin sees all, others only their own)
+ * @access  Private
+ */
+router.get(
+  '/',
+  validateQuery(companyValidation.getCompaniesListSchema),
+  companyController.getCompanies
+);
+
+/**
+ * @route   GET /api/v1/companies/current
+ * @desc    Get current user's company
+ * @access  Private
+ */
+router.get(
+  '/current',
+  companyController.getCurrentCompany
+);
+
+/**
+ * @route   GET /api/v1/companies/:id
+ * @desc    Get company by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateParams(companyValidation.getCompanyByIdSchema),
+  companyController.getCompanyById
+);
+
+/**
+ * @route   PATCH /api/v1/companies/:id
+ * @desc    Update company profile
+ * @access  Private (Superadmin or own Company Admin)
+ */
+router.patch(
+  '/:id',
+  requireRole(USER_ROLES.SUPERADMIN, USER_ROLES.COMPANY_ADMIN),
+  validateParams(companyValidation.getCompanyByIdSchema),
+  validateBody(companyValidation.updateCompanySchema),
+  companyController.updateCompany
+);
+
+/**
+ * @route   POST /api/v1/companies/:id/activate
+ * @desc    Activate company
+ * @access  Private (Superadmin only)
+ */
+router.post(
+  '/:id/activate',
+  requireRole(USER_ROLES.SUPERADMIN),
+  validateParams(companyValidation.getCompanyByIdSchema),
+  companyController.activateCompany
+);
+
+/**
+ * @route   POST /api/v1/companies/:id/deactivate
+ * @desc    Deactivate company
+ * @access  Private (Superadmin only)
+ */
+router.post(
+  '/:id/deactivate',
+  requireRole(USER_ROLES.SUPERADMIN),
+  validateParams(companyValidation.getCompanyByIdSchema),
+  companyController.deactivateCompany
+);
+
+export default router;
@@ -0,0 +1,80 @@
+/**
+ * Customer Routes
+ * API routes for customer master endpoints
+ */
+
+import express from 'express';
+import * as customerController from '../../controllers/customer.controller.js';
+import * as customerValidation from '../../validations/customer.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All customer routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/customers
+ * @desc    Create customer
+ * @access  Private (customers.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.SALES, PERMISSIONS.CREATE, 'customers'),
+  validateBody(customerValidation.createCustomerSchema),
+  customerController.createCustomer
+);
+
+/**
+ * @route   GET /api/v1/customers
+ * @desc    Get customers with search and filters
+ * @access  Private (customers.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.SALES, PERMISSIONS.READ, 'customers'),
+  validateQuery(customerValidation.getCustomersListSchema),
+  customerController.getCustomers
+);
+
+/**
+ * @route   GET /api/v1/customers/:id
+ * @desc    Get customer by ID
+ * @access  Private (customers.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.SALES, PERMISSIONS.READ, 'customers'),
+  validateParams(customerValidation.getCustomerByIdSchema),
+  customerController.getCustomerById
+);
+
+/**
+ * @route   PATCH /api/v1/customers/:id
+ * @desc    Update customer
+ * @access  Private (customers.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.SALES, PERMISSIONS.UPDATE, 'customers'),
+  validateParams(customerValidation.getCustomerByIdSchema),
+  validateBody(customerValidation.updateCustomerSchema),
+  customerController.updateCustomer
+);
+
+/**
+ * @route   DELETE /api/v1/customers/:id
+ * @desc    Delete customer without sales documents
+ * @access  Private (customers.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.SALES, PERMISSIONS.DELETE, 'customers'),
+  validateParams(customerValidation.getCustomerByIdSchema),
+  customerController.deleteCustomer
+);
+
+export default router;
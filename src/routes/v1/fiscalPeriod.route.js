@@ -0,0 +1,103 @@
+/**
+ * Fiscal Period Routes
+ * API routes for fiscal periods, period locking and year-end close
+ */
+
+import express from 'express';
+import * as fiscalPeriodController from '../../controllers/fiscalPeriod.controller.js';
+import * as fiscalPeriodValidation from '../../validations/fiscalPeriod.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All fiscal period routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/fiscal-periods/generate
+ * @desc    Generate monthly or yearly periods for a fiscal year
+ * @access  Private (fiscal-periods.create)
+ */
+router.post(
+  '/generate',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.CREATE, 'fiscal-periods'),
+  validateBody(fiscalPeriodValidation.generateFiscalPeriodsSchema),
+  fiscalPeriodController.generateFiscalPeriods
+);
+
+/**
+ * @route   POST /api/v1/fiscal-periods/year-end-close
+ * @desc    Close revenue and expense balances into retained earnings
+ * @access  Private (fiscal-periods.approve)
+ */
+router.post(
+  '/year-end-close',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.APPROVE, 'fiscal-periods'),
+  validateBody(fiscalPeriodValidation.closeFiscalYearSchema),
+  fiscalPeriodController.closeFiscalYear
+);
+
+/**
+ * @route   GET /api/v1/fiscal-periods
+ * @desc    Get fiscal periods with filters
+ * @access  Private (fiscal-periods.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'fiscal-periods'),
+  validateQuery(fiscalPeriodValidation.getFiscalPeriodsListSchema),
+  fiscalPeriodController.getFiscalPeriods
+);
+
+/**
+ * @route   GET /api/v1/fiscal-periods/:id
+ * @desc    Get fiscal period by ID
+ * @access  Private (fiscal-periods.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'fiscal-periods'),
+  validateParams(fiscalPeriodValidation.getFiscalPeriodByIdSchema),
+  fiscalPeriodController.getFiscalPeriodById
+);
+
+/**
+ * @route   POST /api/v1/fiscal-periods/:id/open
+ * @desc    Reopen a soft-closed fiscal period
+ * @access  Private (fiscal-periods.approve)
+ */
+router.post(
+  '/:id/open',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.APPROVE, 'fiscal-periods'),
+  validateParams(fiscalPeriodValidation.getFiscalPeriodByIdSchema),
+  fiscalPeriodController.openFiscalPeriod
+);
+
+/**
+ * @route   POST /api/v1/fiscal-periods/:id/soft-close
+ * @desc    Soft-close a fiscal period (adjustments only)
+ * @access  Private (fiscal-periods.approve)
+ */
+router.post(
+  '/:id/soft-close',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.APPROVE, 'fiscal-periods'),
+  validateParams(fiscalPeriodValidation.getFiscalPeriodByIdSchema),
+  fiscalPeriodController.softCloseFiscalPeriod
+);
+
+/**
+ * @route   POST /api/v1/fiscal-periods/:id/lock
+ * @desc    Hard-lock a fiscal period (no postings, cannot be reopened)
+ * @access  Private (fiscal-periods.approve)
+ */
+router.post(
+  '/:id/lock',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.APPROVE, 'fiscal-periods'),
+  validateParams(fiscalPeriodValidation.getFiscalPeriodByIdSchema),
+  fiscalPeriodController.lockFiscalPeriod
+);
+
+export default router;
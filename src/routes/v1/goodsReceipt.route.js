@@ -0,0 +1,104 @@
+/**
+ * Goods Receipt Routes
+ * API routes for goods receipt (GRN) endpoints
+ */
+
+import express from 'express';
+import * as goodsReceiptController from '../../controllers/goodsReceipt.controller.js';
+import * as goodsReceiptValidation from '../../validations/goodsReceipt.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All goods receipt routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/goods-receipts
+ * @desc    Create draft goods receipt, optionally against a purchase order
+ * @access  Private (goods-receipts.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.CREATE, 'goods-receipts'),
+  validateBody(goodsReceiptValidation.createGoodsReceiptSchema),
+  goodsReceiptController.createGoodsReceipt
+);
+
+/**
+ * @route   GET /api/v1/goods-receipts
+ * @desc    Get goods receipts with filters
+ * @access  Private (goods-receipts.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'goods-receipts'),
+  validateQuery(goodsReceiptValidation.getGoodsReceiptsListSchema),
+  goodsReceiptController.getGoodsReceipts
+);
+
+/**
+ * @route   GET /api/v1/goods-receipts/:id
+ * @desc    Get goods receipt by ID
+ * @access  Private (goods-receipts.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'goods-receipts'),
+  validateParams(goodsReceiptValidation.getGoodsReceiptByIdSchema),
+  goodsReceiptController.getGoodsReceiptById
+);
+
+/**
+ * @route   PATCH /api/v1/goods-receipts/:id
+ * @desc    Update draft goods receipt
+ * @access  Private (goods-receipts.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'goods-receipts'),
+  validateParams(goodsReceiptValidation.getGoodsReceiptByIdSchema),
+  validateBody(goodsReceiptValidation.updateGoodsReceiptSchema),
+  goodsReceiptController.updateGoodsReceipt
+);
+
+/**
+ * @route   DELETE /api/v1/goods-receipts/:id
+ * @desc    Delete draft goods receipt
+ * @access  Private (goods-receipts.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.DELETE, 'goods-receipts'),
+  validateParams(goodsReceiptValidation.getGoodsReceiptByIdSchema),
+  goodsReceiptController.deleteGoodsReceipt
+);
+
+/**
+ * @route   POST /api/v1/goods-receipts/:id/receive
+ * @desc    Receive accepted goods into stock and against the purchase order
+ * @access  Private (goods-receipts.approve)
+ */
+router.post(
+  '/:id/receive',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.APPROVE, 'goods-receipts'),
+  validateParams(goodsReceiptValidation.getGoodsReceiptByIdSchema),
+  goodsReceiptController.receiveGoodsReceipt
+);
+
+/**
+ * @route   POST /api/v1/goods-receipts/:id/void
+ * @desc    Void received goods receipt, reversing its stock and order quantities
+ * @access  Private (goods-receipts.approve)
+ */
+router.post(
+  '/:id/void',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.APPROVE, 'goods-receipts'),
+  validateParams(goodsReceiptValidation.getGoodsReceiptByIdSchema),
+  goodsReceiptController.voidGoodsReceipt
+);
+
+export default router;
@@ -0,0 +1,105 @@
+/**
+ * Journal Routes
+ * API routes for journal entry endpoints
+ */
+
+import express from 'express';
+import * as journalController from '../../controllers/journal.controller.js';
+import * as journalValidation from '../../validations/journal.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All journal routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/journal-entries
+ * @desc    Create draft journal entry
+ * @access  Private (journal-entries.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.CREATE, 'journal-entries'),
+  validateBody(journalValidation.createJournalEntrySchema),
+  journalController.createJournalEntry
+);
+
+/**
+ * @route   GET /api/v1/journal-entries
+ * @desc    Get journal entries with filters
+ * @access  Private (journal-entries.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'journal-entries'),
+  validateQuery(journalValidation.getJournalEntriesListSchema),
+  journalController.getJournalEntries
+);
+
+/**
+ * @route   GET /api/v1/journal-entries/:id
+ * @desc    Get journal entry by ID
+ * @access  Private (journal-entries.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'journal-entries'),
+  validateParams(journalValidation.getJournalEntryByIdSchema),
+  journalController.getJournalEntryById
+);
+
+/**
+ * @route   PATCH /api/v1/journal-entries/:id
+ * @desc    Update draft journal entry
+ * @access  Private (journal-entries.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.UPDATE, 'journal-entries'),
+  validateParams(journalValidation.getJournalEntryByIdSchema),
+  validateBody(journalValidation.updateJournalEntrySchema),
+  journalController.updateJournalEntry
+);
+
+/**
+ * @route   DELETE /api/v1/journal-entries/:id
+ * @desc    Delete draft journal entry
+ * @access  Private (journal-entries.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.DELETE, 'journal-entries'),
+  validateParams(journalValidation.getJournalEntryByIdSchema),
+  journalController.deleteJournalEntry
+);
+
+/**
+ * @route   POST /api/v1/journal-entries/:id/post
+ * @desc    Post journal entry to the ledger
+ * @access  Private (journal-entries.approve)
+ */
+router.post(
+  '/:id/post',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.APPROVE, 'journal-entries'),
+  validateParams(journalValidation.getJournalEntryByIdSchema),
+  journalController.postJournalEntry
+);
+
+/**
+ * @route   POST /api/v1/journal-entries/:id/reverse
+ * @desc    Reverse posted journal entry
+ * @access  Private (journal-entries.approve)
+ */
+router.post(
+  '/:id/reverse',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.APPROVE, 'journal-entries'),
+  validateParams(journalValidation.getJournalEntryByIdSchema),
+  validateBody(journalValidation.reverseJournalEntrySchema),
+  journalController.reverseJournalEntry
+);
+
+export default router;
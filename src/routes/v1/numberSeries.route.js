@@ -0,0 +1,54 @@
+/**
+ * Number Series Routes
+ * API routes for document numbering configuration
+ */
+
+import express from 'express';
+import * as numberSeriesController from '../../controllers/numberSeries.controller.js';
+import * as numberSeriesValidation from '../../validations/numberSeries.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate, requireRole } from '../../middleware/auth.js';
+import { USER_ROLES } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All number series routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/number-series
+ * @desc    Get number series of every document type with next numbers
+ * @access  Private
+ */
+router.get(
+  '/',
+  validateQuery(numberSeriesValidation.previewNumberSeriesSchema),
+  numberSeriesController.getNumberSeries
+);
+
+/**
+ * @route   GET /api/v1/number-series/:documentType
+ * @desc    Get number series of a document type with its next number
+ * @access  Private
+ */
+router.get(
+  '/:documentType',
+  validateParams(numberSeriesValidation.documentTypeParamsSchema),
+  validateQuery(numberSeriesValidation.previewNumberSeriesSchema),
+  numberSeriesController.getNumberSeriesByType
+);
+
+/**
+ * @route   PUT /api/v1/number-series/:documentType
+ * @desc    Configure prefix, format, padding and reset rule of a series
+ * @access  Private (Superadmin or Company Admin)
+ */
+router.put(
+  '/:documentType',
+  requireRole(USER_ROLES.SUPERADMIN, USER_ROLES.COMPANY_ADMIN),
+  validateParams(numberSeriesValidation.documentTypeParamsSchema),
+  validateBody(numberSeriesValidation.updateNumberSeriesSchema),
+  numberSeriesController.updateNumberSeries
+);
+
+export default router;
@@ -0,0 +1,94 @@
+/**
+ * Posting Routes
+ * API routes for document approval, voiding and default posting accounts
+ */
+
+import express from 'express';
+import * as postingController from '../../controllers/posting.controller.js';
+import * as postingValidation from '../../validations/posting.validation.js';
+import { validateBody, validateParams } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS, POSTABLE_DOCUMENTS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All posting routes require authentication
+router.use(authenticate);
+
+/**
+ * Require a permission on the document type in the route
+ * Must run after params validation so documentType is known
+ * @param {string} action - Permission action
+ */
+const requireDocumentPermission = (action) => (req, res, next) => {
+  const { documentType } = req.params;
+
+  return requirePermission(
+    POSTABLE_DOCUMENTS[documentType].module,
+    action,
+    documentType
+  )(req, res, next);
+};
+
+/**
+ * @route   GET /api/v1/postings/account-mappings
+ * @desc    Get default posting accounts
+ * @access  Private (accounts.read)
+ */
+router.get(
+  '/account-mappings',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.READ, 'accounts'),
+  postingController.getAccountMappings
+);
+
+/**
+ * @route   PUT /api/v1/postings/account-mappings
+ * @desc    Update default posting accounts
+ * @access  Private (accounts.update)
+ */
+router.put(
+  '/account-mappings',
+  requirePermission(MODULES.ACCOUNTS, PERMISSIONS.UPDATE, 'accounts'),
+  validateBody(postingValidation.updateAccountMappingsSchema),
+  postingController.updateAccountMappings
+);
+
+/**
+ * @route   GET /api/v1/postings/:documentType/:id
+ * @desc    Get journal entries posted for a document
+ * @access  Private (<documentType>.read)
+ */
+router.get(
+  '/:documentType/:id',
+  validateParams(postingValidation.documentParamsSchema),
+  requireDocumentPermission(PERMISSIONS.READ),
+  postingController.getDocumentEntries
+);
+
+/**
+ * @route   POST /api/v1/postings/:documentType/:id/approve
+ * @desc    Approve document and post it to the ledger
+ * @access  Private (<documentType>.approve)
+ */
+router.post(
+  '/:documentType/:id/approve',
+  validateParams(postingValidation.documentParamsSchema),
+  requireDocumentPermission(PERMISSIONS.APPROVE),
+  postingController.approveDocument
+);
+
+/**
+ * @route   POST /api/v1/postings/:documentType/:id/void
+ * @desc    Void document and reverse its ledger entry
+ * @access  Private (<documentType>.approve)
+ */
+router.post(
+  '/:documentType/:id/void',
+  validateParams(postingValidation.documentParamsSchema),
+  requireDocumentPermission(PERMISSIONS.APPROVE),
+  validateBody(postingValidation.voidDocumentSchema),
+  postingController.voidDocument
+);
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * Product Routes
+ * API routes for product catalog endpoints
+ */
+
+import express from 'express';
+import * as productController from '../../controllers/product.controller.js';
+import * as productValidation from '../../validations/product.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All product routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/products
+ * @desc    Create product
+ * @access  Private (products.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.CREATE, 'products'),
+  validateBody(productValidation.createProductSchema),
+  productController.createProduct
+);
+
+/**
+ * @route   GET /api/v1/products
+ * @desc    Get products with search and filters
+ * @access  Private (products.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'products'),
+  validateQuery(productValidation.getProductsListSchema),
+  productController.getProducts
+);
+
+/**
+ * @route   GET /api/v1/products/:id
+ * @desc    Get product by ID
+ * @access  Private (products.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'products'),
+  validateParams(productValidation.getProductByIdSchema),
+  productController.getProductById
+);
+
+/**
+ * @route   GET /api/v1/products/:id/components
+ * @desc    Get bundle components
+ * @access  Private (products.read)
+ */
+router.get(
+  '/:id/components',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'products'),
+  validateParams(productValidation.getProductByIdSchema),
+  productController.getBundleComponents
+);
+
+/**
+ * @route   PUT /api/v1/products/:id/components
+ * @desc    Replace bundle components and quantities
+ * @access  Private (products.update)
+ */
+router.put(
+  '/:id/components',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.UPDATE, 'products'),
+  validateParams(productValidation.getProductByIdSchema),
+  validateBody(productValidation.setBundleComponentsSchema),
+  productController.setBundleComponents
+);
+
+/**
+ * @route   GET /api/v1/products/:id/availability
+ * @desc    Get bundle availability from component stock
+ * @access  Private (products.read)
+ */
+router.get(
+  '/:id/availability',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.READ, 'products'),
+  validateParams(productValidation.getProductByIdSchema),
+  validateQuery(productValidation.bundleAvailabilitySchema),
+  productController.getBundleAvailability
+);
+
+/**
+ * @route   PATCH /api/v1/products/:id
+ * @desc    Update product
+ * @access  Private (products.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.UPDATE, 'products'),
+  validateParams(productValidation.getProductByIdSchema),
+  validateBody(productValidation.updateProductSchema),
+  productController.updateProduct
+);
+
+/**
+ * @route   DELETE /api/v1/products/:id
+ * @desc    Delete product not used on documents or stock movements
+ * @access  Private (products.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PRODUCTS, PERMISSIONS.DELETE, 'products'),
+  validateParams(productValidation.getProductByIdSchema),
+  productController.deleteProduct
+);
+
+export default router;
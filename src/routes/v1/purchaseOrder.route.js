@@ -0,0 +1,141 @@
+/**
+ * Purchase Order Routes
+ * API routes for purchase order endpoints
+ */
+
+import express from 'express';
+import * as purchaseOrderController from '../../controllers/purchaseOrder.controller.js';
+import * as purchaseOrderValidation from '../../validations/purchaseOrder.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All purchase order routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/purchase-orders
+ * @desc    Create draft purchase order
+ * @access  Private (purchase-orders.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.CREATE, 'purchase-orders'),
+  validateBody(purchaseOrderValidation.createPurchaseOrderSchema),
+  purchaseOrderController.createPurchaseOrder
+);
+
+/**
+ * @route   GET /api/v1/purchase-orders
+ * @desc    Get purchase orders with filters
+ * @access  Private (purchase-orders.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'purchase-orders'),
+  validateQuery(purchaseOrderValidation.getPurchaseOrdersListSchema),
+  purchaseOrderController.getPurchaseOrders
+);
+
+/**
+ * @route   GET /api/v1/purchase-orders/:id
+ * @desc    Get purchase order with pending quantities and goods receipts
+ * @access  Private (purchase-orders.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  purchaseOrderController.getPurchaseOrderById
+);
+
+/**
+ * @route   PATCH /api/v1/purchase-orders/:id
+ * @desc    Update draft purchase order
+ * @access  Private (purchase-orders.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  validateBody(purchaseOrderValidation.updatePurchaseOrderSchema),
+  purchaseOrderController.updatePurchaseOrder
+);
+
+/**
+ * @route   DELETE /api/v1/purchase-orders/:id
+ * @desc    Delete draft purchase order
+ * @access  Private (purchase-orders.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.DELETE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  purchaseOrderController.deletePurchaseOrder
+);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/submit
+ * @desc    Submit purchase order for approval
+ * @access  Private (purchase-orders.update)
+ */
+router.post(
+  '/:id/submit',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  purchaseOrderController.submitPurchaseOrder
+);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/approve
+ * @desc    Approve purchase order
+ * @access  Private (purchase-orders.approve)
+ */
+router.post(
+  '/:id/approve',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.APPROVE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  purchaseOrderController.approvePurchaseOrder
+);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/send
+ * @desc    Mark purchase order as sent to the vendor
+ * @access  Private (purchase-orders.update)
+ */
+router.post(
+  '/:id/send',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  purchaseOrderController.sendPurchaseOrder
+);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/complete
+ * @desc    Close purchase order before it is fully received
+ * @access  Private (purchase-orders.update)
+ */
+router.post(
+  '/:id/complete',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  purchaseOrderController.completePurchaseOrder
+);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/cancel
+ * @desc    Cancel purchase order
+ * @access  Private (purchase-orders.approve)
+ */
+router.post(
+  '/:id/cancel',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.APPROVE, 'purchase-orders'),
+  validateParams(purchaseOrderValidation.getPurchaseOrderByIdSchema),
+  validateBody(purchaseOrderValidation.cancelPurchaseOrderSchema),
+  purchaseOrderController.cancelPurchaseOrder
+);
+
+export default router;
@@ -0,0 +1,143 @@
+/**
+ * Purchase Quotation Routes
+ * API routes for RFQ, vendor quote and comparison endpoints
+ */
+
+import express from 'express';
+import * as purchaseQuotationController from '../../controllers/purchaseQuotation.controller.js';
+import * as purchaseQuotationValidation from '../../validations/purchaseQuotation.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All purchase quotation routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/purchase-quotations
+ * @desc    Raise requests for quotation, one per vendor
+ * @access  Private (purchase-quotations.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.CREATE, 'purchase-quotations'),
+  validateBody(purchaseQuotationValidation.createPurchaseQuotationSchema),
+  purchaseQuotationController.createPurchaseQuotations
+);
+
+/**
+ * @route   GET /api/v1/purchase-quotations
+ * @desc    Get purchase quotations with filters
+ * @access  Private (purchase-quotations.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'purchase-quotations'),
+  validateQuery(purchaseQuotationValidation.getPurchaseQuotationsListSchema),
+  purchaseQuotationController.getPurchaseQuotations
+);
+
+/**
+ * @route   GET /api/v1/purchase-quotations/compare
+ * @desc    Compare vendor quotes for the same products side by side
+ * @access  Private (purchase-quotations.read)
+ */
+router.get(
+  '/compare',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'purchase-quotations'),
+  validateQuery(purchaseQuotationValidation.compareQuotationsSchema),
+  purchaseQuotationController.compareQuotations
+);
+
+/**
+ * @route   GET /api/v1/purchase-quotations/:id
+ * @desc    Get purchase quotation by ID
+ * @access  Private (purchase-quotations.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'purchase-quotations'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  purchaseQuotationController.getPurchaseQuotationById
+);
+
+/**
+ * @route   PATCH /api/v1/purchase-quotations/:id
+ * @desc    Update draft purchase quotation
+ * @access  Private (purchase-quotations.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'purchase-quotations'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  validateBody(purchaseQuotationValidation.updatePurchaseQuotationSchema),
+  purchaseQuotationController.updatePurchaseQuotation
+);
+
+/**
+ * @route   DELETE /api/v1/purchase-quotations/:id
+ * @desc    Delete purchase quotation that was never approved
+ * @access  Private (purchase-quotations.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.DELETE, 'purchase-quotations'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  purchaseQuotationController.deletePurchaseQuotation
+);
+
+/**
+ * @route   POST /api/v1/purchase-quotations/:id/quote
+ * @desc    Record or revise the vendor's quote
+ * @access  Private (purchase-quotations.update)
+ */
+router.post(
+  '/:id/quote',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'purchase-quotations'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  validateBody(purchaseQuotationValidation.recordVendorQuoteSchema),
+  purchaseQuotationController.recordVendorQuote
+);
+
+/**
+ * @route   POST /api/v1/purchase-quotations/:id/approve
+ * @desc    Approve quotation as the one to order from
+ * @access  Private (purchase-quotations.approve)
+ */
+router.post(
+  '/:id/approve',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.APPROVE, 'purchase-quotations'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  purchaseQuotationController.approvePurchaseQuotation
+);
+
+/**
+ * @route   POST /api/v1/purchase-quotations/:id/reject
+ * @desc    Reject quotation
+ * @access  Private (purchase-quotations.approve)
+ */
+router.post(
+  '/:id/reject',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.APPROVE, 'purchase-quotations'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  validateBody(purchaseQuotationValidation.rejectPurchaseQuotationSchema),
+  purchaseQuotationController.rejectPurchaseQuotation
+);
+
+/**
+ * @route   POST /api/v1/purchase-quotations/:id/convert
+ * @desc    Convert approved quotation into a draft purchase order
+ * @access  Private (purchase-orders.create)
+ */
+router.post(
+  '/:id/convert',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.CREATE, 'purchase-orders'),
+  validateParams(purchaseQuotationValidation.getPurchaseQuotationByIdSchema),
+  validateBody(purchaseQuotationValidation.convertToPurchaseOrderSchema),
+  purchaseQuotationController.convertToPurchaseOrder
+);
+
+export default router;
@@ -0,0 +1,67 @@
+/**
+ * Reorder Routes
+ * API routes for low-stock, stock alert and purchase suggestion endpoints
+ */
+
+import express from 'express';
+import * as reorderController from '../../controllers/reorder.controller.js';
+import * as reorderValidation from '../../validations/reorder.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All reorder routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/reorder/low-stock
+ * @desc    Get products below their reorder level per warehouse
+ * @access  Private (stock.read)
+ */
+router.get(
+  '/low-stock',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock'),
+  validateQuery(reorderValidation.getLowStockReportSchema),
+  reorderController.getLowStockReport
+);
+
+/**
+ * @route   GET /api/v1/reorder/alerts
+ * @desc    Get stock alerts with filters
+ * @access  Private (stock-alerts.read)
+ */
+router.get(
+  '/alerts',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock-alerts'),
+  validateQuery(reorderValidation.getStockAlertsListSchema),
+  reorderController.getStockAlerts
+);
+
+/**
+ * @route   POST /api/v1/reorder/alerts/:id/acknowledge
+ * @desc    Acknowledge an open stock alert
+ * @access  Private (stock-alerts.update)
+ */
+router.post(
+  '/alerts/:id/acknowledge',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'stock-alerts'),
+  validateParams(reorderValidation.getStockAlertByIdSchema),
+  reorderController.acknowledgeStockAlert
+);
+
+/**
+ * @route   POST /api/v1/reorder/suggest-purchase-orders
+ * @desc    Draft purchase orders per preferred vendor for low stock
+ * @access  Private (purchase-orders.create)
+ */
+router.post(
+  '/suggest-purchase-orders',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.CREATE, 'purchase-orders'),
+  validateBody(reorderValidation.suggestPurchaseOrdersSchema),
+  reorderController.suggestPurchaseOrders
+);
+
+export default router;
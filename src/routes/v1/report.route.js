@@ -0,0 +1,68 @@
+/**
+ * Report Routes
+ * API routes for financial report endpoints
+ */
+
+import express from 'express';
+import * as reportController from '../../controllers/report.controller.js';
+import * as reportValidation from '../../validations/report.validation.js';
+import { validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All report routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/reports/trial-balance
+ * @desc    Get trial balance for a period
+ * @access  Private (reports.read)
+ */
+router.get(
+  '/trial-balance',
+  requirePermission(MODULES.REPORTS, PERMISSIONS.READ, 'reports'),
+  validateQuery(reportValidation.periodReportSchema),
+  reportController.getTrialBalance
+);
+
+/**
+ * @route   GET /api/v1/reports/profit-and-loss
+ * @desc    Get profit and loss statement for a period
+ * @access  Private (reports.read)
+ */
+router.get(
+  '/profit-and-loss',
+  requirePermission(MODULES.REPORTS, PERMISSIONS.READ, 'reports'),
+  validateQuery(reportValidation.periodReportSchema),
+  reportController.getProfitAndLoss
+);
+
+/**
+ * @route   GET /api/v1/reports/balance-sheet
+ * @desc    Get balance sheet as of a date
+ * @access  Private (reports.read)
+ */
+router.get(
+  '/balance-sheet',
+  requirePermission(MODULES.REPORTS, PERMISSIONS.READ, 'reports'),
+  validateQuery(reportValidation.balanceSheetSchema),
+  reportController.getBalanceSheet
+);
+
+/**
+ * @route   GET /api/v1/reports/ledger/:accountId
+ * @desc    Get general ledger for an account with running balance
+ * @access  Private (reports.read)
+ */
+router.get(
+  '/ledger/:accountId',
+  requirePermission(MODULES.REPORTS, PERMISSIONS.READ, 'reports'),
+  validateParams(reportValidation.ledgerParamsSchema),
+  validateQuery(reportValidation.ledgerQuerySchema),
+  reportController.getAccountLedger
+);
+
+export default router;
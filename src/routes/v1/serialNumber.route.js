@@ -0,0 +1,43 @@
+/**
+ * Serial Number Routes
+ * API routes for serial number list and lookup endpoints
+ */
+
+import express from 'express';
+import * as serialNumberController from '../../controllers/serialNumber.controller.js';
+import * as serialNumberValidation from '../../validations/serialNumber.validation.js';
+import { validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All serial number routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/serial-numbers
+ * @desc    Get serial numbers with filters
+ * @access  Private (stock.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock'),
+  validateQuery(serialNumberValidation.getSerialNumbersListSchema),
+  serialNumberController.getSerialNumbers
+);
+
+/**
+ * @route   GET /api/v1/serial-numbers/lookup/:serialNumber
+ * @desc    Get the units with a serial number and their full history
+ * @access  Private (stock.read)
+ */
+router.get(
+  '/lookup/:serialNumber',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock'),
+  validateParams(serialNumberValidation.lookupSerialNumberSchema),
+  serialNumberController.lookupSerialNumber
+);
+
+export default router;
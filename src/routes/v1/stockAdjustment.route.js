@@ -0,0 +1,31 @@
+/**
+ * Stock Adjustment Routes
+ * API routes for opening stock and stock adjustment endpoints
+ */
+
+import express from 'express';
+import * as stockAdjustmentController from '../../controllers/stockAdjustment.controller.js';
+import * as stockAdjustmentValidation from '../../validations/stockAdjustment.validation.js';
+import { validateBody } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All stock adjustment routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/stock-adjustments
+ * @desc    Record opening stock or a stock adjustment in a warehouse
+ * @access  Private (stock-adjustments.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.CREATE, 'stock-adjustments'),
+  validateBody(stockAdjustmentValidation.createStockAdjustmentSchema),
+  stockAdjustmentController.createStockAdjustment
+);
+
+export default router;
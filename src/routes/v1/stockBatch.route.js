@@ -0,0 +1,55 @@
+/**
+ * Stock Batch Routes
+ * API routes for stock batch and near-expiry endpoints
+ */
+
+import express from 'express';
+import * as stockBatchController from '../../controllers/stockBatch.controller.js';
+import * as stockBatchValidation from '../../validations/stockBatch.validation.js';
+import { validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All stock batch routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/stock-batches
+ * @desc    Get stock batches with filters
+ * @access  Private (stock.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock'),
+  validateQuery(stockBatchValidation.getStockBatchesListSchema),
+  stockBatchController.getStockBatches
+);
+
+/**
+ * @route   GET /api/v1/stock-batches/near-expiry
+ * @desc    Get lots on hand expiring within a number of days
+ * @access  Private (stock.read)
+ */
+router.get(
+  '/near-expiry',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock'),
+  validateQuery(stockBatchValidation.getNearExpiryReportSchema),
+  stockBatchController.getNearExpiryReport
+);
+
+/**
+ * @route   GET /api/v1/stock-batches/:id
+ * @desc    Get stock batch with its movements
+ * @access  Private (stock.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock'),
+  validateParams(stockBatchValidation.getStockBatchByIdSchema),
+  stockBatchController.getStockBatchById
+);
+
+export default router;
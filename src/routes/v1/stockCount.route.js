@@ -0,0 +1,105 @@
+/**
+ * Stock Count Routes
+ * API routes for physical stock count endpoints
+ */
+
+import express from 'express';
+import * as stockCountController from '../../controllers/stockCount.controller.js';
+import * as stockCountValidation from '../../validations/stockCount.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All stock count routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/stock-counts
+ * @desc    Start a stock count by snapshotting system quantities
+ * @access  Private (stock-counts.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.CREATE, 'stock-counts'),
+  validateBody(stockCountValidation.createStockCountSchema),
+  stockCountController.createStockCount
+);
+
+/**
+ * @route   GET /api/v1/stock-counts
+ * @desc    Get stock counts with filters
+ * @access  Private (stock-counts.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock-counts'),
+  validateQuery(stockCountValidation.getStockCountsListSchema),
+  stockCountController.getStockCounts
+);
+
+/**
+ * @route   GET /api/v1/stock-counts/:id
+ * @desc    Get stock count with variances
+ * @access  Private (stock-counts.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock-counts'),
+  validateParams(stockCountValidation.getStockCountByIdSchema),
+  stockCountController.getStockCountById
+);
+
+/**
+ * @route   PUT /api/v1/stock-counts/:id/items
+ * @desc    Record counted quantities
+ * @access  Private (stock-counts.update)
+ */
+router.put(
+  '/:id/items',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'stock-counts'),
+  validateParams(stockCountValidation.getStockCountByIdSchema),
+  validateBody(stockCountValidation.recordCountedQuantitiesSchema),
+  stockCountController.recordCountedQuantities
+);
+
+/**
+ * @route   POST /api/v1/stock-counts/:id/scan
+ * @desc    Count one product by barcode or SKU
+ * @access  Private (stock-counts.update)
+ */
+router.post(
+  '/:id/scan',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'stock-counts'),
+  validateParams(stockCountValidation.getStockCountByIdSchema),
+  validateBody(stockCountValidation.scanCountItemSchema),
+  stockCountController.scanCountItem
+);
+
+/**
+ * @route   POST /api/v1/stock-counts/:id/cancel
+ * @desc    Cancel stock count without adjusting stock
+ * @access  Private (stock-counts.update)
+ */
+router.post(
+  '/:id/cancel',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'stock-counts'),
+  validateParams(stockCountValidation.getStockCountByIdSchema),
+  stockCountController.cancelStockCount
+);
+
+/**
+ * @route   POST /api/v1/stock-counts/:id/approve
+ * @desc    Approve stock count, posting adjustments and the write-off entry
+ * @access  Private (stock-counts.approve)
+ */
+router.post(
+  '/:id/approve',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.APPROVE, 'stock-counts'),
+  validateParams(stockCountValidation.getStockCountByIdSchema),
+  stockCountController.approveStockCount
+);
+
+export default router;
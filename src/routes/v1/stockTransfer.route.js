@@ -0,0 +1,118 @@
+/**
+ * Stock Transfer Routes
+ * API routes for stock transfer endpoints
+ */
+
+import express from 'express';
+import * as stockTransferController from '../../controllers/stockTransfer.controller.js';
+import * as stockTransferValidation from '../../validations/stockTransfer.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All stock transfer routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/stock-transfers
+ * @desc    Create draft stock transfer
+ * @access  Private (stock-transfers.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.CREATE, 'stock-transfers'),
+  validateBody(stockTransferValidation.createStockTransferSchema),
+  stockTransferController.createStockTransfer
+);
+
+/**
+ * @route   GET /api/v1/stock-transfers
+ * @desc    Get stock transfers with filters
+ * @access  Private (stock-transfers.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock-transfers'),
+  validateQuery(stockTransferValidation.getStockTransfersListSchema),
+  stockTransferController.getStockTransfers
+);
+
+/**
+ * @route   GET /api/v1/stock-transfers/in-transit
+ * @desc    Get goods dispatched but not yet received
+ * @access  Private (stock-transfers.read)
+ */
+router.get(
+  '/in-transit',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock-transfers'),
+  validateQuery(stockTransferValidation.getInTransitStockSchema),
+  stockTransferController.getInTransitStock
+);
+
+/**
+ * @route   GET /api/v1/stock-transfers/:id
+ * @desc    Get stock transfer by ID
+ * @access  Private (stock-transfers.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'stock-transfers'),
+  validateParams(stockTransferValidation.getStockTransferByIdSchema),
+  stockTransferController.getStockTransferById
+);
+
+/**
+ * @route   PATCH /api/v1/stock-transfers/:id
+ * @desc    Update draft stock transfer
+ * @access  Private (stock-transfers.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'stock-transfers'),
+  validateParams(stockTransferValidation.getStockTransferByIdSchema),
+  validateBody(stockTransferValidation.updateStockTransferSchema),
+  stockTransferController.updateStockTransfer
+);
+
+/**
+ * @route   DELETE /api/v1/stock-transfers/:id
+ * @desc    Delete draft stock transfer
+ * @access  Private (stock-transfers.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.DELETE, 'stock-transfers'),
+  validateParams(stockTransferValidation.getStockTransferByIdSchema),
+  stockTransferController.deleteStockTransfer
+);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/dispatch
+ * @desc    Dispatch goods from the source warehouse
+ * @access  Private (stock-transfers.approve)
+ */
+router.post(
+  '/:id/dispatch',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.APPROVE, 'stock-transfers'),
+  validateParams(stockTransferValidation.getStockTransferByIdSchema),
+  validateBody(stockTransferValidation.dispatchStockTransferSchema),
+  stockTransferController.dispatchStockTransfer
+);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/receive
+ * @desc    Receive goods, fully or partially, at the destination warehouse
+ * @access  Private (stock-transfers.update)
+ */
+router.post(
+  '/:id/receive',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'stock-transfers'),
+  validateParams(stockTransferValidation.getStockTransferByIdSchema),
+  validateBody(stockTransferValidation.receiveStockTransferSchema),
+  stockTransferController.receiveStockTransfer
+);
+
+export default router;
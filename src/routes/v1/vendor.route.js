@@ -0,0 +1,92 @@
+/**
+ * Vendor Routes
+ * API routes for vendor master endpoints
+ */
+
+import express from 'express';
+import * as vendorController from '../../controllers/vendor.controller.js';
+import * as vendorValidation from '../../validations/vendor.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All vendor routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/vendors
+ * @desc    Create vendor
+ * @access  Private (vendors.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.CREATE, 'vendors'),
+  validateBody(vendorValidation.createVendorSchema),
+  vendorController.createVendor
+);
+
+/**
+ * @route   GET /api/v1/vendors
+ * @desc    Get vendors with search and filters
+ * @access  Private (vendors.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'vendors'),
+  validateQuery(vendorValidation.getVendorsListSchema),
+  vendorController.getVendors
+);
+
+/**
+ * @route   GET /api/v1/vendors/:id
+ * @desc    Get vendor by ID
+ * @access  Private (vendors.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'vendors'),
+  validateParams(vendorValidation.getVendorByIdSchema),
+  vendorController.getVendorById
+);
+
+/**
+ * @route   GET /api/v1/vendors/:id/summary
+ * @desc    Get vendor summary with outstanding bills and last payment
+ * @access  Private (vendors.read)
+ */
+router.get(
+  '/:id/summary',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.READ, 'vendors'),
+  validateParams(vendorValidation.getVendorByIdSchema),
+  vendorController.getVendorSummary
+);
+
+/**
+ * @route   PATCH /api/v1/vendors/:id
+ * @desc    Update vendor
+ * @access  Private (vendors.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.UPDATE, 'vendors'),
+  validateParams(vendorValidation.getVendorByIdSchema),
+  validateBody(vendorValidation.updateVendorSchema),
+  vendorController.updateVendor
+);
+
+/**
+ * @route   DELETE /api/v1/vendors/:id
+ * @desc    Delete vendor without purchase documents
+ * @access  Private (vendors.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.PURCHASES, PERMISSIONS.DELETE, 'vendors'),
+  validateParams(vendorValidation.getVendorByIdSchema),
+  vendorController.deleteVendor
+);
+
+export default router;
@@ -0,0 +1,104 @@
+/**
+ * Warehouse Routes
+ * API routes for warehouse endpoints
+ */
+
+import express from 'express';
+import * as warehouseController from '../../controllers/warehouse.controller.js';
+import * as warehouseValidation from '../../validations/warehouse.validation.js';
+import { validateBody, validateParams, validateQuery } from '../../middleware/validate.js';
+import { authenticate } from '../../middleware/auth.js';
+import { requirePermission } from '../../middleware/permission.js';
+import { MODULES, PERMISSIONS } from '../../config/constants.js';
+
+const router = express.Router();
+
+// All warehouse routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/warehouses
+ * @desc    Create warehouse
+ * @access  Private (warehouses.create)
+ */
+router.post(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.CREATE, 'warehouses'),
+  validateBody(warehouseValidation.createWarehouseSchema),
+  warehouseController.createWarehouse
+);
+
+/**
+ * @route   GET /api/v1/warehouses
+ * @desc    Get warehouses with filters
+ * @access  Private (warehouses.read)
+ */
+router.get(
+  '/',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'warehouses'),
+  validateQuery(warehouseValidation.getWarehousesListSchema),
+  warehouseController.getWarehouses
+);
+
+/**
+ * @route   GET /api/v1/warehouses/stock-summary
+ * @desc    Get stock quantity and value held in each warehouse
+ * @access  Private (warehouses.read)
+ */
+router.get(
+  '/stock-summary',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'warehouses'),
+  validateQuery(warehouseValidation.getWarehouseStockSummarySchema),
+  warehouseController.getWarehouseStockSummary
+);
+
+/**
+ * @route   GET /api/v1/warehouses/:id
+ * @desc    Get warehouse by ID with its stock summary
+ * @access  Private (warehouses.read)
+ */
+router.get(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.READ, 'warehouses'),
+  validateParams(warehouseValidation.getWarehouseByIdSchema),
+  warehouseController.getWarehouseById
+);
+
+/**
+ * @route   PATCH /api/v1/warehouses/:id
+ * @desc    Update warehouse
+ * @access  Private (warehouses.update)
+ */
+router.patch(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'warehouses'),
+  validateParams(warehouseValidation.getWarehouseByIdSchema),
+  validateBody(warehouseValidation.updateWarehouseSchema),
+  warehouseController.updateWarehouse
+);
+
+/**
+ * @route   POST /api/v1/warehouses/:id/set-default
+ * @desc    Make warehouse the company default
+ * @access  Private (warehouses.update)
+ */
+router.post(
+  '/:id/set-default',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.UPDATE, 'warehouses'),
+  validateParams(warehouseValidation.getWarehouseByIdSchema),
+  warehouseController.setDefaultWarehouse
+);
+
+/**
+ * @route   DELETE /api/v1/warehouses/:id
+ * @desc    Delete warehouse without stock history
+ * @access  Private (warehouses.delete)
+ */
+router.delete(
+  '/:id',
+  requirePermission(MODULES.INVENTORY, PERMISSIONS.DELETE, 'warehouses'),
+  validateParams(warehouseValidation.getWarehouseByIdSchema),
+  warehouseController.deleteWarehouse
+);
+
+export default router;
@@ -0,0 +1,487 @@
+/**
+ * Account Service
+ * Business logic for chart of accounts management
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { ACCOUNT_TYPES, TRANSACTION_TYPES, ERROR_CODES, PAGINATION } from '../config/constants.js';
+import logger from '../config/logger.js';
+
+const accountSelect = {
+  id: true,
+  companyId: true,
+  accountNumber: true,
+  accountName: true,
+  accountType: true,
+  parentId: true,
+  description: true,
+  isActive: true,
+  openingBalance: true,
+  currentBalance: true,
+  currency: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Account types whose balance grows with debits
+ */
+const DEBIT_NORMAL_TYPES = [ACCOUNT_TYPES.ASSET, ACCOUNT_TYPES.EXPENSE];
+
+/**
+ * Check whether an account type carries a debit balance
+ * @param {string} accountType - Account type
+ * @returns {boolean} True for ASSET and EXPENSE accounts
+ */
+export const isDebitNormal = (accountType) => DEBIT_NORMAL_TYPES.includes(accountType);
+
+/**
+ * Signed change a journal line makes to an account balance
+ * Debits increase ASSET/EXPENSE balances, credits increase
+ * LIABILITY/EQUITY/REVENUE balances
+ * @param {string} accountType - Account type
+ * @param {string} transactionType - DEBIT or CREDIT
+ * @param {Prisma.Decimal|number|string} amount - Line amount
+ * @returns {Prisma.Decimal} Balance change
+ */
+export const getBalanceChange = (accountType, transactionType, amount) => {
+  const value = new Prisma.Decimal(amount);
+  const isDebit = transactionType === TRANSACTION_TYPES.DEBIT;
+  return isDebit === isDebitNormal(accountType) ? value : value.negated();
+};
+
+/**
+ * Find an account that belongs to the company or throw
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} Account
+ */
+const findCompanyAccount = async (companyId, accountId) => {
+  const account = await prisma.account.findFirst({
+    where: { id: accountId, companyId }
+  });
+
+  if (!account) {
+    throw ApiError.notFound('Account not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return account;
+};
+
+/**
+ * Ensure account number is unique within the company
+ * @param {string} companyId - Company ID
+ * @param {string} accountNumber - Account number
+ * @param {string} [excludeId] - Account ID to ignore (for updates)
+ */
+const assertUniqueAccountNumber = async (companyId, accountNumber, excludeId) => {
+  const existing = await prisma.account.findUnique({
+    where: {
+      companyId_accountNumber: {
+        companyId,
+        accountNumber
+      }
+    }
+  });
+
+  if (existing && existing.id !== excludeId) {
+    throw ApiError.conflict(
+      `Account number ${accountNumber} already exists`,
+      ERROR_CODES.DB_DUPLICATE_ENTRY
+    );
+  }
+};
+
+/**
+ * Validate a parent account for the given account type
+ * Parent must belong to the company, share the account type, and must not
+ * be the account itself or one of its descendants
+ * @param {string} companyId - Company ID
+ * @param {string} parentId - Parent account ID
+ * @param {string} accountType - Account type of the child
+ * @param {string} [accountId] - ID of the account being re-parented
+ */
+const assertValidParent = async (companyId, parentId, accountType, accountId) => {
+  const parent = await prisma.account.findFirst({
+    where: { id: parentId, companyId }
+  });
+
+  if (!parent) {
+    throw ApiError.badRequest('Parent account not found');
+  }
+
+  if (parent.accountType !== accountType) {
+    throw ApiError.badRequest(
+      `Parent account is ${parent.accountType}; child accounts must have the same account type`
+    );
+  }
+
+  if (!accountId) {
+    return;
+  }
+
+  // Walk up the hierarchy to prevent cycles
+  let current = parent;
+  while (current) {
+    if (current.id === accountId) {
+      throw ApiError.badRequest('An account cannot be moved under itself or one of its sub-accounts');
+    }
+    current = current.parentId
+      ? await prisma.account.findUnique({ where: { id: current.parentId } })
+      : null;
+  }
+};
+
+/**
+ * Create a new account
+ * @param {string} companyId - Company ID
+ * @param {Object} accountData - Account data
+ * @param {string} createdBy - ID of user creating the account
+ * @returns {Promise<Object>} Created account
+ */
+export const createAccount = async (companyId, accountData, createdBy) => {
+  const { accountNumber, accountType, parentId, openingBalance = 0 } = accountData;
+
+  await assertUniqueAccountNumber(companyId, accountNumber);
+
+  if (parentId) {
+    await assertValidParent(companyId, parentId, accountType);
+  }
+
+  const account = await prisma.account.create({
+    data: {
+      ...accountData,
+      companyId,
+      parentId: parentId || null,
+      openingBalance,
+      currentBalance: openingBalance,
+      createdBy
+    },
+    select: accountSelect
+  });
+
+  logger.info(`Account created: ${account.accountNumber} (${account.id}) by ${createdBy}`);
+
+  return account;
+};
+
+/**
+ * Get account by ID
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} Account data
+ */
+export const getAccountById = async (companyId, accountId) => {
+  const account = await prisma.account.findFirst({
+    where: { id: accountId, companyId },
+    select: {
+      ...accountSelect,
+      parent: {
+        select: {
+          id: true,
+          accountNumber: true,
+          accountName: true
+        }
+      },
+      children: {
+        select: {
+          id: true,
+          accountNumber: true,
+          accountName: true,
+          isActive: true,
+          currentBalance: true
+        },
+        orderBy: { accountNumber: 'asc' }
+      }
+    }
+  });
+
+  if (!account) {
+    throw ApiError.notFound('Account not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return account;
+};
+
+/**
+ * Get accounts list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Accounts list with pagination
+ */
+export const getAccounts = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    accountType,
+    parentId,
+    isActive,
+    search,
+    sortBy = 'accountNumber',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (accountType) {
+    where.accountType = accountType;
+  }
+
+  if (parentId !== undefined) {
+    where.parentId = parentId;
+  }
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (search) {
+    where.OR = [
+      { accountNumber: { contains: search, mode: 'insensitive' } },
+      { accountName: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, accounts] = await Promise.all([
+    prisma.account.count({ where }),
+    prisma.account.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: accountSelect
+    })
+  ]);
+
+  return {
+    accounts,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Build nested account tree with rolled-up balances
+ * By default each node carries its own `currentBalance` and a `totalBalance`
+ * that includes every descendant
+ * @param {Array<Object>} accounts - Flat list of accounts
+ * @param {Object} [rollUpFields] - Amount fields to roll up, mapped to the
+ * name of the field that receives the node's total
+ * @returns {Array<Object>} Root nodes
+ */
+export const buildAccountTree = (accounts, rollUpFields = { currentBalance: 'totalBalance' }) => {
+  const nodes = new Map(
+    accounts.map((account) => [account.id, { ...account, children: [] }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const rollUp = (node) => {
+    node.children.sort((a, b) => a.accountNumber.localeCompare(b.accountNumber));
+    node.children.forEach(rollUp);
+
+    for (const [field, totalField] of Object.entries(rollUpFields)) {
+      node[totalField] = node.children.reduce(
+        (sum, child) => sum.plus(child[totalField]),
+        new Prisma.Decimal(node[field] || 0)
+      );
+    }
+  };
+
+  roots.sort((a, b) => a.accountNumber.localeCompare(b.accountNumber));
+  roots.forEach(rollUp);
+
+  return roots;
+};
+
+/**
+ * Get chart of accounts as a tree
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Array>} Account tree
+ */
+export const getAccountTree = async (companyId, filters = {}) => {
+  const { accountType, includeInactive = false } = filters;
+
+  const where = { companyId };
+
+  if (accountType) {
+    where.accountType = accountType;
+  }
+
+  if (!includeInactive) {
+    where.isActive = true;
+  }
+
+  const accounts = await prisma.account.findMany({
+    where,
+    select: accountSelect,
+    orderBy: { accountNumber: 'asc' }
+  });
+
+  return buildAccountTree(accounts);
+};
+
+/**
+ * Update account
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated account
+ */
+export const updateAccount = async (companyId, accountId, updateData, updatedBy) => {
+  const existingAccount = await findCompanyAccount(companyId, accountId);
+
+  const accountType = updateData.accountType || existingAccount.accountType;
+  const parentId = updateData.parentId !== undefined
+    ? updateData.parentId
+    : existingAccount.parentId;
+
+  if (updateData.accountNumber && updateData.accountNumber !== existingAccount.accountNumber) {
+    await assertUniqueAccountNumber(companyId, updateData.accountNumber, accountId);
+  }
+
+  // Changing the type would break the hierarchy or posted history
+  if (accountType !== existingAccount.accountType) {
+    const [childCount, lineCount] = await Promise.all([
+      prisma.account.count({ where: { parentId: accountId } }),
+      prisma.journalLine.count({ where: { accountId } })
+    ]);
+
+    if (childCount > 0) {
+      throw ApiError.badRequest('Cannot change the type of an account that has sub-accounts');
+    }
+
+    if (lineCount > 0) {
+      throw ApiError.badRequest('Cannot change the type of an account that has journal entries');
+    }
+  }
+
+  if (parentId && (parentId !== existingAccount.parentId || accountType !== existingAccount.accountType)) {
+    await assertValidParent(companyId, parentId, accountType, accountId);
+  }
+
+  const data = { ...updateData };
+
+  // Keep current balance in step with a revised opening balance
+  if (updateData.openingBalance !== undefined) {
+    const difference = new Prisma.Decimal(updateData.openingBalance)
+      .minus(existingAccount.openingBalance);
+    data.currentBalance = { increment: difference };
+  }
+
+  const account = await prisma.account.update({
+    where: { id: accountId },
+    data,
+    select: accountSelect
+  });
+
+  logger.info(`Account updated: ${accountId} by ${updatedBy}`);
+
+  return account;
+};
+
+/**
+ * Deactivate account
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @param {string} deactivatedBy - ID of user performing the deactivation
+ * @returns {Promise<Object>} Updated account
+ */
+export const deactivateAccount = async (companyId, accountId, deactivatedBy) => {
+  const account = await findCompanyAccount(companyId, accountId);
+
+  const activeChildren = await prisma.account.count({
+    where: { parentId: accountId, isActive: true }
+  });
+
+  if (activeChildren > 0) {
+    throw ApiError.badRequest('Deactivate all sub-accounts before deactivating this account');
+  }
+
+  if (!new Prisma.Decimal(account.currentBalance).isZero()) {
+    throw ApiError.badRequest('Cannot deactivate an account with a non-zero balance');
+  }
+
+  const mapping = await prisma.accountMapping.findFirst({
+    where: { companyId, accountId },
+    select: { key: true }
+  });
+
+  if (mapping) {
+    throw ApiError.badRequest(
+      `Account is the default ${mapping.key} account; remap it before deactivating`
+    );
+  }
+
+  const updatedAccount = await prisma.account.update({
+    where: { id: accountId },
+    data: { isActive: false },
+    select: accountSelect
+  });
+
+  logger.info(`Account deactivated: ${accountId} by ${deactivatedBy}`);
+
+  return updatedAccount;
+};
+
+/**
+ * Activate account
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @param {string} activatedBy - ID of user performing the activation
+ * @returns {Promise<Object>} Updated account
+ */
+export const activateAccount = async (companyId, accountId, activatedBy) => {
+  const account = await findCompanyAccount(companyId, accountId);
+
+  if (account.parentId) {
+    const parent = await prisma.account.findUnique({ where: { id: account.parentId } });
+    if (!parent.isActive) {
+      throw ApiError.badRequest('Activate the parent account first');
+    }
+  }
+
+  const updatedAccount = await prisma.account.update({
+    where: { id: accountId },
+    data: { isActive: true },
+    select: accountSelect
+  });
+
+  logger.info(`Account activated: ${accountId} by ${activatedBy}`);
+
+  return updatedAccount;
+};
+
+export default {
+  isDebitNormal,
+  getBalanceChange,
+  createAccount,
+  getAccountById,
+  getAccounts,
+  buildAccountTree,
+  getAccountTree,
+  updateAccount,
+  deactivateAccount,
+  activateAccount
+};
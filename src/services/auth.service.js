@@ -10,6 +10,8 @@ import ApiError from '../utils/ApiError.js';
 import { USER_STATUS, USER_ROLES, ERROR_CODES } from '../config/constants.js';
 import { setCache, deleteCache } from '../config/redis.js';
 import logger from '../config/logger.js';
+import { DEFAULT_CHART_OF_ACCOUNTS, DEFAULT_ACCOUNT_MAPPINGS } from '../config/chartOfAccounts.js';
+import { STANDARD_PERMISSIONS } from '../config/permissions.js';
 
 /**
  * Register a new user
@@ -93,6 +95,152 @@ export const register = async (userData) => {
   };
 };
 
+/**
+ * Self-service tenant signup
+ * Creates the company, its admin user, a default warehouse, the starter
+ * chart of accounts and the standard permission set in one transaction
+ * @param {Object} signupData - Admin user data with nested company data
+ * @returns {Promise<Object>} Created user, company and tokens
+ */
+export const signup = async (signupData) => {
+  const { email, password, name, phone, company: companyData } = signupData;
+
+  // Check if user already exists
+  const existingUser = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() }
+  });
+
+  if (existingUser) {
+    throw ApiError.conflict(
+      'User with this email already exists',
+      ERROR_CODES.DB_DUPLICATE_ENTRY
+    );
+  }
+
+  // Hash password outside the transaction to keep it short
+  const hashedPassword = await hashPassword(password);
+
+  const { user, company } = await prisma.$transaction(async (tx) => {
+    const company = await tx.company.create({
+      data: companyData
+    });
+
+    const user = await tx.user.create({
+      data: {
+        email: email.toLowerCase(),
+        password: hashedPassword,
+        name,
+        phone: phone || null,
+        role: USER_ROLES.COMPANY_ADMIN,
+        status: USER_STATUS.ACTIVE,
+        companyId: company.id
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        phone: true,
+        role: true,
+        status: true,
+        companyId: true,
+        createdAt: true,
+        company: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      }
+    });
+
+    // Default warehouse
+    await tx.warehouse.create({
+      data: {
+        companyId: company.id,
+        code: 'WH-01',
+        name: 'Main Warehouse',
+        address: company.address,
+        city: company.city,
+        state: company.state,
+        country: company.country,
+        postalCode: company.postalCode,
+        isDefault: true
+      }
+    });
+
+    // Starter chart of accounts (parents are listed before children)
+    const accountIds = {};
+    for (const account of DEFAULT_CHART_OF_ACCOUNTS) {
+      const { parentNumber, ...accountData } = account;
+      const created = await tx.account.create({
+        data: {
+          ...accountData,
+          companyId: company.id,
+          parentId: parentNumber ? accountIds[parentNumber] : null,
+          currency: company.baseCurrency,
+          createdBy: user.id
+        }
+      });
+      accountIds[created.accountNumber] = created.id;
+    }
+
+    // Default posting accounts for sales, purchase and payment documents
+    await tx.accountMapping.createMany({
+      data: Object.entries(DEFAULT_ACCOUNT_MAPPINGS).map(([key, accountNumber]) => ({
+        companyId: company.id,
+        key,
+        accountId: accountIds[accountNumber],
+        updatedBy: user.id
+      }))
+    });
+
+    // Standard permission set, shared across companies
+    await tx.permission.createMany({
+      data: STANDARD_PERMISSIONS,
+      skipDuplicates: true
+    });
+
+    const permissions = await tx.permission.findMany({
+      where: {
+        OR: STANDARD_PERMISSIONS.map(({ module, action, resource }) => ({
+          module,
+          action,
+          resource
+        }))
+      },
+      select: { id: true }
+    });
+
+    await tx.userPermission.createMany({
+      data: permissions.map((permission) => ({
+        userId: user.id,
+        permissionId: permission.id,
+        granted: true,
+        grantedBy: user.id
+      }))
+    });
+
+    return { user, company };
+  });
+
+  // Generate tokens
+  const tokens = generateTokens(user);
+
+  // Store refresh token in database
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { refreshToken: tokens.refreshToken }
+  });
+
+  logger.info(`Company signed up: ${company.name} (${company.id}) by ${user.email}`);
+
+  return {
+    user,
+    company,
+    tokens
+  };
+};
+
 /**
  * Login user
  * @param {string} email - User email
@@ -355,6 +503,7 @@ export const verifyToken = async (userId) => {
 
 export default {
   register,
+  signup,
   login,
   refreshAccessToken,
   logout,
@@ -0,0 +1,259 @@
+/**
+ * Brand Service
+ * Business logic for product brands
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { ERROR_CODES, PAGINATION } from '../config/constants.js';
+import logger from '../config/logger.js';
+
+const brandSelect = {
+  id: true,
+  companyId: true,
+  name: true,
+  description: true,
+  logo: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Find a brand that belongs to the company or throw
+ * @param {string} companyId - Company ID
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<Object>} Brand
+ */
+const findCompanyBrand = async (companyId, brandId) => {
+  const brand = await prisma.brand.findFirst({
+    where: { id: brandId, companyId }
+  });
+
+  if (!brand) {
+    throw ApiError.notFound('Brand not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return brand;
+};
+
+/**
+ * Ensure brand name is unique within the company
+ * @param {string} companyId - Company ID
+ * @param {string} name - Brand name
+ * @param {string} [excludeId] - Brand ID to ignore (for updates)
+ */
+const assertUniqueName = async (companyId, name, excludeId) => {
+  const existing = await prisma.brand.findFirst({
+    where: {
+      companyId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: { id: true }
+  });
+
+  if (existing) {
+    throw ApiError.conflict(`Brand ${name} already exists`, ERROR_CODES.DB_DUPLICATE_ENTRY);
+  }
+};
+
+/**
+ * Create a new brand
+ * @param {string} companyId - Company ID
+ * @param {Object} brandData - Brand data
+ * @param {string} createdBy - ID of user creating the brand
+ * @returns {Promise<Object>} Created brand
+ */
+export const createBrand = async (companyId, brandData, createdBy) => {
+  await assertUniqueName(companyId, brandData.name);
+
+  const brand = await prisma.brand.create({
+    data: {
+      ...brandData,
+      companyId
+    },
+    select: brandSelect
+  });
+
+  logger.info(`Brand created: ${brand.name} (${brand.id}) by ${createdBy}`);
+
+  return brand;
+};
+
+/**
+ * Get brand by ID with its product count
+ * @param {string} companyId - Company ID
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<Object>} Brand data
+ */
+export const getBrandById = async (companyId, brandId) => {
+  const brand = await prisma.brand.findFirst({
+    where: { id: brandId, companyId },
+    select: {
+      ...brandSelect,
+      _count: {
+        select: { products: true }
+      }
+    }
+  });
+
+  if (!brand) {
+    throw ApiError.notFound('Brand not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return brand;
+};
+
+/**
+ * Get brands list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Brands list with pagination
+ */
+export const getBrands = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    isActive,
+    search,
+    sortBy = 'name',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (search) {
+    where.name = { contains: search, mode: 'insensitive' };
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, brands] = await Promise.all([
+    prisma.brand.count({ where }),
+    prisma.brand.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: {
+        ...brandSelect,
+        _count: {
+          select: { products: true }
+        }
+      }
+    })
+  ]);
+
+  return {
+    brands,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update brand
+ * @param {string} companyId - Company ID
+ * @param {string} brandId - Brand ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated brand
+ */
+export const updateBrand = async (companyId, brandId, updateData, updatedBy) => {
+  await findCompanyBrand(companyId, brandId);
+
+  if (updateData.name) {
+    await assertUniqueName(companyId, updateData.name, brandId);
+  }
+
+  const brand = await prisma.brand.update({
+    where: { id: brandId },
+    data: updateData,
+    select: brandSelect
+  });
+
+  logger.info(`Brand updated: ${brandId} by ${updatedBy}`);
+
+  return brand;
+};
+
+/**
+ * Delete brand
+ * A brand with products is only deleted when its products are
+ * reassigned to another brand
+ * @param {string} companyId - Company ID
+ * @param {string} brandId - Brand ID
+ * @param {Object} options - { reassignTo } brand ID for its products
+ * @param {string} deletedBy - ID of user performing the deletion
+ * @returns {Promise<Object>} Number of products reassigned
+ */
+export const deleteBrand = async (companyId, brandId, options, deletedBy) => {
+  const { reassignTo } = options;
+
+  const brand = await prisma.brand.findFirst({
+    where: { id: brandId, companyId },
+    select: {
+      id: true,
+      name: true,
+      _count: {
+        select: { products: true }
+      }
+    }
+  });
+
+  if (!brand) {
+    throw ApiError.notFound('Brand not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (brand._count.products > 0 && !reassignTo) {
+    throw ApiError.conflict(
+      `Brand ${brand.name} has ${brand._count.products} products; reassign them to another brand to delete it`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  if (reassignTo) {
+    if (reassignTo === brandId) {
+      throw ApiError.badRequest('Products cannot be reassigned to the brand being deleted');
+    }
+
+    const target = await findCompanyBrand(companyId, reassignTo);
+    if (!target.isActive) {
+      throw ApiError.badRequest('Products cannot be reassigned to an inactive brand');
+    }
+  }
+
+  const [reassigned] = await prisma.$transaction([
+    prisma.product.updateMany({
+      where: { companyId, brandId },
+      data: { brandId: reassignTo || null }
+    }),
+    prisma.brand.delete({
+      where: { id: brandId }
+    })
+  ]);
+
+  logger.info(`Brand deleted: ${brand.name} (${brandId}), ${reassigned.count} products reassigned, by ${deletedBy}`);
+
+  return { reassignedProducts: reassigned.count };
+};
+
+export default {
+  createBrand,
+  getBrandById,
+  getBrands,
+  updateBrand,
+  deleteBrand
+};
@@ -0,0 +1,251 @@
+/**
+ * Bundle Service
+ * Bills of materials for bundle products, bundle availability and
+ * component stock movements when bundles are sold
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { PRODUCT_TYPES, STOCK_MOVEMENT_TYPES, ERROR_CODES } from '../config/constants.js';
+import { getDefaultWarehouse } from './stock.service.js';
+import logger from '../config/logger.js';
+
+const componentInclude = {
+  component: {
+    select: {
+      id: true,
+      sku: true,
+      name: true,
+      type: true,
+      unit: true,
+      trackInventory: true,
+      isActive: true
+    }
+  }
+};
+
+/**
+ * Find a bundle product that belongs to the company or throw
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} bundleId - Bundle product ID
+ * @returns {Promise<Object>} Bundle product
+ */
+const findCompanyBundle = async (client, companyId, bundleId) => {
+  const bundle = await client.product.findFirst({
+    where: { id: bundleId, companyId },
+    select: { id: true, sku: true, name: true, type: true }
+  });
+
+  if (!bundle) {
+    throw ApiError.notFound('Product not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (bundle.type !== PRODUCT_TYPES.BUNDLE) {
+    throw ApiError.badRequest(`Product ${bundle.sku} is not a bundle`);
+  }
+
+  return bundle;
+};
+
+/**
+ * Get the components of a bundle
+ * @param {string} companyId - Company ID
+ * @param {string} bundleId - Bundle product ID
+ * @returns {Promise<Object>} Bundle with its components
+ */
+export const getBundleComponents = async (companyId, bundleId) => {
+  const bundle = await findCompanyBundle(prisma, companyId, bundleId);
+
+  const components = await prisma.bundleComponent.findMany({
+    where: { bundleId },
+    include: componentInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return { ...bundle, components };
+};
+
+/**
+ * Replace the components of a bundle
+ * Components must be active goods or services of the same company;
+ * bundles cannot be nested. Serial-tracked products cannot be components,
+ * since an invoice line for the bundle names no component units to issue
+ * @param {string} companyId - Company ID
+ * @param {string} bundleId - Bundle product ID
+ * @param {Array<Object>} components - { productId, quantity } per component
+ * @param {string} updatedBy - ID of user updating the bundle
+ * @returns {Promise<Object>} Bundle with its components
+ */
+export const setBundleComponents = async (companyId, bundleId, components, updatedBy) => {
+  const bundle = await findCompanyBundle(prisma, companyId, bundleId);
+
+  const productIds = components.map((component) => component.productId);
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds }, companyId },
+    select: { id: true, sku: true, type: true, isActive: true, trackSerials: true }
+  });
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  for (const productId of productIds) {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      throw ApiError.badRequest(`Component product ${productId} not found`);
+    }
+
+    if (product.type === PRODUCT_TYPES.BUNDLE) {
+      throw ApiError.badRequest(`Component ${product.sku} is a bundle; bundles cannot be nested`);
+    }
+
+    if (!product.isActive) {
+      throw ApiError.badRequest(`Component ${product.sku} is inactive`);
+    }
+
+    if (product.trackSerials) {
+      throw ApiError.badRequest(`Component ${product.sku} is serial tracked and cannot be part of a bundle`);
+    }
+  }
+
+  await prisma.$transaction([
+    prisma.bundleComponent.deleteMany({ where: { bundleId } }),
+    prisma.bundleComponent.createMany({
+      data: components.map((component) => ({
+        bundleId,
+        componentId: component.productId,
+        quantity: component.quantity
+      }))
+    })
+  ]);
+
+  logger.info(`Bundle components updated: ${bundle.sku} (${components.length} components) by ${updatedBy}`);
+
+  return getBundleComponents(companyId, bundleId);
+};
+
+/**
+ * Get how many bundles can be assembled from component stock
+ * Each warehouse is evaluated on its own, limited by the scarcest
+ * inventory-tracked component; untracked components never limit it
+ * @param {string} companyId - Company ID
+ * @param {string} bundleId - Bundle product ID
+ * @param {Object} [filters] - { warehouseId } to restrict to one warehouse
+ * @returns {Promise<Object>} Available bundles in total and per warehouse
+ */
+export const getBundleAvailability = async (companyId, bundleId, filters = {}) => {
+  const { warehouseId } = filters;
+  const bundle = await findCompanyBundle(prisma, companyId, bundleId);
+
+  const components = await prisma.bundleComponent.findMany({
+    where: { bundleId },
+    include: componentInclude
+  });
+
+  if (components.length === 0) {
+    throw ApiError.badRequest(`Bundle ${bundle.sku} has no components`);
+  }
+
+  const tracked = components.filter((item) => item.component.trackInventory);
+
+  const [warehouses, stock] = await Promise.all([
+    prisma.warehouse.findMany({
+      where: {
+        companyId,
+        isActive: true,
+        ...(warehouseId && { id: warehouseId })
+      },
+      select: { id: true, code: true, name: true },
+      orderBy: { code: 'asc' }
+    }),
+    prisma.stock.findMany({
+      where: {
+        companyId,
+        productId: { in: tracked.map((item) => item.componentId) },
+        ...(warehouseId && { warehouseId })
+      },
+      select: { productId: true, warehouseId: true, availableQty: true }
+    })
+  ]);
+
+  const stockByKey = new Map(
+    stock.map((row) => [`${row.productId}:${row.warehouseId}`, row.availableQty])
+  );
+
+  const warehouseAvailability = warehouses.map((warehouse) => {
+    let availableQty = null;
+    let limitingComponent = null;
+
+    for (const item of tracked) {
+      const onHand = Math.max(stockByKey.get(`${item.componentId}:${warehouse.id}`) || 0, 0);
+      const possible = Math.floor(onHand / item.quantity);
+
+      if (availableQty === null || possible < availableQty) {
+        availableQty = possible;
+        limitingComponent = { id: item.component.id, sku: item.component.sku, availableQty: onHand };
+      }
+    }
+
+    return { warehouse, availableQty, limitingComponent };
+  });
+
+  return {
+    ...bundle,
+    // Bundles made only of untracked components are not limited by stock
+    availableQty: tracked.length === 0
+      ? null
+      : warehouseAvailability.reduce((sum, row) => sum + row.availableQty, 0),
+    warehouses: tracked.length === 0 ? [] : warehouseAvailability,
+    components
+  };
+};
+
+/**
+ * Build the SALE movements that issue component stock for bundles sold
+ * One movement per inventory-tracked component
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} sale - { bundleId, quantity, warehouseId, movementDate,
+ * referenceType, referenceId, referenceNumber }; the default warehouse is
+ * used when warehouseId is omitted
+ * @returns {Promise<Array>} Movements to record with the stock service
+ */
+export const getBundleIssueMovements = async (tx, companyId, sale) => {
+  const bundle = await findCompanyBundle(tx, companyId, sale.bundleId);
+  const warehouseId = sale.warehouseId || (await getDefaultWarehouse(tx, companyId)).id;
+  const bundleQuantity = new Prisma.Decimal(sale.quantity);
+
+  const components = await tx.bundleComponent.findMany({
+    where: { bundleId: bundle.id, component: { trackInventory: true } },
+    include: componentInclude
+  });
+
+  return components.map((item) => {
+    const quantity = bundleQuantity.times(item.quantity);
+
+    if (!quantity.isInteger()) {
+      throw ApiError.badRequest(
+        `Bundle ${bundle.sku} quantity must use whole units of component ${item.component.sku}`
+      );
+    }
+
+    return {
+      productId: item.componentId,
+      warehouseId,
+      movementType: STOCK_MOVEMENT_TYPES.SALE,
+      quantity: -quantity.toNumber(),
+      referenceType: sale.referenceType,
+      referenceId: sale.referenceId,
+      referenceNumber: sale.referenceNumber,
+      notes: `Component of bundle ${bundle.sku}`,
+      movementDate: sale.movementDate
+    };
+  });
+};
+
+export default {
+  getBundleComponents,
+  setBundleComponents,
+  getBundleAvailability,
+  getBundleIssueMovements
+};
@@ -0,0 +1,385 @@
+/**
+ * Category Service
+ * Business logic for hierarchical product categories
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { ERROR_CODES, PAGINATION } from '../config/constants.js';
+import logger from '../config/logger.js';
+
+const categorySelect = {
+  id: true,
+  companyId: true,
+  name: true,
+  description: true,
+  parentId: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Find a category that belongs to the company or throw
+ * @param {string} companyId - Company ID
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Object>} Category
+ */
+const findCompanyCategory = async (companyId, categoryId) => {
+  const category = await prisma.category.findFirst({
+    where: { id: categoryId, companyId }
+  });
+
+  if (!category) {
+    throw ApiError.notFound('Category not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return category;
+};
+
+/**
+ * Ensure no sibling category has the same name
+ * @param {string} companyId - Company ID
+ * @param {string} name - Category name
+ * @param {string|null} parentId - Parent category ID
+ * @param {string} [excludeId] - Category ID to ignore (for updates)
+ */
+const assertUniqueName = async (companyId, name, parentId, excludeId) => {
+  const existing = await prisma.category.findFirst({
+    where: {
+      companyId,
+      parentId: parentId || null,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: { id: true }
+  });
+
+  if (existing) {
+    throw ApiError.conflict(
+      `A category named ${name} already exists at this level`,
+      ERROR_CODES.DB_DUPLICATE_ENTRY
+    );
+  }
+};
+
+/**
+ * Validate a parent category
+ * Parent must belong to the company and must not be the category itself
+ * or one of its descendants
+ * @param {string} companyId - Company ID
+ * @param {string} parentId - Parent category ID
+ * @param {string} [categoryId] - ID of the category being re-parented
+ */
+const assertValidParent = async (companyId, parentId, categoryId) => {
+  const parent = await prisma.category.findFirst({
+    where: { id: parentId, companyId }
+  });
+
+  if (!parent) {
+    throw ApiError.badRequest('Parent category not found');
+  }
+
+  if (!categoryId) {
+    return;
+  }
+
+  // Walk up the hierarchy to prevent cycles
+  let current = parent;
+  while (current) {
+    if (current.id === categoryId) {
+      throw ApiError.badRequest('A category cannot be moved under itself or one of its sub-categories');
+    }
+    current = current.parentId
+      ? await prisma.category.findUnique({ where: { id: current.parentId } })
+      : null;
+  }
+};
+
+/**
+ * Create a new category
+ * @param {string} companyId - Company ID
+ * @param {Object} categoryData - Category data
+ * @param {string} createdBy - ID of user creating the category
+ * @returns {Promise<Object>} Created category
+ */
+export const createCategory = async (companyId, categoryData, createdBy) => {
+  const { name, parentId } = categoryData;
+
+  if (parentId) {
+    await assertValidParent(companyId, parentId);
+  }
+
+  await assertUniqueName(companyId, name, parentId);
+
+  const category = await prisma.category.create({
+    data: {
+      ...categoryData,
+      companyId,
+      parentId: parentId || null
+    },
+    select: categorySelect
+  });
+
+  logger.info(`Category created: ${category.name} (${category.id}) by ${createdBy}`);
+
+  return category;
+};
+
+/**
+ * Get category by ID with its parent, sub-categories and product count
+ * @param {string} companyId - Company ID
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Object>} Category data
+ */
+export const getCategoryById = async (companyId, categoryId) => {
+  const category = await prisma.category.findFirst({
+    where: { id: categoryId, companyId },
+    select: {
+      ...categorySelect,
+      parent: {
+        select: { id: true, name: true }
+      },
+      children: {
+        select: { id: true, name: true, isActive: true },
+        orderBy: { name: 'asc' }
+      },
+      _count: {
+        select: { products: true }
+      }
+    }
+  });
+
+  if (!category) {
+    throw ApiError.notFound('Category not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return category;
+};
+
+/**
+ * Get categories list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Categories list with pagination
+ */
+export const getCategories = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    parentId,
+    isActive,
+    search,
+    sortBy = 'name',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (parentId !== undefined) {
+    where.parentId = parentId;
+  }
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (search) {
+    where.name = { contains: search, mode: 'insensitive' };
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, categories] = await Promise.all([
+    prisma.category.count({ where }),
+    prisma.category.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: {
+        ...categorySelect,
+        _count: {
+          select: { products: true, children: true }
+        }
+      }
+    })
+  ]);
+
+  return {
+    categories,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get categories as a tree
+ * Each node carries its own `productCount` and a `totalProductCount`
+ * that includes every sub-category
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Array>} Category tree
+ */
+export const getCategoryTree = async (companyId, filters = {}) => {
+  const { includeInactive = false } = filters;
+
+  const categories = await prisma.category.findMany({
+    where: {
+      companyId,
+      ...(!includeInactive && { isActive: true })
+    },
+    select: {
+      ...categorySelect,
+      _count: {
+        select: { products: true }
+      }
+    },
+    orderBy: { name: 'asc' }
+  });
+
+  const nodes = new Map(categories.map(({ _count, ...category }) => [
+    category.id,
+    { ...category, productCount: _count.products, children: [] }
+  ]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const rollUp = (node) => {
+    node.children.forEach(rollUp);
+    node.totalProductCount = node.children.reduce(
+      (sum, child) => sum + child.totalProductCount,
+      node.productCount
+    );
+  };
+
+  roots.forEach(rollUp);
+
+  return roots;
+};
+
+/**
+ * Update category
+ * @param {string} companyId - Company ID
+ * @param {string} categoryId - Category ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated category
+ */
+export const updateCategory = async (companyId, categoryId, updateData, updatedBy) => {
+  const existingCategory = await findCompanyCategory(companyId, categoryId);
+
+  const parentId = updateData.parentId !== undefined
+    ? updateData.parentId
+    : existingCategory.parentId;
+
+  if (parentId && parentId !== existingCategory.parentId) {
+    await assertValidParent(companyId, parentId, categoryId);
+  }
+
+  if (updateData.name !== undefined || parentId !== existingCategory.parentId) {
+    await assertUniqueName(companyId, updateData.name || existingCategory.name, parentId, categoryId);
+  }
+
+  const category = await prisma.category.update({
+    where: { id: categoryId },
+    data: updateData,
+    select: categorySelect
+  });
+
+  logger.info(`Category updated: ${categoryId} by ${updatedBy}`);
+
+  return category;
+};
+
+/**
+ * Delete category
+ * A category with products is only deleted when its products are
+ * reassigned to another category; sub-categories must be moved first
+ * @param {string} companyId - Company ID
+ * @param {string} categoryId - Category ID
+ * @param {Object} options - { reassignTo } category ID for its products
+ * @param {string} deletedBy - ID of user performing the deletion
+ * @returns {Promise<Object>} Number of products reassigned
+ */
+export const deleteCategory = async (companyId, categoryId, options, deletedBy) => {
+  const { reassignTo } = options;
+
+  const category = await prisma.category.findFirst({
+    where: { id: categoryId, companyId },
+    select: {
+      id: true,
+      name: true,
+      _count: {
+        select: { products: true, children: true }
+      }
+    }
+  });
+
+  if (!category) {
+    throw ApiError.notFound('Category not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (category._count.children > 0) {
+    throw ApiError.conflict(
+      `Category ${category.name} has sub-categories; move or delete them first`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  if (category._count.products > 0 && !reassignTo) {
+    throw ApiError.conflict(
+      `Category ${category.name} has ${category._count.products} products; reassign them to another category to delete it`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  if (reassignTo) {
+    if (reassignTo === categoryId) {
+      throw ApiError.badRequest('Products cannot be reassigned to the category being deleted');
+    }
+
+    const target = await findCompanyCategory(companyId, reassignTo);
+    if (!target.isActive) {
+      throw ApiError.badRequest('Products cannot be reassigned to an inactive category');
+    }
+  }
+
+  const [reassigned] = await prisma.$transaction([
+    prisma.product.updateMany({
+      where: { companyId, categoryId },
+      data: { categoryId: reassignTo || null }
+    }),
+    prisma.category.delete({
+      where: { id: categoryId }
+    })
+  ]);
+
+  logger.info(`Category deleted: ${category.name} (${categoryId}), ${reassigned.count} products reassigned, by ${deletedBy}`);
+
+  return { reassignedProducts: reassigned.count };
+};
+
+export default {
+  createCategory,
+  getCategoryById,
+  getCategories,
+  getCategoryTree,
+  updateCategory,
+  deleteCategory
+};
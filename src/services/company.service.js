@@ -0,0 +1,255 @@
+/**
+ * Company Service
+ * Business logic for company (tenant) management operations
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { USER_ROLES, ERROR_CODES, PAGINATION, CACHE_KEYS } from '../config/constants.js';
+import { deleteCache } from '../config/redis.js';
+import { switchValuationMethod } from './stock.service.js';
+import logger from '../config/logger.js';
+
+const companySelect = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  address: true,
+  city: true,
+  state: true,
+  country: true,
+  postalCode: true,
+  taxNumber: true,
+  registrationNo: true,
+  logo: true,
+  baseCurrency: true,
+  fiscalYearStart: true,
+  fiscalYearEnd: true,
+  inventoryValuationMethod: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Ensure the current user is allowed to access a company
+ * @param {string} companyId - Company ID
+ * @param {Object} currentUser - Authenticated user
+ */
+const assertCompanyAccess = (companyId, currentUser) => {
+  if (currentUser.role === USER_ROLES.SUPERADMIN) {
+    return;
+  }
+
+  if (currentUser.companyId !== companyId) {
+    throw ApiError.forbidden('Access denied to this company resource');
+  }
+};
+
+/**
+ * Create a new company
+ * @param {Object} companyData - Company data
+ * @param {string} createdBy - ID of user creating the company
+ * @returns {Promise<Object>} Created company
+ */
+export const createCompany = async (companyData, createdBy) => {
+  const company = await prisma.company.create({
+    data: companyData,
+    select: companySelect
+  });
+
+  logger.info(`Company created: ${company.name} (${company.id}) by ${createdBy}`);
+
+  return company;
+};
+
+/**
+ * Get company by ID
+ * @param {string} companyId - Company ID
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Company data
+ */
+export const getCompanyById = async (companyId, currentUser) => {
+  assertCompanyAccess(companyId, currentUser);
+
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: {
+      ...companySelect,
+      _count: {
+        select: {
+          users: true,
+          warehouses: true
+        }
+      }
+    }
+  });
+
+  if (!company) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return company;
+};
+
+/**
+ * Get companies list with filters and pagination
+ * SUPERADMIN sees every company, other users only see their own
+ * @param {Object} filters - Filter criteria
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Companies list with pagination
+ */
+export const getCompanies = async (filters, currentUser) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    isActive,
+    search,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = filters;
+
+  // Build where clause
+  const where = {};
+
+  if (currentUser.role !== USER_ROLES.SUPERADMIN) {
+    where.id = currentUser.companyId;
+  }
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { taxNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  // Calculate pagination
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, companies] = await Promise.all([
+    prisma.company.count({ where }),
+    prisma.company.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: companySelect
+    })
+  ]);
+
+  return {
+    companies,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update company profile
+ * @param {string} companyId - Company ID
+ * @param {Object} updateData - Data to update
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated company
+ */
+export const updateCompany = async (companyId, updateData, currentUser) => {
+  assertCompanyAccess(companyId, currentUser);
+
+  const existingCompany = await prisma.company.findUnique({
+    where: { id: companyId }
+  });
+
+  if (!existingCompany) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  // Validate fiscal year against the stored value when only one side changes
+  const fiscalYearStart = updateData.fiscalYearStart || existingCompany.fiscalYearStart;
+  const fiscalYearEnd = updateData.fiscalYearEnd !== undefined
+    ? updateData.fiscalYearEnd
+    : existingCompany.fiscalYearEnd;
+
+  if (fiscalYearEnd && new Date(fiscalYearEnd) <= new Date(fiscalYearStart)) {
+    throw ApiError.badRequest('Fiscal year end must be after fiscal year start');
+  }
+
+  const { inventoryValuationMethod, ...profileData } = updateData;
+  const switchesValuation = inventoryValuationMethod !== undefined &&
+    inventoryValuationMethod !== existingCompany.inventoryValuationMethod;
+
+  // Cost layers are rebuilt with the method so stock values carry over
+  const company = await prisma.$transaction(async (tx) => {
+    if (switchesValuation) {
+      await switchValuationMethod(tx, companyId, inventoryValuationMethod);
+    }
+
+    return tx.company.update({
+      where: { id: companyId },
+      data: profileData,
+      select: companySelect
+    });
+  });
+
+  await deleteCache(CACHE_KEYS.COMPANY_SETTINGS(companyId));
+
+  if (switchesValuation) {
+    logger.info(`Company ${companyId} inventory valuation changed from ${existingCompany.inventoryValuationMethod} to ${inventoryValuationMethod} by ${currentUser.id}`);
+  }
+
+  logger.info(`Company updated: ${companyId} by ${currentUser.id}`);
+
+  return company;
+};
+
+/**
+ * Change company activation status
+ * @param {string} companyId - Company ID
+ * @param {boolean} isActive - New activation status
+ * @param {Object} currentUser - Authenticated user
+ * @returns {Promise<Object>} Updated company
+ */
+export const setCompanyActive = async (companyId, isActive, currentUser) => {
+  if (!isActive && currentUser.companyId === companyId) {
+    throw ApiError.badRequest('Cannot deactivate your own company');
+  }
+
+  const existingCompany = await prisma.company.findUnique({
+    where: { id: companyId }
+  });
+
+  if (!existingCompany) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const company = await prisma.company.update({
+    where: { id: companyId },
+    data: { isActive },
+    select: companySelect
+  });
+
+  await deleteCache(CACHE_KEYS.COMPANY_SETTINGS(companyId));
+
+  logger.info(`Company ${isActive ? 'activated' : 'deactivated'}: ${companyId} by ${currentUser.id}`);
+
+  return company;
+};
+
+export default {
+  createCompany,
+  getCompanyById,
+  getCompanies,
+  updateCompany,
+  setCompanyActive
+};
@@ -0,0 +1,285 @@
+/**
+ * Customer Service
+ * Business logic for customer master management
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { NUMBER_SEQUENCES, ERROR_CODES, PAGINATION } from '../config/constants.js';
+import { generateSequenceNumber } from './sequence.service.js';
+import logger from '../config/logger.js';
+
+const customerSelect = {
+  id: true,
+  companyId: true,
+  customerNumber: true,
+  name: true,
+  email: true,
+  phone: true,
+  address: true,
+  city: true,
+  state: true,
+  country: true,
+  postalCode: true,
+  taxNumber: true,
+  creditLimit: true,
+  creditDays: true,
+  openingBalance: true,
+  currentBalance: true,
+  isActive: true,
+  notes: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Sales documents that keep a customer from being deleted
+ */
+const LINKED_DOCUMENTS = {
+  invoices: 'invoices',
+  receipts: 'receipts',
+  salesReturns: 'sales returns',
+  salesOrders: 'sales orders',
+  salesQuotations: 'sales quotations',
+  deliveryChallans: 'delivery challans'
+};
+
+/**
+ * Find a customer that belongs to the company or throw
+ * @param {string} companyId - Company ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} Customer
+ */
+const findCompanyCustomer = async (companyId, customerId) => {
+  const customer = await prisma.customer.findFirst({
+    where: { id: customerId, companyId }
+  });
+
+  if (!customer) {
+    throw ApiError.notFound('Customer not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return customer;
+};
+
+/**
+ * Create a new customer with the next CUST-0001 style number
+ * @param {string} companyId - Company ID
+ * @param {Object} customerData - Customer data
+ * @param {string} createdBy - ID of user creating the customer
+ * @returns {Promise<Object>} Created customer
+ */
+export const createCustomer = async (companyId, customerData, createdBy) => {
+  const { openingBalance = 0 } = customerData;
+
+  const customer = await prisma.$transaction(async (tx) => {
+    const customerNumber = await generateSequenceNumber(tx, companyId, NUMBER_SEQUENCES.CUSTOMER);
+
+    return tx.customer.create({
+      data: {
+        ...customerData,
+        companyId,
+        customerNumber,
+        openingBalance,
+        currentBalance: openingBalance,
+        createdBy
+      },
+      select: customerSelect
+    });
+  });
+
+  logger.info(`Customer created: ${customer.customerNumber} (${customer.id}) by ${createdBy}`);
+
+  return customer;
+};
+
+/**
+ * Get customer by ID
+ * @param {string} companyId - Company ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} Customer data with document counts
+ */
+export const getCustomerById = async (companyId, customerId) => {
+  const customer = await prisma.customer.findFirst({
+    where: { id: customerId, companyId },
+    select: {
+      ...customerSelect,
+      _count: {
+        select: {
+          invoices: true,
+          receipts: true,
+          salesReturns: true,
+          salesOrders: true
+        }
+      }
+    }
+  });
+
+  if (!customer) {
+    throw ApiError.notFound('Customer not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return customer;
+};
+
+/**
+ * Get customers list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Customers list with pagination
+ */
+export const getCustomers = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    isActive,
+    hasBalance,
+    minBalance,
+    maxBalance,
+    search,
+    sortBy = 'customerNumber',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  // Balance filters apply to the outstanding (current) balance
+  const balanceFilter = {};
+
+  if (hasBalance !== undefined) {
+    balanceFilter[hasBalance ? 'not' : 'equals'] = 0;
+  }
+
+  if (minBalance !== undefined) {
+    balanceFilter.gte = minBalance;
+  }
+
+  if (maxBalance !== undefined) {
+    balanceFilter.lte = maxBalance;
+  }
+
+  if (Object.keys(balanceFilter).length > 0) {
+    where.currentBalance = balanceFilter;
+  }
+
+  if (search) {
+    where.OR = [
+      { customerNumber: { contains: search, mode: 'insensitive' } },
+      { name: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search } },
+      { taxNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, customers] = await Promise.all([
+    prisma.customer.count({ where }),
+    prisma.customer.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: customerSelect
+    })
+  ]);
+
+  return {
+    customers,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update customer
+ * @param {string} companyId - Company ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated customer
+ */
+export const updateCustomer = async (companyId, customerId, updateData, updatedBy) => {
+  const existingCustomer = await findCompanyCustomer(companyId, customerId);
+
+  const data = { ...updateData };
+
+  // Keep current balance in step with a revised opening balance
+  if (updateData.openingBalance !== undefined) {
+    const difference = new Prisma.Decimal(updateData.openingBalance)
+      .minus(existingCustomer.openingBalance);
+    data.currentBalance = { increment: difference };
+  }
+
+  const customer = await prisma.customer.update({
+    where: { id: customerId },
+    data,
+    select: customerSelect
+  });
+
+  logger.info(`Customer updated: ${customerId} by ${updatedBy}`);
+
+  return customer;
+};
+
+/**
+ * Delete customer
+ * Customers with sales documents must be deactivated instead
+ * @param {string} companyId - Company ID
+ * @param {string} customerId - Customer ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deleteCustomer = async (companyId, customerId, deletedBy) => {
+  const customer = await prisma.customer.findFirst({
+    where: { id: customerId, companyId },
+    select: {
+      id: true,
+      customerNumber: true,
+      _count: {
+        select: Object.fromEntries(Object.keys(LINKED_DOCUMENTS).map((relation) => [relation, true]))
+      }
+    }
+  });
+
+  if (!customer) {
+    throw ApiError.notFound('Customer not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const linked = Object.entries(LINKED_DOCUMENTS)
+    .filter(([relation]) => customer._count[relation] > 0)
+    .map(([, label]) => label);
+
+  if (linked.length > 0) {
+    throw ApiError.conflict(
+      `Customer ${customer.customerNumber} has ${linked.join(', ')}; deactivate the customer instead`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  await prisma.customer.delete({
+    where: { id: customerId }
+  });
+
+  logger.info(`Customer deleted: ${customer.customerNumber} (${customerId}) by ${deletedBy}`);
+};
+
+export default {
+  createCustomer,
+  getCustomerById,
+  getCustomers,
+  updateCustomer,
+  deleteCustomer
+};
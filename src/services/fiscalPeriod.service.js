@@ -0,0 +1,252 @@
+/**
+ * Fiscal Period Service
+ * Business logic for fiscal periods and period locking
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  FISCAL_PERIOD_TYPES,
+  FISCAL_PERIOD_STATUS,
+  ERROR_CODES
+} from '../config/constants.js';
+import { getFiscalYearBounds, getFiscalYearLabel } from '../utils/fiscalYear.js';
+import logger from '../config/logger.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Allowed status changes; locked periods are final
+ */
+const STATUS_TRANSITIONS = {
+  [FISCAL_PERIOD_STATUS.OPEN]: [FISCAL_PERIOD_STATUS.SOFT_CLOSED, FISCAL_PERIOD_STATUS.LOCKED],
+  [FISCAL_PERIOD_STATUS.SOFT_CLOSED]: [FISCAL_PERIOD_STATUS.OPEN, FISCAL_PERIOD_STATUS.LOCKED],
+  [FISCAL_PERIOD_STATUS.LOCKED]: []
+};
+
+/**
+ * Reject a transaction dated in a closed fiscal period
+ * Dates outside every defined period are treated as open
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Date|string} date - Transaction date
+ * @param {Object} [options] - { allowSoftClosed } to accept soft-closed periods
+ */
+export const assertPeriodOpen = async (tx, companyId, date, options = {}) => {
+  const { allowSoftClosed = false } = options;
+  const transactionDate = new Date(date);
+
+  const period = await tx.fiscalPeriod.findFirst({
+    where: {
+      companyId,
+      startDate: { lte: transactionDate },
+      endDate: { gte: transactionDate },
+      status: {
+        in: allowSoftClosed
+          ? [FISCAL_PERIOD_STATUS.LOCKED]
+          : [FISCAL_PERIOD_STATUS.SOFT_CLOSED, FISCAL_PERIOD_STATUS.LOCKED]
+      }
+    },
+    orderBy: { status: 'desc' }
+  });
+
+  if (period) {
+    const state = period.status === FISCAL_PERIOD_STATUS.LOCKED ? 'locked' : 'closed';
+    throw ApiError.badRequest(
+      `Fiscal period ${period.name} is ${state}; transactions dated ${transactionDate.toISOString().slice(0, 10)} are not allowed`,
+      ERROR_CODES.FISCAL_PERIOD_CLOSED
+    );
+  }
+};
+
+/**
+ * Find a company fiscal period or throw
+ * @param {string} companyId - Company ID
+ * @param {string} periodId - Fiscal period ID
+ * @returns {Promise<Object>} Fiscal period
+ */
+const findCompanyPeriod = async (companyId, periodId) => {
+  const period = await prisma.fiscalPeriod.findFirst({
+    where: { id: periodId, companyId }
+  });
+
+  if (!period) {
+    throw ApiError.notFound('Fiscal period not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return period;
+};
+
+/**
+ * Build the periods of a fiscal year
+ * @param {Date} fiscalYearStart - Company fiscal year start
+ * @param {Date} date - Date inside the fiscal year
+ * @param {string} periodType - MONTHLY or YEARLY
+ * @returns {Array<Object>} Periods with name, startDate and endDate
+ */
+const buildFiscalYearPeriods = (fiscalYearStart, date, periodType) => {
+  const { startDate, endDate } = getFiscalYearBounds(fiscalYearStart, date);
+
+  if (periodType === FISCAL_PERIOD_TYPES.YEARLY) {
+    return [{
+      name: `FY ${getFiscalYearLabel(fiscalYearStart, date)}`,
+      startDate,
+      endDate
+    }];
+  }
+
+  const monthStart = (offset) => new Date(Date.UTC(
+    startDate.getUTCFullYear(),
+    startDate.getUTCMonth() + offset,
+    startDate.getUTCDate()
+  ));
+
+  return Array.from({ length: 12 }, (_, index) => {
+    const periodStart = monthStart(index);
+    return {
+      name: `${MONTH_NAMES[periodStart.getUTCMonth()]} ${periodStart.getUTCFullYear()}`,
+      startDate: periodStart,
+      endDate: new Date(monthStart(index + 1).getTime() - 1)
+    };
+  });
+};
+
+/**
+ * Generate the fiscal periods of a fiscal year
+ * Existing periods are kept as they are
+ * @param {string} companyId - Company ID
+ * @param {Object} generateData - { date, periodType }
+ * @param {string} createdBy - ID of user generating the periods
+ * @returns {Promise<Array>} Periods of the fiscal year
+ */
+export const generateFiscalPeriods = async (companyId, generateData, createdBy) => {
+  const { date = new Date(), periodType } = generateData;
+
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { fiscalYearStart: true }
+  });
+
+  if (!company) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const { startDate, endDate } = getFiscalYearBounds(company.fiscalYearStart, date);
+  const periods = buildFiscalYearPeriods(company.fiscalYearStart, date, periodType);
+
+  const { count } = await prisma.fiscalPeriod.createMany({
+    data: periods.map((period) => ({
+      ...period,
+      companyId,
+      periodType,
+      createdBy
+    })),
+    skipDuplicates: true
+  });
+
+  logger.info(`Fiscal periods generated: ${count} ${periodType} periods for company ${companyId} by ${createdBy}`);
+
+  return prisma.fiscalPeriod.findMany({
+    where: {
+      companyId,
+      periodType,
+      startDate: { gte: startDate },
+      endDate: { lte: endDate }
+    },
+    orderBy: { startDate: 'asc' }
+  });
+};
+
+/**
+ * Get fiscal periods
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - periodType, status, fromDate, toDate
+ * @returns {Promise<Array>} Fiscal periods ordered by start date
+ */
+export const getFiscalPeriods = async (companyId, filters = {}) => {
+  const { periodType, status, fromDate, toDate } = filters;
+
+  const where = { companyId };
+
+  if (periodType) {
+    where.periodType = periodType;
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  // Periods overlapping the requested range
+  if (fromDate) {
+    where.endDate = { gte: fromDate };
+  }
+
+  if (toDate) {
+    where.startDate = { lte: toDate };
+  }
+
+  return prisma.fiscalPeriod.findMany({
+    where,
+    orderBy: [{ startDate: 'asc' }, { periodType: 'asc' }]
+  });
+};
+
+/**
+ * Get fiscal period by ID
+ * @param {string} companyId - Company ID
+ * @param {string} periodId - Fiscal period ID
+ * @returns {Promise<Object>} Fiscal period
+ */
+export const getFiscalPeriodById = async (companyId, periodId) => {
+  return findCompanyPeriod(companyId, periodId);
+};
+
+/**
+ * Open, soft-close or lock a fiscal period
+ * @param {string} companyId - Company ID
+ * @param {string} periodId - Fiscal period ID
+ * @param {string} status - New status
+ * @param {string} updatedBy - ID of user changing the status
+ * @returns {Promise<Object>} Updated fiscal period
+ */
+export const setFiscalPeriodStatus = async (companyId, periodId, status, updatedBy) => {
+  const period = await findCompanyPeriod(companyId, periodId);
+
+  if (!STATUS_TRANSITIONS[period.status].includes(status)) {
+    throw ApiError.badRequest(
+      `Fiscal period ${period.name} cannot move from ${period.status} to ${status}`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  const isClosing = status !== FISCAL_PERIOD_STATUS.OPEN;
+
+  // Guard against a concurrent status change
+  const { count } = await prisma.fiscalPeriod.updateMany({
+    where: { id: periodId, status: period.status },
+    data: {
+      status,
+      closedBy: isClosing ? updatedBy : null,
+      closedAt: isClosing ? new Date() : null
+    }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(
+      `Fiscal period ${period.name} was changed by another request`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  logger.info(`Fiscal period ${period.name} changed from ${period.status} to ${status} by ${updatedBy}`);
+
+  return findCompanyPeriod(companyId, periodId);
+};
+
+export default {
+  assertPeriodOpen,
+  generateFiscalPeriods,
+  getFiscalPeriods,
+  getFiscalPeriodById,
+  setFiscalPeriodStatus
+};
@@ -0,0 +1,758 @@
+/**
+ * Goods Receipt Service
+ * Goods receipt notes (GRNs), usually raised against a purchase order:
+ * DRAFT -> RECEIVED, or VOID once received. Each line splits the goods
+ * delivered into accepted, rejected and damaged quantities; only accepted
+ * goods enter stock and count as received on the purchase order, so
+ * rejected and damaged units stay outstanding for the vendor to replace
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  ACCOUNT_MAPPING_KEYS,
+  DOCUMENT_STATUS,
+  JOURNAL_ENTRY_TYPES,
+  NUMBER_SERIES_TYPES,
+  REFERENCE_TYPES,
+  STOCK_MOVEMENT_TYPES,
+  PRODUCT_TYPES,
+  TRANSACTION_TYPES,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { createPostedEntry, createReversalEntry } from './journal.service.js';
+import { getMappedAccountIds } from './posting.service.js';
+import { applyOrderReceipt } from './purchaseOrder.service.js';
+import { recordStockMovements, reverseStockMovements, getDefaultWarehouse } from './stock.service.js';
+import { calculateDocumentTotals, calculateLineAmounts } from '../utils/documentTotals.js';
+import logger from '../config/logger.js';
+
+const { DEBIT, CREDIT } = TRANSACTION_TYPES;
+
+/**
+ * Purchase order statuses that goods can be received against
+ */
+const RECEIVABLE_ORDER_STATUSES = [
+  DOCUMENT_STATUS.APPROVED,
+  DOCUMENT_STATUS.SENT
+];
+
+const receiptInclude = {
+  vendor: {
+    select: { id: true, vendorNumber: true, name: true }
+  },
+  warehouse: {
+    select: { id: true, code: true, name: true }
+  },
+  purchaseOrder: {
+    select: { id: true, orderNumber: true, status: true }
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          sku: true,
+          name: true,
+          unit: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Find a goods receipt of the company or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @returns {Promise<Object>} Receipt with items
+ */
+const findCompanyReceipt = async (tx, companyId, receiptId) => {
+  const receipt = await tx.goodsReceipt.findFirst({
+    where: { id: receiptId, companyId },
+    include: { items: true }
+  });
+
+  if (!receipt) {
+    throw ApiError.notFound('Goods receipt not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return receipt;
+};
+
+/**
+ * Find a draft goods receipt or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @returns {Promise<Object>} Draft receipt with items
+ */
+const findDraftReceipt = async (tx, companyId, receiptId) => {
+  const receipt = await findCompanyReceipt(tx, companyId, receiptId);
+
+  if (receipt.status !== DOCUMENT_STATUS.DRAFT) {
+    throw ApiError.badRequest(
+      `Goods receipt ${receipt.receiptNumber} is ${receipt.status} and can no longer be changed`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  return receipt;
+};
+
+/**
+ * Find the purchase order a receipt is raised against, ready to receive
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @returns {Promise<Object>} Order with items
+ */
+const findReceivableOrder = async (tx, companyId, orderId) => {
+  const order = await tx.purchaseOrder.findFirst({
+    where: { id: orderId, companyId },
+    include: { items: true }
+  });
+
+  if (!order) {
+    throw ApiError.badRequest('Purchase order is invalid');
+  }
+
+  if (!RECEIVABLE_ORDER_STATUSES.includes(order.status)) {
+    throw ApiError.badRequest(
+      `Purchase order ${order.orderNumber} is ${order.status}; goods can only be received against approved or sent orders`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Resolve the warehouse goods are received into: the one given, the
+ * order's delivery warehouse or the company default
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} [warehouseId] - Warehouse ID
+ * @returns {Promise<string>} Warehouse ID
+ */
+const resolveWarehouse = async (tx, companyId, warehouseId) => {
+  if (!warehouseId) {
+    return (await getDefaultWarehouse(tx, companyId)).id;
+  }
+
+  const warehouse = await tx.warehouse.findFirst({
+    where: { id: warehouseId, companyId },
+    select: { id: true, code: true, isActive: true }
+  });
+
+  if (!warehouse) {
+    throw ApiError.badRequest('Warehouse is invalid');
+  }
+
+  if (!warehouse.isActive) {
+    throw ApiError.badRequest(`Warehouse ${warehouse.code} is inactive`);
+  }
+
+  return warehouse.id;
+};
+
+/**
+ * Validate receipt lines and price them at the accepted quantity
+ * Lines against an order take the product, price, tax and a share of the
+ * discount from the order line, and cannot deliver more than is still
+ * outstanding on it. Lines without an order give their own product and price
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object|null} order - Purchase order with items
+ * @param {Array<Object>} items - Receipt items as submitted
+ * @returns {Promise<Object>} Totals with the items to create
+ */
+const buildReceiptLines = async (tx, companyId, order, items) => {
+  const orderItems = new Map((order ? order.items : []).map((item) => [item.id, item]));
+
+  const lines = items.map((item) => {
+    const receivedQty = new Prisma.Decimal(item.receivedQty);
+    const acceptedQty = new Prisma.Decimal(item.acceptedQty);
+    const rejectedQty = new Prisma.Decimal(item.rejectedQty || 0);
+    const damagedQty = new Prisma.Decimal(item.damagedQty || 0);
+
+    if (!acceptedQty.plus(rejectedQty).plus(damagedQty).equals(receivedQty)) {
+      throw ApiError.badRequest('Accepted, rejected and damaged quantities must add up to the quantity received');
+    }
+
+    const line = {
+      description: item.description || null,
+      receivedQty,
+      acceptedQty,
+      rejectedQty,
+      damagedQty,
+      batchNumber: item.batchNumber || null,
+      manufactureDate: item.manufactureDate || null,
+      expiryDate: item.expiryDate || null,
+      serialNumbers: item.serialNumbers || []
+    };
+
+    if (!order) {
+      if (!item.productId || item.unitPrice === undefined) {
+        throw ApiError.badRequest('Items received without a purchase order need a product and unit price');
+      }
+
+      return {
+        ...line,
+        productId: item.productId,
+        quantity: acceptedQty,
+        unitPrice: item.unitPrice,
+        taxRate: item.taxRate || 0,
+        discountAmount: item.discountAmount || 0
+      };
+    }
+
+    const orderItem = orderItems.get(item.orderItemId);
+
+    if (!orderItem) {
+      throw ApiError.badRequest(`Item ${item.orderItemId} is not on purchase order ${order.orderNumber}`);
+    }
+
+    const outstanding = new Prisma.Decimal(orderItem.quantity).minus(orderItem.receivedQty);
+
+    if (receivedQty.gt(outstanding)) {
+      throw ApiError.badRequest(
+        `Cannot receive ${receivedQty} of order item ${orderItem.id}; only ${outstanding} are outstanding on ${order.orderNumber}`
+      );
+    }
+
+    return {
+      ...line,
+      orderItemId: orderItem.id,
+      productId: orderItem.productId,
+      description: line.description || orderItem.description,
+      orderedQty: orderItem.quantity,
+      quantity: acceptedQty,
+      unitPrice: orderItem.unitPrice,
+      taxRate: orderItem.taxRate,
+      discountAmount: new Prisma.Decimal(orderItem.discountAmount)
+        .times(acceptedQty)
+        .div(orderItem.quantity)
+        .toDecimalPlaces(2)
+    };
+  });
+
+  const orderItemIds = lines.map((line) => line.orderItemId).filter(Boolean);
+  if (new Set(orderItemIds).size !== orderItemIds.length) {
+    throw ApiError.badRequest('Each order item can appear only once on a goods receipt');
+  }
+
+  const productIds = [...new Set(lines.map((line) => line.productId))];
+  const products = await tx.product.findMany({
+    where: { id: { in: productIds }, companyId },
+    select: {
+      id: true,
+      sku: true,
+      type: true,
+      isActive: true,
+      trackInventory: true,
+      trackBatches: true,
+      trackSerials: true
+    }
+  });
+
+  if (products.length !== productIds.length) {
+    throw ApiError.badRequest('One or more products are invalid');
+  }
+
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  for (const line of lines) {
+    const product = productsById.get(line.productId);
+
+    if (!product.isActive || product.type === PRODUCT_TYPES.BUNDLE) {
+      throw ApiError.badRequest(`Product ${product.sku} cannot be received`);
+    }
+
+    if (product.trackInventory && !line.acceptedQty.isInteger()) {
+      throw ApiError.badRequest(`Product ${product.sku} must be accepted in whole units`);
+    }
+
+    if (line.batchNumber && !product.trackBatches) {
+      throw ApiError.badRequest(`Product ${product.sku} does not track batches`);
+    }
+
+    if (product.trackBatches && line.acceptedQty.gt(0) && !line.batchNumber) {
+      throw ApiError.badRequest(`Product ${product.sku} is batch tracked; a batch number is required`);
+    }
+
+    if (product.trackSerials
+      ? !line.acceptedQty.equals(line.serialNumbers.length)
+      : line.serialNumbers.length > 0) {
+      throw ApiError.badRequest(
+        product.trackSerials
+          ? `Product ${product.sku} is serial tracked; list ${line.acceptedQty} serial numbers for the accepted units`
+          : `Product ${product.sku} does not track serial numbers`
+      );
+    }
+  }
+
+  const totals = calculateDocumentTotals(lines);
+
+  if (totals.items.some((line) => line.amount.lt(0))) {
+    throw ApiError.badRequest('Discount cannot exceed the value of the line');
+  }
+
+  return {
+    subtotal: totals.subtotal,
+    discountAmount: totals.discountAmount,
+    taxAmount: totals.taxAmount,
+    total: totals.total,
+    items: {
+      // quantity is only used to price the line
+      create: totals.items.map(({ quantity, ...line }) => line)
+    }
+  };
+};
+
+/**
+ * Create a draft goods receipt
+ * Against a purchase order, the vendor and delivery warehouse come from
+ * the order, and without items everything outstanding is received as
+ * accepted
+ * @param {string} companyId - Company ID
+ * @param {Object} receiptData - Receipt data with items
+ * @param {string} createdBy - ID of user creating the receipt
+ * @returns {Promise<Object>} Created receipt
+ */
+export const createGoodsReceipt = async (companyId, receiptData, createdBy) => {
+  const { items, receiptDate = new Date(), ...header } = receiptData;
+
+  const receipt = await prisma.$transaction(async (tx) => {
+    let order = null;
+    let lines = items;
+
+    await assertPeriodOpen(tx, companyId, receiptDate);
+
+    if (header.purchaseOrderId) {
+      order = await findReceivableOrder(tx, companyId, header.purchaseOrderId);
+
+      if (header.vendorId && header.vendorId !== order.vendorId) {
+        throw ApiError.badRequest(`Purchase order ${order.orderNumber} is from a different vendor`);
+      }
+
+      lines = items || order.items
+        .map((item) => ({ item, outstanding: new Prisma.Decimal(item.quantity).minus(item.receivedQty) }))
+        .filter(({ outstanding }) => outstanding.gt(0))
+        .map(({ item, outstanding }) => ({
+          orderItemId: item.id,
+          receivedQty: outstanding,
+          acceptedQty: outstanding
+        }));
+
+      if (lines.length === 0) {
+        throw ApiError.badRequest(`Purchase order ${order.orderNumber} has nothing outstanding`);
+      }
+    } else {
+      if (!header.vendorId || !items) {
+        throw ApiError.badRequest('A goods receipt without a purchase order needs a vendor and items');
+      }
+
+      const vendor = await tx.vendor.findFirst({
+        where: { id: header.vendorId, companyId },
+        select: { vendorNumber: true, isActive: true }
+      });
+
+      if (!vendor) {
+        throw ApiError.badRequest('Vendor is invalid');
+      }
+
+      if (!vendor.isActive) {
+        throw ApiError.badRequest(`Vendor ${vendor.vendorNumber} is inactive`);
+      }
+    }
+
+    return tx.goodsReceipt.create({
+      data: {
+        ...header,
+        ...await buildReceiptLines(tx, companyId, order, lines),
+        companyId,
+        vendorId: order ? order.vendorId : header.vendorId,
+        warehouseId: await resolveWarehouse(tx, companyId, header.warehouseId || order?.warehouseId),
+        receiptDate,
+        receiptNumber: await generateDocumentNumber(
+          tx,
+          companyId,
+          NUMBER_SERIES_TYPES.GOODS_RECEIPT,
+          receiptDate
+        ),
+        status: DOCUMENT_STATUS.DRAFT,
+        createdBy
+      },
+      include: receiptInclude
+    });
+  });
+
+  logger.info(`Goods receipt created: ${receipt.receiptNumber} by ${createdBy}`);
+
+  return receipt;
+};
+
+/**
+ * Get goods receipt by ID
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @returns {Promise<Object>} Receipt with items
+ */
+export const getGoodsReceiptById = async (companyId, receiptId) => {
+  const receipt = await prisma.goodsReceipt.findFirst({
+    where: { id: receiptId, companyId },
+    include: receiptInclude
+  });
+
+  if (!receipt) {
+    throw ApiError.notFound('Goods receipt not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return receipt;
+};
+
+/**
+ * Get goods receipts list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Receipts list with pagination
+ */
+export const getGoodsReceipts = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    vendorId,
+    purchaseOrderId,
+    warehouseId,
+    productId,
+    fromDate,
+    toDate,
+    search,
+    sortBy = 'receiptDate',
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (vendorId) {
+    where.vendorId = vendorId;
+  }
+
+  if (purchaseOrderId) {
+    where.purchaseOrderId = purchaseOrderId;
+  }
+
+  if (warehouseId) {
+    where.warehouseId = warehouseId;
+  }
+
+  if (productId) {
+    where.items = { some: { productId } };
+  }
+
+  if (fromDate || toDate) {
+    where.receiptDate = {};
+    if (fromDate) where.receiptDate.gte = fromDate;
+    if (toDate) where.receiptDate.lte = toDate;
+  }
+
+  if (search) {
+    where.OR = [
+      { receiptNumber: { contains: search, mode: 'insensitive' } },
+      { vehicleNo: { contains: search, mode: 'insensitive' } },
+      { purchaseOrder: { orderNumber: { contains: search, mode: 'insensitive' } } },
+      { vendor: { name: { contains: search, mode: 'insensitive' } } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, receipts] = await Promise.all([
+    prisma.goodsReceipt.count({ where }),
+    prisma.goodsReceipt.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: sortOrder }, { receiptNumber: sortOrder }],
+      include: receiptInclude
+    })
+  ]);
+
+  return {
+    receipts,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update a draft goods receipt
+ * The purchase order and vendor of a receipt cannot be changed
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated receipt
+ */
+export const updateGoodsReceipt = async (companyId, receiptId, updateData, updatedBy) => {
+  const { items, ...header } = updateData;
+
+  const receipt = await prisma.$transaction(async (tx) => {
+    const draft = await findDraftReceipt(tx, companyId, receiptId);
+    const data = { ...header };
+
+    if (header.receiptDate) {
+      await assertPeriodOpen(tx, companyId, header.receiptDate);
+    }
+
+    if (header.warehouseId) {
+      data.warehouseId = await resolveWarehouse(tx, companyId, header.warehouseId);
+    }
+
+    if (items) {
+      const order = draft.purchaseOrderId
+        ? await findReceivableOrder(tx, companyId, draft.purchaseOrderId)
+        : null;
+
+      await tx.goodsReceiptItem.deleteMany({ where: { receiptId } });
+      Object.assign(data, await buildReceiptLines(tx, companyId, order, items));
+    }
+
+    return tx.goodsReceipt.update({
+      where: { id: receiptId },
+      data,
+      include: receiptInclude
+    });
+  });
+
+  logger.info(`Goods receipt updated: ${receipt.receiptNumber} by ${updatedBy}`);
+
+  return receipt;
+};
+
+/**
+ * Delete a draft goods receipt
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deleteGoodsReceipt = async (companyId, receiptId, deletedBy) => {
+  const receipt = await findDraftReceipt(prisma, companyId, receiptId);
+
+  await prisma.goodsReceipt.delete({
+    where: { id: receiptId }
+  });
+
+  logger.info(`Goods receipt deleted: ${receipt.receiptNumber} by ${deletedBy}`);
+};
+
+/**
+ * Move a receipt between statuses, guarding against a concurrent change
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} receipt - Goods receipt as read
+ * @param {string} status - New status
+ */
+const transitionStatus = async (tx, receipt, status) => {
+  const { count } = await tx.goodsReceipt.updateMany({
+    where: { id: receipt.id, status: receipt.status },
+    data: { status }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(
+      `Goods receipt ${receipt.receiptNumber} was changed by another request; please retry`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+};
+
+/**
+ * Receive a draft goods receipt: accepted goods of inventory-tracked
+ * products enter stock as PURCHASE movements at their cost net of
+ * discount, in the lots and serial numbers recorded on the receipt, and
+ * the accepted quantities are marked received on the purchase order.
+ * Their value is posted to inventory against goods received not
+ * invoiced, which the vendor's bill clears
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @param {string} receivedBy - ID of user receiving the goods
+ * @returns {Promise<Object>} Received goods receipt
+ */
+export const receiveGoodsReceipt = async (companyId, receiptId, receivedBy) => {
+  const receipt = await prisma.$transaction(async (tx) => {
+    const draft = await findDraftReceipt(tx, companyId, receiptId);
+
+    await assertPeriodOpen(tx, companyId, draft.receiptDate);
+    await transitionStatus(tx, draft, DOCUMENT_STATUS.RECEIVED);
+
+    const accepted = draft.items.filter((item) => new Prisma.Decimal(item.acceptedQty).gt(0));
+
+    if (draft.purchaseOrderId) {
+      await applyOrderReceipt(tx, companyId, draft.purchaseOrderId, accepted.map((item) => ({
+        itemId: item.orderItemId,
+        quantity: item.acceptedQty
+      })), 1);
+    }
+
+    const tracked = new Set((await tx.product.findMany({
+      where: { id: { in: accepted.map((item) => item.productId) }, trackInventory: true },
+      select: { id: true }
+    })).map((product) => product.id));
+
+    const movements = accepted
+      .filter((item) => tracked.has(item.productId))
+      .map((item) => {
+        const quantity = new Prisma.Decimal(item.acceptedQty).toNumber();
+        const { grossAmount, discountAmount } = calculateLineAmounts({ ...item, quantity });
+
+        return {
+          productId: item.productId,
+          warehouseId: draft.warehouseId,
+          movementType: STOCK_MOVEMENT_TYPES.PURCHASE,
+          quantity,
+          totalValue: grossAmount.minus(discountAmount),
+          referenceType: REFERENCE_TYPES.GOODS_RECEIPT,
+          referenceId: draft.id,
+          referenceNumber: draft.receiptNumber,
+          notes: item.description,
+          movementDate: draft.receiptDate,
+          ...(item.batchNumber && {
+            batches: [{
+              batchNumber: item.batchNumber,
+              manufactureDate: item.manufactureDate,
+              expiryDate: item.expiryDate,
+              quantity
+            }]
+          }),
+          ...(item.serialNumbers.length > 0 && { serialNumbers: item.serialNumbers })
+        };
+      });
+
+    const recorded = await recordStockMovements(tx, companyId, movements, receivedBy);
+    const stockValue = recorded.reduce((sum, movement) => sum.plus(movement.totalValue), new Prisma.Decimal(0));
+
+    if (!stockValue.isZero()) {
+      const accountIds = await getMappedAccountIds(tx, companyId, [
+        ACCOUNT_MAPPING_KEYS.INVENTORY,
+        ACCOUNT_MAPPING_KEYS.GOODS_RECEIVED_NOT_INVOICED
+      ]);
+
+      await createPostedEntry(tx, companyId, {
+        entryDate: draft.receiptDate,
+        entryType: JOURNAL_ENTRY_TYPES.SYSTEM,
+        referenceType: REFERENCE_TYPES.GOODS_RECEIPT,
+        referenceId: draft.id,
+        referenceNumber: draft.receiptNumber,
+        description: `Goods receipt ${draft.receiptNumber}`,
+        lines: [
+          { accountId: accountIds.get(ACCOUNT_MAPPING_KEYS.INVENTORY), transactionType: DEBIT, amount: stockValue },
+          { accountId: accountIds.get(ACCOUNT_MAPPING_KEYS.GOODS_RECEIVED_NOT_INVOICED), transactionType: CREDIT, amount: stockValue }
+        ]
+      }, receivedBy);
+    }
+
+    return tx.goodsReceipt.findUnique({
+      where: { id: receiptId },
+      include: receiptInclude
+    });
+  });
+
+  logger.info(`Goods receipt received: ${receipt.receiptNumber} by ${receivedBy}`);
+
+  return receipt;
+};
+
+/**
+ * Void a received goods receipt: its stock movements and journal entry
+ * are reversed and the accepted quantities become outstanding on the
+ * purchase order again.
+ * Fails if the goods have already been issued from stock
+ * @param {string} companyId - Company ID
+ * @param {string} receiptId - Goods receipt ID
+ * @param {string} voidedBy - ID of user voiding the receipt
+ * @returns {Promise<Object>} Voided goods receipt
+ */
+export const voidGoodsReceipt = async (companyId, receiptId, voidedBy) => {
+  const receipt = await prisma.$transaction(async (tx) => {
+    const current = await findCompanyReceipt(tx, companyId, receiptId);
+
+    if (current.status !== DOCUMENT_STATUS.RECEIVED) {
+      throw ApiError.badRequest(
+        `Goods receipt ${current.receiptNumber} is ${current.status} and cannot be voided`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    const voidDate = new Date();
+    await assertPeriodOpen(tx, companyId, voidDate);
+    await transitionStatus(tx, current, DOCUMENT_STATUS.VOID);
+
+    await reverseStockMovements(tx, companyId, {
+      referenceType: REFERENCE_TYPES.GOODS_RECEIPT,
+      referenceId: current.id,
+      referenceNumber: current.receiptNumber,
+      movementTypes: [STOCK_MOVEMENT_TYPES.PURCHASE],
+      movementDate: voidDate
+    }, voidedBy);
+
+    const entry = await tx.journalEntry.findFirst({
+      where: {
+        companyId,
+        referenceType: REFERENCE_TYPES.GOODS_RECEIPT,
+        referenceId: current.id,
+        isPosted: true
+      },
+      include: { lines: true }
+    });
+
+    if (entry) {
+      await createReversalEntry(tx, companyId, entry, {
+        entryDate: voidDate,
+        description: `Void of goods receipt ${current.receiptNumber}`
+      }, voidedBy);
+    }
+
+    if (current.purchaseOrderId) {
+      await applyOrderReceipt(tx, companyId, current.purchaseOrderId, current.items
+        .filter((item) => new Prisma.Decimal(item.acceptedQty).gt(0))
+        .map((item) => ({ itemId: item.orderItemId, quantity: item.acceptedQty })), -1);
+    }
+
+    return tx.goodsReceipt.findUnique({
+      where: { id: receiptId },
+      include: receiptInclude
+    });
+  });
+
+  logger.info(`Goods receipt voided: ${receipt.receiptNumber} by ${voidedBy}`);
+
+  return receipt;
+};
+
+export default {
+  createGoodsReceipt,
+  getGoodsReceiptById,
+  getGoodsReceipts,
+  updateGoodsReceipt,
+  deleteGoodsReceipt,
+  receiveGoodsReceipt,
+  voidGoodsReceipt
+};
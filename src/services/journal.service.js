@@ -0,0 +1,595 @@
+/**
+ * Journal Service
+ * Business logic for journal entries and ledger posting
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  TRANSACTION_TYPES,
+  JOURNAL_ENTRY_TYPES,
+  REFERENCE_TYPES,
+  ERROR_CODES,
+  PAGINATION,
+  POSTABLE_DOCUMENTS,
+  NUMBER_SERIES_TYPES
+} from '../config/constants.js';
+import { getBalanceChange } from './account.service.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import logger from '../config/logger.js';
+
+// Entries generated from business documents and stock operations are
+// corrected through their source, never reversed by hand
+const DOCUMENT_REFERENCE_TYPES = [
+  ...Object.values(POSTABLE_DOCUMENTS).map((document) => document.referenceType),
+  REFERENCE_TYPES.GOODS_RECEIPT,
+  REFERENCE_TYPES.STOCK_TRANSFER,
+  REFERENCE_TYPES.STOCK_COUNT,
+  REFERENCE_TYPES.STOCK_ADJUSTMENT
+];
+
+const entryInclude = {
+  lines: {
+    include: {
+      account: {
+        select: {
+          id: true,
+          accountNumber: true,
+          accountName: true,
+          accountType: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Reject entries dated in a closed fiscal period
+ * Adjustments and year-end closing entries may still go into
+ * soft-closed periods
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} entry - Entry with entryDate, entryType and referenceType
+ */
+const assertEntryPeriodOpen = (tx, companyId, entry) => assertPeriodOpen(
+  tx,
+  companyId,
+  entry.entryDate || new Date(),
+  {
+    allowSoftClosed: entry.entryType === JOURNAL_ENTRY_TYPES.ADJUSTMENT ||
+      entry.referenceType === REFERENCE_TYPES.YEAR_END_CLOSE
+  }
+);
+
+/**
+ * Validate journal lines against the company's accounts and total them
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} lines - Journal lines
+ * @returns {Promise<Object>} Line data with debit and credit totals
+ */
+const prepareLines = async (tx, companyId, lines) => {
+  const accountIds = [...new Set(lines.map((line) => line.accountId))];
+
+  const accounts = await tx.account.findMany({
+    where: {
+      id: { in: accountIds },
+      companyId
+    },
+    select: { id: true, accountNumber: true, isActive: true }
+  });
+
+  if (accounts.length !== accountIds.length) {
+    throw ApiError.badRequest('One or more accounts are invalid');
+  }
+
+  const inactiveAccount = accounts.find((account) => !account.isActive);
+  if (inactiveAccount) {
+    throw ApiError.badRequest(`Account ${inactiveAccount.accountNumber} is inactive`);
+  }
+
+  let totalDebit = new Prisma.Decimal(0);
+  let totalCredit = new Prisma.Decimal(0);
+
+  const lineData = lines.map((line) => {
+    const amount = new Prisma.Decimal(line.amount);
+
+    if (line.transactionType === TRANSACTION_TYPES.DEBIT) {
+      totalDebit = totalDebit.plus(amount);
+    } else {
+      totalCredit = totalCredit.plus(amount);
+    }
+
+    return {
+      accountId: line.accountId,
+      transactionType: line.transactionType,
+      amount,
+      description: line.description || null
+    };
+  });
+
+  return { lines: lineData, totalDebit, totalCredit };
+};
+
+/**
+ * Ensure an entry's debits equal its credits
+ * @param {Prisma.Decimal} totalDebit - Total debit amount
+ * @param {Prisma.Decimal} totalCredit - Total credit amount
+ */
+const assertBalanced = (totalDebit, totalCredit) => {
+  if (!totalDebit.equals(totalCredit)) {
+    throw ApiError.badRequest(
+      `Journal entry is not balanced: debits ${totalDebit.toFixed(2)} do not equal credits ${totalCredit.toFixed(2)}`,
+      ERROR_CODES.JOURNAL_NOT_BALANCED
+    );
+  }
+
+  if (totalDebit.isZero()) {
+    throw ApiError.badRequest(
+      'Journal entry must have a non-zero amount',
+      ERROR_CODES.JOURNAL_NOT_BALANCED
+    );
+  }
+};
+
+/**
+ * Apply posted journal lines to account balances
+ * Changes are aggregated per account and applied in a stable order
+ * to avoid deadlocks between concurrent postings
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<Object>} lines - Journal lines
+ */
+const applyLineBalances = async (tx, lines) => {
+  const accounts = await tx.account.findMany({
+    where: { id: { in: [...new Set(lines.map((line) => line.accountId))] } },
+    select: { id: true, accountType: true }
+  });
+  const accountTypes = new Map(accounts.map((account) => [account.id, account.accountType]));
+
+  const changes = new Map();
+  for (const line of lines) {
+    const change = getBalanceChange(
+      accountTypes.get(line.accountId),
+      line.transactionType,
+      line.amount
+    );
+    changes.set(
+      line.accountId,
+      (changes.get(line.accountId) || new Prisma.Decimal(0)).plus(change)
+    );
+  }
+
+  const sortedAccountIds = [...changes.keys()].sort();
+  for (const accountId of sortedAccountIds) {
+    await tx.account.update({
+      where: { id: accountId },
+      data: { currentBalance: { increment: changes.get(accountId) } }
+    });
+  }
+};
+
+/**
+ * Create an entry that is posted immediately and update balances
+ * Used for reversals and for SYSTEM entries generated from documents
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} entryData - Entry header and lines
+ * @param {string} createdBy - ID of user creating the entry
+ * @returns {Promise<Object>} Posted entry
+ */
+export const createPostedEntry = async (tx, companyId, entryData, createdBy) => {
+  const { lines: inputLines, ...header } = entryData;
+
+  await assertEntryPeriodOpen(tx, companyId, header);
+
+  const { lines, totalDebit, totalCredit } = await prepareLines(tx, companyId, inputLines);
+
+  assertBalanced(totalDebit, totalCredit);
+
+  const entry = await tx.journalEntry.create({
+    data: {
+      ...header,
+      companyId,
+      entryNumber: await generateDocumentNumber(
+        tx,
+        companyId,
+        NUMBER_SERIES_TYPES.JOURNAL_ENTRY,
+        header.entryDate
+      ),
+      totalDebit,
+      totalCredit,
+      isPosted: true,
+      postedAt: new Date(),
+      createdBy,
+      lines: { create: lines }
+    },
+    include: entryInclude
+  });
+
+  await applyLineBalances(tx, lines);
+
+  return entry;
+};
+
+/**
+ * Post the reversal of a posted entry
+ * The original entry row is locked first so concurrent reversals of the
+ * same entry are serialised and only one of them can succeed
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} original - Posted entry with lines
+ * @param {Object} reversalData - Optional reversal date and description
+ * @param {string} reversedBy - ID of user reversing the entry
+ * @returns {Promise<Object>} Reversal entry
+ */
+export const createReversalEntry = async (tx, companyId, original, reversalData, reversedBy) => {
+  const { entryDate, description } = reversalData;
+
+  await tx.$queryRaw`SELECT id FROM "JournalEntry" WHERE id = ${original.id} FOR UPDATE`;
+
+  const existingReversal = await tx.journalEntry.findFirst({
+    where: {
+      companyId,
+      referenceType: REFERENCE_TYPES.JOURNAL_REVERSAL,
+      referenceId: original.id
+    }
+  });
+
+  if (existingReversal) {
+    throw ApiError.conflict(
+      `Journal entry ${original.entryNumber} was already reversed by ${existingReversal.entryNumber}`
+    );
+  }
+
+  return createPostedEntry(tx, companyId, {
+    entryDate: entryDate || new Date(),
+    entryType: original.entryType,
+    referenceType: REFERENCE_TYPES.JOURNAL_REVERSAL,
+    referenceId: original.id,
+    referenceNumber: original.entryNumber,
+    description: description || `Reversal of ${original.entryNumber}`,
+    lines: original.lines.map((line) => ({
+      accountId: line.accountId,
+      transactionType: line.transactionType === TRANSACTION_TYPES.DEBIT
+        ? TRANSACTION_TYPES.CREDIT
+        : TRANSACTION_TYPES.DEBIT,
+      amount: line.amount,
+      description: line.description
+    }))
+  }, reversedBy);
+};
+
+/**
+ * Create a draft journal entry
+ * @param {string} companyId - Company ID
+ * @param {Object} entryData - Entry data with lines
+ * @param {string} createdBy - ID of user creating the entry
+ * @returns {Promise<Object>} Created entry
+ */
+export const createJournalEntry = async (companyId, entryData, createdBy) => {
+  const { lines: inputLines, ...header } = entryData;
+
+  const entry = await prisma.$transaction(async (tx) => {
+    await assertEntryPeriodOpen(tx, companyId, header);
+
+    const { lines, totalDebit, totalCredit } = await prepareLines(tx, companyId, inputLines);
+
+    return tx.journalEntry.create({
+      data: {
+        ...header,
+        entryType: header.entryType || JOURNAL_ENTRY_TYPES.MANUAL,
+        companyId,
+        entryNumber: await generateDocumentNumber(
+          tx,
+          companyId,
+          NUMBER_SERIES_TYPES.JOURNAL_ENTRY,
+          header.entryDate
+        ),
+        totalDebit,
+        totalCredit,
+        createdBy,
+        lines: { create: lines }
+      },
+      include: entryInclude
+    });
+  });
+
+  logger.info(`Journal entry created: ${entry.entryNumber} by ${createdBy}`);
+
+  return entry;
+};
+
+/**
+ * Get journal entry by ID
+ * @param {string} companyId - Company ID
+ * @param {string} entryId - Journal entry ID
+ * @returns {Promise<Object>} Journal entry with lines
+ */
+export const getJournalEntryById = async (companyId, entryId) => {
+  const entry = await prisma.journalEntry.findFirst({
+    where: { id: entryId, companyId },
+    include: entryInclude
+  });
+
+  if (!entry) {
+    throw ApiError.notFound('Journal entry not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return entry;
+};
+
+/**
+ * Get journal entries list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Entries list with pagination
+ */
+export const getJournalEntries = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    isPosted,
+    entryType,
+    referenceType,
+    accountId,
+    fromDate,
+    toDate,
+    search,
+    sortBy = 'entryDate',
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (isPosted !== undefined) {
+    where.isPosted = isPosted;
+  }
+
+  if (entryType) {
+    where.entryType = entryType;
+  }
+
+  if (referenceType) {
+    where.referenceType = referenceType;
+  }
+
+  if (accountId) {
+    where.lines = { some: { accountId } };
+  }
+
+  if (fromDate || toDate) {
+    where.entryDate = {};
+    if (fromDate) where.entryDate.gte = fromDate;
+    if (toDate) where.entryDate.lte = toDate;
+  }
+
+  if (search) {
+    where.OR = [
+      { entryNumber: { contains: search, mode: 'insensitive' } },
+      { referenceNumber: { contains: search, mode: 'insensitive' } },
+      { description: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, entries] = await Promise.all([
+    prisma.journalEntry.count({ where }),
+    prisma.journalEntry.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: sortOrder }, { entryNumber: sortOrder }],
+      include: entryInclude
+    })
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Find a draft entry or throw
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} entryId - Journal entry ID
+ * @returns {Promise<Object>} Draft entry
+ */
+const findDraftEntry = async (tx, companyId, entryId) => {
+  const entry = await tx.journalEntry.findFirst({
+    where: { id: entryId, companyId }
+  });
+
+  if (!entry) {
+    throw ApiError.notFound('Journal entry not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (entry.isPosted) {
+    throw ApiError.badRequest(
+      'Posted journal entries cannot be modified; reverse the entry instead',
+      ERROR_CODES.JOURNAL_ALREADY_POSTED
+    );
+  }
+
+  return entry;
+};
+
+/**
+ * Update a draft journal entry
+ * When lines are provided they replace the existing lines
+ * @param {string} companyId - Company ID
+ * @param {string} entryId - Journal entry ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated entry
+ */
+export const updateJournalEntry = async (companyId, entryId, updateData, updatedBy) => {
+  const { lines: inputLines, ...header } = updateData;
+
+  const entry = await prisma.$transaction(async (tx) => {
+    const draft = await findDraftEntry(tx, companyId, entryId);
+
+    if (header.entryDate || header.entryType) {
+      await assertEntryPeriodOpen(tx, companyId, { ...draft, ...header });
+    }
+
+    const data = { ...header };
+
+    if (inputLines) {
+      const { lines, totalDebit, totalCredit } = await prepareLines(tx, companyId, inputLines);
+
+      await tx.journalLine.deleteMany({ where: { entryId } });
+
+      data.totalDebit = totalDebit;
+      data.totalCredit = totalCredit;
+      data.lines = { create: lines };
+    }
+
+    return tx.journalEntry.update({
+      where: { id: entryId },
+      data,
+      include: entryInclude
+    });
+  });
+
+  logger.info(`Journal entry updated: ${entry.entryNumber} by ${updatedBy}`);
+
+  return entry;
+};
+
+/**
+ * Delete a draft journal entry
+ * @param {string} companyId - Company ID
+ * @param {string} entryId - Journal entry ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ * @returns {Promise<void>}
+ */
+export const deleteJournalEntry = async (companyId, entryId, deletedBy) => {
+  const entry = await findDraftEntry(prisma, companyId, entryId);
+
+  await prisma.journalEntry.delete({
+    where: { id: entryId }
+  });
+
+  logger.info(`Journal entry deleted: ${entry.entryNumber} by ${deletedBy}`);
+};
+
+/**
+ * Post a draft journal entry to the ledger
+ * Rejects unbalanced entries and updates account balances atomically
+ * @param {string} companyId - Company ID
+ * @param {string} entryId - Journal entry ID
+ * @param {string} postedBy - ID of user posting the entry
+ * @returns {Promise<Object>} Posted entry
+ */
+export const postJournalEntry = async (companyId, entryId, postedBy) => {
+  const entry = await prisma.$transaction(async (tx) => {
+    const draft = await findDraftEntry(tx, companyId, entryId);
+
+    await assertEntryPeriodOpen(tx, companyId, draft);
+
+    const existingLines = await tx.journalLine.findMany({ where: { entryId } });
+    const { totalDebit, totalCredit } = await prepareLines(tx, companyId, existingLines);
+
+    assertBalanced(totalDebit, totalCredit);
+
+    // Guard against a concurrent post of the same entry
+    const { count } = await tx.journalEntry.updateMany({
+      where: { id: entryId, isPosted: false },
+      data: {
+        isPosted: true,
+        postedAt: new Date(),
+        totalDebit,
+        totalCredit
+      }
+    });
+
+    if (count === 0) {
+      throw ApiError.conflict(
+        `Journal entry ${draft.entryNumber} has already been posted`,
+        ERROR_CODES.JOURNAL_ALREADY_POSTED
+      );
+    }
+
+    await applyLineBalances(tx, existingLines);
+
+    return tx.journalEntry.findUnique({
+      where: { id: entryId },
+      include: entryInclude
+    });
+  });
+
+  logger.info(`Journal entry posted: ${entry.entryNumber} by ${postedBy}`);
+
+  return entry;
+};
+
+/**
+ * Reverse a posted journal entry
+ * Creates and posts a new entry with every line's side swapped
+ * @param {string} companyId - Company ID
+ * @param {string} entryId - Journal entry ID
+ * @param {Object} reversalData - Optional reversal date and description
+ * @param {string} reversedBy - ID of user reversing the entry
+ * @returns {Promise<Object>} Reversal entry
+ */
+export const reverseJournalEntry = async (companyId, entryId, reversalData, reversedBy) => {
+  const reversal = await prisma.$transaction(async (tx) => {
+    const original = await tx.journalEntry.findFirst({
+      where: { id: entryId, companyId },
+      include: { lines: true }
+    });
+
+    if (!original) {
+      throw ApiError.notFound('Journal entry not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+    }
+
+    if (!original.isPosted) {
+      throw ApiError.badRequest('Only posted journal entries can be reversed; delete the draft instead');
+    }
+
+    if (original.referenceType === REFERENCE_TYPES.JOURNAL_REVERSAL) {
+      throw ApiError.badRequest('A reversal entry cannot itself be reversed');
+    }
+
+    if (original.referenceType === REFERENCE_TYPES.YEAR_END_CLOSE) {
+      throw ApiError.badRequest('Year-end closing entries cannot be reversed');
+    }
+
+    if (DOCUMENT_REFERENCE_TYPES.includes(original.referenceType)) {
+      throw ApiError.badRequest(
+        `Journal entry ${original.entryNumber} was generated from ${original.referenceNumber}; void or adjust it there instead`
+      );
+    }
+
+    return createReversalEntry(tx, companyId, original, reversalData, reversedBy);
+  });
+
+  logger.info(`Journal entry reversed: ${reversal.referenceNumber} by ${reversal.entryNumber} (${reversedBy})`);
+
+  return reversal;
+};
+
+export default {
+  createPostedEntry,
+  createReversalEntry,
+  createJournalEntry,
+  getJournalEntryById,
+  getJournalEntries,
+  updateJournalEntry,
+  deleteJournalEntry,
+  postJournalEntry,
+  reverseJournalEntry
+};
@@ -0,0 +1,230 @@
+/**
+ * Number Series Service
+ * Configurable per-company document numbering
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { NUMBER_SERIES_TYPES, ERROR_CODES } from '../config/constants.js';
+import { DEFAULT_NUMBER_SERIES } from '../config/numberSeries.js';
+import { getFormatError, getSeriesPeriod, formatDocumentNumber } from '../utils/numberGenerator.js';
+import { getNextSequenceValue } from './sequence.service.js';
+import logger from '../config/logger.js';
+
+const seriesSelect = {
+  documentType: true,
+  prefix: true,
+  format: true,
+  padding: true,
+  resetFrequency: true,
+  updatedAt: true,
+  updatedBy: true
+};
+
+/**
+ * Counter key of a series period, e.g. "INVOICE:2024-25"
+ * @param {string} documentType - Document type
+ * @param {string|null} period - Period key from getSeriesPeriod
+ * @returns {string} NumberSequence key
+ */
+const getSequenceKey = (documentType, period) => (period ? `${documentType}:${period}` : documentType);
+
+/**
+ * Get the company's series for a document type, falling back to the default
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Document type
+ * @returns {Promise<Object>} Series with an isDefault flag
+ */
+const resolveSeries = async (client, companyId, documentType) => {
+  const series = await client.numberSeries.findUnique({
+    where: {
+      companyId_documentType: {
+        companyId,
+        documentType
+      }
+    },
+    select: seriesSelect
+  });
+
+  return series
+    ? { ...series, isDefault: false }
+    : { documentType, ...DEFAULT_NUMBER_SERIES[documentType], isDefault: true };
+};
+
+/**
+ * Get the company fiscal year start used by {FY} tokens and yearly resets
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Date>} Fiscal year start
+ */
+const getFiscalYearStart = async (client, companyId) => {
+  const company = await client.company.findUnique({
+    where: { id: companyId },
+    select: { fiscalYearStart: true }
+  });
+
+  if (!company) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return company.fiscalYearStart;
+};
+
+/**
+ * Attach the number the next document dated `date` would receive
+ * @param {Object} series - Resolved series
+ * @param {Date} fiscalYearStart - Company fiscal year start
+ * @param {Date|string} date - Document date
+ * @param {Map<string, number>} counters - Last values by sequence key
+ * @returns {Object} Series with nextNumber
+ */
+const withNextNumber = (series, fiscalYearStart, date, counters) => {
+  const period = getSeriesPeriod(series.resetFrequency, date, fiscalYearStart);
+  const lastValue = counters.get(getSequenceKey(series.documentType, period)) || 0;
+
+  return {
+    ...series,
+    currentPeriod: period,
+    nextNumber: formatDocumentNumber(series, lastValue + 1, date, fiscalYearStart)
+  };
+};
+
+/**
+ * Load current counter values for a set of series
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} seriesList - Resolved series
+ * @param {Date} fiscalYearStart - Company fiscal year start
+ * @param {Date|string} date - Document date
+ * @returns {Promise<Map<string, number>>} Last values by sequence key
+ */
+const getCounters = async (companyId, seriesList, fiscalYearStart, date) => {
+  const keys = seriesList.map((series) => getSequenceKey(
+    series.documentType,
+    getSeriesPeriod(series.resetFrequency, date, fiscalYearStart)
+  ));
+
+  const sequences = await prisma.numberSequence.findMany({
+    where: { companyId, key: { in: keys } },
+    select: { key: true, lastValue: true }
+  });
+
+  return new Map(sequences.map((sequence) => [sequence.key, sequence.lastValue]));
+};
+
+/**
+ * Reserve the next document number of a series
+ * Must run inside the transaction that creates the document: the counter
+ * row stays locked until commit and a rollback releases the number, so
+ * concurrent documents are numbered one after another without gaps
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Document type from NUMBER_SERIES_TYPES
+ * @param {Date|string} [date] - Document date (selects the reset period)
+ * @returns {Promise<string>} Document number
+ */
+export const generateDocumentNumber = async (tx, companyId, documentType, date = new Date()) => {
+  const series = await resolveSeries(tx, companyId, documentType);
+  const fiscalYearStart = await getFiscalYearStart(tx, companyId);
+  const period = getSeriesPeriod(series.resetFrequency, date, fiscalYearStart);
+
+  const sequence = await getNextSequenceValue(tx, companyId, getSequenceKey(documentType, period));
+
+  return formatDocumentNumber(series, sequence, date, fiscalYearStart);
+};
+
+/**
+ * Get every document number series of a company
+ * @param {string} companyId - Company ID
+ * @param {Object} [options] - { date } used to preview the next numbers
+ * @returns {Promise<Array>} Series with the next number for each type
+ */
+export const getNumberSeries = async (companyId, options = {}) => {
+  const { date = new Date() } = options;
+
+  const [fiscalYearStart, configured] = await Promise.all([
+    getFiscalYearStart(prisma, companyId),
+    prisma.numberSeries.findMany({
+      where: { companyId },
+      select: seriesSelect
+    })
+  ]);
+
+  const configuredByType = new Map(configured.map((series) => [series.documentType, series]));
+  const seriesList = Object.values(NUMBER_SERIES_TYPES).map((documentType) => (
+    configuredByType.has(documentType)
+      ? { ...configuredByType.get(documentType), isDefault: false }
+      : { documentType, ...DEFAULT_NUMBER_SERIES[documentType], isDefault: true }
+  ));
+
+  const counters = await getCounters(companyId, seriesList, fiscalYearStart, date);
+
+  return seriesList.map((series) => withNextNumber(series, fiscalYearStart, date, counters));
+};
+
+/**
+ * Get the number series of one document type
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Document type
+ * @param {Object} [options] - { date } used to preview the next number
+ * @returns {Promise<Object>} Series with the next number
+ */
+export const getNumberSeriesByType = async (companyId, documentType, options = {}) => {
+  const { date = new Date() } = options;
+
+  const [fiscalYearStart, series] = await Promise.all([
+    getFiscalYearStart(prisma, companyId),
+    resolveSeries(prisma, companyId, documentType)
+  ]);
+
+  const counters = await getCounters(companyId, [series], fiscalYearStart, date);
+
+  return withNextNumber(series, fiscalYearStart, date, counters);
+};
+
+/**
+ * Configure the number series of a document type
+ * Changing the reset rule starts new counters; existing numbers are kept
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Document type
+ * @param {Object} seriesData - { prefix, format, padding, resetFrequency }
+ * @param {string} updatedBy - ID of user updating the series
+ * @returns {Promise<Object>} Updated series with the next number
+ */
+export const updateNumberSeries = async (companyId, documentType, seriesData, updatedBy) => {
+  const current = await resolveSeries(prisma, companyId, documentType);
+
+  const series = {
+    prefix: seriesData.prefix ?? current.prefix,
+    format: seriesData.format ?? current.format,
+    padding: seriesData.padding ?? current.padding,
+    resetFrequency: seriesData.resetFrequency ?? current.resetFrequency
+  };
+
+  const formatError = getFormatError(series.format, series.resetFrequency);
+  if (formatError) {
+    throw ApiError.badRequest(formatError, ERROR_CODES.VALIDATION_INVALID_FORMAT);
+  }
+
+  await prisma.numberSeries.upsert({
+    where: {
+      companyId_documentType: {
+        companyId,
+        documentType
+      }
+    },
+    create: { ...series, companyId, documentType, updatedBy },
+    update: { ...series, updatedBy }
+  });
+
+  logger.info(`Number series updated: ${documentType} for company ${companyId} by ${updatedBy}`);
+
+  return getNumberSeriesByType(companyId, documentType);
+};
+
+export default {
+  generateDocumentNumber,
+  getNumberSeries,
+  getNumberSeriesByType,
+  updateNumberSeries
+};
@@ -0,0 +1,1325 @@
+/**
+ * Posting Service
+ * Generates ledger entries from sales, purchase and payment documents
+ * and closes fiscal years into retained earnings
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  ACCOUNT_TYPES,
+  ACCOUNT_MAPPING_KEYS,
+  DOCUMENT_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  TRANSACTION_TYPES,
+  JOURNAL_ENTRY_TYPES,
+  REFERENCE_TYPES,
+  FISCAL_PERIOD_STATUS,
+  PRODUCT_TYPES,
+  STOCK_MOVEMENT_TYPES,
+  ERROR_CODES
+} from '../config/constants.js';
+import { createPostedEntry, createReversalEntry } from './journal.service.js';
+import { getBalanceChange, isDebitNormal } from './account.service.js';
+import { getBundleIssueMovements } from './bundle.service.js';
+import { recordStockMovements, reverseStockMovements, getDefaultWarehouse } from './stock.service.js';
+import { calculateLineAmounts } from '../utils/documentTotals.js';
+import { getFiscalYearBounds, getFiscalYearLabel } from '../utils/fiscalYear.js';
+import logger from '../config/logger.js';
+
+const { DEBIT, CREDIT } = TRANSACTION_TYPES;
+
+/**
+ * Account type each mapping key must point to
+ */
+const MAPPING_ACCOUNT_TYPES = {
+  [ACCOUNT_MAPPING_KEYS.ACCOUNTS_RECEIVABLE]: ACCOUNT_TYPES.ASSET,
+  [ACCOUNT_MAPPING_KEYS.ACCOUNTS_PAYABLE]: ACCOUNT_TYPES.LIABILITY,
+  [ACCOUNT_MAPPING_KEYS.SALES]: ACCOUNT_TYPES.REVENUE,
+  [ACCOUNT_MAPPING_KEYS.PURCHASES]: ACCOUNT_TYPES.EXPENSE,
+  [ACCOUNT_MAPPING_KEYS.TAX_PAYABLE]: ACCOUNT_TYPES.LIABILITY,
+  [ACCOUNT_MAPPING_KEYS.TAX_RECEIVABLE]: ACCOUNT_TYPES.ASSET,
+  [ACCOUNT_MAPPING_KEYS.CASH]: ACCOUNT_TYPES.ASSET,
+  [ACCOUNT_MAPPING_KEYS.BANK]: ACCOUNT_TYPES.ASSET,
+  [ACCOUNT_MAPPING_KEYS.RETAINED_EARNINGS]: ACCOUNT_TYPES.EQUITY,
+  [ACCOUNT_MAPPING_KEYS.INVENTORY]: ACCOUNT_TYPES.ASSET,
+  [ACCOUNT_MAPPING_KEYS.INVENTORY_ADJUSTMENT]: ACCOUNT_TYPES.EXPENSE,
+  [ACCOUNT_MAPPING_KEYS.COST_OF_GOODS_SOLD]: ACCOUNT_TYPES.EXPENSE,
+  [ACCOUNT_MAPPING_KEYS.GOODS_RECEIVED_NOT_INVOICED]: ACCOUNT_TYPES.LIABILITY,
+  [ACCOUNT_MAPPING_KEYS.OPENING_BALANCE_EQUITY]: ACCOUNT_TYPES.EQUITY,
+  [ACCOUNT_MAPPING_KEYS.PURCHASE_PRICE_VARIANCE]: ACCOUNT_TYPES.EXPENSE
+};
+
+const entryInclude = {
+  lines: {
+    include: {
+      account: {
+        select: {
+          id: true,
+          accountNumber: true,
+          accountName: true,
+          accountType: true
+        }
+      }
+    }
+  }
+};
+
+const mappedAccountSelect = {
+  id: true,
+  accountNumber: true,
+  accountName: true,
+  accountType: true,
+  isActive: true
+};
+
+/**
+ * Amount of a document excluding tax
+ * @param {Object} document - Document with total and taxAmount
+ * @returns {Prisma.Decimal} Net amount
+ */
+const netOfTax = (document) => new Prisma.Decimal(document.total).minus(document.taxAmount);
+
+/**
+ * Stock value of a purchase document that moved no stock
+ */
+const NO_STOCK_VALUE = { lineValue: new Prisma.Decimal(0), costValue: new Prisma.Decimal(0) };
+
+/**
+ * Journal line for an amount that may fall on either side, such as a
+ * price variance. Negative amounts are posted to the opposite side
+ * @param {string} key - Account mapping key
+ * @param {string} transactionType - Side for a positive amount
+ * @param {Prisma.Decimal} amount - Signed amount
+ * @returns {Object} Journal line
+ */
+const signedLine = (key, transactionType, amount) => {
+  const value = new Prisma.Decimal(amount);
+
+  if (!value.isNegative()) {
+    return { key, transactionType, amount: value };
+  }
+
+  return { key, transactionType: transactionType === DEBIT ? CREDIT : DEBIT, amount: value.negated() };
+};
+
+/**
+ * Value net of tax of a purchase document's stocked lines at document
+ * price, never more than the document's own net amount
+ * @param {Object} document - Purchase return
+ * @param {Array<Object>} items - Stocked lines with quantity, unitPrice,
+ * taxRate and discountAmount
+ * @returns {Prisma.Decimal} Value of the lines
+ */
+const getStockedLineValue = (document, items) => {
+  const lineValue = items.reduce((sum, item) => {
+    const { grossAmount, discountAmount } = calculateLineAmounts(item);
+    return sum.plus(grossAmount.minus(discountAmount));
+  }, new Prisma.Decimal(0));
+
+  return Prisma.Decimal.min(lineValue, netOfTax(document));
+};
+
+/**
+ * Cash or bank account key for a payment method
+ * @param {string} paymentMethod - Payment method
+ * @returns {string} Account mapping key
+ */
+const getSettlementKey = (paymentMethod) => (
+  paymentMethod === PAYMENT_METHODS.CASH
+    ? ACCOUNT_MAPPING_KEYS.CASH
+    : ACCOUNT_MAPPING_KEYS.BANK
+);
+
+/**
+ * Payment status for a document after a settlement change
+ * @param {Object} document - Invoice or bill with paidAmount and balanceAmount
+ * @returns {string} Payment status
+ */
+const getPaymentStatus = (document) => {
+  if (new Prisma.Decimal(document.paidAmount).lte(0)) {
+    return PAYMENT_STATUS.PENDING;
+  }
+
+  return new Prisma.Decimal(document.balanceAmount).lte(0)
+    ? PAYMENT_STATUS.PAID
+    : PAYMENT_STATUS.PARTIAL;
+};
+
+/**
+ * Apply a receipt or payment to the invoice or bill it settles
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} model - 'invoice' or 'bill'
+ * @param {string} targetId - Invoice or bill ID
+ * @param {Prisma.Decimal} amount - Signed amount to apply
+ */
+const applySettlement = async (tx, model, targetId, amount) => {
+  const target = await tx[model].update({
+    where: { id: targetId },
+    data: {
+      paidAmount: { increment: amount },
+      balanceAmount: { decrement: amount }
+    }
+  });
+
+  if (new Prisma.Decimal(target.balanceAmount).isNegative()) {
+    throw ApiError.badRequest(
+      `Amount exceeds the outstanding balance of ${model} ${target[`${model}Number`]}`,
+      ERROR_CODES.INVOICE_ALREADY_PAID
+    );
+  }
+
+  await tx[model].update({
+    where: { id: targetId },
+    data: { paymentStatus: getPaymentStatus(target) }
+  });
+};
+
+/**
+ * Ensure a receipt or payment settles an approved document of the same party
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} model - 'invoice' or 'bill'
+ * @param {string} partyField - 'customerId' or 'vendorId'
+ * @param {Object} settlement - Receipt or payment
+ * @param {string} targetId - Invoice or bill ID
+ */
+const assertSettlementTarget = async (tx, model, partyField, settlement, targetId) => {
+  const target = await tx[model].findFirst({
+    where: { id: targetId, companyId: settlement.companyId }
+  });
+
+  if (!target || target[partyField] !== settlement[partyField]) {
+    throw ApiError.badRequest(`Linked ${model} does not belong to the same party`);
+  }
+
+  if (![DOCUMENT_STATUS.APPROVED, DOCUMENT_STATUS.SENT].includes(target.status)) {
+    throw ApiError.badRequest(
+      `Linked ${model} ${target[`${model}Number`]} must be approved before it can be settled`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+};
+
+/**
+ * Issue the stock sold on an invoice from the default warehouse, or put
+ * it back when the invoice is voided. Bundles issue their components and
+ * hold no stock of their own. Serial-tracked items issue the units listed
+ * on the invoice, or on its delivery challan when the invoice lists none
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} invoice - Invoice
+ * @param {number} sign - +1 on approval, -1 on void
+ * @param {string} actorId - ID of user approving or voiding
+ * @returns {Promise<Prisma.Decimal>} Cost of the goods issued (zero on void)
+ */
+const applyInvoiceStock = async (tx, invoice, sign, actorId) => {
+  const reference = {
+    referenceType: REFERENCE_TYPES.INVOICE,
+    referenceId: invoice.id,
+    referenceNumber: invoice.invoiceNumber
+  };
+
+  if (sign < 0) {
+    await reverseStockMovements(tx, invoice.companyId, {
+      ...reference,
+      movementTypes: [STOCK_MOVEMENT_TYPES.SALE]
+    }, actorId);
+    return new Prisma.Decimal(0);
+  }
+
+  const stockItems = await tx.invoiceItem.findMany({
+    where: {
+      invoiceId: invoice.id,
+      product: { OR: [{ type: PRODUCT_TYPES.BUNDLE }, { trackInventory: true }] }
+    },
+    select: {
+      productId: true,
+      quantity: true,
+      serialNumbers: true,
+      product: { select: { sku: true, type: true, trackSerials: true } }
+    }
+  });
+
+  if (stockItems.length === 0) {
+    return new Prisma.Decimal(0);
+  }
+
+  const warehouse = await getDefaultWarehouse(tx, invoice.companyId);
+  const challanSerials = new Map();
+  const movements = [];
+
+  if (invoice.challanId) {
+    const challanItems = await tx.deliveryChallanItem.findMany({
+      where: { challanId: invoice.challanId },
+      select: { productId: true, serialNumbers: true }
+    });
+
+    for (const item of challanItems) {
+      challanSerials.set(item.productId, [
+        ...(challanSerials.get(item.productId) || []),
+        ...item.serialNumbers
+      ]);
+    }
+  }
+
+  for (const item of stockItems) {
+    if (item.product.type === PRODUCT_TYPES.BUNDLE) {
+      movements.push(...await getBundleIssueMovements(tx, invoice.companyId, {
+        ...reference,
+        movementDate: invoice.invoiceDate,
+        bundleId: item.productId,
+        quantity: item.quantity,
+        warehouseId: warehouse.id
+      }));
+      continue;
+    }
+
+    const quantity = new Prisma.Decimal(item.quantity);
+
+    if (!quantity.isInteger()) {
+      throw ApiError.badRequest(`Product ${item.product.sku} must be sold in whole units`);
+    }
+
+    movements.push({
+      ...reference,
+      movementDate: invoice.invoiceDate,
+      productId: item.productId,
+      warehouseId: warehouse.id,
+      movementType: STOCK_MOVEMENT_TYPES.SALE,
+      quantity: -quantity.toNumber(),
+      ...(item.product.trackSerials && {
+        serialNumbers: item.serialNumbers.length > 0
+          ? item.serialNumbers
+          : (challanSerials.get(item.productId) || []).splice(0, quantity.toNumber())
+      })
+    });
+  }
+
+  const recorded = await recordStockMovements(tx, invoice.companyId, movements, actorId);
+
+  return recorded.reduce((sum, movement) => sum.plus(movement.totalValue), new Prisma.Decimal(0));
+};
+
+/**
+ * Take the stock on a sales return back into the default warehouse, or
+ * issue it again when the return is voided. Goods come back at the cost
+ * they were sold at on the original invoice, or at purchase price when
+ * the return has no invoice. Serial-tracked items return the units
+ * listed on the return
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} salesReturn - Sales return
+ * @param {number} sign - +1 on approval, -1 on void
+ * @param {string} actorId - ID of user approving or voiding
+ * @returns {Promise<Prisma.Decimal>} Cost of the goods returned (zero on void)
+ */
+const applySalesReturnStock = async (tx, salesReturn, sign, actorId) => {
+  const reference = {
+    referenceType: REFERENCE_TYPES.SALES_RETURN,
+    referenceId: salesReturn.id,
+    referenceNumber: salesReturn.returnNumber
+  };
+
+  if (sign < 0) {
+    await reverseStockMovements(tx, salesReturn.companyId, {
+      ...reference,
+      movementTypes: [STOCK_MOVEMENT_TYPES.RETURN]
+    }, actorId);
+    return new Prisma.Decimal(0);
+  }
+
+  const stockItems = await tx.salesReturnItem.findMany({
+    where: {
+      returnId: salesReturn.id,
+      product: { OR: [{ type: PRODUCT_TYPES.BUNDLE }, { trackInventory: true }] }
+    },
+    select: {
+      productId: true,
+      quantity: true,
+      serialNumbers: true,
+      product: { select: { sku: true, type: true, trackSerials: true } }
+    }
+  });
+
+  if (stockItems.length === 0) {
+    return new Prisma.Decimal(0);
+  }
+
+  const warehouse = await getDefaultWarehouse(tx, salesReturn.companyId);
+  const movements = [];
+
+  for (const item of stockItems) {
+    if (item.product.type === PRODUCT_TYPES.BUNDLE) {
+      const components = await getBundleIssueMovements(tx, salesReturn.companyId, {
+        ...reference,
+        movementDate: salesReturn.returnDate,
+        bundleId: item.productId,
+        quantity: item.quantity,
+        warehouseId: warehouse.id
+      });
+
+      movements.push(...components.map((component) => ({
+        ...component,
+        movementType: STOCK_MOVEMENT_TYPES.RETURN,
+        quantity: -component.quantity
+      })));
+      continue;
+    }
+
+    const quantity = new Prisma.Decimal(item.quantity);
+
+    if (!quantity.isInteger()) {
+      throw ApiError.badRequest(`Product ${item.product.sku} must be returned in whole units`);
+    }
+
+    movements.push({
+      ...reference,
+      movementDate: salesReturn.returnDate,
+      productId: item.productId,
+      warehouseId: warehouse.id,
+      movementType: STOCK_MOVEMENT_TYPES.RETURN,
+      quantity: quantity.toNumber(),
+      ...(item.product.trackSerials && { serialNumbers: item.serialNumbers })
+    });
+  }
+
+  const productIds = [...new Set(movements.map((movement) => movement.productId))];
+  const unitCosts = new Map((await tx.product.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true, purchasePrice: true }
+  })).map((product) => [product.id, new Prisma.Decimal(product.purchasePrice)]));
+
+  if (salesReturn.invoiceId) {
+    const sales = await tx.stockMovement.groupBy({
+      by: ['productId'],
+      where: {
+        companyId: salesReturn.companyId,
+        referenceType: REFERENCE_TYPES.INVOICE,
+        referenceId: salesReturn.invoiceId,
+        movementType: STOCK_MOVEMENT_TYPES.SALE,
+        productId: { in: productIds },
+        quantity: { lt: 0 }
+      },
+      _sum: { quantity: true, totalValue: true }
+    });
+
+    for (const sale of sales) {
+      unitCosts.set(sale.productId, new Prisma.Decimal(sale._sum.totalValue).div(-sale._sum.quantity));
+    }
+  }
+
+  const recorded = await recordStockMovements(tx, salesReturn.companyId, movements.map((movement) => ({
+    ...movement,
+    totalValue: unitCosts.get(movement.productId).times(movement.quantity).toDecimalPlaces(2)
+  })), actorId);
+
+  return recorded.reduce((sum, movement) => sum.plus(movement.totalValue), new Prisma.Decimal(0));
+};
+
+/**
+ * Match the stocked lines of a bill to goods received on its purchase
+ * order. Received goods were capitalized at their receipt cost against
+ * goods received not invoiced, so the bill clears that cost for the
+ * quantities it matches; lines billed beyond what was received, or bills
+ * without a purchase order, are expensed as purchases. Earlier approved
+ * bills on the order are matched first
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} bill - Bill
+ * @returns {Promise<Object>} { lineValue, costValue }: the matched lines at
+ * bill price and at receipt cost
+ */
+const getBillStockValue = async (tx, bill) => {
+  if (!bill.purchaseOrderId) {
+    return NO_STOCK_VALUE;
+  }
+
+  const stockItems = await tx.billItem.findMany({
+    where: { billId: bill.id, product: { trackInventory: true } },
+    select: { productId: true, quantity: true, unitPrice: true, taxRate: true, discountAmount: true }
+  });
+
+  if (stockItems.length === 0) {
+    return NO_STOCK_VALUE;
+  }
+
+  // Bills on the same order take turns, so no receipt is matched twice
+  await tx.$queryRaw`SELECT id FROM "PurchaseOrder" WHERE id = ${bill.purchaseOrderId} FOR UPDATE`;
+
+  const productIds = [...new Set(stockItems.map((item) => item.productId))];
+  const receipts = await tx.goodsReceipt.findMany({
+    where: {
+      companyId: bill.companyId,
+      purchaseOrderId: bill.purchaseOrderId,
+      status: DOCUMENT_STATUS.RECEIVED
+    },
+    select: { id: true }
+  });
+
+  const [received, billed] = await Promise.all([
+    tx.stockMovement.groupBy({
+      by: ['productId'],
+      where: {
+        companyId: bill.companyId,
+        referenceType: REFERENCE_TYPES.GOODS_RECEIPT,
+        referenceId: { in: receipts.map((receipt) => receipt.id) },
+        movementType: STOCK_MOVEMENT_TYPES.PURCHASE,
+        productId: { in: productIds }
+      },
+      _sum: { quantity: true, totalValue: true }
+    }),
+    tx.billItem.groupBy({
+      by: ['productId'],
+      where: {
+        productId: { in: productIds },
+        bill: {
+          companyId: bill.companyId,
+          purchaseOrderId: bill.purchaseOrderId,
+          status: DOCUMENT_STATUS.APPROVED,
+          id: { not: bill.id }
+        }
+      },
+      _sum: { quantity: true }
+    })
+  ]);
+
+  const receivedByProduct = new Map(received.map((row) => [row.productId, row._sum]));
+  const billedQty = new Map(billed.map((row) => [row.productId, new Prisma.Decimal(row._sum.quantity || 0)]));
+  let lineValue = new Prisma.Decimal(0);
+  let costValue = new Prisma.Decimal(0);
+
+  for (const item of stockItems) {
+    const receipt = receivedByProduct.get(item.productId);
+    const receivedQty = new Prisma.Decimal(receipt?.quantity || 0);
+    const matchedBefore = Prisma.Decimal.min(billedQty.get(item.productId) || 0, receivedQty);
+    const matched = Prisma.Decimal.min(item.quantity, receivedQty.minus(matchedBefore));
+
+    billedQty.set(item.productId, matchedBefore.plus(item.quantity));
+
+    if (matched.lte(0)) {
+      continue;
+    }
+
+    // Cost the matched units as a share of the receipt value, so the
+    // bills that match an order in full clear exactly what was received
+    const costShare = (quantity) => new Prisma.Decimal(receipt.totalValue)
+      .times(quantity)
+      .div(receivedQty)
+      .toDecimalPlaces(2);
+    const { grossAmount, discountAmount } = calculateLineAmounts(item);
+
+    lineValue = lineValue.plus(
+      grossAmount.minus(discountAmount).times(matched).div(item.quantity).toDecimalPlaces(2)
+    );
+    costValue = costValue.plus(costShare(matchedBefore.plus(matched)).minus(costShare(matchedBefore)));
+  }
+
+  return { lineValue: Prisma.Decimal.min(lineValue, netOfTax(bill)), costValue };
+};
+
+/**
+ * Send the stock on a purchase return back to the vendor from the default
+ * warehouse, or take it in again when the return is voided. Goods leave
+ * at their cost in stock; serial-tracked items send the units listed on
+ * the return
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} purchaseReturn - Purchase return
+ * @param {number} sign - +1 on approval, -1 on void
+ * @param {string} actorId - ID of user approving or voiding
+ * @returns {Promise<Object>} { lineValue, costValue }: the stocked lines at
+ * return price and the cost of the goods issued (zero on void)
+ */
+const applyPurchaseReturnStock = async (tx, purchaseReturn, sign, actorId) => {
+  const reference = {
+    referenceType: REFERENCE_TYPES.PURCHASE_RETURN,
+    referenceId: purchaseReturn.id,
+    referenceNumber: purchaseReturn.returnNumber
+  };
+
+  if (sign < 0) {
+    await reverseStockMovements(tx, purchaseReturn.companyId, {
+      ...reference,
+      movementTypes: [STOCK_MOVEMENT_TYPES.RETURN]
+    }, actorId);
+    return NO_STOCK_VALUE;
+  }
+
+  const stockItems = await tx.purchaseReturnItem.findMany({
+    where: { returnId: purchaseReturn.id, product: { trackInventory: true } },
+    select: {
+      productId: true,
+      quantity: true,
+      unitPrice: true,
+      taxRate: true,
+      discountAmount: true,
+      serialNumbers: true,
+      product: { select: { sku: true, trackSerials: true } }
+    }
+  });
+
+  if (stockItems.length === 0) {
+    return NO_STOCK_VALUE;
+  }
+
+  const warehouse = await getDefaultWarehouse(tx, purchaseReturn.companyId);
+
+  const movements = stockItems.map((item) => {
+    const quantity = new Prisma.Decimal(item.quantity);
+
+    if (!quantity.isInteger()) {
+      throw ApiError.badRequest(`Product ${item.product.sku} must be returned in whole units`);
+    }
+
+    return {
+      ...reference,
+      movementDate: purchaseReturn.returnDate,
+      productId: item.productId,
+      warehouseId: warehouse.id,
+      movementType: STOCK_MOVEMENT_TYPES.RETURN,
+      quantity: -quantity.toNumber(),
+      ...(item.product.trackSerials && { serialNumbers: item.serialNumbers })
+    };
+  });
+
+  const recorded = await recordStockMovements(tx, purchaseReturn.companyId, movements, actorId);
+
+  return {
+    lineValue: getStockedLineValue(purchaseReturn, stockItems),
+    costValue: recorded.reduce((sum, movement) => sum.plus(movement.totalValue), new Prisma.Decimal(0))
+  };
+};
+
+/**
+ * Posting rules per document type
+ * Each definition describes how to find the document, which statuses it
+ * moves between, the journal lines it produces and its effect on party
+ * balances. `applyBalances` receives +1 on approval and -1 on void, as
+ * does the optional `applyStock` for documents that move stock. On
+ * approval `applyStock` runs first and the stock value it returns is
+ * passed to `buildLines`: the cost of goods for sales documents, the
+ * stocked lines at document price and at cost for purchase documents.
+ * Documents whose stock is moved by another document give that value
+ * through `getStockValue` instead.
+ */
+const DOCUMENT_DEFINITIONS = {
+  [REFERENCE_TYPES.INVOICE]: {
+    model: 'invoice',
+    label: 'Invoice',
+    numberField: 'invoiceNumber',
+    dateField: 'invoiceDate',
+    party: 'customer',
+    approveFrom: [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.PENDING_APPROVAL],
+    approvedData: (invoice) => ({
+      status: DOCUMENT_STATUS.APPROVED,
+      balanceAmount: new Prisma.Decimal(invoice.total).minus(invoice.paidAmount)
+    }),
+    voidFrom: [DOCUMENT_STATUS.APPROVED, DOCUMENT_STATUS.SENT],
+    voidedData: () => ({ status: DOCUMENT_STATUS.VOID }),
+    buildLines: (invoice, costOfGoods = 0) => [
+      { key: ACCOUNT_MAPPING_KEYS.ACCOUNTS_RECEIVABLE, transactionType: DEBIT, amount: invoice.total },
+      { key: ACCOUNT_MAPPING_KEYS.SALES, transactionType: CREDIT, amount: netOfTax(invoice) },
+      { key: ACCOUNT_MAPPING_KEYS.TAX_PAYABLE, transactionType: CREDIT, amount: invoice.taxAmount },
+      { key: ACCOUNT_MAPPING_KEYS.COST_OF_GOODS_SOLD, transactionType: DEBIT, amount: costOfGoods },
+      { key: ACCOUNT_MAPPING_KEYS.INVENTORY, transactionType: CREDIT, amount: costOfGoods }
+    ],
+    assertVoidable: (invoice) => {
+      if (new Prisma.Decimal(invoice.paidAmount).gt(0)) {
+        throw ApiError.badRequest(
+          `Invoice ${invoice.invoiceNumber} has receipts applied; void them first`
+        );
+      }
+    },
+    applyBalances: (tx, invoice, sign) => tx.customer.update({
+      where: { id: invoice.customerId },
+      data: { currentBalance: { increment: new Prisma.Decimal(invoice.total).times(sign) } }
+    }),
+    applyStock: applyInvoiceStock
+  },
+
+  [REFERENCE_TYPES.SALES_RETURN]: {
+    model: 'salesReturn',
+    label: 'Sales return',
+    numberField: 'returnNumber',
+    dateField: 'returnDate',
+    party: 'customer',
+    approveFrom: [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.PENDING_APPROVAL],
+    approvedData: (salesReturn, approvedBy) => ({
+      status: DOCUMENT_STATUS.APPROVED,
+      approvedBy,
+      approvedAt: new Date()
+    }),
+    voidFrom: [DOCUMENT_STATUS.APPROVED, DOCUMENT_STATUS.COMPLETED],
+    voidedData: () => ({ status: DOCUMENT_STATUS.VOID }),
+    buildLines: (salesReturn, costOfGoods = 0) => [
+      { key: ACCOUNT_MAPPING_KEYS.SALES, transactionType: DEBIT, amount: netOfTax(salesReturn) },
+      { key: ACCOUNT_MAPPING_KEYS.TAX_PAYABLE, transactionType: DEBIT, amount: salesReturn.taxAmount },
+      { key: ACCOUNT_MAPPING_KEYS.ACCOUNTS_RECEIVABLE, transactionType: CREDIT, amount: salesReturn.total },
+      { key: ACCOUNT_MAPPING_KEYS.INVENTORY, transactionType: DEBIT, amount: costOfGoods },
+      { key: ACCOUNT_MAPPING_KEYS.COST_OF_GOODS_SOLD, transactionType: CREDIT, amount: costOfGoods }
+    ],
+    applyBalances: (tx, salesReturn, sign) => tx.customer.update({
+      where: { id: salesReturn.customerId },
+      data: { currentBalance: { decrement: new Prisma.Decimal(salesReturn.total).times(sign) } }
+    }),
+    applyStock: applySalesReturnStock
+  },
+
+  [REFERENCE_TYPES.RECEIPT]: {
+    model: 'receipt',
+    label: 'Receipt',
+    numberField: 'receiptNumber',
+    dateField: 'receiptDate',
+    party: 'customer',
+    approveFrom: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PAID],
+    approvedData: () => ({ status: PAYMENT_STATUS.PAID }),
+    voidFrom: [PAYMENT_STATUS.PAID],
+    voidedData: () => ({ status: PAYMENT_STATUS.CANCELLED }),
+    buildLines: (receipt) => [
+      { key: getSettlementKey(receipt.paymentMethod), transactionType: DEBIT, amount: receipt.amount },
+      { key: ACCOUNT_MAPPING_KEYS.ACCOUNTS_RECEIVABLE, transactionType: CREDIT, amount: receipt.amount }
+    ],
+    assertApprovable: async (tx, receipt) => {
+      if (receipt.invoiceId) {
+        await assertSettlementTarget(tx, 'invoice', 'customerId', receipt, receipt.invoiceId);
+      }
+    },
+    applyBalances: async (tx, receipt, sign) => {
+      const amount = new Prisma.Decimal(receipt.amount).times(sign);
+
+      await tx.customer.update({
+        where: { id: receipt.customerId },
+        data: { currentBalance: { decrement: amount } }
+      });
+
+      if (receipt.invoiceId) {
+        await applySettlement(tx, 'invoice', receipt.invoiceId, amount);
+      }
+    }
+  },
+
+  [REFERENCE_TYPES.BILL]: {
+    model: 'bill',
+    label: 'Bill',
+    numberField: 'billNumber',
+    dateField: 'billDate',
+    party: 'vendor',
+    approveFrom: [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.PENDING_APPROVAL],
+    approvedData: (bill) => ({
+      status: DOCUMENT_STATUS.APPROVED,
+      balanceAmount: new Prisma.Decimal(bill.total).minus(bill.paidAmount)
+    }),
+    voidFrom: [DOCUMENT_STATUS.APPROVED],
+    voidedData: () => ({ status: DOCUMENT_STATUS.VOID }),
+    buildLines: (bill, { lineValue, costValue } = NO_STOCK_VALUE) => [
+      { key: ACCOUNT_MAPPING_KEYS.PURCHASES, transactionType: DEBIT, amount: netOfTax(bill).minus(lineValue) },
+      { key: ACCOUNT_MAPPING_KEYS.GOODS_RECEIVED_NOT_INVOICED, transactionType: DEBIT, amount: costValue },
+      signedLine(ACCOUNT_MAPPING_KEYS.PURCHASE_PRICE_VARIANCE, DEBIT, lineValue.minus(costValue)),
+      { key: ACCOUNT_MAPPING_KEYS.TAX_RECEIVABLE, transactionType: DEBIT, amount: bill.taxAmount },
+      { key: ACCOUNT_MAPPING_KEYS.ACCOUNTS_PAYABLE, transactionType: CREDIT, amount: bill.total }
+    ],
+    assertVoidable: (bill) => {
+      if (new Prisma.Decimal(bill.paidAmount).gt(0)) {
+        throw ApiError.badRequest(
+          `Bill ${bill.billNumber} has payments applied; void them first`
+        );
+      }
+    },
+    applyBalances: (tx, bill, sign) => tx.vendor.update({
+      where: { id: bill.vendorId },
+      data: { currentBalance: { increment: new Prisma.Decimal(bill.total).times(sign) } }
+    }),
+    getStockValue: getBillStockValue
+  },
+
+  [REFERENCE_TYPES.PURCHASE_RETURN]: {
+    model: 'purchaseReturn',
+    label: 'Purchase return',
+    numberField: 'returnNumber',
+    dateField: 'returnDate',
+    party: 'vendor',
+    approveFrom: [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.PENDING_APPROVAL],
+    approvedData: (purchaseReturn, approvedBy) => ({
+      status: DOCUMENT_STATUS.APPROVED,
+      approvedBy,
+      approvedAt: new Date()
+    }),
+    voidFrom: [DOCUMENT_STATUS.APPROVED, DOCUMENT_STATUS.COMPLETED],
+    voidedData: () => ({ status: DOCUMENT_STATUS.VOID }),
+    buildLines: (purchaseReturn, { lineValue, costValue } = NO_STOCK_VALUE) => [
+      { key: ACCOUNT_MAPPING_KEYS.ACCOUNTS_PAYABLE, transactionType: DEBIT, amount: purchaseReturn.total },
+      { key: ACCOUNT_MAPPING_KEYS.PURCHASES, transactionType: CREDIT, amount: netOfTax(purchaseReturn).minus(lineValue) },
+      { key: ACCOUNT_MAPPING_KEYS.INVENTORY, transactionType: CREDIT, amount: costValue },
+      signedLine(ACCOUNT_MAPPING_KEYS.PURCHASE_PRICE_VARIANCE, CREDIT, lineValue.minus(costValue)),
+      { key: ACCOUNT_MAPPING_KEYS.TAX_RECEIVABLE, transactionType: CREDIT, amount: purchaseReturn.taxAmount }
+    ],
+    applyBalances: (tx, purchaseReturn, sign) => tx.vendor.update({
+      where: { id: purchaseReturn.vendorId },
+      data: { currentBalance: { decrement: new Prisma.Decimal(purchaseReturn.total).times(sign) } }
+    }),
+    applyStock: applyPurchaseReturnStock
+  },
+
+  [REFERENCE_TYPES.PAYMENT]: {
+    model: 'payment',
+    label: 'Payment',
+    numberField: 'paymentNumber',
+    dateField: 'paymentDate',
+    party: 'vendor',
+    approveFrom: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PAID],
+    approvedData: () => ({ status: PAYMENT_STATUS.PAID }),
+    voidFrom: [PAYMENT_STATUS.PAID],
+    voidedData: () => ({ status: PAYMENT_STATUS.CANCELLED }),
+    buildLines: (payment) => [
+      { key: ACCOUNT_MAPPING_KEYS.ACCOUNTS_PAYABLE, transactionType: DEBIT, amount: payment.amount },
+      { key: getSettlementKey(payment.paymentMethod), transactionType: CREDIT, amount: payment.amount }
+    ],
+    assertApprovable: async (tx, payment) => {
+      if (payment.billId) {
+        await assertSettlementTarget(tx, 'bill', 'vendorId', payment, payment.billId);
+      }
+    },
+    applyBalances: async (tx, payment, sign) => {
+      const amount = new Prisma.Decimal(payment.amount).times(sign);
+
+      await tx.vendor.update({
+        where: { id: payment.vendorId },
+        data: { currentBalance: { decrement: amount } }
+      });
+
+      if (payment.billId) {
+        await applySettlement(tx, 'bill', payment.billId, amount);
+      }
+    }
+  }
+};
+
+/**
+ * Get the posting definition for a document type
+ * @param {string} documentType - Reference type, e.g. INVOICE
+ * @returns {Object} Document definition
+ */
+const getDefinition = (documentType) => {
+  const definition = DOCUMENT_DEFINITIONS[documentType];
+
+  if (!definition) {
+    throw ApiError.badRequest(`Documents of type ${documentType} cannot be posted`);
+  }
+
+  return definition;
+};
+
+/**
+ * Find a company document with its party
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} definition - Document definition
+ * @param {string} companyId - Company ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Document
+ */
+const findDocument = async (tx, definition, companyId, documentId) => {
+  const document = await tx[definition.model].findFirst({
+    where: { id: documentId, companyId },
+    include: {
+      [definition.party]: { select: { id: true, name: true } }
+    }
+  });
+
+  if (!document) {
+    throw ApiError.notFound(`${definition.label} not found`, ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return document;
+};
+
+/**
+ * Move a document between statuses, guarding against concurrent changes
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} definition - Document definition
+ * @param {Object} document - Document
+ * @param {Array<string>} fromStatuses - Statuses the document may move from
+ * @param {Object} data - Status and related fields to set
+ * @param {string} action - Action name for error messages
+ */
+const transitionStatus = async (tx, definition, document, fromStatuses, data, action) => {
+  const documentNumber = document[definition.numberField];
+
+  if (!fromStatuses.includes(document.status)) {
+    throw ApiError.badRequest(
+      `${definition.label} ${documentNumber} cannot be ${action} while ${document.status}`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  const { count } = await tx[definition.model].updateMany({
+    where: { id: document.id, status: { in: fromStatuses } },
+    data
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(
+      `${definition.label} ${documentNumber} was changed by another request`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+};
+
+/**
+ * Find the posted ledger entry of a document
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Reference type
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Posted entry with lines
+ */
+const findDocumentEntry = (tx, companyId, documentType, documentId) => tx.journalEntry.findFirst({
+  where: {
+    companyId,
+    referenceType: documentType,
+    referenceId: documentId,
+    isPosted: true
+  },
+  include: { lines: true }
+});
+
+/**
+ * Resolve mapping keys to the company's account IDs
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} keys - Account mapping keys
+ * @returns {Promise<Map<string, string>>} Account IDs keyed by mapping key
+ */
+export const getMappedAccountIds = async (tx, companyId, keys) => {
+  const mappings = await tx.accountMapping.findMany({
+    where: { companyId, key: { in: keys } },
+    select: { key: true, accountId: true }
+  });
+  const accountIds = new Map(mappings.map((mapping) => [mapping.key, mapping.accountId]));
+
+  const missingKey = keys.find((key) => !accountIds.has(key));
+  if (missingKey) {
+    throw ApiError.badRequest(
+      `No default ${missingKey} account is configured for this company`,
+      ERROR_CODES.ACCOUNT_MAPPING_MISSING
+    );
+  }
+
+  return accountIds;
+};
+
+/**
+ * Replace mapping keys on lines with account IDs, dropping zero lines
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} lines - Lines with mapping keys
+ * @returns {Promise<Array<Object>>} Journal lines
+ */
+const resolveLines = async (tx, companyId, lines) => {
+  const postableLines = lines.filter((line) => !new Prisma.Decimal(line.amount).isZero());
+  const accountIds = await getMappedAccountIds(
+    tx,
+    companyId,
+    [...new Set(postableLines.map((line) => line.key))]
+  );
+
+  return postableLines.map(({ key, ...line }) => ({
+    ...line,
+    accountId: accountIds.get(key)
+  }));
+};
+
+/**
+ * Get the company's default posting accounts
+ * Every mapping key is listed, with a null account when unmapped
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Array<Object>>} Account mappings
+ */
+export const getAccountMappings = async (companyId) => {
+  const mappings = await prisma.accountMapping.findMany({
+    where: { companyId },
+    include: { account: { select: mappedAccountSelect } }
+  });
+  const accounts = new Map(mappings.map((mapping) => [mapping.key, mapping.account]));
+
+  return Object.values(ACCOUNT_MAPPING_KEYS).map((key) => ({
+    key,
+    accountType: MAPPING_ACCOUNT_TYPES[key],
+    account: accounts.get(key) || null
+  }));
+};
+
+/**
+ * Set default posting accounts
+ * @param {string} companyId - Company ID
+ * @param {Object} mappingData - Account IDs keyed by mapping key
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Array<Object>>} Updated account mappings
+ */
+export const updateAccountMappings = async (companyId, mappingData, updatedBy) => {
+  const entries = Object.entries(mappingData);
+
+  const accounts = await prisma.account.findMany({
+    where: {
+      id: { in: [...new Set(entries.map(([, accountId]) => accountId))] },
+      companyId
+    },
+    select: mappedAccountSelect
+  });
+  const accountsById = new Map(accounts.map((account) => [account.id, account]));
+
+  for (const [key, accountId] of entries) {
+    const account = accountsById.get(accountId);
+
+    if (!account) {
+      throw ApiError.badRequest(`Account for ${key} not found`);
+    }
+
+    if (!account.isActive) {
+      throw ApiError.badRequest(`Account ${account.accountNumber} is inactive`);
+    }
+
+    if (account.accountType !== MAPPING_ACCOUNT_TYPES[key]) {
+      throw ApiError.badRequest(
+        `${key} must be mapped to an ${MAPPING_ACCOUNT_TYPES[key]} account`
+      );
+    }
+  }
+
+  await prisma.$transaction(
+    entries.map(([key, accountId]) => prisma.accountMapping.upsert({
+      where: { companyId_key: { companyId, key } },
+      create: { companyId, key, accountId, updatedBy },
+      update: { accountId, updatedBy }
+    }))
+  );
+
+  logger.info(`Account mappings updated for company ${companyId} by ${updatedBy}: ${entries.map(([key]) => key).join(', ')}`);
+
+  return getAccountMappings(companyId);
+};
+
+/**
+ * Approve a document and post its journal entry
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Reference type, e.g. INVOICE
+ * @param {string} documentId - Document ID
+ * @param {string} approvedBy - ID of user approving the document
+ * @returns {Promise<Object>} Approved document and its journal entry
+ */
+export const approveDocument = async (companyId, documentType, documentId, approvedBy) => {
+  const definition = getDefinition(documentType);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const document = await findDocument(tx, definition, companyId, documentId);
+    const documentNumber = document[definition.numberField];
+
+    if (definition.assertApprovable) {
+      await definition.assertApprovable(tx, document);
+    }
+
+    // The status update locks the document row, so the posting check
+    // below cannot race with a concurrent approval
+    await transitionStatus(
+      tx,
+      definition,
+      document,
+      definition.approveFrom,
+      definition.approvedData(document, approvedBy),
+      'approved'
+    );
+
+    const existingEntry = await findDocumentEntry(tx, companyId, documentType, documentId);
+    if (existingEntry) {
+      throw ApiError.conflict(
+        `${definition.label} ${documentNumber} is already posted as ${existingEntry.entryNumber}`,
+        ERROR_CODES.JOURNAL_ALREADY_POSTED
+      );
+    }
+
+    let stockValue;
+
+    if (definition.applyStock) {
+      stockValue = await definition.applyStock(tx, document, 1, approvedBy);
+    } else if (definition.getStockValue) {
+      stockValue = await definition.getStockValue(tx, document);
+    }
+
+    const journalEntry = await createPostedEntry(tx, companyId, {
+      entryDate: document[definition.dateField],
+      entryType: JOURNAL_ENTRY_TYPES.SYSTEM,
+      referenceType: documentType,
+      referenceId: document.id,
+      referenceNumber: documentNumber,
+      description: `${definition.label} ${documentNumber} - ${document[definition.party].name}`,
+      lines: await resolveLines(tx, companyId, definition.buildLines(document, stockValue))
+    }, approvedBy);
+
+    await definition.applyBalances(tx, document, 1);
+
+    return {
+      document: await findDocument(tx, definition, companyId, documentId),
+      journalEntry
+    };
+  });
+
+  logger.info(`${definition.label} approved: ${result.document[definition.numberField]} posted as ${result.journalEntry.entryNumber} by ${approvedBy}`);
+
+  return result;
+};
+
+/**
+ * Void an approved document and reverse its journal entry
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Reference type, e.g. INVOICE
+ * @param {string} documentId - Document ID
+ * @param {Object} voidData - Optional void date and reason
+ * @param {string} voidedBy - ID of user voiding the document
+ * @returns {Promise<Object>} Voided document and the reversal entry
+ */
+export const voidDocument = async (companyId, documentType, documentId, voidData, voidedBy) => {
+  const { voidDate, reason } = voidData;
+  const definition = getDefinition(documentType);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const document = await findDocument(tx, definition, companyId, documentId);
+    const documentNumber = document[definition.numberField];
+
+    await transitionStatus(
+      tx,
+      definition,
+      document,
+      definition.voidFrom,
+      definition.voidedData(document, voidedBy),
+      'voided'
+    );
+
+    // Re-read after the lock so settlement checks see committed amounts
+    const lockedDocument = await findDocument(tx, definition, companyId, documentId);
+    if (definition.assertVoidable) {
+      definition.assertVoidable(lockedDocument);
+    }
+
+    const originalEntry = await findDocumentEntry(tx, companyId, documentType, documentId);
+    if (!originalEntry) {
+      throw ApiError.badRequest(`${definition.label} ${documentNumber} has not been posted`);
+    }
+
+    const reversalEntry = await createReversalEntry(tx, companyId, originalEntry, {
+      entryDate: voidDate,
+      description: reason
+        ? `Void of ${definition.label.toLowerCase()} ${documentNumber}: ${reason}`
+        : `Void of ${definition.label.toLowerCase()} ${documentNumber}`
+    }, voidedBy);
+
+    await definition.applyBalances(tx, document, -1);
+
+    if (definition.applyStock) {
+      await definition.applyStock(tx, document, -1, voidedBy);
+    }
+
+    return {
+      document: await findDocument(tx, definition, companyId, documentId),
+      journalEntry: reversalEntry
+    };
+  });
+
+  logger.info(`${definition.label} voided: ${result.document[definition.numberField]} reversed by ${result.journalEntry.entryNumber} (${voidedBy})`);
+
+  return result;
+};
+
+/**
+ * Get the ledger entries posted for a document, including reversals
+ * @param {string} companyId - Company ID
+ * @param {string} documentType - Reference type, e.g. INVOICE
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Array<Object>>} Journal entries in posting order
+ */
+export const getDocumentEntries = async (companyId, documentType, documentId) => {
+  const definition = getDefinition(documentType);
+  await findDocument(prisma, definition, companyId, documentId);
+
+  const entries = await prisma.journalEntry.findMany({
+    where: { companyId, referenceType: documentType, referenceId: documentId },
+    include: entryInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const reversals = entries.length > 0
+    ? await prisma.journalEntry.findMany({
+      where: {
+        companyId,
+        referenceType: REFERENCE_TYPES.JOURNAL_REVERSAL,
+        referenceId: { in: entries.map((entry) => entry.id) }
+      },
+      include: entryInclude,
+      orderBy: { createdAt: 'asc' }
+    })
+    : [];
+
+  return [...entries, ...reversals];
+};
+
+/**
+ * Close a fiscal year
+ * Posts a SYSTEM entry dated on the last day of the year that brings every
+ * REVENUE and EXPENSE balance to zero against retained earnings
+ * @param {string} companyId - Company ID
+ * @param {Object} closeData - { date } inside the year and optional lockPeriods
+ * @param {string} closedBy - ID of user closing the year
+ * @returns {Promise<Object>} Fiscal year, net profit and closing entry
+ */
+export const closeFiscalYear = async (companyId, closeData, closedBy) => {
+  const { date, lockPeriods = false } = closeData;
+
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { fiscalYearStart: true }
+  });
+
+  if (!company) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const { startDate, endDate } = getFiscalYearBounds(company.fiscalYearStart, date);
+  const fiscalYear = `FY ${getFiscalYearLabel(company.fiscalYearStart, date)}`;
+
+  if (endDate > new Date()) {
+    throw ApiError.badRequest(`${fiscalYear} has not ended yet`);
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // One close at a time, so a fiscal year is never closed twice
+    await tx.$queryRaw`SELECT id FROM "Company" WHERE id = ${companyId} FOR UPDATE`;
+
+    const existingEntry = await tx.journalEntry.findFirst({
+      where: {
+        companyId,
+        referenceType: REFERENCE_TYPES.YEAR_END_CLOSE,
+        referenceNumber: fiscalYear
+      }
+    });
+
+    if (existingEntry) {
+      throw ApiError.conflict(`${fiscalYear} was already closed by ${existingEntry.entryNumber}`);
+    }
+
+    const accounts = await tx.account.findMany({
+      where: {
+        companyId,
+        accountType: { in: [ACCOUNT_TYPES.REVENUE, ACCOUNT_TYPES.EXPENSE] }
+      },
+      select: { id: true, accountType: true, openingBalance: true }
+    });
+
+    const lineTotals = await tx.journalLine.groupBy({
+      by: ['accountId', 'transactionType'],
+      where: {
+        accountId: { in: accounts.map((account) => account.id) },
+        entry: {
+          companyId,
+          isPosted: true,
+          entryDate: { lte: endDate }
+        }
+      },
+      _sum: { amount: true }
+    });
+
+    const balances = new Map(
+      accounts.map((account) => [account.id, new Prisma.Decimal(account.openingBalance)])
+    );
+    const accountTypes = new Map(accounts.map((account) => [account.id, account.accountType]));
+
+    for (const total of lineTotals) {
+      balances.set(
+        total.accountId,
+        balances.get(total.accountId).plus(getBalanceChange(
+          accountTypes.get(total.accountId),
+          total.transactionType,
+          total._sum.amount || 0
+        ))
+      );
+    }
+
+    const lines = [];
+    let netProfit = new Prisma.Decimal(0);
+
+    for (const account of accounts) {
+      const balance = balances.get(account.id);
+
+      if (balance.isZero()) {
+        continue;
+      }
+
+      // Post to the side opposite the balance to bring it to zero
+      lines.push({
+        accountId: account.id,
+        transactionType: isDebitNormal(account.accountType) === balance.isPositive() ? CREDIT : DEBIT,
+        amount: balance.abs(),
+        description: `Close ${fiscalYear}`
+      });
+
+      netProfit = account.accountType === ACCOUNT_TYPES.REVENUE
+        ? netProfit.plus(balance)
+        : netProfit.minus(balance);
+    }
+
+    if (lines.length === 0) {
+      throw ApiError.badRequest(`${fiscalYear} has no revenue or expense balances to close`);
+    }
+
+    if (!netProfit.isZero()) {
+      const accountIds = await getMappedAccountIds(tx, companyId, [ACCOUNT_MAPPING_KEYS.RETAINED_EARNINGS]);
+
+      lines.push({
+        accountId: accountIds.get(ACCOUNT_MAPPING_KEYS.RETAINED_EARNINGS),
+        transactionType: netProfit.isPositive() ? CREDIT : DEBIT,
+        amount: netProfit.abs(),
+        description: `${netProfit.isPositive() ? 'Profit' : 'Loss'} for ${fiscalYear}`
+      });
+    }
+
+    const journalEntry = await createPostedEntry(tx, companyId, {
+      entryDate: endDate,
+      entryType: JOURNAL_ENTRY_TYPES.SYSTEM,
+      referenceType: REFERENCE_TYPES.YEAR_END_CLOSE,
+      referenceNumber: fiscalYear,
+      description: `Year-end close of ${fiscalYear}`,
+      lines
+    }, closedBy);
+
+    if (lockPeriods) {
+      await tx.fiscalPeriod.updateMany({
+        where: {
+          companyId,
+          startDate: { gte: startDate },
+          endDate: { lte: endDate },
+          status: { not: FISCAL_PERIOD_STATUS.LOCKED }
+        },
+        data: {
+          status: FISCAL_PERIOD_STATUS.LOCKED,
+          closedBy,
+          closedAt: new Date()
+        }
+      });
+    }
+
+    return {
+      fiscalYear: { name: fiscalYear, startDate, endDate },
+      netProfit,
+      journalEntry
+    };
+  });
+
+  logger.info(`${fiscalYear} closed for company ${companyId} by ${closedBy}: ${result.journalEntry.entryNumber}`);
+
+  return result;
+};
+
+export default {
+  getMappedAccountIds,
+  getAccountMappings,
+  updateAccountMappings,
+  approveDocument,
+  voidDocument,
+  getDocumentEntries,
+  closeFiscalYear
+};
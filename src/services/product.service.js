@@ -0,0 +1,541 @@
+/**
+ * Product Service
+ * Business logic for the product catalog
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { PRODUCT_TYPES, ERROR_CODES, PAGINATION } from '../config/constants.js';
+import logger from '../config/logger.js';
+
+const productSelect = {
+  id: true,
+  companyId: true,
+  sku: true,
+  name: true,
+  description: true,
+  type: true,
+  categoryId: true,
+  brandId: true,
+  barcode: true,
+  unit: true,
+  purchasePrice: true,
+  sellingPrice: true,
+  mrp: true,
+  taxRate: true,
+  hsnCode: true,
+  sacCode: true,
+  reorderLevel: true,
+  minStockLevel: true,
+  maxStockLevel: true,
+  preferredVendorId: true,
+  images: true,
+  isActive: true,
+  isSaleable: true,
+  isPurchasable: true,
+  trackInventory: true,
+  trackBatches: true,
+  trackSerials: true,
+  createdAt: true,
+  updatedAt: true,
+  category: {
+    select: { id: true, name: true }
+  },
+  brand: {
+    select: { id: true, name: true }
+  },
+  preferredVendor: {
+    select: { id: true, vendorNumber: true, name: true }
+  }
+};
+
+/**
+ * Documents and movements that keep a product from being deleted
+ */
+const LINKED_RECORDS = {
+  stockMovements: 'stock movements',
+  usedInBundles: 'bundles',
+  invoiceItems: 'invoices',
+  billItems: 'bills',
+  salesOrderItems: 'sales orders',
+  purchaseOrderItems: 'purchase orders',
+  goodsReceiptItems: 'goods receipts',
+  deliveryChallanItems: 'delivery challans',
+  salesQuotationItems: 'sales quotations',
+  purchaseQuotationItems: 'purchase quotations',
+  salesReturnItems: 'sales returns',
+  purchaseReturnItems: 'purchase returns',
+  stockTransferItems: 'stock transfers',
+  stockCountItems: 'stock counts'
+};
+
+/**
+ * Product types that never hold stock of their own; bundle stock is
+ * derived from its components
+ */
+const UNSTOCKED_TYPES = [PRODUCT_TYPES.SERVICE, PRODUCT_TYPES.BUNDLE];
+
+/**
+ * Find a product that belongs to the company or throw
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Product
+ */
+const findCompanyProduct = async (companyId, productId) => {
+  const product = await prisma.product.findFirst({
+    where: { id: productId, companyId }
+  });
+
+  if (!product) {
+    throw ApiError.notFound('Product not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return product;
+};
+
+/**
+ * Ensure SKU and barcode are unique within the company
+ * @param {string} companyId - Company ID
+ * @param {Object} identifiers - { sku, barcode }
+ * @param {string} [excludeId] - Product ID to ignore (for updates)
+ */
+const assertUniqueIdentifiers = async (companyId, { sku, barcode }, excludeId) => {
+  if (sku) {
+    const existing = await prisma.product.findUnique({
+      where: {
+        companyId_sku: {
+          companyId,
+          sku
+        }
+      },
+      select: { id: true }
+    });
+
+    if (existing && existing.id !== excludeId) {
+      throw ApiError.conflict(`SKU ${sku} already exists`, ERROR_CODES.DB_DUPLICATE_ENTRY);
+    }
+  }
+
+  if (barcode) {
+    const existing = await prisma.product.findFirst({
+      where: {
+        companyId,
+        barcode,
+        ...(excludeId && { id: { not: excludeId } })
+      },
+      select: { sku: true }
+    });
+
+    if (existing) {
+      throw ApiError.conflict(
+        `Barcode ${barcode} is already assigned to ${existing.sku}`,
+        ERROR_CODES.DB_DUPLICATE_ENTRY
+      );
+    }
+  }
+};
+
+/**
+ * Ensure category, brand and preferred vendor belong to the company and
+ * are active
+ * @param {string} companyId - Company ID
+ * @param {Object} references - { categoryId, brandId, preferredVendorId }
+ */
+const assertValidReferences = async (companyId, { categoryId, brandId, preferredVendorId }) => {
+  if (categoryId) {
+    const category = await prisma.category.findFirst({
+      where: { id: categoryId, companyId },
+      select: { isActive: true }
+    });
+
+    if (!category) {
+      throw ApiError.badRequest('Category not found');
+    }
+
+    if (!category.isActive) {
+      throw ApiError.badRequest('Category is inactive');
+    }
+  }
+
+  if (brandId) {
+    const brand = await prisma.brand.findFirst({
+      where: { id: brandId, companyId },
+      select: { isActive: true }
+    });
+
+    if (!brand) {
+      throw ApiError.badRequest('Brand not found');
+    }
+
+    if (!brand.isActive) {
+      throw ApiError.badRequest('Brand is inactive');
+    }
+  }
+
+  if (preferredVendorId) {
+    const vendor = await prisma.vendor.findFirst({
+      where: { id: preferredVendorId, companyId },
+      select: { isActive: true }
+    });
+
+    if (!vendor) {
+      throw ApiError.badRequest('Preferred vendor not found');
+    }
+
+    if (!vendor.isActive) {
+      throw ApiError.badRequest('Preferred vendor is inactive');
+    }
+  }
+};
+
+/**
+ * Check pricing, tax code and inventory rules on the full product
+ * Runs on merged values so partial updates cannot bypass the rules
+ * @param {Object} product - Product fields after the change
+ */
+const assertProductRules = (product) => {
+  const mrp = new Prisma.Decimal(product.mrp || 0);
+
+  // An MRP of zero means the product has no printed retail price
+  if (mrp.gt(0) && new Prisma.Decimal(product.sellingPrice || 0).gt(mrp)) {
+    throw ApiError.badRequest('Selling price cannot exceed MRP');
+  }
+
+  if (UNSTOCKED_TYPES.includes(product.type) && product.trackInventory) {
+    throw ApiError.badRequest(
+      product.type === PRODUCT_TYPES.BUNDLE
+        ? 'Bundles cannot track inventory; stock is taken from their components'
+        : 'Services cannot track inventory'
+    );
+  }
+
+  if (product.trackBatches && !product.trackInventory) {
+    throw ApiError.badRequest('Only products that track inventory can track batches');
+  }
+
+  if (product.trackSerials && !product.trackInventory) {
+    throw ApiError.badRequest('Only products that track inventory can track serial numbers');
+  }
+
+  if (product.type === PRODUCT_TYPES.SERVICE) {
+    if (product.hsnCode) {
+      throw ApiError.badRequest('Services use a SAC code, not an HSN code');
+    }
+  } else if (product.sacCode) {
+    throw ApiError.badRequest('Goods use an HSN code, not a SAC code');
+  }
+
+  if (product.maxStockLevel > 0 && product.maxStockLevel < product.minStockLevel) {
+    throw ApiError.badRequest('Maximum stock level cannot be below minimum stock level');
+  }
+
+  if (product.maxStockLevel > 0 && product.maxStockLevel < product.reorderLevel) {
+    throw ApiError.badRequest('Maximum stock level cannot be below reorder level');
+  }
+};
+
+/**
+ * Keep bills of materials consistent when a product changes type
+ * @param {Object} product - Existing product
+ * @param {string} type - New product type
+ */
+const assertTypeChangeAllowed = async (product, type) => {
+  if (product.type === PRODUCT_TYPES.BUNDLE) {
+    const components = await prisma.bundleComponent.count({ where: { bundleId: product.id } });
+    if (components > 0) {
+      throw ApiError.badRequest('Remove the bundle components before changing the product type');
+    }
+  }
+
+  if (type === PRODUCT_TYPES.BUNDLE) {
+    const bundles = await prisma.bundleComponent.count({ where: { componentId: product.id } });
+    if (bundles > 0) {
+      throw ApiError.badRequest('Product is a component of other bundles and cannot become a bundle');
+    }
+  }
+};
+
+/**
+ * Create a new product
+ * @param {string} companyId - Company ID
+ * @param {Object} productData - Product data
+ * @param {string} createdBy - ID of user creating the product
+ * @returns {Promise<Object>} Created product
+ */
+export const createProduct = async (companyId, productData, createdBy) => {
+  const data = {
+    ...productData,
+    trackInventory: productData.trackInventory ?? !UNSTOCKED_TYPES.includes(productData.type)
+  };
+
+  assertProductRules(data);
+  await assertUniqueIdentifiers(companyId, data);
+  await assertValidReferences(companyId, data);
+
+  const product = await prisma.product.create({
+    data: {
+      ...data,
+      companyId,
+      createdBy
+    },
+    select: productSelect
+  });
+
+  logger.info(`Product created: ${product.sku} (${product.id}) by ${createdBy}`);
+
+  return product;
+};
+
+/**
+ * Get product by ID with stock on hand per warehouse
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Product data
+ */
+export const getProductById = async (companyId, productId) => {
+  const product = await prisma.product.findFirst({
+    where: { id: productId, companyId },
+    select: {
+      ...productSelect,
+      stock: {
+        select: {
+          warehouseId: true,
+          quantity: true,
+          reservedQty: true,
+          availableQty: true,
+          valueAmount: true,
+          warehouse: {
+            select: { id: true, name: true, code: true }
+          }
+        }
+      }
+    }
+  });
+
+  if (!product) {
+    throw ApiError.notFound('Product not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return {
+    ...product,
+    totalQuantity: product.stock.reduce((sum, stock) => sum + stock.quantity, 0),
+    totalAvailable: product.stock.reduce((sum, stock) => sum + stock.availableQty, 0)
+  };
+};
+
+/**
+ * Get products list with filters and pagination
+ * Every word of the search term must match the name, SKU or barcode
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Products list with pagination
+ */
+export const getProducts = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    type,
+    categoryId,
+    brandId,
+    preferredVendorId,
+    isActive,
+    isSaleable,
+    isPurchasable,
+    trackInventory,
+    trackBatches,
+    trackSerials,
+    search,
+    sortBy = 'name',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (type) {
+    where.type = type;
+  }
+
+  if (categoryId) {
+    where.categoryId = categoryId;
+  }
+
+  if (brandId) {
+    where.brandId = brandId;
+  }
+
+  if (preferredVendorId) {
+    where.preferredVendorId = preferredVendorId;
+  }
+
+  for (const [field, value] of Object.entries({
+    isActive, isSaleable, isPurchasable, trackInventory, trackBatches, trackSerials
+  })) {
+    if (value !== undefined) {
+      where[field] = value;
+    }
+  }
+
+  const terms = search ? search.split(/\s+/).filter(Boolean) : [];
+  if (terms.length > 0) {
+    where.AND = terms.map((term) => ({
+      OR: [
+        { name: { contains: term, mode: 'insensitive' } },
+        { sku: { contains: term, mode: 'insensitive' } },
+        { barcode: { contains: term } }
+      ]
+    }));
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, products] = await Promise.all([
+    prisma.product.count({ where }),
+    prisma.product.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: productSelect
+    })
+  ]);
+
+  return {
+    products,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update product
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated product
+ */
+export const updateProduct = async (companyId, productId, updateData, updatedBy) => {
+  const existingProduct = await findCompanyProduct(companyId, productId);
+
+  const data = { ...updateData };
+
+  // Switching to a service or bundle turns inventory tracking off unless stated
+  if (UNSTOCKED_TYPES.includes(data.type) && data.trackInventory === undefined) {
+    data.trackInventory = false;
+  }
+
+  // Stopping inventory tracking also stops batch and serial tracking
+  if (data.trackInventory === false) {
+    data.trackBatches = data.trackBatches ?? false;
+    data.trackSerials = data.trackSerials ?? false;
+  }
+
+  if (data.type && data.type !== existingProduct.type) {
+    await assertTypeChangeAllowed(existingProduct, data.type);
+  }
+
+  assertProductRules({ ...existingProduct, ...data });
+
+  await assertUniqueIdentifiers(companyId, {
+    sku: data.sku !== existingProduct.sku ? data.sku : undefined,
+    barcode: data.barcode !== existingProduct.barcode ? data.barcode : undefined
+  }, productId);
+  await assertValidReferences(companyId, data);
+
+  // Stock on hand must be cleared before the product stops tracking it
+  const stopsTracking = existingProduct.trackInventory && data.trackInventory === false;
+  const switchesUnits = ['trackBatches', 'trackSerials'].some((field) => (
+    data[field] !== undefined && data[field] !== existingProduct[field]
+  ));
+
+  if (stopsTracking || switchesUnits) {
+    const stock = await prisma.stock.aggregate({
+      where: { productId },
+      _sum: { quantity: true }
+    });
+
+    if (stock._sum.quantity) {
+      throw ApiError.badRequest(
+        stopsTracking
+          ? 'Cannot stop tracking inventory while the product has stock on hand'
+          : 'Cannot change batch or serial tracking while the product has stock on hand'
+      );
+    }
+  }
+
+  // Bundles issue their components without serial numbers
+  if (data.trackSerials && !existingProduct.trackSerials) {
+    const bundleCount = await prisma.bundleComponent.count({ where: { componentId: productId } });
+
+    if (bundleCount > 0) {
+      throw ApiError.badRequest('Cannot track serial numbers for a product that is a bundle component');
+    }
+  }
+
+  const product = await prisma.product.update({
+    where: { id: productId },
+    data,
+    select: productSelect
+  });
+
+  logger.info(`Product updated: ${productId} by ${updatedBy}`);
+
+  return product;
+};
+
+/**
+ * Delete product
+ * Products used on documents or stock movements must be deactivated instead
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deleteProduct = async (companyId, productId, deletedBy) => {
+  const product = await prisma.product.findFirst({
+    where: { id: productId, companyId },
+    select: {
+      id: true,
+      sku: true,
+      _count: {
+        select: Object.fromEntries(Object.keys(LINKED_RECORDS).map((relation) => [relation, true]))
+      }
+    }
+  });
+
+  if (!product) {
+    throw ApiError.notFound('Product not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const linked = Object.entries(LINKED_RECORDS)
+    .filter(([relation]) => product._count[relation] > 0)
+    .map(([, label]) => label);
+
+  if (linked.length > 0) {
+    throw ApiError.conflict(
+      `Product ${product.sku} is used on ${linked.join(', ')}; deactivate the product instead`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  await prisma.product.delete({
+    where: { id: productId }
+  });
+
+  logger.info(`Product deleted: ${product.sku} (${productId}) by ${deletedBy}`);
+};
+
+export default {
+  createProduct,
+  getProductById,
+  getProducts,
+  updateProduct,
+  deleteProduct
+};
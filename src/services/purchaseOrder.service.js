@@ -0,0 +1,645 @@
+/**
+ * Purchase Order Service
+ * Purchase orders and their approval workflow:
+ * DRAFT -> PENDING_APPROVAL -> APPROVED -> SENT -> COMPLETED, or CANCELLED.
+ * Totals are always computed from the items. Goods received against an
+ * order are tracked per item and the order completes once every item
+ * has been received in full
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  DOCUMENT_STATUS,
+  NUMBER_SERIES_TYPES,
+  PRODUCT_TYPES,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { calculateDocumentTotals } from '../utils/documentTotals.js';
+import logger from '../config/logger.js';
+
+/**
+ * Status changes a user can make, with the statuses each is allowed from.
+ * Completion also happens automatically when the last goods are received
+ */
+const TRANSITIONS = {
+  submit: {
+    from: [DOCUMENT_STATUS.DRAFT],
+    to: DOCUMENT_STATUS.PENDING_APPROVAL,
+    label: 'submitted for approval'
+  },
+  approve: {
+    from: [DOCUMENT_STATUS.PENDING_APPROVAL],
+    to: DOCUMENT_STATUS.APPROVED,
+    label: 'approved'
+  },
+  send: {
+    from: [DOCUMENT_STATUS.APPROVED],
+    to: DOCUMENT_STATUS.SENT,
+    label: 'sent'
+  },
+  complete: {
+    from: [DOCUMENT_STATUS.SENT],
+    to: DOCUMENT_STATUS.COMPLETED,
+    label: 'completed'
+  },
+  cancel: {
+    from: [
+      DOCUMENT_STATUS.DRAFT,
+      DOCUMENT_STATUS.PENDING_APPROVAL,
+      DOCUMENT_STATUS.APPROVED,
+      DOCUMENT_STATUS.SENT
+    ],
+    to: DOCUMENT_STATUS.CANCELLED,
+    label: 'cancelled'
+  }
+};
+
+/**
+ * Statuses in which goods can be received against an order
+ */
+const RECEIVABLE_ORDER_STATUSES = [
+  DOCUMENT_STATUS.APPROVED,
+  DOCUMENT_STATUS.SENT
+];
+
+const orderInclude = {
+  vendor: {
+    select: { id: true, vendorNumber: true, name: true }
+  },
+  warehouse: {
+    select: { id: true, code: true, name: true }
+  },
+  quotation: {
+    select: { id: true, quotationNumber: true }
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          sku: true,
+          name: true,
+          unit: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Add the quantity still to be received to each item of an order
+ * @param {Object} order - Purchase order with items
+ * @returns {Object} Order with items carrying pendingQty
+ */
+const withPendingQuantities = (order) => ({
+  ...order,
+  items: order.items.map((item) => ({
+    ...item,
+    pendingQty: new Prisma.Decimal(item.quantity).minus(item.receivedQty)
+  }))
+});
+
+/**
+ * Find an order of the company or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @returns {Promise<Object>} Order with items
+ */
+const findCompanyOrder = async (tx, companyId, orderId) => {
+  const order = await tx.purchaseOrder.findFirst({
+    where: { id: orderId, companyId },
+    include: { items: true }
+  });
+
+  if (!order) {
+    throw ApiError.notFound('Purchase order not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return order;
+};
+
+/**
+ * Find a draft order or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @returns {Promise<Object>} Draft order with items
+ */
+const findDraftOrder = async (tx, companyId, orderId) => {
+  const order = await findCompanyOrder(tx, companyId, orderId);
+
+  if (order.status !== DOCUMENT_STATUS.DRAFT) {
+    throw ApiError.badRequest(
+      `Purchase order ${order.orderNumber} is ${order.status} and can no longer be changed`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Validate the vendor and delivery warehouse of an order
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} references - { vendorId, warehouseId }
+ */
+const assertValidReferences = async (tx, companyId, { vendorId, warehouseId }) => {
+  if (vendorId) {
+    const vendor = await tx.vendor.findFirst({
+      where: { id: vendorId, companyId },
+      select: { vendorNumber: true, isActive: true }
+    });
+
+    if (!vendor) {
+      throw ApiError.badRequest('Vendor is invalid');
+    }
+
+    if (!vendor.isActive) {
+      throw ApiError.badRequest(`Vendor ${vendor.vendorNumber} is inactive`);
+    }
+  }
+
+  if (warehouseId) {
+    const warehouse = await tx.warehouse.findFirst({
+      where: { id: warehouseId, companyId },
+      select: { code: true, isActive: true }
+    });
+
+    if (!warehouse) {
+      throw ApiError.badRequest('Warehouse is invalid');
+    }
+
+    if (!warehouse.isActive) {
+      throw ApiError.badRequest(`Warehouse ${warehouse.code} is inactive`);
+    }
+  }
+};
+
+/**
+ * Validate order items against the company's purchasable products
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} items - Order items
+ */
+const assertValidItems = async (tx, companyId, items) => {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+
+  if (productIds.length !== items.length) {
+    throw ApiError.badRequest('Each product can appear only once on a purchase order');
+  }
+
+  const products = await tx.product.findMany({
+    where: { id: { in: productIds }, companyId },
+    select: { id: true, sku: true, type: true, isActive: true, isPurchasable: true }
+  });
+
+  if (products.length !== productIds.length) {
+    throw ApiError.badRequest('One or more products are invalid');
+  }
+
+  const invalid = products.find((product) => (
+    !product.isActive || !product.isPurchasable || product.type === PRODUCT_TYPES.BUNDLE
+  ));
+
+  if (invalid) {
+    throw ApiError.badRequest(`Product ${invalid.sku} cannot be purchased`);
+  }
+};
+
+/**
+ * Price order items and total them
+ * @param {Array<Object>} items - Items with quantity, unitPrice, taxRate, discountAmount
+ * @returns {Object} Header totals and the items to create
+ */
+const priceItems = (items) => {
+  const { items: pricedItems, ...totals } = calculateDocumentTotals(items.map((item) => ({
+    productId: item.productId,
+    description: item.description || null,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    taxRate: item.taxRate || 0,
+    discountAmount: item.discountAmount || 0
+  })));
+
+  if (pricedItems.some((item) => item.amount.lt(0))) {
+    throw ApiError.badRequest('Discount cannot exceed the value of the line');
+  }
+
+  return { ...totals, items: { create: pricedItems } };
+};
+
+/**
+ * Create a draft purchase order
+ * @param {string} companyId - Company ID
+ * @param {Object} orderData - Order data with items
+ * @param {string} createdBy - ID of user creating the order
+ * @returns {Promise<Object>} Created order
+ */
+export const createPurchaseOrder = async (companyId, orderData, createdBy) => {
+  const { items, orderDate = new Date(), ...header } = orderData;
+
+  const order = await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(tx, companyId, orderDate);
+    await assertValidReferences(tx, companyId, header);
+    await assertValidItems(tx, companyId, items);
+
+    return tx.purchaseOrder.create({
+      data: {
+        ...header,
+        ...priceItems(items),
+        companyId,
+        orderDate,
+        orderNumber: await generateDocumentNumber(
+          tx,
+          companyId,
+          NUMBER_SERIES_TYPES.PURCHASE_ORDER,
+          orderDate
+        ),
+        status: DOCUMENT_STATUS.DRAFT,
+        createdBy
+      },
+      include: orderInclude
+    });
+  });
+
+  logger.info(`Purchase order created: ${order.orderNumber} (${order.total}) by ${createdBy}`);
+
+  return withPendingQuantities(order);
+};
+
+/**
+ * Get purchase order by ID
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @returns {Promise<Object>} Order with items, pending quantities and goods receipts
+ */
+export const getPurchaseOrderById = async (companyId, orderId) => {
+  const order = await prisma.purchaseOrder.findFirst({
+    where: { id: orderId, companyId },
+    include: {
+      ...orderInclude,
+      goodsReceipts: {
+        orderBy: { receiptDate: 'asc' },
+        select: { id: true, receiptNumber: true, receiptDate: true, status: true }
+      }
+    }
+  });
+
+  if (!order) {
+    throw ApiError.notFound('Purchase order not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return withPendingQuantities(order);
+};
+
+/**
+ * Get purchase orders list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Orders list with pagination
+ */
+export const getPurchaseOrders = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    vendorId,
+    warehouseId,
+    productId,
+    fromDate,
+    toDate,
+    search,
+    sortBy = 'orderDate',
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (vendorId) {
+    where.vendorId = vendorId;
+  }
+
+  if (warehouseId) {
+    where.warehouseId = warehouseId;
+  }
+
+  if (productId) {
+    where.items = { some: { productId } };
+  }
+
+  if (fromDate || toDate) {
+    where.orderDate = {};
+    if (fromDate) where.orderDate.gte = fromDate;
+    if (toDate) where.orderDate.lte = toDate;
+  }
+
+  if (search) {
+    where.OR = [
+      { orderNumber: { contains: search, mode: 'insensitive' } },
+      { notes: { contains: search, mode: 'insensitive' } },
+      { vendor: { name: { contains: search, mode: 'insensitive' } } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, orders] = await Promise.all([
+    prisma.purchaseOrder.count({ where }),
+    prisma.purchaseOrder.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: sortOrder }, { orderNumber: sortOrder }],
+      include: orderInclude
+    })
+  ]);
+
+  return {
+    orders: orders.map(withPendingQuantities),
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update a draft purchase order, recomputing totals when items change
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated order
+ */
+export const updatePurchaseOrder = async (companyId, orderId, updateData, updatedBy) => {
+  const { items, ...header } = updateData;
+
+  const order = await prisma.$transaction(async (tx) => {
+    await findDraftOrder(tx, companyId, orderId);
+    await assertValidReferences(tx, companyId, header);
+
+    if (header.orderDate) {
+      await assertPeriodOpen(tx, companyId, header.orderDate);
+    }
+
+    const data = { ...header };
+
+    if (items) {
+      await assertValidItems(tx, companyId, items);
+      await tx.purchaseOrderItem.deleteMany({ where: { orderId } });
+
+      Object.assign(data, priceItems(items));
+    }
+
+    return tx.purchaseOrder.update({
+      where: { id: orderId },
+      data,
+      include: orderInclude
+    });
+  });
+
+  logger.info(`Purchase order updated: ${order.orderNumber} by ${updatedBy}`);
+
+  return withPendingQuantities(order);
+};
+
+/**
+ * Delete a draft purchase order
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deletePurchaseOrder = async (companyId, orderId, deletedBy) => {
+  const order = await findDraftOrder(prisma, companyId, orderId);
+
+  await prisma.purchaseOrder.delete({
+    where: { id: orderId }
+  });
+
+  logger.info(`Purchase order deleted: ${order.orderNumber} by ${deletedBy}`);
+};
+
+/**
+ * Move an order to the next status of a transition
+ * The status is changed conditionally so that two concurrent requests
+ * cannot both move the same order
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {string} action - Key of TRANSITIONS
+ * @param {string} userId - ID of user making the change
+ * @param {Function} [prepare] - Checks the order before it moves and
+ * returns any extra fields to set with the status
+ * @returns {Promise<Object>} Updated order
+ */
+const changeStatus = async (companyId, orderId, action, userId, prepare = () => ({})) => {
+  const transition = TRANSITIONS[action];
+
+  const order = await prisma.$transaction(async (tx) => {
+    const current = await findCompanyOrder(tx, companyId, orderId);
+
+    if (!transition.from.includes(current.status)) {
+      throw ApiError.badRequest(
+        `Purchase order ${current.orderNumber} is ${current.status} and cannot be ${transition.label}`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    const { count } = await tx.purchaseOrder.updateMany({
+      where: { id: orderId, status: current.status },
+      data: { ...prepare(current), status: transition.to }
+    });
+
+    if (count === 0) {
+      throw ApiError.conflict(
+        `Purchase order ${current.orderNumber} was changed by another request; please retry`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    return tx.purchaseOrder.findUnique({
+      where: { id: orderId },
+      include: orderInclude
+    });
+  });
+
+  logger.info(`Purchase order ${transition.label}: ${order.orderNumber} by ${userId}`);
+
+  return withPendingQuantities(order);
+};
+
+/**
+ * Submit a draft order for approval
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {string} submittedBy - ID of user submitting
+ * @returns {Promise<Object>} Updated order
+ */
+export const submitPurchaseOrder = (companyId, orderId, submittedBy) => (
+  changeStatus(companyId, orderId, 'submit', submittedBy)
+);
+
+/**
+ * Approve an order pending approval
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {string} approvedBy - ID of user approving
+ * @returns {Promise<Object>} Updated order
+ */
+export const approvePurchaseOrder = (companyId, orderId, approvedBy) => (
+  changeStatus(companyId, orderId, 'approve', approvedBy, () => ({ approvedBy, approvedAt: new Date() }))
+);
+
+/**
+ * Mark an approved order as sent to the vendor
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {string} sentBy - ID of user sending
+ * @returns {Promise<Object>} Updated order
+ */
+export const sendPurchaseOrder = (companyId, orderId, sentBy) => (
+  changeStatus(companyId, orderId, 'send', sentBy)
+);
+
+/**
+ * Close a sent order before everything has been received; nothing more
+ * is expected against it
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {string} completedBy - ID of user closing the order
+ * @returns {Promise<Object>} Updated order
+ */
+export const completePurchaseOrder = (companyId, orderId, completedBy) => (
+  changeStatus(companyId, orderId, 'complete', completedBy, () => ({ completedBy }))
+);
+
+/**
+ * Cancel an order against which nothing has been received
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {Object} cancelData - { reason }
+ * @param {string} cancelledBy - ID of user cancelling
+ * @returns {Promise<Object>} Updated order
+ */
+export const cancelPurchaseOrder = (companyId, orderId, cancelData, cancelledBy) => (
+  changeStatus(companyId, orderId, 'cancel', cancelledBy, (order) => {
+    if (order.items.some((item) => new Prisma.Decimal(item.receivedQty).gt(0))) {
+      throw ApiError.badRequest(
+        `Purchase order ${order.orderNumber} has goods received against it; complete it instead`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    return cancelData.reason
+      ? { notes: order.notes ? `${order.notes}\nCancelled: ${cancelData.reason}` : `Cancelled: ${cancelData.reason}` }
+      : {};
+  })
+);
+
+/**
+ * Record goods received against a purchase order, or take them back off
+ * when a receipt is reversed. The order completes once every item is
+ * received in full and reopens if a reversal leaves anything outstanding,
+ * unless a user closed it
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} orderId - Purchase order ID
+ * @param {Array<Object>} receipts - [{ itemId, quantity }]
+ * @param {number} sign - +1 to receive, -1 to reverse
+ * @returns {Promise<Object>} Order with updated items
+ */
+export const applyOrderReceipt = async (tx, companyId, orderId, receipts, sign) => {
+  // Lock the order so concurrent receipts see each other's quantities
+  await tx.$queryRaw`SELECT id FROM "PurchaseOrder" WHERE id = ${orderId} FOR UPDATE`;
+
+  const order = await findCompanyOrder(tx, companyId, orderId);
+  const receivable = sign > 0
+    ? RECEIVABLE_ORDER_STATUSES
+    : [...RECEIVABLE_ORDER_STATUSES, DOCUMENT_STATUS.COMPLETED];
+
+  if (!receivable.includes(order.status)) {
+    throw ApiError.badRequest(
+      `Purchase order ${order.orderNumber} is ${order.status} and cannot receive goods`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  const itemsById = new Map(order.items.map((item) => [item.id, item]));
+
+  for (const receipt of receipts) {
+    const item = itemsById.get(receipt.itemId);
+
+    if (!item) {
+      throw ApiError.badRequest(`Item ${receipt.itemId} is not on purchase order ${order.orderNumber}`);
+    }
+
+    const receivedQty = new Prisma.Decimal(item.receivedQty).plus(new Prisma.Decimal(receipt.quantity).times(sign));
+
+    if (receivedQty.gt(item.quantity)) {
+      throw ApiError.badRequest(
+        `Cannot receive ${receipt.quantity} of item ${item.id}; only ` +
+        `${new Prisma.Decimal(item.quantity).minus(item.receivedQty)} are outstanding on ${order.orderNumber}`
+      );
+    }
+
+    if (receivedQty.lt(0)) {
+      throw ApiError.badRequest(`Cannot reverse more than was received on item ${item.id}`);
+    }
+
+    item.receivedQty = receivedQty;
+
+    await tx.purchaseOrderItem.update({
+      where: { id: item.id },
+      data: { receivedQty }
+    });
+  }
+
+  const fullyReceived = order.items.every((item) => new Prisma.Decimal(item.receivedQty).gte(item.quantity));
+  let status = order.status;
+
+  if (sign > 0 && fullyReceived) {
+    status = DOCUMENT_STATUS.COMPLETED;
+  } else if (sign < 0 && order.status === DOCUMENT_STATUS.COMPLETED && !order.completedBy && !fullyReceived) {
+    status = DOCUMENT_STATUS.SENT;
+  }
+
+  if (status !== order.status) {
+    await tx.purchaseOrder.update({
+      where: { id: orderId },
+      data: { status }
+    });
+
+    logger.info(`Purchase order ${order.orderNumber} ${status === DOCUMENT_STATUS.COMPLETED ? 'completed' : 'reopened'} by goods receipt`);
+  }
+
+  return { ...order, status };
+};
+
+export default {
+  createPurchaseOrder,
+  getPurchaseOrderById,
+  getPurchaseOrders,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  submitPurchaseOrder,
+  approvePurchaseOrder,
+  sendPurchaseOrder,
+  completePurchaseOrder,
+  cancelPurchaseOrder,
+  applyOrderReceipt
+};
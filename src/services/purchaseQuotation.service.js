@@ -0,0 +1,736 @@
+/**
+ * Purchase Quotation Service
+ * Requests for quotation (RFQs) and the vendor quotes recorded against
+ * them: DRAFT -> RECEIVED -> APPROVED -> COMPLETED, or REJECTED.
+ * An RFQ is raised per vendor; the quote is recorded on the same
+ * document, compared with other vendors' quotes and the chosen one is
+ * converted into a purchase order
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  DOCUMENT_STATUS,
+  NUMBER_SERIES_TYPES,
+  PRODUCT_TYPES,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { calculateDocumentTotals } from '../utils/documentTotals.js';
+import { startOfDay } from '../utils/fiscalYear.js';
+import logger from '../config/logger.js';
+
+/**
+ * Statuses in which the vendor's quote is on record
+ */
+const QUOTED_STATUSES = [
+  DOCUMENT_STATUS.RECEIVED,
+  DOCUMENT_STATUS.APPROVED,
+  DOCUMENT_STATUS.COMPLETED
+];
+
+/**
+ * Statuses in which a quotation can still be deleted
+ */
+const DELETABLE_STATUSES = [
+  DOCUMENT_STATUS.DRAFT,
+  DOCUMENT_STATUS.RECEIVED,
+  DOCUMENT_STATUS.REJECTED
+];
+
+const vendorSummarySelect = {
+  id: true,
+  vendorNumber: true,
+  name: true
+};
+
+const quotationInclude = {
+  vendor: { select: vendorSummarySelect },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          sku: true,
+          name: true,
+          unit: true
+        }
+      }
+    }
+  },
+  purchaseOrders: {
+    select: { id: true, orderNumber: true, status: true }
+  }
+};
+
+/**
+ * Find a quotation of the company or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @returns {Promise<Object>} Quotation with items
+ */
+const findCompanyQuotation = async (tx, companyId, quotationId) => {
+  const quotation = await tx.purchaseQuotation.findFirst({
+    where: { id: quotationId, companyId },
+    include: { items: true }
+  });
+
+  if (!quotation) {
+    throw ApiError.notFound('Purchase quotation not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return quotation;
+};
+
+/**
+ * Throw unless the quotation is in one of the given statuses
+ * @param {Object} quotation - Purchase quotation
+ * @param {Array<string>} statuses - Allowed statuses
+ * @param {string} action - What is being attempted, for the message
+ */
+const assertStatus = (quotation, statuses, action) => {
+  if (!statuses.includes(quotation.status)) {
+    throw ApiError.badRequest(
+      `Purchase quotation ${quotation.quotationNumber} is ${quotation.status} and cannot be ${action}`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+};
+
+/**
+ * Throw if the quotation's validity has run out
+ * @param {Object} quotation - Purchase quotation
+ */
+const assertNotExpired = (quotation) => {
+  if (quotation.validTill && quotation.validTill < startOfDay(new Date())) {
+    throw ApiError.badRequest(
+      `Purchase quotation ${quotation.quotationNumber} expired on ${quotation.validTill.toISOString().slice(0, 10)}`
+    );
+  }
+};
+
+/**
+ * Move a quotation between statuses, guarding against a concurrent change
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} quotation - Purchase quotation as read
+ * @param {Object} data - Fields to update, including the new status
+ */
+const transitionStatus = async (tx, quotation, data) => {
+  const { count } = await tx.purchaseQuotation.updateMany({
+    where: { id: quotation.id, status: quotation.status },
+    data
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(
+      `Purchase quotation ${quotation.quotationNumber} was changed by another request; please retry`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+};
+
+/**
+ * Validate that vendors exist and are active
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} vendorIds - Vendor IDs
+ */
+const assertValidVendors = async (tx, companyId, vendorIds) => {
+  const vendors = await tx.vendor.findMany({
+    where: { id: { in: vendorIds }, companyId },
+    select: { id: true, vendorNumber: true, isActive: true }
+  });
+
+  if (vendors.length !== vendorIds.length) {
+    throw ApiError.badRequest('One or more vendors are invalid');
+  }
+
+  const inactive = vendors.find((vendor) => !vendor.isActive);
+  if (inactive) {
+    throw ApiError.badRequest(`Vendor ${inactive.vendorNumber} is inactive`);
+  }
+};
+
+/**
+ * Validate quotation items against the company's purchasable products
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} items - Quotation items
+ */
+const assertValidItems = async (tx, companyId, items) => {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+
+  if (productIds.length !== items.length) {
+    throw ApiError.badRequest('Each product can appear only once on a purchase quotation');
+  }
+
+  const products = await tx.product.findMany({
+    where: { id: { in: productIds }, companyId },
+    select: { id: true, sku: true, type: true, isActive: true, isPurchasable: true }
+  });
+
+  if (products.length !== productIds.length) {
+    throw ApiError.badRequest('One or more products are invalid');
+  }
+
+  const invalid = products.find((product) => (
+    !product.isActive || !product.isPurchasable || product.type === PRODUCT_TYPES.BUNDLE
+  ));
+
+  if (invalid) {
+    throw ApiError.badRequest(`Product ${invalid.sku} cannot be purchased`);
+  }
+};
+
+/**
+ * Price quotation items and total them
+ * @param {Array<Object>} items - Items with quantity, unitPrice, taxRate, discountAmount
+ * @returns {Object} Totals as for calculateDocumentTotals
+ */
+const priceItems = (items) => {
+  const totals = calculateDocumentTotals(items.map((item) => ({
+    productId: item.productId,
+    description: item.description || null,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice || 0,
+    taxRate: item.taxRate || 0,
+    discountAmount: item.discountAmount || 0
+  })));
+
+  const overDiscounted = totals.items.find((item) => item.amount.lt(0));
+  if (overDiscounted) {
+    throw ApiError.badRequest('Discount cannot exceed the value of the line');
+  }
+
+  return totals;
+};
+
+/**
+ * Raise requests for quotation, one draft quotation per vendor with the
+ * same items. Prices are optional until the vendor quotes
+ * @param {string} companyId - Company ID
+ * @param {Object} rfqData - { vendorIds, quotationDate, validTill, notes, terms, items }
+ * @param {string} createdBy - ID of user raising the RFQs
+ * @returns {Promise<Array>} Created quotations
+ */
+export const createPurchaseQuotations = async (companyId, rfqData, createdBy) => {
+  const { vendorIds, items, quotationDate = new Date(), ...header } = rfqData;
+
+  const quotations = await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(tx, companyId, quotationDate);
+    await assertValidVendors(tx, companyId, vendorIds);
+    await assertValidItems(tx, companyId, items);
+
+    const totals = priceItems(items);
+    const created = [];
+
+    for (const vendorId of vendorIds) {
+      created.push(await tx.purchaseQuotation.create({
+        data: {
+          ...header,
+          companyId,
+          vendorId,
+          quotationDate,
+          quotationNumber: await generateDocumentNumber(
+            tx,
+            companyId,
+            NUMBER_SERIES_TYPES.PURCHASE_QUOTATION,
+            quotationDate
+          ),
+          subtotal: totals.subtotal,
+          discountAmount: totals.discountAmount,
+          taxAmount: totals.taxAmount,
+          total: totals.total,
+          status: DOCUMENT_STATUS.DRAFT,
+          createdBy,
+          items: { create: totals.items }
+        },
+        include: quotationInclude
+      }));
+    }
+
+    return created;
+  });
+
+  logger.info(
+    `Purchase quotations requested: ${quotations.map((quotation) => quotation.quotationNumber).join(', ')} by ${createdBy}`
+  );
+
+  return quotations;
+};
+
+/**
+ * Get purchase quotation by ID
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @returns {Promise<Object>} Quotation with items and the orders raised from it
+ */
+export const getPurchaseQuotationById = async (companyId, quotationId) => {
+  const quotation = await prisma.purchaseQuotation.findFirst({
+    where: { id: quotationId, companyId },
+    include: quotationInclude
+  });
+
+  if (!quotation) {
+    throw ApiError.notFound('Purchase quotation not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return quotation;
+};
+
+/**
+ * Get purchase quotations list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Quotations list with pagination
+ */
+export const getPurchaseQuotations = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    vendorId,
+    productId,
+    fromDate,
+    toDate,
+    search,
+    sortBy = 'quotationDate',
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (vendorId) {
+    where.vendorId = vendorId;
+  }
+
+  if (productId) {
+    where.items = { some: { productId } };
+  }
+
+  if (fromDate || toDate) {
+    where.quotationDate = {};
+    if (fromDate) where.quotationDate.gte = fromDate;
+    if (toDate) where.quotationDate.lte = toDate;
+  }
+
+  if (search) {
+    where.OR = [
+      { quotationNumber: { contains: search, mode: 'insensitive' } },
+      { referenceNo: { contains: search, mode: 'insensitive' } },
+      { vendor: { name: { contains: search, mode: 'insensitive' } } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, quotations] = await Promise.all([
+    prisma.purchaseQuotation.count({ where }),
+    prisma.purchaseQuotation.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: sortOrder }, { quotationNumber: sortOrder }],
+      include: quotationInclude
+    })
+  ]);
+
+  return {
+    quotations,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Update a draft quotation (RFQ not yet quoted)
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated quotation
+ */
+export const updatePurchaseQuotation = async (companyId, quotationId, updateData, updatedBy) => {
+  const { items, ...header } = updateData;
+
+  const quotation = await prisma.$transaction(async (tx) => {
+    const draft = await findCompanyQuotation(tx, companyId, quotationId);
+    assertStatus(draft, [DOCUMENT_STATUS.DRAFT], 'changed');
+
+    if (header.quotationDate) {
+      await assertPeriodOpen(tx, companyId, header.quotationDate);
+    }
+
+    if (header.vendorId) {
+      await assertValidVendors(tx, companyId, [header.vendorId]);
+    }
+
+    const data = { ...header };
+
+    if (items) {
+      await assertValidItems(tx, companyId, items);
+      await tx.purchaseQuotationItem.deleteMany({ where: { quotationId } });
+
+      const totals = priceItems(items);
+
+      Object.assign(data, {
+        subtotal: totals.subtotal,
+        discountAmount: totals.discountAmount,
+        taxAmount: totals.taxAmount,
+        total: totals.total,
+        items: { create: totals.items }
+      });
+    }
+
+    return tx.purchaseQuotation.update({
+      where: { id: quotationId },
+      data,
+      include: quotationInclude
+    });
+  });
+
+  logger.info(`Purchase quotation updated: ${quotation.quotationNumber} by ${updatedBy}`);
+
+  return quotation;
+};
+
+/**
+ * Record the vendor's quote against an RFQ, or revise a quote not yet
+ * approved. Items not listed keep their current prices
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @param {Object} quoteData - { referenceNo, quotationDate, validTill, terms, notes,
+ * items: [{ itemId, unitPrice, taxRate, discountAmount }] }
+ * @param {string} recordedBy - ID of user recording the quote
+ * @returns {Promise<Object>} Quoted quotation
+ */
+export const recordVendorQuote = async (companyId, quotationId, quoteData, recordedBy) => {
+  const { items: quotedItems, ...header } = quoteData;
+
+  const quotation = await prisma.$transaction(async (tx) => {
+    const current = await findCompanyQuotation(tx, companyId, quotationId);
+    assertStatus(current, [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.RECEIVED], 'quoted');
+
+    const quotedById = new Map(quotedItems.map((item) => [item.itemId, item]));
+    const unknown = quotedItems.find((item) => !current.items.some((line) => line.id === item.itemId));
+
+    if (unknown) {
+      throw ApiError.badRequest(`Item ${unknown.itemId} is not on purchase quotation ${current.quotationNumber}`);
+    }
+
+    const totals = priceItems(current.items.map((line) => ({
+      ...line,
+      ...quotedById.get(line.id)
+    })));
+
+    for (const [index, line] of current.items.entries()) {
+      const priced = totals.items[index];
+
+      await tx.purchaseQuotationItem.update({
+        where: { id: line.id },
+        data: {
+          unitPrice: priced.unitPrice,
+          taxRate: priced.taxRate,
+          discountAmount: priced.discountAmount,
+          amount: priced.amount
+        }
+      });
+    }
+
+    await transitionStatus(tx, current, {
+      ...header,
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      total: totals.total,
+      status: DOCUMENT_STATUS.RECEIVED
+    });
+
+    return tx.purchaseQuotation.findUnique({
+      where: { id: quotationId },
+      include: quotationInclude
+    });
+  });
+
+  logger.info(`Vendor quote recorded: ${quotation.quotationNumber} (${quotation.total}) by ${recordedBy}`);
+
+  return quotation;
+};
+
+/**
+ * Approve a quoted quotation as the one to order from
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @param {string} approvedBy - ID of user approving
+ * @returns {Promise<Object>} Approved quotation
+ */
+export const approvePurchaseQuotation = async (companyId, quotationId, approvedBy) => {
+  const quotation = await prisma.$transaction(async (tx) => {
+    const current = await findCompanyQuotation(tx, companyId, quotationId);
+    assertStatus(current, [DOCUMENT_STATUS.RECEIVED], 'approved');
+    assertNotExpired(current);
+
+    await transitionStatus(tx, current, {
+      status: DOCUMENT_STATUS.APPROVED,
+      approvedBy,
+      approvedAt: new Date()
+    });
+
+    return tx.purchaseQuotation.findUnique({
+      where: { id: quotationId },
+      include: quotationInclude
+    });
+  });
+
+  logger.info(`Purchase quotation approved: ${quotation.quotationNumber} by ${approvedBy}`);
+
+  return quotation;
+};
+
+/**
+ * Reject a quotation that has not been converted
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @param {Object} rejectData - { reason }
+ * @param {string} rejectedBy - ID of user rejecting
+ * @returns {Promise<Object>} Rejected quotation
+ */
+export const rejectPurchaseQuotation = async (companyId, quotationId, rejectData, rejectedBy) => {
+  const { reason } = rejectData;
+
+  const quotation = await prisma.$transaction(async (tx) => {
+    const current = await findCompanyQuotation(tx, companyId, quotationId);
+    assertStatus(current, [DOCUMENT_STATUS.DRAFT, DOCUMENT_STATUS.RECEIVED, DOCUMENT_STATUS.APPROVED], 'rejected');
+
+    await transitionStatus(tx, current, {
+      status: DOCUMENT_STATUS.REJECTED,
+      ...(reason && { notes: current.notes ? `${current.notes}\nRejected: ${reason}` : `Rejected: ${reason}` })
+    });
+
+    return tx.purchaseQuotation.findUnique({
+      where: { id: quotationId },
+      include: quotationInclude
+    });
+  });
+
+  logger.info(`Purchase quotation rejected: ${quotation.quotationNumber} by ${rejectedBy}`);
+
+  return quotation;
+};
+
+/**
+ * Delete a quotation that was never approved
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deletePurchaseQuotation = async (companyId, quotationId, deletedBy) => {
+  const quotation = await findCompanyQuotation(prisma, companyId, quotationId);
+  assertStatus(quotation, DELETABLE_STATUSES, 'deleted');
+
+  await prisma.purchaseQuotation.delete({
+    where: { id: quotationId }
+  });
+
+  logger.info(`Purchase quotation deleted: ${quotation.quotationNumber} by ${deletedBy}`);
+};
+
+/**
+ * Compare vendor quotes side by side, either the quotations given or
+ * every quote on record for a product. For each product the quotes are
+ * listed with their effective unit cost (line amount per unit, after
+ * discount and tax) and the cheapest one is flagged. The quotation with
+ * the lowest total is named only when all of them quote the same products
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - { quotationIds } or { productId, includeExpired }
+ * @returns {Promise<Object>} { quotations, products, lowestTotalQuotationId }
+ */
+export const compareQuotations = async (companyId, filters) => {
+  const { quotationIds, productId, includeExpired = false } = filters;
+  const today = startOfDay(new Date());
+
+  const where = quotationIds
+    ? { companyId, id: { in: quotationIds } }
+    : {
+      companyId,
+      status: { in: QUOTED_STATUSES },
+      items: { some: { productId } },
+      ...(!includeExpired && { OR: [{ validTill: null }, { validTill: { gte: today } }] })
+    };
+
+  const quotations = await prisma.purchaseQuotation.findMany({
+    where,
+    orderBy: [{ total: 'asc' }, { quotationNumber: 'asc' }],
+    include: {
+      vendor: { select: vendorSummarySelect },
+      items: {
+        where: productId ? { productId } : undefined,
+        include: { product: { select: { id: true, sku: true, name: true, unit: true } } }
+      }
+    }
+  });
+
+  if (quotationIds && quotations.length !== quotationIds.length) {
+    throw ApiError.notFound('One or more purchase quotations were not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const unquoted = quotations.find((quotation) => !QUOTED_STATUSES.includes(quotation.status));
+  if (unquoted) {
+    throw ApiError.badRequest(`Purchase quotation ${unquoted.quotationNumber} has no vendor quote recorded`);
+  }
+
+  const products = new Map();
+
+  for (const quotation of quotations) {
+    for (const item of quotation.items) {
+      if (!products.has(item.productId)) {
+        products.set(item.productId, { product: item.product, quotes: [] });
+      }
+
+      products.get(item.productId).quotes.push({
+        quotationId: quotation.id,
+        quotationNumber: quotation.quotationNumber,
+        vendor: quotation.vendor,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        taxRate: item.taxRate,
+        discountAmount: item.discountAmount,
+        amount: item.amount,
+        effectiveUnitCost: new Prisma.Decimal(item.amount).div(item.quantity).toDecimalPlaces(2)
+      });
+    }
+  }
+
+  const comparison = [...products.values()].map(({ product, quotes }) => {
+    const sorted = [...quotes].sort((a, b) => a.effectiveUnitCost.comparedTo(b.effectiveUnitCost));
+    const lowest = sorted[0];
+
+    return {
+      product,
+      quotedBy: quotes.length,
+      lowestQuotationId: lowest.quotationId,
+      quotes: sorted.map((quote) => ({
+        ...quote,
+        isLowest: quote.effectiveUnitCost.equals(lowest.effectiveUnitCost)
+      }))
+    };
+  });
+
+  // Totals are only comparable when every quotation covers every product
+  const coversAll = quotations.every((quotation) => quotation.items.length === products.size);
+
+  return {
+    quotations: quotations.map(({ items, ...quotation }) => ({
+      ...quotation,
+      itemCount: items.length,
+      isExpired: Boolean(quotation.validTill && quotation.validTill < today)
+    })),
+    products: comparison,
+    lowestTotalQuotationId: quotationIds && coversAll && quotations.length > 0 ? quotations[0].id : null
+  };
+};
+
+/**
+ * Convert an approved quotation into a draft purchase order at the
+ * quoted prices. The quotation is completed and linked from the order
+ * @param {string} companyId - Company ID
+ * @param {string} quotationId - Purchase quotation ID
+ * @param {Object} orderData - { orderDate, expectedDeliveryDate, warehouseId, notes }
+ * @param {string} createdBy - ID of user converting
+ * @returns {Promise<Object>} Created purchase order
+ */
+export const convertToPurchaseOrder = async (companyId, quotationId, orderData, createdBy) => {
+  const { orderDate = new Date(), expectedDeliveryDate, warehouseId, notes } = orderData;
+
+  const order = await prisma.$transaction(async (tx) => {
+    const quotation = await findCompanyQuotation(tx, companyId, quotationId);
+    assertStatus(quotation, [DOCUMENT_STATUS.APPROVED], 'converted');
+    assertNotExpired(quotation);
+    await assertPeriodOpen(tx, companyId, orderDate);
+    await assertValidVendors(tx, companyId, [quotation.vendorId]);
+
+    if (warehouseId) {
+      const warehouse = await tx.warehouse.findFirst({
+        where: { id: warehouseId, companyId },
+        select: { code: true, isActive: true }
+      });
+
+      if (!warehouse) {
+        throw ApiError.badRequest('Warehouse is invalid');
+      }
+
+      if (!warehouse.isActive) {
+        throw ApiError.badRequest(`Warehouse ${warehouse.code} is inactive`);
+      }
+    }
+
+    await transitionStatus(tx, quotation, { status: DOCUMENT_STATUS.COMPLETED });
+
+    const totals = priceItems(quotation.items);
+
+    return tx.purchaseOrder.create({
+      data: {
+        companyId,
+        vendorId: quotation.vendorId,
+        quotationId: quotation.id,
+        warehouseId: warehouseId || null,
+        orderNumber: await generateDocumentNumber(
+          tx,
+          companyId,
+          NUMBER_SERIES_TYPES.PURCHASE_ORDER,
+          orderDate
+        ),
+        orderDate,
+        expectedDeliveryDate,
+        subtotal: totals.subtotal,
+        discountAmount: totals.discountAmount,
+        taxAmount: totals.taxAmount,
+        total: totals.total,
+        status: DOCUMENT_STATUS.DRAFT,
+        notes: notes || `Converted from quotation ${quotation.quotationNumber}`,
+        terms: quotation.terms,
+        createdBy,
+        items: { create: totals.items }
+      },
+      include: {
+        vendor: { select: vendorSummarySelect },
+        warehouse: { select: { id: true, code: true, name: true } },
+        items: {
+          include: { product: { select: { id: true, sku: true, name: true, unit: true } } }
+        }
+      }
+    });
+  });
+
+  logger.info(`Purchase quotation converted: ${quotationId} to order ${order.orderNumber} by ${createdBy}`);
+
+  return order;
+};
+
+export default {
+  createPurchaseQuotations,
+  getPurchaseQuotationById,
+  getPurchaseQuotations,
+  updatePurchaseQuotation,
+  recordVendorQuote,
+  approvePurchaseQuotation,
+  rejectPurchaseQuotation,
+  deletePurchaseQuotation,
+  compareQuotations,
+  convertToPurchaseOrder
+};
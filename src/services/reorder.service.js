@@ -0,0 +1,444 @@
+/**
+ * Reorder Service
+ * Low-stock reporting, reorder alerts and purchase order suggestions
+ * driven by Product.reorderLevel, minStockLevel and maxStockLevel.
+ * Alerts themselves are raised by the stock service as availability drops
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  DOCUMENT_STATUS,
+  NUMBER_SERIES_TYPES,
+  STOCK_ALERT_STATUS,
+  PRODUCT_TYPES,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { calculateDocumentTotals } from '../utils/documentTotals.js';
+import logger from '../config/logger.js';
+
+/**
+ * Purchase order statuses whose unreceived quantities are still expected
+ */
+const OPEN_ORDER_STATUSES = [
+  DOCUMENT_STATUS.DRAFT,
+  DOCUMENT_STATUS.PENDING_APPROVAL,
+  DOCUMENT_STATUS.APPROVED,
+  DOCUMENT_STATUS.SENT
+];
+
+const alertInclude = {
+  product: {
+    select: { id: true, sku: true, name: true, unit: true, reorderLevel: true }
+  },
+  warehouse: {
+    select: { id: true, code: true, name: true }
+  }
+};
+
+/**
+ * Key of a product in a warehouse
+ * @param {string} productId - Product ID
+ * @param {string} warehouseId - Warehouse ID
+ * @returns {string} Map key
+ */
+const stockKey = (productId, warehouseId) => `${productId}:${warehouseId}`;
+
+/**
+ * Get the warehouses a reorder check covers
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} [warehouseId] - Single warehouse to check
+ * @returns {Promise<Array>} Active warehouses ordered by code
+ */
+const getReorderWarehouses = async (db, companyId, warehouseId) => {
+  const warehouses = await db.warehouse.findMany({
+    where: { companyId, isActive: true, ...(warehouseId && { id: warehouseId }) },
+    select: { id: true, code: true, name: true },
+    orderBy: { code: 'asc' }
+  });
+
+  if (warehouseId && warehouses.length === 0) {
+    throw ApiError.notFound('Warehouse not found or inactive', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return warehouses;
+};
+
+/**
+ * Sum the quantities still expected on open purchase orders
+ * Orders without a delivery warehouse count towards the default warehouse
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} productIds - Products to check
+ * @param {string} [defaultWarehouseId] - Default warehouse ID
+ * @returns {Promise<Map>} Outstanding quantity per product and warehouse
+ */
+const getOnOrderQuantities = async (db, companyId, productIds, defaultWarehouseId) => {
+  const items = await db.purchaseOrderItem.findMany({
+    where: {
+      productId: { in: productIds },
+      order: { companyId, status: { in: OPEN_ORDER_STATUSES } }
+    },
+    select: {
+      productId: true,
+      quantity: true,
+      receivedQty: true,
+      order: { select: { warehouseId: true } }
+    }
+  });
+
+  const onOrder = new Map();
+
+  for (const item of items) {
+    const warehouseId = item.order.warehouseId || defaultWarehouseId;
+    const outstanding = Number(item.quantity) - Number(item.receivedQty);
+
+    if (warehouseId && outstanding > 0) {
+      const key = stockKey(item.productId, warehouseId);
+      onOrder.set(key, (onOrder.get(key) || 0) + outstanding);
+    }
+  }
+
+  return onOrder;
+};
+
+/**
+ * Find every product and warehouse pair whose availability is below the
+ * reorder level. Suggestions top stock back up to maxStockLevel, or to
+ * the reorder level when no higher maximum is set, net of quantities
+ * already on order
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - { warehouseId, categoryId, productIds, vendorId, belowMinimum }
+ * @returns {Promise<Array>} Low-stock lines ordered by warehouse and SKU
+ */
+const getLowStockLines = async (db, companyId, filters = {}) => {
+  const { warehouseId, categoryId, productIds, vendorId, belowMinimum } = filters;
+
+  const warehouses = await getReorderWarehouses(db, companyId, warehouseId);
+
+  const products = await db.product.findMany({
+    where: {
+      companyId,
+      isActive: true,
+      trackInventory: true,
+      type: PRODUCT_TYPES.GOODS,
+      reorderLevel: { gt: 0 },
+      ...(categoryId && { categoryId }),
+      ...(productIds && { id: { in: productIds } }),
+      ...(vendorId && { preferredVendorId: vendorId })
+    },
+    select: {
+      id: true,
+      sku: true,
+      name: true,
+      unit: true,
+      purchasePrice: true,
+      taxRate: true,
+      reorderLevel: true,
+      minStockLevel: true,
+      maxStockLevel: true,
+      isPurchasable: true,
+      preferredVendor: {
+        select: { id: true, vendorNumber: true, name: true, isActive: true }
+      }
+    },
+    orderBy: { sku: 'asc' }
+  });
+
+  if (warehouses.length === 0 || products.length === 0) {
+    return [];
+  }
+
+  const productIdList = products.map((product) => product.id);
+  const defaultWarehouse = await db.warehouse.findFirst({
+    where: { companyId, isDefault: true },
+    select: { id: true }
+  });
+
+  const [stockRows, onOrder] = await Promise.all([
+    db.stock.findMany({
+      where: {
+        companyId,
+        productId: { in: productIdList },
+        warehouseId: { in: warehouses.map((warehouse) => warehouse.id) }
+      },
+      select: { productId: true, warehouseId: true, quantity: true, availableQty: true }
+    }),
+    getOnOrderQuantities(db, companyId, productIdList, defaultWarehouse?.id)
+  ]);
+
+  const stockByKey = new Map(stockRows.map((row) => [stockKey(row.productId, row.warehouseId), row]));
+  const lines = [];
+
+  for (const warehouse of warehouses) {
+    for (const product of products) {
+      const key = stockKey(product.id, warehouse.id);
+      const stock = stockByKey.get(key);
+      const availableQty = stock ? stock.availableQty : 0;
+
+      if (availableQty >= product.reorderLevel) continue;
+      if (belowMinimum && availableQty >= product.minStockLevel) continue;
+
+      const onOrderQty = onOrder.get(key) || 0;
+      const targetLevel = Math.max(product.maxStockLevel, product.reorderLevel);
+      const { purchasePrice, taxRate, isPurchasable, preferredVendor, ...productSummary } = product;
+
+      lines.push({
+        product: productSummary,
+        warehouse: { id: warehouse.id, code: warehouse.code, name: warehouse.name },
+        preferredVendor,
+        quantity: stock ? stock.quantity : 0,
+        availableQty,
+        onOrderQty,
+        belowMinimum: availableQty < product.minStockLevel,
+        shortfall: product.reorderLevel - availableQty,
+        suggestedQty: Math.max(Math.ceil(targetLevel - availableQty - onOrderQty), 0),
+        purchasePrice,
+        taxRate,
+        isPurchasable
+      });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Get the low-stock report
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - warehouseId, categoryId, vendorId, belowMinimum
+ * @returns {Promise<Object>} { items, summary }
+ */
+export const getLowStockReport = async (companyId, filters = {}) => {
+  const lines = await getLowStockLines(prisma, companyId, filters);
+
+  const items = lines.map(({ purchasePrice, taxRate, isPurchasable, ...line }) => line);
+
+  return {
+    items,
+    summary: {
+      items: items.length,
+      belowMinimum: items.filter((item) => item.belowMinimum).length,
+      toOrder: items.filter((item) => item.suggestedQty > 0).length
+    }
+  };
+};
+
+/**
+ * Get stock alerts with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Alerts list with pagination
+ */
+export const getStockAlerts = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    warehouseId,
+    productId,
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (warehouseId) {
+    where.warehouseId = warehouseId;
+  }
+
+  if (productId) {
+    where.productId = productId;
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, alerts] = await Promise.all([
+    prisma.stockAlert.count({ where }),
+    prisma.stockAlert.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { createdAt: sortOrder },
+      include: alertInclude
+    })
+  ]);
+
+  return {
+    alerts,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Acknowledge an open stock alert
+ * The alert stays unresolved until availability is back at the reorder level
+ * @param {string} companyId - Company ID
+ * @param {string} alertId - Stock alert ID
+ * @param {string} acknowledgedBy - ID of user acknowledging the alert
+ * @returns {Promise<Object>} Updated alert
+ */
+export const acknowledgeStockAlert = async (companyId, alertId, acknowledgedBy) => {
+  const alert = await prisma.stockAlert.findFirst({
+    where: { id: alertId, companyId },
+    select: { id: true, status: true }
+  });
+
+  if (!alert) {
+    throw ApiError.notFound('Stock alert not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  // Guard against the alert resolving or being acknowledged concurrently
+  const { count } = await prisma.stockAlert.updateMany({
+    where: { id: alertId, status: STOCK_ALERT_STATUS.OPEN },
+    data: {
+      status: STOCK_ALERT_STATUS.ACKNOWLEDGED,
+      acknowledgedBy,
+      acknowledgedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(
+      `Only open alerts can be acknowledged; this alert is ${alert.status}`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  logger.info(`Stock alert acknowledged: ${alertId} by ${acknowledgedBy}`);
+
+  return prisma.stockAlert.findUnique({
+    where: { id: alertId },
+    include: alertInclude
+  });
+};
+
+/**
+ * Draft purchase orders for everything below its reorder level
+ * Lines are grouped by preferred vendor and warehouse, one DRAFT order
+ * per group priced at the product purchase price. Products without an
+ * active preferred vendor, or not purchasable, are returned as skipped
+ * @param {string} companyId - Company ID
+ * @param {Object} suggestData - { warehouseId, categoryId, productIds, vendorId,
+ * orderDate, expectedDeliveryDate, notes }
+ * @param {string} createdBy - ID of user requesting the suggestions
+ * @returns {Promise<Object>} { purchaseOrders, skipped }
+ */
+export const suggestPurchaseOrders = async (companyId, suggestData, createdBy) => {
+  const { orderDate = new Date(), expectedDeliveryDate, notes, ...filters } = suggestData;
+
+  const result = await prisma.$transaction(async (tx) => {
+    // One suggestion run at a time, so open orders are never counted twice
+    await tx.$queryRaw`SELECT id FROM "Company" WHERE id = ${companyId} FOR UPDATE`;
+    await assertPeriodOpen(tx, companyId, orderDate);
+
+    const lines = (await getLowStockLines(tx, companyId, filters))
+      .filter((line) => line.suggestedQty > 0);
+
+    const groups = new Map();
+    const skipped = [];
+
+    for (const line of lines) {
+      let reason;
+
+      if (!line.isPurchasable) {
+        reason = 'Product is not purchasable';
+      } else if (!line.preferredVendor) {
+        reason = 'No preferred vendor';
+      } else if (!line.preferredVendor.isActive) {
+        reason = `Preferred vendor ${line.preferredVendor.vendorNumber} is inactive`;
+      }
+
+      if (reason) {
+        skipped.push({
+          product: line.product,
+          warehouse: line.warehouse,
+          suggestedQty: line.suggestedQty,
+          reason
+        });
+        continue;
+      }
+
+      const key = `${line.preferredVendor.id}:${line.warehouse.id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { vendorId: line.preferredVendor.id, warehouseId: line.warehouse.id, lines: [] });
+      }
+      groups.get(key).lines.push(line);
+    }
+
+    const purchaseOrders = [];
+
+    for (const group of groups.values()) {
+      const totals = calculateDocumentTotals(group.lines.map((line) => ({
+        productId: line.product.id,
+        description: `Reorder: ${line.availableQty} available, reorder level ${line.product.reorderLevel}`,
+        quantity: line.suggestedQty,
+        unitPrice: line.purchasePrice,
+        taxRate: line.taxRate,
+        discountAmount: 0
+      })));
+
+      const orderNumber = await generateDocumentNumber(
+        tx, companyId, NUMBER_SERIES_TYPES.PURCHASE_ORDER, orderDate
+      );
+
+      purchaseOrders.push(await tx.purchaseOrder.create({
+        data: {
+          companyId,
+          vendorId: group.vendorId,
+          warehouseId: group.warehouseId,
+          orderNumber,
+          orderDate,
+          expectedDeliveryDate,
+          subtotal: totals.subtotal,
+          discountAmount: totals.discountAmount,
+          taxAmount: totals.taxAmount,
+          total: totals.total,
+          status: DOCUMENT_STATUS.DRAFT,
+          notes: notes || 'Suggested from reorder levels',
+          createdBy,
+          items: { create: totals.items }
+        },
+        include: {
+          vendor: { select: { id: true, vendorNumber: true, name: true } },
+          warehouse: { select: { id: true, code: true, name: true } },
+          items: {
+            include: { product: { select: { id: true, sku: true, name: true, unit: true } } }
+          }
+        }
+      }));
+    }
+
+    return { purchaseOrders, skipped };
+  });
+
+  logger.info(
+    `Purchase orders suggested: ${result.purchaseOrders.map((order) => order.orderNumber).join(', ') || 'none'} ` +
+    `(${result.skipped.length} lines skipped) for company ${companyId} by ${createdBy}`
+  );
+
+  return result;
+};
+
+export default {
+  getLowStockReport,
+  getStockAlerts,
+  acknowledgeStockAlert,
+  suggestPurchaseOrders
+};
@@ -0,0 +1,720 @@
+/**
+ * Report Service
+ * Financial statements computed from posted journal lines
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  ACCOUNT_TYPES,
+  TRANSACTION_TYPES,
+  REFERENCE_TYPES,
+  REPORT_COMPARISONS,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { buildAccountTree, getBalanceChange, isDebitNormal } from './account.service.js';
+import { startOfDay, endOfDay, addYears, getFiscalYearBounds } from '../utils/fiscalYear.js';
+
+const ZERO = new Prisma.Decimal(0);
+
+const reportAccountSelect = {
+  id: true,
+  accountNumber: true,
+  accountName: true,
+  accountType: true,
+  parentId: true,
+  openingBalance: true
+};
+
+/**
+ * Get the company a report is generated for
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Company
+ */
+const getReportCompany = async (companyId) => {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: {
+      id: true,
+      name: true,
+      baseCurrency: true,
+      fiscalYearStart: true
+    }
+  });
+
+  if (!company) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return company;
+};
+
+/**
+ * Get accounts of the given types, including inactive ones with history
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} accountTypes - Account types
+ * @returns {Promise<Array<Object>>} Accounts
+ */
+const getReportAccounts = (companyId, accountTypes) => prisma.account.findMany({
+  where: {
+    companyId,
+    accountType: { in: accountTypes }
+  },
+  select: reportAccountSelect,
+  orderBy: { accountNumber: 'asc' }
+});
+
+/**
+ * Resolve a report period, defaulting to the fiscal year to date
+ * @param {Object} company - Company with fiscalYearStart
+ * @param {Date} [fromDate] - Period start
+ * @param {Date} [toDate] - Period end
+ * @returns {Object} { fromDate, toDate } covering whole days
+ */
+const resolvePeriod = (company, fromDate, toDate) => {
+  const periodEnd = endOfDay(toDate || new Date());
+  const periodStart = fromDate
+    ? startOfDay(fromDate)
+    : getFiscalYearBounds(company.fiscalYearStart, periodEnd).startDate;
+
+  return { fromDate: periodStart, toDate: periodEnd };
+};
+
+/**
+ * Get the period a report period is compared against
+ * @param {Object} period - Report period
+ * @param {string} [compareWith] - PREVIOUS_PERIOD or PREVIOUS_YEAR
+ * @returns {Object|null} Comparison period
+ */
+const getComparisonPeriod = (period, compareWith) => {
+  if (compareWith === REPORT_COMPARISONS.PREVIOUS_YEAR) {
+    return {
+      fromDate: addYears(period.fromDate, -1),
+      toDate: endOfDay(addYears(period.toDate, -1))
+    };
+  }
+
+  if (compareWith === REPORT_COMPARISONS.PREVIOUS_PERIOD) {
+    const length = period.toDate.getTime() - period.fromDate.getTime();
+    const toDate = new Date(period.fromDate.getTime() - 1);
+    return {
+      fromDate: new Date(toDate.getTime() - length),
+      toDate
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Where clause for posted journal lines within a date range
+ * @param {string} companyId - Company ID
+ * @param {Object} range - Optional fromDate, toDate, accountIds and
+ * excludeClosingEntries
+ * @returns {Object} Journal line where clause
+ */
+const postedLinesWhere = (companyId, { fromDate, toDate, accountIds, excludeClosingEntries }) => {
+  const entryDate = {};
+  if (fromDate) entryDate.gte = fromDate;
+  if (toDate) entryDate.lte = toDate;
+
+  const where = {
+    entry: {
+      companyId,
+      isPosted: true,
+      entryDate
+    }
+  };
+
+  if (accountIds) {
+    where.accountId = { in: accountIds };
+  }
+
+  if (excludeClosingEntries) {
+    where.entry.OR = [
+      { referenceType: null },
+      { referenceType: { not: REFERENCE_TYPES.YEAR_END_CLOSE } }
+    ];
+  }
+
+  return where;
+};
+
+/**
+ * Sum posted journal lines per account within a date range
+ * @param {string} companyId - Company ID
+ * @param {Object} range - Optional fromDate, toDate and accountIds
+ * @returns {Promise<Map<string, Object>>} { debit, credit } keyed by account ID
+ */
+const getLineTotals = async (companyId, range) => {
+  const groups = await prisma.journalLine.groupBy({
+    by: ['accountId', 'transactionType'],
+    where: postedLinesWhere(companyId, range),
+    _sum: { amount: true }
+  });
+
+  const totals = new Map();
+  for (const group of groups) {
+    const total = totals.get(group.accountId) || { debit: ZERO, credit: ZERO };
+    const amount = new Prisma.Decimal(group._sum.amount || 0);
+
+    if (group.transactionType === TRANSACTION_TYPES.DEBIT) {
+      total.debit = total.debit.plus(amount);
+    } else {
+      total.credit = total.credit.plus(amount);
+    }
+
+    totals.set(group.accountId, total);
+  }
+
+  return totals;
+};
+
+/**
+ * Net change of an account on its normal side
+ * @param {Object} account - Account with accountType
+ * @param {Map<string, Object>} totals - Line totals from getLineTotals
+ * @returns {Prisma.Decimal} Net change
+ */
+const getNetChange = (account, totals) => {
+  const total = totals.get(account.id);
+
+  if (!total) {
+    return ZERO;
+  }
+
+  return getBalanceChange(account.accountType, TRANSACTION_TYPES.DEBIT, total.debit)
+    .plus(getBalanceChange(account.accountType, TRANSACTION_TYPES.CREDIT, total.credit));
+};
+
+/**
+ * Balance of every account at the end of a date
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} accounts - Accounts with openingBalance
+ * @param {Date} asOfDate - Balance date
+ * @returns {Promise<Map<string, Prisma.Decimal>>} Balances keyed by account ID
+ */
+const getBalancesAsOf = async (companyId, accounts, asOfDate) => {
+  const totals = await getLineTotals(companyId, { toDate: asOfDate });
+
+  return new Map(accounts.map((account) => [
+    account.id,
+    new Prisma.Decimal(account.openingBalance).plus(getNetChange(account, totals))
+  ]));
+};
+
+/**
+ * Split a balance into trial balance debit and credit columns
+ * @param {string} accountType - Account type
+ * @param {Prisma.Decimal} balance - Balance on the account's normal side
+ * @returns {Object} { debit, credit }
+ */
+const splitBalance = (accountType, balance) => {
+  const debitBalance = isDebitNormal(accountType) ? balance : balance.negated();
+
+  return debitBalance.isNegative()
+    ? { debit: ZERO, credit: debitBalance.negated() }
+    : { debit: debitBalance, credit: ZERO };
+};
+
+/**
+ * Shape an account as a report row
+ * @param {Object} account - Account
+ * @param {Object} amounts - Report amounts for the account
+ * @returns {Object} Report row
+ */
+const toReportRow = (account, amounts) => ({
+  id: account.id,
+  accountNumber: account.accountNumber,
+  accountName: account.accountName,
+  accountType: account.accountType,
+  parentId: account.parentId,
+  ...amounts
+});
+
+/**
+ * Drop nodes whose rolled-up totals are all zero
+ * @param {Array<Object>} nodes - Tree nodes
+ * @param {Array<string>} totalFields - Total fields to inspect
+ * @returns {Array<Object>} Remaining nodes
+ */
+const pruneZeroNodes = (nodes, totalFields) => nodes.filter((node) => {
+  node.children = pruneZeroNodes(node.children, totalFields);
+  return totalFields.some((field) => !node[field].isZero());
+});
+
+/**
+ * Build the account tree and totals for one account type
+ * @param {Array<Object>} rows - Report rows
+ * @param {string} accountType - Account type
+ * @param {Object} rollUpFields - Amount fields mapped to total fields
+ * @param {boolean} includeZeroBalances - Keep accounts without amounts
+ * @returns {Object} Report section
+ */
+const buildSection = (rows, accountType, rollUpFields, includeZeroBalances) => {
+  const totalFields = Object.values(rollUpFields);
+  let accounts = buildAccountTree(
+    rows.filter((row) => row.accountType === accountType),
+    rollUpFields
+  );
+
+  if (!includeZeroBalances) {
+    accounts = pruneZeroNodes(accounts, totalFields);
+  }
+
+  const totals = Object.fromEntries(totalFields.map((field) => [
+    field,
+    accounts.reduce((sum, node) => sum.plus(node[field]), ZERO)
+  ]));
+
+  return { accountType, accounts, ...totals };
+};
+
+/**
+ * Get trial balance
+ * Lists every account's opening balance, period debits and credits and
+ * closing balance, grouped by account type and hierarchy
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - fromDate, toDate, compareWith, includeZeroBalances
+ * @returns {Promise<Object>} Trial balance
+ */
+export const getTrialBalance = async (companyId, filters = {}) => {
+  const { fromDate, toDate, compareWith, includeZeroBalances = false } = filters;
+
+  const company = await getReportCompany(companyId);
+  const period = resolvePeriod(company, fromDate, toDate);
+  const comparisonPeriod = getComparisonPeriod(period, compareWith);
+  const accounts = await getReportAccounts(companyId, Object.values(ACCOUNT_TYPES));
+
+  const [openingBalances, periodTotals, comparisonBalances] = await Promise.all([
+    getBalancesAsOf(companyId, accounts, new Date(period.fromDate.getTime() - 1)),
+    getLineTotals(companyId, period),
+    comparisonPeriod ? getBalancesAsOf(companyId, accounts, comparisonPeriod.toDate) : null
+  ]);
+
+  const rows = accounts.map((account) => {
+    const openingBalance = openingBalances.get(account.id);
+    const { debit, credit } = periodTotals.get(account.id) || { debit: ZERO, credit: ZERO };
+    const closingBalance = openingBalance.plus(getNetChange(account, periodTotals));
+    const closing = splitBalance(account.accountType, closingBalance);
+
+    const row = toReportRow(account, {
+      openingBalance,
+      debit,
+      credit,
+      closingBalance,
+      closingDebit: closing.debit,
+      closingCredit: closing.credit
+    });
+
+    if (comparisonBalances) {
+      row.comparisonClosingBalance = comparisonBalances.get(account.id);
+    }
+
+    return row;
+  });
+
+  const rollUpFields = {
+    openingBalance: 'totalOpeningBalance',
+    debit: 'totalDebit',
+    credit: 'totalCredit',
+    closingBalance: 'totalClosingBalance',
+    closingDebit: 'totalClosingDebit',
+    closingCredit: 'totalClosingCredit'
+  };
+
+  if (comparisonPeriod) {
+    rollUpFields.comparisonClosingBalance = 'totalComparisonClosingBalance';
+  }
+
+  const sections = Object.values(ACCOUNT_TYPES).map((accountType) =>
+    buildSection(rows, accountType, rollUpFields, includeZeroBalances)
+  );
+
+  const sumSections = (field) => sections.reduce((sum, section) => sum.plus(section[field]), ZERO);
+  const totalClosingDebit = sumSections('totalClosingDebit');
+  const totalClosingCredit = sumSections('totalClosingCredit');
+
+  return {
+    company: { id: company.id, name: company.name, baseCurrency: company.baseCurrency },
+    period,
+    comparisonPeriod,
+    sections,
+    totals: {
+      totalDebit: sumSections('totalDebit'),
+      totalCredit: sumSections('totalCredit'),
+      totalClosingDebit,
+      totalClosingCredit,
+      isBalanced: totalClosingDebit.equals(totalClosingCredit)
+    }
+  };
+};
+
+/**
+ * Get profit and loss statement
+ * Revenue and expense activity for the period, grouped by hierarchy
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - fromDate, toDate, compareWith, includeZeroBalances
+ * @returns {Promise<Object>} Profit and loss statement
+ */
+export const getProfitAndLoss = async (companyId, filters = {}) => {
+  const { fromDate, toDate, compareWith, includeZeroBalances = false } = filters;
+
+  const company = await getReportCompany(companyId);
+  const period = resolvePeriod(company, fromDate, toDate);
+  const comparisonPeriod = getComparisonPeriod(period, compareWith);
+  const accounts = await getReportAccounts(companyId, [ACCOUNT_TYPES.REVENUE, ACCOUNT_TYPES.EXPENSE]);
+
+  // Year-end closing entries would zero out the results of a closed year
+  const [periodTotals, comparisonTotals] = await Promise.all([
+    getLineTotals(companyId, { ...period, excludeClosingEntries: true }),
+    comparisonPeriod
+      ? getLineTotals(companyId, { ...comparisonPeriod, excludeClosingEntries: true })
+      : null
+  ]);
+
+  const rows = accounts.map((account) => {
+    const row = toReportRow(account, { amount: getNetChange(account, periodTotals) });
+
+    if (comparisonTotals) {
+      row.comparisonAmount = getNetChange(account, comparisonTotals);
+    }
+
+    return row;
+  });
+
+  const rollUpFields = { amount: 'totalAmount' };
+
+  if (comparisonPeriod) {
+    rollUpFields.comparisonAmount = 'totalComparisonAmount';
+  }
+
+  const revenue = buildSection(rows, ACCOUNT_TYPES.REVENUE, rollUpFields, includeZeroBalances);
+  const expenses = buildSection(rows, ACCOUNT_TYPES.EXPENSE, rollUpFields, includeZeroBalances);
+
+  const report = {
+    company: { id: company.id, name: company.name, baseCurrency: company.baseCurrency },
+    period,
+    comparisonPeriod,
+    revenue,
+    expenses,
+    netProfit: revenue.totalAmount.minus(expenses.totalAmount)
+  };
+
+  if (comparisonPeriod) {
+    report.comparisonNetProfit = revenue.totalComparisonAmount.minus(expenses.totalComparisonAmount);
+  }
+
+  return report;
+};
+
+/**
+ * Get the date a balance sheet is compared against
+ * PREVIOUS_YEAR compares with the same date a year earlier,
+ * PREVIOUS_PERIOD with the end of the previous fiscal year
+ * @param {Object} company - Company with fiscalYearStart
+ * @param {Date} asOfDate - Balance sheet date
+ * @param {string} [compareWith] - Comparison type
+ * @returns {Date|null} Comparison date
+ */
+const getComparisonDate = (company, asOfDate, compareWith) => {
+  if (compareWith === REPORT_COMPARISONS.PREVIOUS_YEAR) {
+    return endOfDay(addYears(asOfDate, -1));
+  }
+
+  if (compareWith === REPORT_COMPARISONS.PREVIOUS_PERIOD) {
+    const { startDate } = getFiscalYearBounds(company.fiscalYearStart, asOfDate);
+    return new Date(startDate.getTime() - 1);
+  }
+
+  return null;
+};
+
+/**
+ * Account balances and unclosed earnings at a balance sheet date
+ * @param {Object} company - Company with fiscalYearStart
+ * @param {Array<Object>} accounts - All company accounts
+ * @param {Date} asOfDate - Balance sheet date
+ * @returns {Promise<Object>} { balances, priorYearsEarnings, currentYearEarnings }
+ */
+const getBalanceSheetFigures = async (company, accounts, asOfDate) => {
+  const { startDate } = getFiscalYearBounds(company.fiscalYearStart, asOfDate);
+
+  const [balances, yearTotals] = await Promise.all([
+    getBalancesAsOf(company.id, accounts, asOfDate),
+    getLineTotals(company.id, { fromDate: startDate, toDate: asOfDate })
+  ]);
+
+  const sumEarnings = (getAmount) => accounts.reduce((sum, account) => {
+    if (account.accountType === ACCOUNT_TYPES.REVENUE) return sum.plus(getAmount(account));
+    if (account.accountType === ACCOUNT_TYPES.EXPENSE) return sum.minus(getAmount(account));
+    return sum;
+  }, ZERO);
+
+  const totalEarnings = sumEarnings((account) => balances.get(account.id));
+  const currentYearEarnings = sumEarnings((account) => getNetChange(account, yearTotals));
+
+  return {
+    balances,
+    priorYearsEarnings: totalEarnings.minus(currentYearEarnings),
+    currentYearEarnings
+  };
+};
+
+/**
+ * Get balance sheet
+ * Asset, liability and equity balances at a date. Revenue and expense
+ * balances not yet closed to retained earnings are shown within equity.
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - asOfDate, compareWith, includeZeroBalances
+ * @returns {Promise<Object>} Balance sheet
+ */
+export const getBalanceSheet = async (companyId, filters = {}) => {
+  const { asOfDate, compareWith, includeZeroBalances = false } = filters;
+
+  const company = await getReportCompany(companyId);
+  const reportDate = endOfDay(asOfDate || new Date());
+  const comparisonDate = getComparisonDate(company, reportDate, compareWith);
+  const accounts = await getReportAccounts(companyId, Object.values(ACCOUNT_TYPES));
+
+  const [figures, comparisonFigures] = await Promise.all([
+    getBalanceSheetFigures(company, accounts, reportDate),
+    comparisonDate ? getBalanceSheetFigures(company, accounts, comparisonDate) : null
+  ]);
+
+  const rows = accounts.map((account) => {
+    const row = toReportRow(account, { balance: figures.balances.get(account.id) });
+
+    if (comparisonFigures) {
+      row.comparisonBalance = comparisonFigures.balances.get(account.id);
+    }
+
+    return row;
+  });
+
+  const rollUpFields = { balance: 'totalBalance' };
+
+  if (comparisonDate) {
+    rollUpFields.comparisonBalance = 'totalComparisonBalance';
+  }
+
+  const assets = buildSection(rows, ACCOUNT_TYPES.ASSET, rollUpFields, includeZeroBalances);
+  const liabilities = buildSection(rows, ACCOUNT_TYPES.LIABILITY, rollUpFields, includeZeroBalances);
+  const equity = buildSection(rows, ACCOUNT_TYPES.EQUITY, rollUpFields, includeZeroBalances);
+
+  const summarise = (sheetFigures, totalField) => {
+    const totalEquity = equity[totalField]
+      .plus(sheetFigures.priorYearsEarnings)
+      .plus(sheetFigures.currentYearEarnings);
+    const totalLiabilitiesAndEquity = liabilities[totalField].plus(totalEquity);
+
+    return {
+      totalAssets: assets[totalField],
+      totalLiabilities: liabilities[totalField],
+      priorYearsEarnings: sheetFigures.priorYearsEarnings,
+      currentYearEarnings: sheetFigures.currentYearEarnings,
+      totalEquity,
+      totalLiabilitiesAndEquity,
+      isBalanced: assets[totalField].equals(totalLiabilitiesAndEquity)
+    };
+  };
+
+  return {
+    company: { id: company.id, name: company.name, baseCurrency: company.baseCurrency },
+    asOfDate: reportDate,
+    comparisonDate,
+    assets,
+    liabilities,
+    equity,
+    totals: summarise(figures, 'totalBalance'),
+    comparisonTotals: comparisonFigures ? summarise(comparisonFigures, 'totalComparisonBalance') : null
+  };
+};
+
+/**
+ * Find an account and, optionally, all of its descendants
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @param {boolean} includeSubAccounts - Include descendant accounts
+ * @returns {Promise<Object>} { account, accounts } where accounts includes the account itself
+ */
+const getLedgerAccounts = async (companyId, accountId, includeSubAccounts) => {
+  const account = await prisma.account.findFirst({
+    where: { id: accountId, companyId },
+    select: reportAccountSelect
+  });
+
+  if (!account) {
+    throw ApiError.notFound('Account not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (!includeSubAccounts) {
+    return { account, accounts: [account] };
+  }
+
+  // Sub-accounts always share their parent's type
+  const candidates = await getReportAccounts(companyId, [account.accountType]);
+  const accounts = [account];
+  const included = new Set([account.id]);
+
+  let added = true;
+  while (added) {
+    added = false;
+    for (const candidate of candidates) {
+      if (!included.has(candidate.id) && included.has(candidate.parentId)) {
+        included.add(candidate.id);
+        accounts.push(candidate);
+        added = true;
+      }
+    }
+  }
+
+  return { account, accounts };
+};
+
+/**
+ * Get general ledger for an account
+ * Posted lines in date order with opening, running and closing balances.
+ * The running balance carries over between pages.
+ * @param {string} companyId - Company ID
+ * @param {string} accountId - Account ID
+ * @param {Object} filters - fromDate, toDate, includeSubAccounts, page, limit
+ * @returns {Promise<Object>} Ledger with lines and pagination
+ */
+export const getAccountLedger = async (companyId, accountId, filters = {}) => {
+  const {
+    fromDate,
+    toDate,
+    includeSubAccounts = false,
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT
+  } = filters;
+
+  const company = await getReportCompany(companyId);
+  const period = resolvePeriod(company, fromDate, toDate);
+  const { account, accounts } = await getLedgerAccounts(companyId, accountId, includeSubAccounts);
+  const accountIds = accounts.map((ledgerAccount) => ledgerAccount.id);
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+  const where = postedLinesWhere(companyId, { ...period, accountIds });
+  const orderBy = [
+    { entry: { entryDate: 'asc' } },
+    { entry: { entryNumber: 'asc' } },
+    { id: 'asc' }
+  ];
+
+  const [priorTotals, periodTotals, total, previousLines, lines] = await Promise.all([
+    getLineTotals(companyId, {
+      toDate: new Date(period.fromDate.getTime() - 1),
+      accountIds
+    }),
+    getLineTotals(companyId, { ...period, accountIds }),
+    prisma.journalLine.count({ where }),
+    // Lines on earlier pages, needed to carry the running balance forward
+    skip > 0
+      ? prisma.journalLine.findMany({
+        where,
+        orderBy,
+        take: skip,
+        select: { transactionType: true, amount: true }
+      })
+      : [],
+    prisma.journalLine.findMany({
+      where,
+      orderBy,
+      skip,
+      take,
+      include: {
+        account: {
+          select: { id: true, accountNumber: true, accountName: true }
+        },
+        entry: {
+          select: {
+            id: true,
+            entryNumber: true,
+            entryDate: true,
+            entryType: true,
+            referenceType: true,
+            referenceId: true,
+            referenceNumber: true,
+            description: true
+          }
+        }
+      }
+    })
+  ]);
+
+  const sumAccounts = (getAmount) => accounts.reduce(
+    (sum, ledgerAccount) => sum.plus(getAmount(ledgerAccount)),
+    ZERO
+  );
+  const lineChange = (line) => getBalanceChange(account.accountType, line.transactionType, line.amount);
+
+  const openingBalance = sumAccounts((ledgerAccount) =>
+    new Prisma.Decimal(ledgerAccount.openingBalance).plus(getNetChange(ledgerAccount, priorTotals))
+  );
+  const closingBalance = openingBalance.plus(
+    sumAccounts((ledgerAccount) => getNetChange(ledgerAccount, periodTotals))
+  );
+  const pageOpeningBalance = previousLines.reduce(
+    (balance, line) => balance.plus(lineChange(line)),
+    openingBalance
+  );
+
+  let runningBalance = pageOpeningBalance;
+  const ledgerLines = lines.map((line) => {
+    runningBalance = runningBalance.plus(lineChange(line));
+    const isDebit = line.transactionType === TRANSACTION_TYPES.DEBIT;
+
+    return {
+      id: line.id,
+      entryId: line.entry.id,
+      entryNumber: line.entry.entryNumber,
+      entryDate: line.entry.entryDate,
+      entryType: line.entry.entryType,
+      referenceType: line.entry.referenceType,
+      referenceId: line.entry.referenceId,
+      referenceNumber: line.entry.referenceNumber,
+      description: line.description || line.entry.description,
+      account: line.account,
+      debit: isDebit ? line.amount : ZERO,
+      credit: isDebit ? ZERO : line.amount,
+      runningBalance
+    };
+  });
+
+  return {
+    account: {
+      id: account.id,
+      accountNumber: account.accountNumber,
+      accountName: account.accountName,
+      accountType: account.accountType
+    },
+    period,
+    includeSubAccounts,
+    openingBalance,
+    totalDebit: sumAccounts((ledgerAccount) => (periodTotals.get(ledgerAccount.id) || { debit: ZERO }).debit),
+    totalCredit: sumAccounts((ledgerAccount) => (periodTotals.get(ledgerAccount.id) || { credit: ZERO }).credit),
+    closingBalance,
+    pageOpeningBalance,
+    lines: ledgerLines,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+export default {
+  getTrialBalance,
+  getProfitAndLoss,
+  getBalanceSheet,
+  getAccountLedger
+};
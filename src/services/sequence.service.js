@@ -0,0 +1,52 @@
+/**
+ * Sequence Service
+ * Concurrency-safe per-company counters for document numbers
+ */
+
+/**
+ * Reserve the next value of a company sequence
+ * The counter row is created on first use and incremented in a single
+ * upsert, so concurrent callers never receive the same value
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} key - Sequence key, e.g. "CUSTOMER"
+ * @returns {Promise<number>} Reserved value
+ */
+export const getNextSequenceValue = async (tx, companyId, key) => {
+  const sequence = await tx.numberSequence.upsert({
+    where: {
+      companyId_key: {
+        companyId,
+        key
+      }
+    },
+    create: {
+      companyId,
+      key,
+      lastValue: 1
+    },
+    update: {
+      lastValue: { increment: 1 }
+    },
+    select: { lastValue: true }
+  });
+
+  return sequence.lastValue;
+};
+
+/**
+ * Reserve and format the next number of a company sequence
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} sequence - { key, prefix, padding } from NUMBER_SEQUENCES
+ * @returns {Promise<string>} Formatted number, e.g. "CUST-0001"
+ */
+export const generateSequenceNumber = async (tx, companyId, sequence) => {
+  const value = await getNextSequenceValue(tx, companyId, sequence.key);
+  return `${sequence.prefix}${String(value).padStart(sequence.padding, '0')}`;
+};
+
+export default {
+  getNextSequenceValue,
+  generateSequenceNumber
+};
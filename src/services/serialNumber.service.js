@@ -0,0 +1,193 @@
+/**
+ * Serial Number Service
+ * Unit lookups for serial-tracked products. Serial numbers and their
+ * status are maintained by the stock service as movements are recorded
+ */
+
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { ERROR_CODES, PAGINATION } from '../config/constants.js';
+
+const serialInclude = {
+  product: {
+    select: { id: true, sku: true, name: true }
+  },
+  warehouse: {
+    select: { id: true, code: true, name: true }
+  }
+};
+
+const partySelect = {
+  customer: { select: { id: true, customerNumber: true, name: true } },
+  vendor: { select: { id: true, vendorNumber: true, name: true } }
+};
+
+/**
+ * Documents whose items list serial numbers, with how to read their
+ * header: the item relation, the number and date fields and the party
+ */
+const SERIAL_DOCUMENTS = [
+  { type: 'GOODS_RECEIPT', model: 'goodsReceiptItem', relation: 'receipt', numberField: 'receiptNumber', dateField: 'receiptDate', party: 'vendor' },
+  { type: 'DELIVERY_CHALLAN', model: 'deliveryChallanItem', relation: 'challan', numberField: 'challanNumber', dateField: 'challanDate', party: 'customer' },
+  { type: 'INVOICE', model: 'invoiceItem', relation: 'invoice', numberField: 'invoiceNumber', dateField: 'invoiceDate', party: 'customer' },
+  { type: 'SALES_RETURN', model: 'salesReturnItem', relation: 'salesReturn', numberField: 'returnNumber', dateField: 'returnDate', party: 'customer' },
+  { type: 'STOCK_TRANSFER', model: 'stockTransferItem', relation: 'transfer', numberField: 'transferNumber', dateField: 'transferDate' }
+];
+
+/**
+ * Get serial numbers with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Serial numbers list with pagination
+ */
+export const getSerialNumbers = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    productId,
+    warehouseId,
+    status,
+    search,
+    sortBy = 'serialNumber',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (productId) {
+    where.productId = productId;
+  }
+
+  if (warehouseId) {
+    where.warehouseId = warehouseId;
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (search) {
+    where.serialNumber = { contains: search, mode: 'insensitive' };
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, serialNumbers] = await Promise.all([
+    prisma.serialNumber.count({ where }),
+    prisma.serialNumber.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      include: serialInclude
+    })
+  ]);
+
+  return {
+    serialNumbers,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Find the documents whose items list a serial number of a product
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @param {string} serialNumber - Serial number
+ * @returns {Promise<Array>} Documents, oldest first
+ */
+const findSerialDocuments = async (companyId, productId, serialNumber) => {
+  const found = await Promise.all(SERIAL_DOCUMENTS.map(async (definition) => {
+    const items = await prisma[definition.model].findMany({
+      where: {
+        productId,
+        serialNumbers: { has: serialNumber },
+        [definition.relation]: { companyId }
+      },
+      select: {
+        [definition.relation]: {
+          select: {
+            id: true,
+            status: true,
+            [definition.numberField]: true,
+            [definition.dateField]: true,
+            ...(definition.party && { [definition.party]: partySelect[definition.party] })
+          }
+        }
+      }
+    });
+
+    return items.map((item) => {
+      const document = item[definition.relation];
+
+      return {
+        documentType: definition.type,
+        id: document.id,
+        number: document[definition.numberField],
+        date: document[definition.dateField],
+        status: document.status,
+        party: definition.party ? document[definition.party] : null
+      };
+    });
+  }));
+
+  return found.flat().sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Look up a serial number and trace the full history of each unit that
+ * carries it: the stock movements it took part in and the documents that
+ * list it. The same serial number may be used by more than one product
+ * @param {string} companyId - Company ID
+ * @param {string} serialNumber - Serial number
+ * @returns {Promise<Array>} Units with movements and documents
+ */
+export const lookupSerialNumber = async (companyId, serialNumber) => {
+  const units = await prisma.serialNumber.findMany({
+    where: { companyId, serialNumber },
+    include: {
+      ...serialInclude,
+      movements: {
+        orderBy: { movement: { createdAt: 'asc' } },
+        select: {
+          movement: {
+            select: {
+              id: true,
+              movementType: true,
+              quantity: true,
+              referenceType: true,
+              referenceId: true,
+              referenceNumber: true,
+              movementDate: true,
+              notes: true,
+              warehouse: { select: { id: true, code: true, name: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (units.length === 0) {
+    throw ApiError.notFound(`Serial number ${serialNumber} not found`, ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return Promise.all(units.map(async ({ movements, ...unit }) => ({
+    ...unit,
+    movements: movements.map(({ movement }) => movement),
+    documents: await findSerialDocuments(companyId, unit.productId, serialNumber)
+  })));
+};
+
+export default {
+  getSerialNumbers,
+  lookupSerialNumber
+};
@@ -0,0 +1,934 @@
+/**
+ * Stock Service
+ * Stock ledger: the only code that writes stock rows, movements, cost
+ * layers, batches and serial numbers. Every change locks its Stock row first
+ */
+
+import { Prisma } from '@prisma/client';
+import ApiError from '../utils/ApiError.js';
+import {
+  STOCK_MOVEMENT_TYPES,
+  INVENTORY_VALUATION_METHODS,
+  STOCK_ALERT_STATUS,
+  SERIAL_NUMBER_STATUS,
+  ERROR_CODES
+} from '../config/constants.js';
+import { startOfDay } from '../utils/fiscalYear.js';
+import logger from '../config/logger.js';
+
+/**
+ * Direction each movement type may take: 1 inbound only, -1 outbound
+ * only, 0 either (e.g. sales returns come in, purchase returns go out)
+ */
+const MOVEMENT_DIRECTIONS = {
+  [STOCK_MOVEMENT_TYPES.PURCHASE]: 1,
+  [STOCK_MOVEMENT_TYPES.OPENING_STOCK]: 1,
+  [STOCK_MOVEMENT_TYPES.SALE]: -1,
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 0,
+  [STOCK_MOVEMENT_TYPES.TRANSFER]: 0,
+  [STOCK_MOVEMENT_TYPES.RETURN]: 0
+};
+
+/**
+ * Find an inventory-tracked product of the company or throw
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Product
+ */
+const findStockedProduct = async (tx, companyId, productId) => {
+  const product = await tx.product.findFirst({
+    where: { id: productId, companyId },
+    select: {
+      id: true,
+      sku: true,
+      trackInventory: true,
+      trackBatches: true,
+      trackSerials: true,
+      reorderLevel: true
+    }
+  });
+
+  if (!product) {
+    throw ApiError.notFound('Product not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (!product.trackInventory) {
+    throw ApiError.badRequest(`Product ${product.sku} does not track inventory`);
+  }
+
+  return product;
+};
+
+/**
+ * Find an active warehouse of the company or throw
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @returns {Promise<Object>} Warehouse
+ */
+const findActiveWarehouse = async (tx, companyId, warehouseId) => {
+  // Held until commit, so the warehouse cannot be deactivated under the movement
+  await tx.$queryRaw`SELECT id FROM "Warehouse" WHERE id = ${warehouseId} FOR SHARE`;
+
+  const warehouse = await tx.warehouse.findFirst({
+    where: { id: warehouseId, companyId },
+    select: { id: true, code: true, isActive: true }
+  });
+
+  if (!warehouse) {
+    throw ApiError.notFound('Warehouse not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (!warehouse.isActive) {
+    throw ApiError.badRequest(`Warehouse ${warehouse.code} is inactive`);
+  }
+
+  return warehouse;
+};
+
+/**
+ * Raise or resolve the reorder alert of a stock row after its
+ * availability changed. Runs under the Stock row lock, so at most one
+ * unresolved alert exists per product and warehouse
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} product - Product with reorderLevel
+ * @param {string} warehouseId - Warehouse ID
+ * @param {Object} change - { before, after, movementId } availability
+ */
+const syncReorderAlert = async (tx, companyId, product, warehouseId, change) => {
+  const { before, after, movementId } = change;
+  const active = { productId: product.id, warehouseId, status: { not: STOCK_ALERT_STATUS.RESOLVED } };
+
+  if (after >= product.reorderLevel) {
+    await tx.stockAlert.updateMany({
+      where: active,
+      data: { status: STOCK_ALERT_STATUS.RESOLVED, resolvedAt: new Date() }
+    });
+    return;
+  }
+
+  if (after >= before || await tx.stockAlert.count({ where: active }) > 0) {
+    return;
+  }
+
+  await tx.stockAlert.create({
+    data: {
+      companyId,
+      productId: product.id,
+      warehouseId,
+      movementId,
+      availableQty: after,
+      reorderLevel: product.reorderLevel
+    }
+  });
+
+  logger.warn(`Stock alert: ${product.sku} in warehouse ${warehouseId} down to ${after} (reorder level ${product.reorderLevel})`);
+};
+
+/**
+ * Build the error for a movement that exceeds available stock
+ * @param {Object} product - Product
+ * @param {Object} warehouse - Warehouse
+ * @param {number} required - Units required
+ * @param {number} available - Units available
+ * @returns {ApiError} Insufficient stock error
+ */
+const insufficientStock = (product, warehouse, required, available) => ApiError.badRequest(
+  `Insufficient stock of ${product.sku} in warehouse ${warehouse.code}: ${required} required, ${available} available`,
+  ERROR_CODES.INSUFFICIENT_STOCK
+);
+
+/**
+ * Lock the Stock row of a product in a warehouse, creating it when the
+ * product has never been stocked there. The lock is held until the
+ * transaction ends, so concurrent movements on the row run one at a time
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @param {string} warehouseId - Warehouse ID
+ * @returns {Promise<Object>} Locked stock row
+ */
+const lockStockRow = async (tx, companyId, productId, warehouseId) => {
+  await tx.stock.upsert({
+    where: { productId_warehouseId: { productId, warehouseId } },
+    create: { companyId, productId, warehouseId },
+    update: {}
+  });
+
+  const [stock] = await tx.$queryRaw`
+    SELECT id, quantity, "reservedQty", "availableQty", "valueAmount"
+    FROM "Stock"
+    WHERE "productId" = ${productId} AND "warehouseId" = ${warehouseId}
+    FOR UPDATE
+  `;
+
+  return {
+    ...stock,
+    valueAmount: new Prisma.Decimal(stock.valueAmount)
+  };
+};
+
+/**
+ * Get the company's inventory valuation method
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @returns {Promise<string>} WEIGHTED_AVERAGE or FIFO
+ */
+const getValuationMethod = async (tx, companyId) => {
+  const company = await tx.company.findUnique({
+    where: { id: companyId },
+    select: { inventoryValuationMethod: true }
+  });
+
+  if (!company) {
+    throw ApiError.notFound('Company not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return company.inventoryValuationMethod;
+};
+
+/**
+ * Value of stock leaving a warehouse at its average cost
+ * Issuing everything on hand takes the whole remaining value so no
+ * rounding residue is left behind
+ * @param {Object} stock - Locked stock row
+ * @param {number} quantity - Units issued
+ * @returns {Prisma.Decimal} Value issued
+ */
+const getAverageIssueValue = (stock, quantity) => {
+  if (stock.quantity <= 0) {
+    return new Prisma.Decimal(0);
+  }
+
+  if (quantity >= stock.quantity) {
+    return stock.valueAmount;
+  }
+
+  return stock.valueAmount.div(stock.quantity).times(quantity).toDecimalPlaces(2);
+};
+
+/**
+ * Consume cost layers oldest first and return the value issued
+ * The caller holds the Stock row lock, which also serialises the layers
+ * of that product and warehouse
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} movement - Outbound movement with productId and warehouseId
+ * @param {number} quantity - Units issued
+ * @returns {Promise<Prisma.Decimal>} Value issued
+ */
+const consumeCostLayers = async (tx, movement, quantity) => {
+  const layers = await tx.stockCostLayer.findMany({
+    where: {
+      productId: movement.productId,
+      warehouseId: movement.warehouseId,
+      remainingQty: { gt: 0 }
+    },
+    orderBy: [{ receivedDate: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  // Reversing an inbound movement takes back its own layer first
+  if (movement.reversesMovementId) {
+    layers.sort((a, b) => (
+      Number(b.movementId === movement.reversesMovementId) - Number(a.movementId === movement.reversesMovementId)
+    ));
+  }
+
+  let remaining = quantity;
+  let value = new Prisma.Decimal(0);
+
+  for (const layer of layers) {
+    if (remaining === 0) break;
+
+    const taken = Math.min(remaining, layer.remainingQty);
+    const takenValue = taken === layer.remainingQty
+      ? new Prisma.Decimal(layer.remainingValue)
+      : new Prisma.Decimal(layer.remainingValue).div(layer.remainingQty).times(taken).toDecimalPlaces(2);
+
+    await tx.stockCostLayer.update({
+      where: { id: layer.id },
+      data: {
+        remainingQty: { decrement: taken },
+        remainingValue: { decrement: takenValue }
+      }
+    });
+
+    remaining -= taken;
+    value = value.plus(takenValue);
+  }
+
+  if (remaining > 0) {
+    throw ApiError.internal(
+      `Cost layers of product ${movement.productId} in warehouse ${movement.warehouseId} do not cover stock on hand`
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Movement types that bring new lots into stock and must name them
+ */
+const LOT_RECEIVING_TYPES = [STOCK_MOVEMENT_TYPES.PURCHASE, STOCK_MOVEMENT_TYPES.OPENING_STOCK];
+
+/**
+ * Lots in first-expired-first-out order; lots without expiry go last
+ */
+const FEFO_ORDER = [{ expiryDate: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }];
+
+/**
+ * Whether a lot has expired by a date; a lot is sellable on its expiry date
+ * @param {Object} batch - Stock batch
+ * @param {Date|string} date - Movement date
+ * @returns {boolean} True when expired
+ */
+const isExpired = (batch, date) => Boolean(batch.expiryDate) && batch.expiryDate < startOfDay(date);
+
+/**
+ * Work out which lots a movement of a batch-tracked product touches.
+ * Reversals go back through the lots of the movement they reverse.
+ * Inbound movements name their lots in `batches`, except stock found on
+ * hand (e.g. count gains), which joins the freshest lot. Outbound
+ * movements take the lots named in `batches` or issue FEFO; sales never
+ * take expired lots
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} product - Batch-tracked product
+ * @param {Object} warehouse - Warehouse
+ * @param {Object} movement - Movement as for recordStockMovement
+ * @param {Date} movementDate - Movement date
+ * @returns {Promise<Array>} Allocations of { batch } or { lot } (new lot) with signed quantity
+ */
+const planBatchAllocations = async (tx, product, warehouse, movement, movementDate) => {
+  const { productId, warehouseId, movementType, quantity } = movement;
+  const units = Math.abs(quantity);
+  const lots = movement.batches || [];
+
+  if (movement.reversesMovementId) {
+    const reversed = await tx.stockBatchMovement.findMany({
+      where: { movementId: movement.reversesMovementId },
+      include: { batch: true }
+    });
+
+    return reversed.map((allocation) => {
+      if (allocation.quantity > 0 && allocation.batch.quantity < allocation.quantity) {
+        throw ApiError.badRequest(
+          `Batch ${allocation.batch.batchNumber} of ${product.sku} has only ${allocation.batch.quantity} units left`,
+          ERROR_CODES.INSUFFICIENT_STOCK
+        );
+      }
+
+      return { batch: allocation.batch, quantity: -allocation.quantity };
+    });
+  }
+
+  if (lots.length > 0 && lots.reduce((sum, lot) => sum + lot.quantity, 0) !== units) {
+    throw ApiError.badRequest(`Batch quantities of ${product.sku} must add up to ${units}`);
+  }
+
+  if (quantity > 0) {
+    if (lots.length === 0) {
+      if (LOT_RECEIVING_TYPES.includes(movementType)) {
+        throw ApiError.badRequest(`Product ${product.sku} is batch tracked; a batch number is required`);
+      }
+
+      const freshest = await tx.stockBatch.findFirst({
+        where: { productId, warehouseId },
+        orderBy: [{ expiryDate: { sort: 'desc', nulls: 'first' } }, { createdAt: 'desc' }]
+      });
+
+      if (!freshest) {
+        throw ApiError.badRequest(
+          `Product ${product.sku} has no batch in warehouse ${warehouse.code}; a batch number is required`
+        );
+      }
+
+      return [{ batch: freshest, quantity }];
+    }
+
+    const allocations = [];
+
+    for (const lot of lots) {
+      const batch = await tx.stockBatch.findUnique({
+        where: { productId_warehouseId_batchNumber: { productId, warehouseId, batchNumber: lot.batchNumber } }
+      });
+
+      if (batch && lot.expiryDate && batch.expiryDate?.getTime() !== new Date(lot.expiryDate).getTime()) {
+        throw ApiError.conflict(
+          `Batch ${lot.batchNumber} of ${product.sku} is already stocked with a different expiry date`,
+          ERROR_CODES.DB_DUPLICATE_ENTRY
+        );
+      }
+
+      allocations.push(batch ? { batch, quantity: lot.quantity } : { lot, quantity: lot.quantity });
+    }
+
+    return allocations;
+  }
+
+  const isSale = movementType === STOCK_MOVEMENT_TYPES.SALE;
+
+  if (lots.length > 0) {
+    const allocations = [];
+
+    for (const lot of lots) {
+      const batch = await tx.stockBatch.findUnique({
+        where: { productId_warehouseId_batchNumber: { productId, warehouseId, batchNumber: lot.batchNumber } }
+      });
+
+      if (!batch || batch.quantity < lot.quantity) {
+        throw ApiError.badRequest(
+          `Batch ${lot.batchNumber} of ${product.sku} in warehouse ${warehouse.code} has ${batch ? batch.quantity : 0} units, ${lot.quantity} required`,
+          ERROR_CODES.INSUFFICIENT_STOCK
+        );
+      }
+
+      if (isSale && isExpired(batch, movementDate)) {
+        throw ApiError.badRequest(`Batch ${lot.batchNumber} of ${product.sku} has expired`, ERROR_CODES.BATCH_EXPIRED);
+      }
+
+      allocations.push({ batch, quantity: -lot.quantity });
+    }
+
+    return allocations;
+  }
+
+  const onHand = await tx.stockBatch.findMany({
+    where: { productId, warehouseId, quantity: { gt: 0 } },
+    orderBy: FEFO_ORDER
+  });
+
+  const allocations = [];
+  let remaining = units;
+
+  for (const batch of onHand) {
+    if (remaining === 0) break;
+    if (isSale && isExpired(batch, movementDate)) continue;
+
+    const taken = Math.min(remaining, batch.quantity);
+    allocations.push({ batch, quantity: -taken });
+    remaining -= taken;
+  }
+
+  if (remaining > 0) {
+    if (isSale) {
+      throw ApiError.badRequest(
+        `Only ${units - remaining} unexpired units of ${product.sku} in warehouse ${warehouse.code}; ${units} required`,
+        ERROR_CODES.BATCH_EXPIRED
+      );
+    }
+
+    throw ApiError.internal(
+      `Batches of product ${product.sku} in warehouse ${warehouse.code} do not cover stock on hand`
+    );
+  }
+
+  return allocations;
+};
+
+/**
+ * Apply planned lot allocations and link them to their movement
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} movement - Stock movement created
+ * @param {Array<Object>} allocations - From planBatchAllocations
+ */
+const applyBatchAllocations = async (tx, movement, allocations) => {
+  for (const allocation of allocations) {
+    const batch = allocation.batch
+      ? await tx.stockBatch.update({
+        where: { id: allocation.batch.id },
+        data: { quantity: { increment: allocation.quantity } }
+      })
+      : await tx.stockBatch.create({
+        data: {
+          companyId: movement.companyId,
+          productId: movement.productId,
+          warehouseId: movement.warehouseId,
+          batchNumber: allocation.lot.batchNumber,
+          manufactureDate: allocation.lot.manufactureDate,
+          expiryDate: allocation.lot.expiryDate,
+          quantity: allocation.quantity
+        }
+      });
+
+    await tx.stockBatchMovement.create({
+      data: { movementId: movement.id, batchId: batch.id, quantity: allocation.quantity }
+    });
+  }
+};
+
+/**
+ * Status a serial number takes when it leaves stock
+ */
+const SERIAL_ISSUE_STATUS = {
+  [STOCK_MOVEMENT_TYPES.SALE]: SERIAL_NUMBER_STATUS.SOLD,
+  [STOCK_MOVEMENT_TYPES.TRANSFER]: SERIAL_NUMBER_STATUS.IN_TRANSIT
+};
+
+/**
+ * Status a known serial number must have to come into stock, per
+ * movement type. Units on a transfer must be in transit and customer
+ * returns must have been sold; only other receipts may bring in new units
+ */
+const SERIAL_RECEIPT_STATUS = {
+  [STOCK_MOVEMENT_TYPES.TRANSFER]: [SERIAL_NUMBER_STATUS.IN_TRANSIT],
+  [STOCK_MOVEMENT_TYPES.RETURN]: [SERIAL_NUMBER_STATUS.SOLD]
+};
+
+const DEFAULT_RECEIPT_STATUS = [SERIAL_NUMBER_STATUS.SOLD, SERIAL_NUMBER_STATUS.REMOVED];
+
+/**
+ * Check the units a movement of a serial-tracked product moves
+ * Reversals move the units of the movement they reverse; other
+ * movements name one distinct serial number per unit
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} product - Serial-tracked product
+ * @param {Object} warehouse - Warehouse
+ * @param {Object} movement - Movement as for recordStockMovement
+ * @returns {Promise<Object>} { existing, created, status } where created
+ * lists serial numbers seen for the first time
+ */
+const planSerialMoves = async (tx, product, warehouse, movement) => {
+  const { productId, warehouseId, movementType, quantity } = movement;
+  const units = Math.abs(quantity);
+  let existing;
+  let created = [];
+  let reversedType;
+
+  if (movement.reversesMovementId) {
+    const reversed = await tx.stockMovement.findUnique({
+      where: { id: movement.reversesMovementId },
+      select: { movementType: true, serials: { select: { serial: true } } }
+    });
+
+    reversedType = reversed.movementType;
+    existing = reversed.serials.map((link) => link.serial);
+  } else {
+    const numbers = movement.serialNumbers || [];
+
+    if (numbers.length !== units || new Set(numbers).size !== units) {
+      throw ApiError.badRequest(
+        `Product ${product.sku} is serial tracked; ${units} distinct serial numbers are required, ${numbers.length} given`
+      );
+    }
+
+    existing = await tx.serialNumber.findMany({
+      where: { productId, serialNumber: { in: numbers } }
+    });
+
+    const known = new Set(existing.map((serial) => serial.serialNumber));
+    created = numbers.filter((number) => !known.has(number));
+  }
+
+  if (quantity > 0) {
+    // A reversed issue puts its units back whatever they became
+    const allowed = reversedType
+      ? Object.values(SERIAL_NUMBER_STATUS).filter((status) => status !== SERIAL_NUMBER_STATUS.IN_STOCK)
+      : SERIAL_RECEIPT_STATUS[movementType] || DEFAULT_RECEIPT_STATUS;
+
+    if (SERIAL_RECEIPT_STATUS[movementType] && created.length > 0) {
+      throw ApiError.badRequest(`Serial number ${created[0]} of ${product.sku} is unknown`);
+    }
+
+    for (const serial of existing) {
+      if (!allowed.includes(serial.status)) {
+        throw ApiError.conflict(
+          `Serial number ${serial.serialNumber} of ${product.sku} is ${serial.status} and cannot be received`,
+          ERROR_CODES.INVALID_STATUS_TRANSITION
+        );
+      }
+    }
+
+    return { existing, created, status: SERIAL_NUMBER_STATUS.IN_STOCK };
+  }
+
+  if (created.length > 0) {
+    throw ApiError.badRequest(`Serial number ${created[0]} of ${product.sku} is not in stock`);
+  }
+
+  for (const serial of existing) {
+    if (serial.status !== SERIAL_NUMBER_STATUS.IN_STOCK || serial.warehouseId !== warehouseId) {
+      throw ApiError.badRequest(
+        `Serial number ${serial.serialNumber} of ${product.sku} is not in stock in warehouse ${warehouse.code}`,
+        ERROR_CODES.INSUFFICIENT_STOCK
+      );
+    }
+  }
+
+  // A reversed receipt returns its units to where they came from
+  const status = reversedType
+    ? (SERIAL_RECEIPT_STATUS[reversedType] || [SERIAL_NUMBER_STATUS.REMOVED])[0]
+    : SERIAL_ISSUE_STATUS[movementType] || SERIAL_NUMBER_STATUS.REMOVED;
+
+  return { existing, created, status };
+};
+
+/**
+ * Move planned serial numbers and link them to their movement
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} movement - Stock movement created
+ * @param {Object} plan - From planSerialMoves
+ */
+const applySerialMoves = async (tx, movement, plan) => {
+  await tx.serialNumber.updateMany({
+    where: { id: { in: plan.existing.map((serial) => serial.id) } },
+    data: { status: plan.status, warehouseId: movement.warehouseId }
+  });
+
+  if (plan.created.length > 0) {
+    await tx.serialNumber.createMany({
+      data: plan.created.map((serialNumber) => ({
+        companyId: movement.companyId,
+        productId: movement.productId,
+        warehouseId: movement.warehouseId,
+        serialNumber,
+        status: plan.status
+      }))
+    });
+  }
+
+  const serials = await tx.serialNumber.findMany({
+    where: {
+      productId: movement.productId,
+      serialNumber: { in: [...plan.existing.map((serial) => serial.serialNumber), ...plan.created] }
+    },
+    select: { id: true }
+  });
+
+  await tx.serialMovement.createMany({
+    data: serials.map((serial) => ({ movementId: movement.id, serialId: serial.id }))
+  });
+};
+
+/**
+ * Sort movements by warehouse and product so that transactions touching
+ * the same rows always lock them in the same order
+ * @param {Array<Object>} items - Items with productId and warehouseId
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortByLockOrder = (items) => [...items].sort((a, b) => (
+  a.warehouseId.localeCompare(b.warehouseId) || a.productId.localeCompare(b.productId)
+));
+
+/**
+ * Record a stock movement and update the stock row it affects
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} movement - { productId, warehouseId, movementType,
+ * quantity (signed: positive in, negative out), unitPrice, totalValue,
+ * referenceType, referenceId, referenceNumber, notes, movementDate,
+ * reversesMovementId, batches }. Inbound stock is valued at unitPrice (or
+ * totalValue) and opens a FIFO cost layer. Outbound stock is valued by
+ * the company's valuation method; under weighted average a given
+ * totalValue (e.g. a reversal at original cost) is used instead.
+ * For batch-tracked products `batches` lists the lots moved as
+ * [{ batchNumber, manufactureDate, expiryDate, quantity }], and for
+ * serial-tracked products `serialNumbers` lists the units moved
+ * @param {string} createdBy - ID of user recording the movement
+ * @returns {Promise<Object>} Stock movement created
+ */
+export const recordStockMovement = async (tx, companyId, movement, createdBy) => {
+  const { productId, warehouseId, movementType, quantity } = movement;
+  const direction = MOVEMENT_DIRECTIONS[movementType];
+
+  if (direction === undefined) {
+    throw ApiError.badRequest(`Unknown stock movement type ${movementType}`);
+  }
+
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw ApiError.badRequest('Stock movement quantity must be a non-zero whole number');
+  }
+
+  if (direction !== 0 && Math.sign(quantity) !== direction) {
+    throw ApiError.badRequest(
+      `${movementType} movements must ${direction > 0 ? 'add' : 'remove'} stock`
+    );
+  }
+
+  const product = await findStockedProduct(tx, companyId, productId);
+  const warehouse = await findActiveWarehouse(tx, companyId, warehouseId);
+  const valuationMethod = await getValuationMethod(tx, companyId);
+  const isFifo = valuationMethod === INVENTORY_VALUATION_METHODS.FIFO;
+  const stock = await lockStockRow(tx, companyId, productId, warehouseId);
+
+  const units = Math.abs(quantity);
+  let totalValue;
+
+  if (quantity < 0) {
+    if (stock.availableQty < units) {
+      throw insufficientStock(product, warehouse, units, stock.availableQty);
+    }
+
+    if (isFifo) {
+      totalValue = await consumeCostLayers(tx, movement, units);
+    } else {
+      totalValue = movement.totalValue !== undefined
+        ? new Prisma.Decimal(movement.totalValue)
+        : getAverageIssueValue(stock, units);
+    }
+  } else {
+    totalValue = movement.totalValue !== undefined
+      ? new Prisma.Decimal(movement.totalValue)
+      : new Prisma.Decimal(movement.unitPrice || 0).times(units).toDecimalPlaces(2);
+  }
+
+  const unitPrice = movement.unitPrice !== undefined && !(quantity < 0 && isFifo)
+    ? new Prisma.Decimal(movement.unitPrice)
+    : totalValue.div(units).toDecimalPlaces(2);
+
+  const movementDate = movement.movementDate || new Date();
+  const batchAllocations = product.trackBatches
+    ? await planBatchAllocations(tx, product, warehouse, movement, movementDate)
+    : [];
+  const serialPlan = product.trackSerials
+    ? await planSerialMoves(tx, product, warehouse, movement)
+    : null;
+
+  const updated = await tx.stock.update({
+    where: { id: stock.id },
+    data: {
+      quantity: { increment: quantity },
+      availableQty: { increment: quantity },
+      valueAmount: quantity < 0 ? { decrement: totalValue } : { increment: totalValue }
+    },
+    select: { quantity: true, availableQty: true }
+  });
+
+  const created = await tx.stockMovement.create({
+    data: {
+      companyId,
+      productId,
+      warehouseId,
+      movementType,
+      referenceType: movement.referenceType,
+      referenceId: movement.referenceId,
+      referenceNumber: movement.referenceNumber,
+      quantity,
+      unitPrice,
+      totalValue,
+      balanceAfter: updated.quantity,
+      notes: movement.notes,
+      movementDate,
+      createdBy
+    }
+  });
+
+  if (quantity > 0 && isFifo) {
+    await tx.stockCostLayer.create({
+      data: {
+        companyId,
+        productId,
+        warehouseId,
+        movementId: created.id,
+        receivedDate: movementDate,
+        originalQty: units,
+        remainingQty: units,
+        remainingValue: totalValue
+      }
+    });
+  }
+
+  await applyBatchAllocations(tx, created, batchAllocations);
+
+  if (serialPlan) {
+    await applySerialMoves(tx, created, serialPlan);
+  }
+
+  await syncReorderAlert(tx, companyId, product, warehouseId, {
+    before: stock.availableQty,
+    after: updated.availableQty,
+    movementId: created.id
+  });
+
+  return created;
+};
+
+/**
+ * Record several stock movements, e.g. the lines of one document
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} movements - Movements as for recordStockMovement
+ * @param {string} createdBy - ID of user recording the movements
+ * @returns {Promise<Array>} Stock movements created
+ */
+export const recordStockMovements = async (tx, companyId, movements, createdBy) => {
+  const created = [];
+
+  for (const movement of sortByLockOrder(movements)) {
+    created.push(await recordStockMovement(tx, companyId, movement, createdBy));
+  }
+
+  return created;
+};
+
+/**
+ * Offset the movements recorded for a document, e.g. when it is voided.
+ * Each movement is reversed at the value it was recorded at; under FIFO
+ * an inbound movement is taken back from its own cost layer first
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} reference - { referenceType, referenceId, referenceNumber,
+ * movementDate, movementTypes (types to reverse), reversalType (defaults to RETURN) }
+ * @param {string} createdBy - ID of user reversing the movements
+ * @returns {Promise<Array>} Stock movements created
+ */
+export const reverseStockMovements = async (tx, companyId, reference, createdBy) => {
+  const {
+    movementTypes,
+    reversalType = STOCK_MOVEMENT_TYPES.RETURN
+  } = reference;
+
+  const recorded = await tx.stockMovement.findMany({
+    where: {
+      companyId,
+      movementType: { in: movementTypes },
+      referenceType: reference.referenceType,
+      referenceId: reference.referenceId
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return recordStockMovements(tx, companyId, recorded.map((movement) => ({
+    reversesMovementId: movement.id,
+    productId: movement.productId,
+    warehouseId: movement.warehouseId,
+    movementType: reversalType,
+    quantity: -movement.quantity,
+    unitPrice: movement.unitPrice,
+    totalValue: movement.totalValue,
+    referenceType: reference.referenceType,
+    referenceId: reference.referenceId,
+    referenceNumber: reference.referenceNumber,
+    notes: `Reversal of ${movement.notes || `${movement.movementType} movement`}`,
+    movementDate: reference.movementDate
+  })), createdBy);
+};
+
+/**
+ * Net quantity per lot across the movements of a document, e.g. the lots
+ * of a transfer that were dispatched but not yet received (negative)
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} reference - { referenceType, referenceId, productId }
+ * @returns {Promise<Array>} Lots { batchNumber, manufactureDate, expiryDate,
+ * quantity } in FEFO order
+ */
+export const getReferenceBatchBalances = async (tx, companyId, reference) => {
+  const allocations = await tx.stockBatchMovement.findMany({
+    where: {
+      movement: {
+        companyId,
+        productId: reference.productId,
+        referenceType: reference.referenceType,
+        referenceId: reference.referenceId
+      }
+    },
+    select: {
+      quantity: true,
+      batch: { select: { batchNumber: true, manufactureDate: true, expiryDate: true } }
+    }
+  });
+
+  const balances = new Map();
+
+  for (const { quantity, batch } of allocations) {
+    const balance = balances.get(batch.batchNumber) || { ...batch, quantity: 0 };
+    balance.quantity += quantity;
+    balances.set(batch.batchNumber, balance);
+  }
+
+  const expiry = (lot) => (lot.expiryDate ? lot.expiryDate.getTime() : Number.MAX_SAFE_INTEGER);
+
+  return [...balances.values()].sort((a, b) => expiry(a) - expiry(b));
+};
+
+/**
+ * Lock the stock rows of products in a warehouse and read their
+ * quantities, e.g. to adjust them to a physical count. The locks are
+ * held until the transaction ends and are taken in the same order as
+ * movements take them
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Map<string, number>>} Quantity on hand by product ID
+ */
+export const lockStockQuantities = async (tx, companyId, warehouseId, productIds) => {
+  const quantities = new Map();
+
+  for (const { productId } of sortByLockOrder(productIds.map((id) => ({ productId: id, warehouseId })))) {
+    const stock = await lockStockRow(tx, companyId, productId, warehouseId);
+    quantities.set(productId, stock.quantity);
+  }
+
+  return quantities;
+};
+
+/**
+ * Get the company's default warehouse for documents that do not name one
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Default warehouse
+ */
+export const getDefaultWarehouse = async (tx, companyId) => {
+  const warehouse = await tx.warehouse.findFirst({
+    where: { companyId, isDefault: true, isActive: true },
+    select: { id: true, code: true }
+  });
+
+  if (!warehouse) {
+    throw ApiError.badRequest('Set an active default warehouse before moving stock');
+  }
+
+  return warehouse;
+};
+
+/**
+ * Switch the company's inventory valuation method
+ * Moving to FIFO opens one cost layer per stock row at its current
+ * value; moving to weighted average drops the layers and keeps each
+ * row's total value as its average cost basis
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} method - WEIGHTED_AVERAGE or FIFO
+ */
+export const switchValuationMethod = async (tx, companyId, method) => {
+  // Hold every stock row of the company while the layers are rebuilt
+  await tx.$queryRaw`SELECT id FROM "Stock" WHERE "companyId" = ${companyId} FOR UPDATE`;
+
+  await tx.stockCostLayer.deleteMany({ where: { companyId } });
+
+  if (method === INVENTORY_VALUATION_METHODS.FIFO) {
+    const stock = await tx.stock.findMany({
+      where: { companyId, quantity: { gt: 0 } },
+      select: { productId: true, warehouseId: true, quantity: true, valueAmount: true }
+    });
+
+    await tx.stockCostLayer.createMany({
+      data: stock.map((row) => ({
+        companyId,
+        productId: row.productId,
+        warehouseId: row.warehouseId,
+        receivedDate: new Date(),
+        originalQty: row.quantity,
+        remainingQty: row.quantity,
+        remainingValue: row.valueAmount
+      }))
+    });
+  }
+
+  await tx.company.update({
+    where: { id: companyId },
+    data: { inventoryValuationMethod: method }
+  });
+};
+
+export default {
+  recordStockMovement,
+  recordStockMovements,
+  reverseStockMovements,
+  getReferenceBatchBalances,
+  lockStockQuantities,
+  getDefaultWarehouse,
+  switchValuationMethod
+};
@@ -0,0 +1,122 @@
+/**
+ * Stock Adjustment Service
+ * Manual stock changes outside any document: opening stock brought in
+ * when a company starts using inventory, and adjustments for stock found,
+ * damaged or written off. Each adjustment is numbered, moves stock through
+ * the stock ledger and posts its value to inventory
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import {
+  STOCK_MOVEMENT_TYPES,
+  REFERENCE_TYPES,
+  NUMBER_SERIES_TYPES,
+  ACCOUNT_MAPPING_KEYS,
+  JOURNAL_ENTRY_TYPES,
+  TRANSACTION_TYPES
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { recordStockMovements } from './stock.service.js';
+import { createPostedEntry } from './journal.service.js';
+import { getMappedAccountIds } from './posting.service.js';
+import logger from '../config/logger.js';
+
+const { DEBIT, CREDIT } = TRANSACTION_TYPES;
+
+/**
+ * Account each kind of adjustment is posted against: opening stock is
+ * capital brought into the business, other adjustments a gain or write-off
+ */
+const CONTRA_ACCOUNT_KEYS = {
+  [STOCK_MOVEMENT_TYPES.OPENING_STOCK]: ACCOUNT_MAPPING_KEYS.OPENING_BALANCE_EQUITY,
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: ACCOUNT_MAPPING_KEYS.INVENTORY_ADJUSTMENT
+};
+
+/**
+ * Record opening stock or a stock adjustment in a warehouse
+ * Stock brought in is valued at the unit cost given; stock taken out is
+ * valued by the company's valuation method
+ * @param {string} companyId - Company ID
+ * @param {Object} adjustmentData - { warehouseId, movementType (OPENING_STOCK
+ * or ADJUSTMENT), adjustmentDate, reason, items: [{ productId, quantity
+ * (signed), unitCost, batches, serialNumbers, notes }] }
+ * @param {string} createdBy - ID of user recording the adjustment
+ * @returns {Promise<Object>} Adjustment number, its movements and journal entry
+ */
+export const createStockAdjustment = async (companyId, adjustmentData, createdBy) => {
+  const { warehouseId, movementType, adjustmentDate = new Date(), reason, items } = adjustmentData;
+
+  const result = await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(tx, companyId, adjustmentDate);
+
+    const adjustmentNumber = await generateDocumentNumber(
+      tx,
+      companyId,
+      NUMBER_SERIES_TYPES.STOCK_ADJUSTMENT,
+      adjustmentDate
+    );
+
+    const movements = await recordStockMovements(tx, companyId, items.map((item) => ({
+      productId: item.productId,
+      warehouseId,
+      movementType,
+      quantity: item.quantity,
+      unitPrice: item.quantity > 0 ? item.unitCost : undefined,
+      referenceType: REFERENCE_TYPES.STOCK_ADJUSTMENT,
+      referenceNumber: adjustmentNumber,
+      notes: item.notes || reason,
+      movementDate: adjustmentDate,
+      batches: item.batches,
+      serialNumbers: item.serialNumbers
+    })), createdBy);
+
+    const sumValues = (direction) => movements
+      .filter((movement) => Math.sign(movement.quantity) === direction)
+      .reduce((sum, movement) => sum.plus(movement.totalValue), new Prisma.Decimal(0));
+    const gainValue = sumValues(1);
+    const lossValue = sumValues(-1);
+
+    let journalEntry = null;
+
+    if (!gainValue.isZero() || !lossValue.isZero()) {
+      const contraKey = CONTRA_ACCOUNT_KEYS[movementType];
+      const accountIds = await getMappedAccountIds(tx, companyId, [ACCOUNT_MAPPING_KEYS.INVENTORY, contraKey]);
+      const inventoryAccountId = accountIds.get(ACCOUNT_MAPPING_KEYS.INVENTORY);
+      const contraAccountId = accountIds.get(contraKey);
+      const description = reason || `Stock adjustment ${adjustmentNumber}`;
+
+      journalEntry = await createPostedEntry(tx, companyId, {
+        entryDate: adjustmentDate,
+        entryType: JOURNAL_ENTRY_TYPES.ADJUSTMENT,
+        referenceType: REFERENCE_TYPES.STOCK_ADJUSTMENT,
+        referenceNumber: adjustmentNumber,
+        description,
+        lines: [
+          { accountId: inventoryAccountId, transactionType: DEBIT, amount: gainValue, description },
+          { accountId: contraAccountId, transactionType: CREDIT, amount: gainValue, description },
+          { accountId: contraAccountId, transactionType: DEBIT, amount: lossValue, description },
+          { accountId: inventoryAccountId, transactionType: CREDIT, amount: lossValue, description }
+        ].filter((line) => !line.amount.isZero())
+      }, createdBy);
+    }
+
+    return {
+      adjustmentNumber,
+      movementType,
+      warehouseId,
+      adjustmentDate,
+      movements,
+      journalEntry
+    };
+  });
+
+  logger.info(`Stock adjustment recorded: ${result.adjustmentNumber} (${result.movements.length} movements) by ${createdBy}`);
+
+  return result;
+};
+
+export default {
+  createStockAdjustment
+};
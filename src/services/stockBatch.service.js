@@ -0,0 +1,197 @@
+/**
+ * Stock Batch Service
+ * Lot and expiry lookups for batch-tracked products. Batch quantities
+ * are maintained by the stock service as movements are recorded
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { ERROR_CODES, PAGINATION } from '../config/constants.js';
+import { startOfDay } from '../utils/fiscalYear.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const batchInclude = {
+  product: {
+    select: { id: true, sku: true, name: true, unit: true }
+  },
+  warehouse: {
+    select: { id: true, code: true, name: true }
+  }
+};
+
+/**
+ * Get stock batches with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Batches list with pagination
+ */
+export const getStockBatches = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    productId,
+    warehouseId,
+    inStock,
+    search,
+    sortBy = 'expiryDate',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (productId) {
+    where.productId = productId;
+  }
+
+  if (warehouseId) {
+    where.warehouseId = warehouseId;
+  }
+
+  if (inStock !== undefined) {
+    where.quantity = inStock ? { gt: 0 } : 0;
+  }
+
+  if (search) {
+    where.batchNumber = { contains: search, mode: 'insensitive' };
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, batches] = await Promise.all([
+    prisma.stockBatch.count({ where }),
+    prisma.stockBatch.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: { sort: sortOrder, nulls: 'last' } }, { batchNumber: 'asc' }],
+      include: batchInclude
+    })
+  ]);
+
+  return {
+    batches,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get stock batch by ID with the movements that touched it
+ * @param {string} companyId - Company ID
+ * @param {string} batchId - Stock batch ID
+ * @returns {Promise<Object>} Batch with movements, newest first
+ */
+export const getStockBatchById = async (companyId, batchId) => {
+  const batch = await prisma.stockBatch.findFirst({
+    where: { id: batchId, companyId },
+    include: {
+      ...batchInclude,
+      movements: {
+        orderBy: { movement: { createdAt: 'desc' } },
+        select: {
+          quantity: true,
+          movement: {
+            select: {
+              id: true,
+              movementType: true,
+              referenceType: true,
+              referenceId: true,
+              referenceNumber: true,
+              movementDate: true,
+              notes: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!batch) {
+    throw ApiError.notFound('Stock batch not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return batch;
+};
+
+/**
+ * Get lots on hand that expire within a number of days, valued at the
+ * average cost of their stock row
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - { days, warehouseId, productId, includeExpired, asOfDate }
+ * @returns {Promise<Object>} { asOfDate, days, items, summary }
+ */
+export const getNearExpiryReport = async (companyId, filters = {}) => {
+  const {
+    days = 30,
+    warehouseId,
+    productId,
+    includeExpired = true,
+    asOfDate = new Date()
+  } = filters;
+
+  const today = startOfDay(asOfDate);
+  const horizon = new Date(today.getTime() + (days + 1) * DAY_MS - 1);
+
+  const batches = await prisma.stockBatch.findMany({
+    where: {
+      companyId,
+      quantity: { gt: 0 },
+      expiryDate: includeExpired ? { lte: horizon } : { gte: today, lte: horizon },
+      ...(warehouseId && { warehouseId }),
+      ...(productId && { productId })
+    },
+    orderBy: [{ expiryDate: 'asc' }, { batchNumber: 'asc' }],
+    include: batchInclude
+  });
+
+  const stockRows = await prisma.stock.findMany({
+    where: {
+      companyId,
+      OR: batches.map((batch) => ({ productId: batch.productId, warehouseId: batch.warehouseId }))
+    },
+    select: { productId: true, warehouseId: true, quantity: true, valueAmount: true }
+  });
+
+  const unitCosts = new Map(stockRows.map((row) => [
+    `${row.productId}:${row.warehouseId}`,
+    row.quantity > 0 ? new Prisma.Decimal(row.valueAmount).div(row.quantity) : new Prisma.Decimal(0)
+  ]));
+
+  const summary = {
+    batches: batches.length,
+    expired: { batches: 0, quantity: 0, value: new Prisma.Decimal(0) },
+    expiring: { batches: 0, quantity: 0, value: new Prisma.Decimal(0) }
+  };
+
+  const items = batches.map((batch) => {
+    const daysToExpiry = Math.round((startOfDay(batch.expiryDate) - today) / DAY_MS);
+    const isExpired = daysToExpiry < 0;
+    const value = unitCosts.get(`${batch.productId}:${batch.warehouseId}`)
+      .times(batch.quantity)
+      .toDecimalPlaces(2);
+
+    const bucket = isExpired ? summary.expired : summary.expiring;
+    bucket.batches += 1;
+    bucket.quantity += batch.quantity;
+    bucket.value = bucket.value.plus(value);
+
+    return { ...batch, daysToExpiry, isExpired, value };
+  });
+
+  return { asOfDate: today, days, items, summary };
+};
+
+export default {
+  getStockBatches,
+  getStockBatchById,
+  getNearExpiryReport
+};
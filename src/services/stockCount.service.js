@@ -0,0 +1,610 @@
+/**
+ * Stock Count Service
+ * Physical stock counts: snapshot system quantities for a warehouse,
+ * record counted quantities, review variances and post the adjustments
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  STOCK_COUNT_STATUS,
+  STOCK_MOVEMENT_TYPES,
+  REFERENCE_TYPES,
+  NUMBER_SERIES_TYPES,
+  ACCOUNT_MAPPING_KEYS,
+  JOURNAL_ENTRY_TYPES,
+  TRANSACTION_TYPES,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { recordStockMovements, lockStockQuantities } from './stock.service.js';
+import { createPostedEntry } from './journal.service.js';
+import { getMappedAccountIds } from './posting.service.js';
+import logger from '../config/logger.js';
+
+const { DEBIT, CREDIT } = TRANSACTION_TYPES;
+
+const countInclude = {
+  warehouse: { select: { id: true, code: true, name: true } },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          sku: true,
+          barcode: true,
+          name: true,
+          unit: true
+        }
+      }
+    },
+    orderBy: { product: { sku: 'asc' } }
+  }
+};
+
+/**
+ * Add variance figures to count items and summarise them
+ * @param {Object} count - Stock count with items
+ * @returns {Object} Count with per-item variances and a summary
+ */
+const withVariances = (count) => {
+  const summary = {
+    totalItems: count.items.length,
+    countedItems: 0,
+    itemsWithVariance: 0,
+    gainValue: new Prisma.Decimal(0),
+    lossValue: new Prisma.Decimal(0)
+  };
+
+  const items = count.items.map((item) => {
+    if (item.countedQty === null) {
+      return { ...item, varianceQty: null, varianceValue: null };
+    }
+
+    const varianceQty = item.countedQty - item.systemQty;
+    const varianceValue = new Prisma.Decimal(item.unitCost).times(varianceQty);
+
+    summary.countedItems += 1;
+    if (varianceQty !== 0) summary.itemsWithVariance += 1;
+    if (varianceQty > 0) summary.gainValue = summary.gainValue.plus(varianceValue);
+    if (varianceQty < 0) summary.lossValue = summary.lossValue.minus(varianceValue);
+
+    return { ...item, varianceQty, varianceValue };
+  });
+
+  return {
+    ...count,
+    items,
+    summary: {
+      ...summary,
+      netVarianceValue: summary.gainValue.minus(summary.lossValue)
+    }
+  };
+};
+
+/**
+ * Find a stock count of the company or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @returns {Promise<Object>} Stock count with items
+ */
+const findCompanyCount = async (tx, companyId, countId) => {
+  const count = await tx.stockCount.findFirst({
+    where: { id: countId, companyId },
+    include: { items: true }
+  });
+
+  if (!count) {
+    throw ApiError.notFound('Stock count not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return count;
+};
+
+/**
+ * Find a stock count that is still being counted or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @returns {Promise<Object>} Stock count with items
+ */
+const findOpenCount = async (tx, companyId, countId) => {
+  const count = await findCompanyCount(tx, companyId, countId);
+
+  if (count.status !== STOCK_COUNT_STATUS.IN_PROGRESS) {
+    throw ApiError.badRequest(
+      `Stock count ${count.countNumber} is ${count.status} and can no longer be changed`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  return count;
+};
+
+/**
+ * Snapshot system quantity and average cost of products in a warehouse
+ * Products without stock there are snapshotted at zero and their purchase price
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} warehouseId - Warehouse ID
+ * @param {Array<Object>} products - Products with id and purchasePrice
+ * @returns {Promise<Array<Object>>} Count item data
+ */
+const snapshotItems = async (tx, warehouseId, products) => {
+  const stock = await tx.stock.findMany({
+    where: { warehouseId, productId: { in: products.map((product) => product.id) } },
+    select: { productId: true, quantity: true, valueAmount: true }
+  });
+  const stockByProduct = new Map(stock.map((row) => [row.productId, row]));
+
+  return products.map((product) => {
+    const row = stockByProduct.get(product.id);
+    const unitCost = row && row.quantity > 0
+      ? new Prisma.Decimal(row.valueAmount).div(row.quantity).toDecimalPlaces(2)
+      : new Prisma.Decimal(product.purchasePrice);
+
+    return {
+      productId: product.id,
+      systemQty: row ? row.quantity : 0,
+      unitCost
+    };
+  });
+};
+
+/**
+ * Find countable products of the company: active, inventory-tracked and
+ * not serial-tracked, since a count adjustment cannot say which units
+ * were missing or found
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} where - Extra product filter
+ * @returns {Promise<Array<Object>>} Products
+ */
+const findCountableProducts = (tx, companyId, where) => tx.product.findMany({
+  where: {
+    ...where,
+    companyId,
+    isActive: true,
+    trackInventory: true,
+    trackSerials: false
+  },
+  select: { id: true, sku: true, purchasePrice: true }
+});
+
+/**
+ * Start a stock count for a warehouse
+ * Counts the given products, the products of a category, or by default
+ * every product that has a stock record in the warehouse. Serial-tracked
+ * products are left out
+ * @param {string} companyId - Company ID
+ * @param {Object} countData - { warehouseId, countDate, notes, productIds, categoryId }
+ * @param {string} createdBy - ID of user starting the count
+ * @returns {Promise<Object>} Created stock count
+ */
+export const createStockCount = async (companyId, countData, createdBy) => {
+  const { productIds, categoryId, ...header } = countData;
+
+  const count = await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(tx, companyId, header.countDate, { allowSoftClosed: true });
+
+    const warehouse = await tx.warehouse.findFirst({
+      where: { id: header.warehouseId, companyId },
+      select: { id: true, code: true, isActive: true }
+    });
+
+    if (!warehouse) {
+      throw ApiError.notFound('Warehouse not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+    }
+
+    if (!warehouse.isActive) {
+      throw ApiError.badRequest(`Warehouse ${warehouse.code} is inactive`);
+    }
+
+    let productFilter = { stock: { some: { warehouseId: warehouse.id } } };
+
+    if (productIds) {
+      productFilter = { id: { in: productIds } };
+    } else if (categoryId) {
+      productFilter = { categoryId };
+    }
+
+    const products = await findCountableProducts(tx, companyId, productFilter);
+
+    if (productIds && products.length !== new Set(productIds).size) {
+      throw ApiError.badRequest('One or more products are invalid, do not track inventory or are serial tracked');
+    }
+
+    if (products.length === 0) {
+      throw ApiError.badRequest(`There are no products to count in warehouse ${warehouse.code}`);
+    }
+
+    return tx.stockCount.create({
+      data: {
+        ...header,
+        companyId,
+        countNumber: await generateDocumentNumber(
+          tx,
+          companyId,
+          NUMBER_SERIES_TYPES.STOCK_COUNT,
+          header.countDate
+        ),
+        createdBy,
+        items: {
+          create: await snapshotItems(tx, warehouse.id, products)
+        }
+      },
+      include: countInclude
+    });
+  });
+
+  logger.info(`Stock count started: ${count.countNumber} (${count.items.length} products) by ${createdBy}`);
+
+  return withVariances(count);
+};
+
+/**
+ * Get stock count by ID with variances
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @returns {Promise<Object>} Stock count
+ */
+export const getStockCountById = async (companyId, countId) => {
+  const count = await prisma.stockCount.findFirst({
+    where: { id: countId, companyId },
+    include: countInclude
+  });
+
+  if (!count) {
+    throw ApiError.notFound('Stock count not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return withVariances(count);
+};
+
+/**
+ * Get stock counts list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Stock counts list with pagination
+ */
+export const getStockCounts = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    warehouseId,
+    fromDate,
+    toDate,
+    search,
+    sortBy = 'countDate',
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (warehouseId) {
+    where.warehouseId = warehouseId;
+  }
+
+  if (fromDate || toDate) {
+    where.countDate = {};
+    if (fromDate) where.countDate.gte = fromDate;
+    if (toDate) where.countDate.lte = toDate;
+  }
+
+  if (search) {
+    where.OR = [
+      { countNumber: { contains: search, mode: 'insensitive' } },
+      { notes: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, counts] = await Promise.all([
+    prisma.stockCount.count({ where }),
+    prisma.stockCount.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: sortOrder }, { countNumber: sortOrder }],
+      include: {
+        warehouse: countInclude.warehouse,
+        _count: { select: { items: true } }
+      }
+    })
+  ]);
+
+  return {
+    counts,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Add products found on the shelves that were not part of the snapshot
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {Object} count - Stock count with items
+ * @param {Array<string>} productIds - Products to make sure are on the count
+ * @returns {Promise<Map<string, Object>>} Count items keyed by product ID
+ */
+const ensureCountItems = async (tx, companyId, count, productIds) => {
+  const items = new Map(count.items.map((item) => [item.productId, item]));
+  const missingIds = [...new Set(productIds)].filter((productId) => !items.has(productId));
+
+  if (missingIds.length > 0) {
+    const products = await findCountableProducts(tx, companyId, { id: { in: missingIds } });
+
+    if (products.length !== missingIds.length) {
+      throw ApiError.badRequest('One or more products are invalid or do not track inventory');
+    }
+
+    for (const itemData of await snapshotItems(tx, count.warehouseId, products)) {
+      const item = await tx.stockCountItem.create({
+        data: { ...itemData, countId: count.id }
+      });
+      items.set(item.productId, item);
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Record counted quantities
+ * Products not on the count yet are added with their current system quantity
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @param {Object} countData - { items: [{ productId, countedQty, notes }] }
+ * @param {string} countedBy - ID of user recording the counts
+ * @returns {Promise<Object>} Updated stock count
+ */
+export const recordCountedQuantities = async (companyId, countId, countData, countedBy) => {
+  const count = await prisma.$transaction(async (tx) => {
+    const current = await findOpenCount(tx, companyId, countId);
+    const items = await ensureCountItems(
+      tx,
+      companyId,
+      current,
+      countData.items.map((item) => item.productId)
+    );
+
+    for (const counted of countData.items) {
+      await tx.stockCountItem.update({
+        where: { id: items.get(counted.productId).id },
+        data: {
+          countedQty: counted.countedQty,
+          ...(counted.notes !== undefined && { notes: counted.notes }),
+          countedAt: new Date(),
+          countedBy
+        }
+      });
+    }
+
+    return tx.stockCount.findUnique({
+      where: { id: countId },
+      include: countInclude
+    });
+  });
+
+  return withVariances(count);
+};
+
+/**
+ * Count a product by scanning its barcode (or SKU); each scan adds to
+ * the counted quantity
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @param {Object} scanData - { barcode, quantity }
+ * @param {string} countedBy - ID of user scanning
+ * @returns {Promise<Object>} Scanned count item with its variance
+ */
+export const scanCountItem = async (companyId, countId, scanData, countedBy) => {
+  const { barcode, quantity = 1 } = scanData;
+
+  return prisma.$transaction(async (tx) => {
+    const current = await findOpenCount(tx, companyId, countId);
+
+    // Barcodes take precedence over SKUs printed as barcodes
+    const product = await tx.product.findFirst({
+      where: { companyId, barcode },
+      select: { id: true }
+    }) || await tx.product.findFirst({
+      where: { companyId, sku: barcode.toUpperCase() },
+      select: { id: true }
+    });
+
+    if (!product) {
+      throw ApiError.notFound(`No product has barcode or SKU ${barcode}`, ERROR_CODES.DB_RECORD_NOT_FOUND);
+    }
+
+    const items = await ensureCountItems(tx, companyId, current, [product.id]);
+    const item = items.get(product.id);
+
+    // Each scan adds to what has been counted so far
+    const scanned = await tx.stockCountItem.update({
+      where: { id: item.id },
+      data: {
+        countedQty: item.countedQty === null ? quantity : { increment: quantity },
+        countedAt: new Date(),
+        countedBy
+      },
+      include: countInclude.items.include
+    });
+
+    return withVariances({ items: [scanned] }).items[0];
+  });
+};
+
+/**
+ * Cancel a stock count without adjusting stock
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @param {string} cancelledBy - ID of user cancelling the count
+ * @returns {Promise<Object>} Cancelled stock count
+ */
+export const cancelStockCount = async (companyId, countId, cancelledBy) => {
+  const current = await findOpenCount(prisma, companyId, countId);
+
+  const { count } = await prisma.stockCount.updateMany({
+    where: { id: countId, status: STOCK_COUNT_STATUS.IN_PROGRESS },
+    data: { status: STOCK_COUNT_STATUS.CANCELLED }
+  });
+
+  if (count === 0) {
+    throw ApiError.conflict(
+      `Stock count ${current.countNumber} was changed by another request`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  logger.info(`Stock count cancelled: ${current.countNumber} by ${cancelledBy}`);
+
+  return getStockCountById(companyId, countId);
+};
+
+/**
+ * Approve a stock count: post an ADJUSTMENT movement for every counted
+ * variance and a journal entry moving the net value between inventory
+ * and the inventory adjustment (write-off) account. Variances are taken
+ * against the quantity on hand at approval, so stock moved since the
+ * count started is not adjusted twice, and the items keep that quantity
+ * as their system quantity. Uncounted items are left unchanged
+ * @param {string} companyId - Company ID
+ * @param {string} countId - Stock count ID
+ * @param {string} approvedBy - ID of user approving the count
+ * @returns {Promise<Object>} Approved stock count and its journal entry
+ */
+export const approveStockCount = async (companyId, countId, approvedBy) => {
+  const result = await prisma.$transaction(async (tx) => {
+    const current = await findOpenCount(tx, companyId, countId);
+    const counted = current.items.filter((item) => item.countedQty !== null);
+
+    if (counted.length === 0) {
+      throw ApiError.badRequest(`Stock count ${current.countNumber} has no counted items`);
+    }
+
+    await assertPeriodOpen(tx, companyId, current.countDate, { allowSoftClosed: true });
+
+    // Guard against a concurrent approval or cancellation
+    const { count } = await tx.stockCount.updateMany({
+      where: { id: countId, status: STOCK_COUNT_STATUS.IN_PROGRESS },
+      data: {
+        status: STOCK_COUNT_STATUS.APPROVED,
+        approvedBy,
+        approvedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw ApiError.conflict(
+        `Stock count ${current.countNumber} was changed by another request`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    const onHand = await lockStockQuantities(
+      tx,
+      companyId,
+      current.warehouseId,
+      counted.map((item) => item.productId)
+    );
+
+    for (const item of counted) {
+      if (onHand.get(item.productId) !== item.systemQty) {
+        item.systemQty = onHand.get(item.productId);
+
+        await tx.stockCountItem.update({
+          where: { id: item.id },
+          data: { systemQty: item.systemQty }
+        });
+      }
+    }
+
+    const movements = await recordStockMovements(tx, companyId, counted
+      .filter((item) => item.countedQty !== item.systemQty)
+      .map((item) => ({
+        productId: item.productId,
+        warehouseId: current.warehouseId,
+        movementType: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        quantity: item.countedQty - item.systemQty,
+        unitPrice: item.countedQty > item.systemQty ? item.unitCost : undefined,
+        referenceType: REFERENCE_TYPES.STOCK_COUNT,
+        referenceId: current.id,
+        referenceNumber: current.countNumber,
+        notes: item.notes || `Stock count ${current.countNumber}`,
+        movementDate: current.countDate
+      })), approvedBy);
+
+    const sumValues = (direction) => movements
+      .filter((movement) => Math.sign(movement.quantity) === direction)
+      .reduce((sum, movement) => sum.plus(movement.totalValue), new Prisma.Decimal(0));
+    const gainValue = sumValues(1);
+    const lossValue = sumValues(-1);
+
+    let journalEntry = null;
+
+    if (!gainValue.isZero() || !lossValue.isZero()) {
+      const accountIds = await getMappedAccountIds(tx, companyId, [
+        ACCOUNT_MAPPING_KEYS.INVENTORY,
+        ACCOUNT_MAPPING_KEYS.INVENTORY_ADJUSTMENT
+      ]);
+      const inventoryAccountId = accountIds.get(ACCOUNT_MAPPING_KEYS.INVENTORY);
+      const adjustmentAccountId = accountIds.get(ACCOUNT_MAPPING_KEYS.INVENTORY_ADJUSTMENT);
+
+      const lines = [
+        { accountId: inventoryAccountId, transactionType: DEBIT, amount: gainValue, description: 'Stock count gains' },
+        { accountId: adjustmentAccountId, transactionType: CREDIT, amount: gainValue, description: 'Stock count gains' },
+        { accountId: adjustmentAccountId, transactionType: DEBIT, amount: lossValue, description: 'Stock count write-off' },
+        { accountId: inventoryAccountId, transactionType: CREDIT, amount: lossValue, description: 'Stock count write-off' }
+      ].filter((line) => !line.amount.isZero());
+
+      journalEntry = await createPostedEntry(tx, companyId, {
+        entryDate: current.countDate,
+        entryType: JOURNAL_ENTRY_TYPES.ADJUSTMENT,
+        referenceType: REFERENCE_TYPES.STOCK_COUNT,
+        referenceId: current.id,
+        referenceNumber: current.countNumber,
+        description: `Stock count ${current.countNumber} adjustment`,
+        lines
+      }, approvedBy);
+    }
+
+    const approved = await tx.stockCount.findUnique({
+      where: { id: countId },
+      include: countInclude
+    });
+
+    return { stockCount: withVariances(approved), journalEntry };
+  });
+
+  logger.info(`Stock count approved: ${result.stockCount.countNumber} by ${approvedBy}`);
+
+  return result;
+};
+
+export default {
+  createStockCount,
+  getStockCountById,
+  getStockCounts,
+  recordCountedQuantities,
+  scanCountItem,
+  cancelStockCount,
+  approveStockCount
+};
@@ -0,0 +1,707 @@
+/**
+ * Stock Transfer Service
+ * Moves stock between warehouses: DRAFT -> DISPATCHED -> (PARTIALLY_)RECEIVED.
+ * Dispatch takes the goods out of the source warehouse; until they are
+ * received at the destination they are held in transit on the transfer
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  STOCK_TRANSFER_STATUS,
+  STOCK_MOVEMENT_TYPES,
+  REFERENCE_TYPES,
+  NUMBER_SERIES_TYPES,
+  SERIAL_NUMBER_STATUS,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { assertPeriodOpen } from './fiscalPeriod.service.js';
+import { generateDocumentNumber } from './numberSeries.service.js';
+import { recordStockMovements, getReferenceBatchBalances } from './stock.service.js';
+import logger from '../config/logger.js';
+
+const IN_TRANSIT_STATUSES = [
+  STOCK_TRANSFER_STATUS.DISPATCHED,
+  STOCK_TRANSFER_STATUS.PARTIALLY_RECEIVED
+];
+
+const warehouseSummarySelect = {
+  id: true,
+  code: true,
+  name: true
+};
+
+const transferInclude = {
+  fromWarehouse: { select: warehouseSummarySelect },
+  toWarehouse: { select: warehouseSummarySelect },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          sku: true,
+          name: true,
+          unit: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Find a transfer of the company or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @returns {Promise<Object>} Transfer with items
+ */
+const findCompanyTransfer = async (tx, companyId, transferId) => {
+  const transfer = await tx.stockTransfer.findFirst({
+    where: { id: transferId, companyId },
+    include: { items: true }
+  });
+
+  if (!transfer) {
+    throw ApiError.notFound('Stock transfer not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return transfer;
+};
+
+/**
+ * Find a draft transfer or throw
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @returns {Promise<Object>} Draft transfer with items
+ */
+const findDraftTransfer = async (tx, companyId, transferId) => {
+  const transfer = await findCompanyTransfer(tx, companyId, transferId);
+
+  if (transfer.status !== STOCK_TRANSFER_STATUS.DRAFT) {
+    throw ApiError.badRequest(
+      `Stock transfer ${transfer.transferNumber} has been dispatched and can no longer be changed`,
+      ERROR_CODES.INVALID_STATUS_TRANSITION
+    );
+  }
+
+  return transfer;
+};
+
+/**
+ * Validate the source and destination warehouses
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} fromWarehouseId - Source warehouse ID
+ * @param {string} toWarehouseId - Destination warehouse ID
+ */
+const assertValidWarehouses = async (tx, companyId, fromWarehouseId, toWarehouseId) => {
+  if (fromWarehouseId === toWarehouseId) {
+    throw ApiError.badRequest('Source and destination warehouses must be different');
+  }
+
+  // Keeps the destination from being deactivated while goods head to it
+  await tx.$queryRaw`SELECT id FROM "Warehouse" WHERE id = ${toWarehouseId} FOR SHARE`;
+
+  const warehouses = await tx.warehouse.findMany({
+    where: { id: { in: [fromWarehouseId, toWarehouseId] }, companyId },
+    select: { id: true, code: true, isActive: true }
+  });
+
+  if (warehouses.length !== 2) {
+    throw ApiError.badRequest('One or more warehouses are invalid');
+  }
+
+  const inactive = warehouses.find((warehouse) => !warehouse.isActive);
+  if (inactive) {
+    throw ApiError.badRequest(`Warehouse ${inactive.code} is inactive`);
+  }
+};
+
+/**
+ * Validate transfer items against the company's inventory-tracked products
+ * Serial-tracked products list one serial number per unit
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} items - Transfer items
+ */
+const assertValidItems = async (tx, companyId, items) => {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+
+  if (productIds.length !== items.length) {
+    throw ApiError.badRequest('Each product can appear only once on a stock transfer');
+  }
+
+  const products = await tx.product.findMany({
+    where: { id: { in: productIds }, companyId },
+    select: { id: true, sku: true, isActive: true, trackInventory: true, trackSerials: true }
+  });
+
+  if (products.length !== productIds.length) {
+    throw ApiError.badRequest('One or more products are invalid');
+  }
+
+  const invalid = products.find((product) => !product.isActive || !product.trackInventory);
+  if (invalid) {
+    throw ApiError.badRequest(
+      `Product ${invalid.sku} ${invalid.isActive ? 'does not track inventory' : 'is inactive'}`
+    );
+  }
+
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  for (const item of items) {
+    const product = productsById.get(item.productId);
+    const serials = item.serialNumbers || [];
+
+    if (product.trackSerials ? serials.length !== item.quantity : serials.length > 0) {
+      throw ApiError.badRequest(
+        product.trackSerials
+          ? `Product ${product.sku} is serial tracked; list ${item.quantity} serial numbers`
+          : `Product ${product.sku} does not track serial numbers`
+      );
+    }
+  }
+};
+
+/**
+ * Create a draft stock transfer
+ * @param {string} companyId - Company ID
+ * @param {Object} transferData - Transfer data with items
+ * @param {string} createdBy - ID of user creating the transfer
+ * @returns {Promise<Object>} Created transfer
+ */
+export const createStockTransfer = async (companyId, transferData, createdBy) => {
+  const { items, ...header } = transferData;
+
+  const transfer = await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(tx, companyId, header.transferDate);
+    await assertValidWarehouses(tx, companyId, header.fromWarehouseId, header.toWarehouseId);
+    await assertValidItems(tx, companyId, items);
+
+    return tx.stockTransfer.create({
+      data: {
+        ...header,
+        companyId,
+        transferNumber: await generateDocumentNumber(
+          tx,
+          companyId,
+          NUMBER_SERIES_TYPES.STOCK_TRANSFER,
+          header.transferDate
+        ),
+        createdBy,
+        items: {
+          create: items.map((item) => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            serialNumbers: item.serialNumbers || [],
+            notes: item.notes || null
+          }))
+        }
+      },
+      include: transferInclude
+    });
+  });
+
+  logger.info(`Stock transfer created: ${transfer.transferNumber} by ${createdBy}`);
+
+  return transfer;
+};
+
+/**
+ * Get stock transfer by ID
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @returns {Promise<Object>} Transfer with items
+ */
+export const getStockTransferById = async (companyId, transferId) => {
+  const transfer = await prisma.stockTransfer.findFirst({
+    where: { id: transferId, companyId },
+    include: transferInclude
+  });
+
+  if (!transfer) {
+    throw ApiError.notFound('Stock transfer not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return transfer;
+};
+
+/**
+ * Get stock transfers list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Transfers list with pagination
+ */
+export const getStockTransfers = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    warehouseId,
+    fromWarehouseId,
+    toWarehouseId,
+    productId,
+    fromDate,
+    toDate,
+    search,
+    sortBy = 'transferDate',
+    sortOrder = 'desc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (warehouseId) {
+    where.OR = [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }];
+  }
+
+  if (fromWarehouseId) {
+    where.fromWarehouseId = fromWarehouseId;
+  }
+
+  if (toWarehouseId) {
+    where.toWarehouseId = toWarehouseId;
+  }
+
+  if (productId) {
+    where.items = { some: { productId } };
+  }
+
+  if (fromDate || toDate) {
+    where.transferDate = {};
+    if (fromDate) where.transferDate.gte = fromDate;
+    if (toDate) where.transferDate.lte = toDate;
+  }
+
+  if (search) {
+    where.AND = [{
+      OR: [
+        { transferNumber: { contains: search, mode: 'insensitive' } },
+        { notes: { contains: search, mode: 'insensitive' } }
+      ]
+    }];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, transfers] = await Promise.all([
+    prisma.stockTransfer.count({ where }),
+    prisma.stockTransfer.findMany({
+      where,
+      skip,
+      take,
+      orderBy: [{ [sortBy]: sortOrder }, { transferNumber: sortOrder }],
+      include: transferInclude
+    })
+  ]);
+
+  return {
+    transfers,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get goods dispatched but not yet received, per destination and product
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - { warehouseId (destination), productId }
+ * @returns {Promise<Array>} In-transit quantities and values
+ */
+export const getInTransitStock = async (companyId, filters = {}) => {
+  const { warehouseId, productId } = filters;
+
+  const items = await prisma.stockTransferItem.findMany({
+    where: {
+      ...(productId && { productId }),
+      transfer: {
+        companyId,
+        status: { in: IN_TRANSIT_STATUSES },
+        ...(warehouseId && { toWarehouseId: warehouseId })
+      }
+    },
+    include: {
+      product: { select: { id: true, sku: true, name: true, unit: true } },
+      transfer: {
+        select: {
+          id: true,
+          transferNumber: true,
+          dispatchedAt: true,
+          fromWarehouse: { select: warehouseSummarySelect },
+          toWarehouse: { select: warehouseSummarySelect }
+        }
+      }
+    },
+    orderBy: { transfer: { dispatchedAt: 'asc' } }
+  });
+
+  return items
+    .filter((item) => item.quantity > item.receivedQty)
+    .map(({ transfer, ...item }) => ({
+      transferId: transfer.id,
+      transferNumber: transfer.transferNumber,
+      dispatchedAt: transfer.dispatchedAt,
+      fromWarehouse: transfer.fromWarehouse,
+      toWarehouse: transfer.toWarehouse,
+      product: item.product,
+      quantity: item.quantity - item.receivedQty,
+      value: new Prisma.Decimal(item.dispatchedValue).minus(item.receivedValue)
+    }));
+};
+
+/**
+ * Update a draft stock transfer
+ * When items are provided they replace the existing items
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated transfer
+ */
+export const updateStockTransfer = async (companyId, transferId, updateData, updatedBy) => {
+  const { items, ...header } = updateData;
+
+  const transfer = await prisma.$transaction(async (tx) => {
+    const draft = await findDraftTransfer(tx, companyId, transferId);
+
+    if (header.transferDate) {
+      await assertPeriodOpen(tx, companyId, header.transferDate);
+    }
+
+    if (header.fromWarehouseId || header.toWarehouseId) {
+      await assertValidWarehouses(
+        tx,
+        companyId,
+        header.fromWarehouseId || draft.fromWarehouseId,
+        header.toWarehouseId || draft.toWarehouseId
+      );
+    }
+
+    const data = { ...header };
+
+    if (items) {
+      await assertValidItems(tx, companyId, items);
+      await tx.stockTransferItem.deleteMany({ where: { transferId } });
+
+      data.items = {
+        create: items.map((item) => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          serialNumbers: item.serialNumbers || [],
+          notes: item.notes || null
+        }))
+      };
+    }
+
+    return tx.stockTransfer.update({
+      where: { id: transferId },
+      data,
+      include: transferInclude
+    });
+  });
+
+  logger.info(`Stock transfer updated: ${transfer.transferNumber} by ${updatedBy}`);
+
+  return transfer;
+};
+
+/**
+ * Delete a draft stock transfer
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deleteStockTransfer = async (companyId, transferId, deletedBy) => {
+  const transfer = await findDraftTransfer(prisma, companyId, transferId);
+
+  await prisma.stockTransfer.delete({
+    where: { id: transferId }
+  });
+
+  logger.info(`Stock transfer deleted: ${transfer.transferNumber} by ${deletedBy}`);
+};
+
+/**
+ * Dispatch a draft transfer: take the goods out of the source warehouse
+ * at average cost and hold them in transit
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @param {Object} dispatchData - { dispatchDate }
+ * @param {string} dispatchedBy - ID of user dispatching the transfer
+ * @returns {Promise<Object>} Dispatched transfer
+ */
+export const dispatchStockTransfer = async (companyId, transferId, dispatchData, dispatchedBy) => {
+  const { dispatchDate = new Date() } = dispatchData;
+
+  const transfer = await prisma.$transaction(async (tx) => {
+    const draft = await findDraftTransfer(tx, companyId, transferId);
+
+    await assertPeriodOpen(tx, companyId, dispatchDate);
+    await assertValidWarehouses(tx, companyId, draft.fromWarehouseId, draft.toWarehouseId);
+
+    // Guard against a concurrent dispatch of the same transfer
+    const { count } = await tx.stockTransfer.updateMany({
+      where: { id: transferId, status: STOCK_TRANSFER_STATUS.DRAFT },
+      data: {
+        status: STOCK_TRANSFER_STATUS.DISPATCHED,
+        dispatchedAt: dispatchDate,
+        dispatchedBy
+      }
+    });
+
+    if (count === 0) {
+      throw ApiError.conflict(
+        `Stock transfer ${draft.transferNumber} has already been dispatched`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    const movements = await recordStockMovements(tx, companyId, draft.items.map((item) => ({
+      productId: item.productId,
+      warehouseId: draft.fromWarehouseId,
+      movementType: STOCK_MOVEMENT_TYPES.TRANSFER,
+      quantity: -item.quantity,
+      serialNumbers: item.serialNumbers,
+      referenceType: REFERENCE_TYPES.STOCK_TRANSFER,
+      referenceId: draft.id,
+      referenceNumber: draft.transferNumber,
+      notes: item.notes,
+      movementDate: dispatchDate
+    })), dispatchedBy);
+
+    const dispatchedValues = new Map(movements.map((movement) => [movement.productId, movement.totalValue]));
+
+    for (const item of draft.items) {
+      await tx.stockTransferItem.update({
+        where: { id: item.id },
+        data: { dispatchedValue: dispatchedValues.get(item.productId) }
+      });
+    }
+
+    return tx.stockTransfer.findUnique({
+      where: { id: transferId },
+      include: transferInclude
+    });
+  });
+
+  logger.info(`Stock transfer dispatched: ${transfer.transferNumber} by ${dispatchedBy}`);
+
+  return transfer;
+};
+
+/**
+ * Pick the lots received for a batch-tracked item: the lots dispatched
+ * on the transfer and not yet received, earliest expiry first
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transfer - Stock transfer
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity being received
+ * @returns {Promise<Array>} Lots as for recordStockMovement
+ */
+const getReceivedBatches = async (tx, transfer, productId, quantity) => {
+  const lots = await getReferenceBatchBalances(tx, transfer.companyId, {
+    referenceType: REFERENCE_TYPES.STOCK_TRANSFER,
+    referenceId: transfer.id,
+    productId
+  });
+
+  const batches = [];
+  let remaining = quantity;
+
+  for (const lot of lots.filter((balance) => balance.quantity < 0)) {
+    if (remaining === 0) break;
+
+    const taken = Math.min(remaining, -lot.quantity);
+    batches.push({ ...lot, quantity: taken });
+    remaining -= taken;
+  }
+
+  return batches;
+};
+
+/**
+ * Pick the serial numbers received for a serial-tracked item: the units
+ * listed on the item that are still in transit, in the order listed,
+ * unless the receipt names them
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} item - Stock transfer item
+ * @param {number} quantity - Quantity being received
+ * @param {Array<string>} [requested] - Serial numbers named on the receipt
+ * @returns {Promise<Array<string>>} Serial numbers as for recordStockMovement
+ */
+const getReceivedSerials = async (tx, item, quantity, requested) => {
+  const inTransit = new Set((await tx.serialNumber.findMany({
+    where: {
+      productId: item.productId,
+      serialNumber: { in: item.serialNumbers },
+      status: SERIAL_NUMBER_STATUS.IN_TRANSIT
+    },
+    select: { serialNumber: true }
+  })).map((serial) => serial.serialNumber));
+
+  if (!requested) {
+    return item.serialNumbers.filter((serial) => inTransit.has(serial)).slice(0, quantity);
+  }
+
+  const invalid = requested.find((serial) => !inTransit.has(serial));
+
+  if (invalid) {
+    throw ApiError.badRequest(`Serial number ${invalid} is not in transit on item ${item.id}`);
+  }
+
+  if (requested.length !== quantity) {
+    throw ApiError.badRequest(`List ${quantity} serial numbers for item ${item.id}`);
+  }
+
+  return requested;
+};
+
+/**
+ * Receive goods of a dispatched transfer into the destination warehouse
+ * Goods are received at the cost they were dispatched at, in the lots
+ * they were dispatched from; items not listed stay in transit. Without
+ * items, everything outstanding is received
+ * @param {string} companyId - Company ID
+ * @param {string} transferId - Stock transfer ID
+ * @param {Object} receiptData - { receivedDate, items: [{ itemId, quantity, serialNumbers }] }
+ * @param {string} receivedBy - ID of user receiving the goods
+ * @returns {Promise<Object>} Updated transfer
+ */
+export const receiveStockTransfer = async (companyId, transferId, receiptData, receivedBy) => {
+  const { receivedDate = new Date(), items: receivedItems } = receiptData;
+
+  const transfer = await prisma.$transaction(async (tx) => {
+    const current = await findCompanyTransfer(tx, companyId, transferId);
+
+    if (!IN_TRANSIT_STATUSES.includes(current.status)) {
+      throw ApiError.badRequest(
+        `Stock transfer ${current.transferNumber} is ${current.status} and has nothing in transit`,
+        ERROR_CODES.INVALID_STATUS_TRANSITION
+      );
+    }
+
+    if (new Date(receivedDate) < current.dispatchedAt) {
+      throw ApiError.badRequest('Goods cannot be received before they were dispatched');
+    }
+
+    await assertPeriodOpen(tx, companyId, receivedDate);
+
+    const itemsById = new Map(current.items.map((item) => [item.id, item]));
+    const receipts = receivedItems
+      ? receivedItems.map((received) => {
+        const item = itemsById.get(received.itemId);
+
+        if (!item) {
+          throw ApiError.badRequest(`Item ${received.itemId} is not on stock transfer ${current.transferNumber}`);
+        }
+
+        if (received.quantity > item.quantity - item.receivedQty) {
+          throw ApiError.badRequest(
+            `Cannot receive ${received.quantity} units of item ${item.id}; only ${item.quantity - item.receivedQty} are in transit`
+          );
+        }
+
+        return { item, quantity: received.quantity, serialNumbers: received.serialNumbers };
+      })
+      : current.items
+        .filter((item) => item.quantity > item.receivedQty)
+        .map((item) => ({ item, quantity: item.quantity - item.receivedQty }));
+
+    const products = await tx.product.findMany({
+      where: { id: { in: receipts.map(({ item }) => item.productId) } },
+      select: { id: true, trackBatches: true, trackSerials: true }
+    });
+    const productsById = new Map(products.map((product) => [product.id, product]));
+
+    const movements = [];
+
+    for (const { item, quantity, serialNumbers } of receipts) {
+      const product = productsById.get(item.productId);
+
+      // The last units in transit carry whatever value is left so none is lost to rounding
+      const value = item.receivedQty + quantity === item.quantity
+        ? new Prisma.Decimal(item.dispatchedValue).minus(item.receivedValue)
+        : new Prisma.Decimal(item.dispatchedValue).div(item.quantity).times(quantity).toDecimalPlaces(2);
+
+      // Guard against a concurrent receipt of the same item
+      const { count } = await tx.stockTransferItem.updateMany({
+        where: { id: item.id, receivedQty: item.receivedQty },
+        data: {
+          receivedQty: { increment: quantity },
+          receivedValue: { increment: value }
+        }
+      });
+
+      if (count === 0) {
+        throw ApiError.conflict(
+          `Stock transfer ${current.transferNumber} was received by another request; please retry`
+        );
+      }
+
+      movements.push({
+        productId: item.productId,
+        warehouseId: current.toWarehouseId,
+        movementType: STOCK_MOVEMENT_TYPES.TRANSFER,
+        quantity,
+        totalValue: value,
+        referenceType: REFERENCE_TYPES.STOCK_TRANSFER,
+        referenceId: current.id,
+        referenceNumber: current.transferNumber,
+        notes: item.notes,
+        movementDate: receivedDate,
+        ...(product.trackBatches && {
+          batches: await getReceivedBatches(tx, current, item.productId, quantity)
+        }),
+        ...(product.trackSerials && {
+          serialNumbers: await getReceivedSerials(tx, item, quantity, serialNumbers)
+        })
+      });
+    }
+
+    await recordStockMovements(tx, companyId, movements, receivedBy);
+
+    const receivedNow = new Map(receipts.map(({ item, quantity }) => [item.id, quantity]));
+    const outstanding = current.items.filter((item) => (
+      item.receivedQty + (receivedNow.get(item.id) || 0) < item.quantity
+    )).length;
+
+    return tx.stockTransfer.update({
+      where: { id: transferId },
+      data: {
+        status: outstanding > 0
+          ? STOCK_TRANSFER_STATUS.PARTIALLY_RECEIVED
+          : STOCK_TRANSFER_STATUS.RECEIVED,
+        receivedAt: outstanding > 0 ? null : receivedDate
+      },
+      include: transferInclude
+    });
+  });
+
+  logger.info(`Stock transfer received: ${transfer.transferNumber} (${transfer.status}) by ${receivedBy}`);
+
+  return transfer;
+};
+
+export default {
+  createStockTransfer,
+  getStockTransferById,
+  getStockTransfers,
+  getInTransitStock,
+  updateStockTransfer,
+  deleteStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer
+};
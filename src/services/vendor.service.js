@@ -0,0 +1,333 @@
+/**
+ * Vendor Service
+ * Business logic for vendor master management
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import {
+  NUMBER_SEQUENCES,
+  DOCUMENT_STATUS,
+  PAYMENT_STATUS,
+  ERROR_CODES,
+  PAGINATION
+} from '../config/constants.js';
+import { generateSequenceNumber } from './sequence.service.js';
+import logger from '../config/logger.js';
+
+const vendorSelect = {
+  id: true,
+  companyId: true,
+  vendorNumber: true,
+  name: true,
+  email: true,
+  phone: true,
+  address: true,
+  city: true,
+  state: true,
+  country: true,
+  postalCode: true,
+  taxNumber: true,
+  paymentTerms: true,
+  openingBalance: true,
+  currentBalance: true,
+  isActive: true,
+  notes: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Purchase documents that keep a vendor from being deleted
+ */
+const LINKED_DOCUMENTS = {
+  bills: 'bills',
+  payments: 'payments',
+  purchaseReturns: 'purchase returns',
+  goodsReceipts: 'goods receipts',
+  purchaseOrders: 'purchase orders',
+  purchaseQuotations: 'purchase quotations'
+};
+
+/**
+ * Number of outstanding bills listed in the vendor summary
+ */
+const SUMMARY_BILL_LIMIT = 10;
+
+/**
+ * Find a vendor that belongs to the company or throw
+ * @param {string} companyId - Company ID
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} [select] - Fields to select
+ * @returns {Promise<Object>} Vendor
+ */
+const findCompanyVendor = async (companyId, vendorId, select) => {
+  const vendor = await prisma.vendor.findFirst({
+    where: { id: vendorId, companyId },
+    ...(select && { select })
+  });
+
+  if (!vendor) {
+    throw ApiError.notFound('Vendor not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return vendor;
+};
+
+/**
+ * Create a new vendor with the next VEND-0001 style number
+ * @param {string} companyId - Company ID
+ * @param {Object} vendorData - Vendor data
+ * @param {string} createdBy - ID of user creating the vendor
+ * @returns {Promise<Object>} Created vendor
+ */
+export const createVendor = async (companyId, vendorData, createdBy) => {
+  const { openingBalance = 0 } = vendorData;
+
+  const vendor = await prisma.$transaction(async (tx) => {
+    const vendorNumber = await generateSequenceNumber(tx, companyId, NUMBER_SEQUENCES.VENDOR);
+
+    return tx.vendor.create({
+      data: {
+        ...vendorData,
+        companyId,
+        vendorNumber,
+        openingBalance,
+        currentBalance: openingBalance,
+        createdBy
+      },
+      select: vendorSelect
+    });
+  });
+
+  logger.info(`Vendor created: ${vendor.vendorNumber} (${vendor.id}) by ${createdBy}`);
+
+  return vendor;
+};
+
+/**
+ * Get vendor by ID
+ * @param {string} companyId - Company ID
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object>} Vendor data
+ */
+export const getVendorById = async (companyId, vendorId) => {
+  return findCompanyVendor(companyId, vendorId, vendorSelect);
+};
+
+/**
+ * Get vendors list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Vendors list with pagination
+ */
+export const getVendors = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    isActive,
+    hasBalance,
+    search,
+    sortBy = 'vendorNumber',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (hasBalance !== undefined) {
+    where.currentBalance = hasBalance ? { not: 0 } : 0;
+  }
+
+  if (search) {
+    where.OR = [
+      { vendorNumber: { contains: search, mode: 'insensitive' } },
+      { name: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search } },
+      { taxNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, vendors] = await Promise.all([
+    prisma.vendor.count({ where }),
+    prisma.vendor.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: vendorSelect
+    })
+  ]);
+
+  return {
+    vendors,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get vendor summary: outstanding bills and last payment
+ * @param {string} companyId - Company ID
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object>} Vendor summary
+ */
+export const getVendorSummary = async (companyId, vendorId) => {
+  const vendor = await findCompanyVendor(companyId, vendorId, {
+    id: true,
+    vendorNumber: true,
+    name: true,
+    paymentTerms: true,
+    openingBalance: true,
+    currentBalance: true,
+    isActive: true
+  });
+
+  const outstandingWhere = {
+    companyId,
+    vendorId,
+    status: DOCUMENT_STATUS.APPROVED,
+    balanceAmount: { gt: 0 }
+  };
+  const overdueWhere = { ...outstandingWhere, dueDate: { lt: new Date() } };
+
+  const [outstanding, overdue, bills, lastPayment] = await Promise.all([
+    prisma.bill.aggregate({
+      where: outstandingWhere,
+      _count: { _all: true },
+      _sum: { balanceAmount: true }
+    }),
+    prisma.bill.aggregate({
+      where: overdueWhere,
+      _count: { _all: true },
+      _sum: { balanceAmount: true }
+    }),
+    prisma.bill.findMany({
+      where: outstandingWhere,
+      orderBy: [{ dueDate: 'asc' }, { billDate: 'asc' }],
+      take: SUMMARY_BILL_LIMIT,
+      select: {
+        id: true,
+        billNumber: true,
+        billDate: true,
+        dueDate: true,
+        total: true,
+        paidAmount: true,
+        balanceAmount: true,
+        paymentStatus: true
+      }
+    }),
+    prisma.payment.findFirst({
+      where: { companyId, vendorId, status: PAYMENT_STATUS.PAID },
+      orderBy: [{ paymentDate: 'desc' }, { createdAt: 'desc' }],
+      select: {
+        id: true,
+        paymentNumber: true,
+        paymentDate: true,
+        paymentMethod: true,
+        amount: true,
+        billId: true
+      }
+    })
+  ]);
+
+  return {
+    vendor,
+    outstandingBills: {
+      count: outstanding._count._all,
+      totalAmount: outstanding._sum.balanceAmount || new Prisma.Decimal(0),
+      overdueCount: overdue._count._all,
+      overdueAmount: overdue._sum.balanceAmount || new Prisma.Decimal(0),
+      bills
+    },
+    lastPayment
+  };
+};
+
+/**
+ * Update vendor
+ * @param {string} companyId - Company ID
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated vendor
+ */
+export const updateVendor = async (companyId, vendorId, updateData, updatedBy) => {
+  const existingVendor = await findCompanyVendor(companyId, vendorId);
+
+  const data = { ...updateData };
+
+  // Keep current balance in step with a revised opening balance
+  if (updateData.openingBalance !== undefined) {
+    const difference = new Prisma.Decimal(updateData.openingBalance)
+      .minus(existingVendor.openingBalance);
+    data.currentBalance = { increment: difference };
+  }
+
+  const vendor = await prisma.vendor.update({
+    where: { id: vendorId },
+    data,
+    select: vendorSelect
+  });
+
+  logger.info(`Vendor updated: ${vendorId} by ${updatedBy}`);
+
+  return vendor;
+};
+
+/**
+ * Delete vendor
+ * Vendors with purchase documents must be deactivated instead
+ * @param {string} companyId - Company ID
+ * @param {string} vendorId - Vendor ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deleteVendor = async (companyId, vendorId, deletedBy) => {
+  const vendor = await findCompanyVendor(companyId, vendorId, {
+    id: true,
+    vendorNumber: true,
+    _count: {
+      select: Object.fromEntries(Object.keys(LINKED_DOCUMENTS).map((relation) => [relation, true]))
+    }
+  });
+
+  const linked = Object.entries(LINKED_DOCUMENTS)
+    .filter(([relation]) => vendor._count[relation] > 0)
+    .map(([, label]) => label);
+
+  if (linked.length > 0) {
+    throw ApiError.conflict(
+      `Vendor ${vendor.vendorNumber} has ${linked.join(', ')}; deactivate the vendor instead`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  await prisma.vendor.delete({
+    where: { id: vendorId }
+  });
+
+  logger.info(`Vendor deleted: ${vendor.vendorNumber} (${vendorId}) by ${deletedBy}`);
+};
+
+export default {
+  createVendor,
+  getVendorById,
+  getVendors,
+  getVendorSummary,
+  updateVendor,
+  deleteVendor
+};
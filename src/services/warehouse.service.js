@@ -0,0 +1,466 @@
+/**
+ * Warehouse Service
+ * Business logic for warehouses and per-warehouse stock summaries
+ */
+
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import ApiError from '../utils/ApiError.js';
+import { STOCK_TRANSFER_STATUS, ERROR_CODES, PAGINATION } from '../config/constants.js';
+import logger from '../config/logger.js';
+
+const warehouseSelect = {
+  id: true,
+  companyId: true,
+  code: true,
+  name: true,
+  address: true,
+  city: true,
+  state: true,
+  country: true,
+  postalCode: true,
+  phone: true,
+  email: true,
+  isActive: true,
+  isDefault: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Find a warehouse that belongs to the company or throw
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @returns {Promise<Object>} Warehouse
+ */
+const findCompanyWarehouse = async (client, companyId, warehouseId) => {
+  const warehouse = await client.warehouse.findFirst({
+    where: { id: warehouseId, companyId }
+  });
+
+  if (!warehouse) {
+    throw ApiError.notFound('Warehouse not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  return warehouse;
+};
+
+/**
+ * Ensure warehouse code is unique within the company
+ * @param {string} companyId - Company ID
+ * @param {string} code - Warehouse code
+ * @param {string} [excludeId] - Warehouse ID to ignore (for updates)
+ */
+const assertUniqueCode = async (companyId, code, excludeId) => {
+  const existing = await prisma.warehouse.findUnique({
+    where: {
+      companyId_code: {
+        companyId,
+        code
+      }
+    },
+    select: { id: true }
+  });
+
+  if (existing && existing.id !== excludeId) {
+    throw ApiError.conflict(`Warehouse code ${code} already exists`, ERROR_CODES.DB_DUPLICATE_ENTRY);
+  }
+};
+
+/**
+ * Lock the company's warehouse rows so default swaps and deactivations
+ * run one at a time. Stock movements share-lock their warehouse, so
+ * they wait for a deactivation and a deactivation waits for them
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ */
+const lockCompanyWarehouses = (tx, companyId) => tx.$queryRaw`
+  SELECT id FROM "Warehouse" WHERE "companyId" = ${companyId} FOR UPDATE
+`;
+
+/**
+ * Clear the default flag on every other warehouse of the company
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} companyId - Company ID
+ * @param {string} [keepId] - Warehouse that becomes the default
+ */
+const clearDefault = (tx, companyId, keepId) => tx.warehouse.updateMany({
+  where: {
+    companyId,
+    isDefault: true,
+    ...(keepId && { id: { not: keepId } })
+  },
+  data: { isDefault: false }
+});
+
+/**
+ * Reject changes that would leave stock in an inactive warehouse
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} warehouse - Warehouse
+ */
+const assertNoStock = async (client, warehouse) => {
+  const stock = await client.stock.aggregate({
+    where: { warehouseId: warehouse.id, quantity: { not: 0 } },
+    _count: { _all: true },
+    _sum: { quantity: true }
+  });
+
+  if (stock._count._all > 0) {
+    throw ApiError.badRequest(
+      `Warehouse ${warehouse.code} still holds ${stock._sum.quantity} units across ${stock._count._all} products; transfer or adjust the stock first`
+    );
+  }
+};
+
+/**
+ * Reject deactivating a warehouse that goods are still travelling to
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} warehouse - Warehouse
+ */
+const assertNoInboundTransit = async (client, warehouse) => {
+  const inTransit = await client.stockTransfer.count({
+    where: {
+      toWarehouseId: warehouse.id,
+      status: { in: [STOCK_TRANSFER_STATUS.DISPATCHED, STOCK_TRANSFER_STATUS.PARTIALLY_RECEIVED] }
+    }
+  });
+
+  if (inTransit > 0) {
+    throw ApiError.badRequest(
+      `Warehouse ${warehouse.code} has ${inTransit} stock transfers in transit to it; receive them first`
+    );
+  }
+};
+
+/**
+ * Summarise stock held per warehouse
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} [warehouseIds] - Warehouses to include (all when omitted)
+ * @returns {Promise<Map<string, Object>>} Summary keyed by warehouse ID
+ */
+const getStockSummaries = async (companyId, warehouseIds) => {
+  const groups = await prisma.stock.groupBy({
+    by: ['warehouseId'],
+    where: {
+      companyId,
+      quantity: { not: 0 },
+      ...(warehouseIds && { warehouseId: { in: warehouseIds } })
+    },
+    _count: { _all: true },
+    _sum: {
+      quantity: true,
+      reservedQty: true,
+      availableQty: true,
+      valueAmount: true
+    }
+  });
+
+  return new Map(groups.map((group) => [group.warehouseId, {
+    productCount: group._count._all,
+    totalQuantity: group._sum.quantity || 0,
+    reservedQuantity: group._sum.reservedQty || 0,
+    availableQuantity: group._sum.availableQty || 0,
+    totalValue: group._sum.valueAmount || new Prisma.Decimal(0)
+  }]));
+};
+
+const EMPTY_SUMMARY = {
+  productCount: 0,
+  totalQuantity: 0,
+  reservedQuantity: 0,
+  availableQuantity: 0,
+  totalValue: new Prisma.Decimal(0)
+};
+
+/**
+ * Create a new warehouse
+ * The company's first warehouse always becomes the default
+ * @param {string} companyId - Company ID
+ * @param {Object} warehouseData - Warehouse data
+ * @param {string} createdBy - ID of user creating the warehouse
+ * @returns {Promise<Object>} Created warehouse
+ */
+export const createWarehouse = async (companyId, warehouseData, createdBy) => {
+  await assertUniqueCode(companyId, warehouseData.code);
+
+  const warehouse = await prisma.$transaction(async (tx) => {
+    await lockCompanyWarehouses(tx, companyId);
+
+    const hasDefault = await tx.warehouse.count({ where: { companyId, isDefault: true } });
+    const isDefault = Boolean(warehouseData.isDefault) || hasDefault === 0;
+
+    if (isDefault) {
+      await clearDefault(tx, companyId);
+    }
+
+    return tx.warehouse.create({
+      data: {
+        ...warehouseData,
+        companyId,
+        isActive: true,
+        isDefault
+      },
+      select: warehouseSelect
+    });
+  });
+
+  logger.info(`Warehouse created: ${warehouse.code} (${warehouse.id}) by ${createdBy}`);
+
+  return warehouse;
+};
+
+/**
+ * Get warehouse by ID with its stock summary
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @returns {Promise<Object>} Warehouse data
+ */
+export const getWarehouseById = async (companyId, warehouseId) => {
+  const warehouse = await prisma.warehouse.findFirst({
+    where: { id: warehouseId, companyId },
+    select: warehouseSelect
+  });
+
+  if (!warehouse) {
+    throw ApiError.notFound('Warehouse not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  const summaries = await getStockSummaries(companyId, [warehouseId]);
+
+  return {
+    ...warehouse,
+    stockSummary: summaries.get(warehouseId) || EMPTY_SUMMARY
+  };
+};
+
+/**
+ * Get warehouses list with filters and pagination
+ * @param {string} companyId - Company ID
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object>} Warehouses list with pagination
+ */
+export const getWarehouses = async (companyId, filters) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    isActive,
+    search,
+    sortBy = 'code',
+    sortOrder = 'asc'
+  } = filters;
+
+  const where = { companyId };
+
+  if (isActive !== undefined) {
+    where.isActive = isActive;
+  }
+
+  if (search) {
+    where.OR = [
+      { code: { contains: search, mode: 'insensitive' } },
+      { name: { contains: search, mode: 'insensitive' } },
+      { city: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const take = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  const [total, warehouses] = await Promise.all([
+    prisma.warehouse.count({ where }),
+    prisma.warehouse.findMany({
+      where,
+      skip,
+      take,
+      orderBy: { [sortBy]: sortOrder },
+      select: warehouseSelect
+    })
+  ]);
+
+  return {
+    warehouses,
+    pagination: {
+      page,
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take),
+      hasNextPage: page < Math.ceil(total / take),
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+/**
+ * Get stock quantity and value held in each warehouse
+ * @param {string} companyId - Company ID
+ * @param {Object} [filters] - { includeInactive }
+ * @returns {Promise<Object>} Per-warehouse summaries and company totals
+ */
+export const getWarehouseStockSummary = async (companyId, filters = {}) => {
+  const { includeInactive = false } = filters;
+
+  const warehouses = await prisma.warehouse.findMany({
+    where: {
+      companyId,
+      ...(!includeInactive && { isActive: true })
+    },
+    select: { id: true, code: true, name: true, isActive: true, isDefault: true },
+    orderBy: { code: 'asc' }
+  });
+
+  const summaries = await getStockSummaries(companyId, warehouses.map((warehouse) => warehouse.id));
+
+  const rows = warehouses.map((warehouse) => ({
+    ...warehouse,
+    ...(summaries.get(warehouse.id) || EMPTY_SUMMARY)
+  }));
+
+  return {
+    warehouses: rows,
+    totals: {
+      totalQuantity: rows.reduce((sum, row) => sum + row.totalQuantity, 0),
+      totalValue: rows.reduce((sum, row) => sum.plus(row.totalValue), new Prisma.Decimal(0))
+    }
+  };
+};
+
+/**
+ * Update warehouse
+ * Setting isDefault moves the default flag here; the default warehouse
+ * itself can only lose the flag by making another warehouse the default
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @param {Object} updateData - Data to update
+ * @param {string} updatedBy - ID of user performing the update
+ * @returns {Promise<Object>} Updated warehouse
+ */
+export const updateWarehouse = async (companyId, warehouseId, updateData, updatedBy) => {
+  const existingWarehouse = await findCompanyWarehouse(prisma, companyId, warehouseId);
+  const { isDefault, ...data } = updateData;
+
+  if (data.code && data.code !== existingWarehouse.code) {
+    await assertUniqueCode(companyId, data.code, warehouseId);
+  }
+
+  if (isDefault === false && existingWarehouse.isDefault) {
+    throw ApiError.badRequest('Make another warehouse the default instead of clearing the flag');
+  }
+
+  if (isDefault && !existingWarehouse.isDefault && data.isActive === false) {
+    throw ApiError.badRequest('An inactive warehouse cannot be the default');
+  }
+
+  const warehouse = await prisma.$transaction(async (tx) => {
+    const makesDefault = isDefault && !existingWarehouse.isDefault;
+    const deactivates = data.isActive === false && existingWarehouse.isActive;
+
+    let current = existingWarehouse;
+
+    // Re-read under the lock so the checks still hold when the update commits
+    if (makesDefault || deactivates) {
+      await lockCompanyWarehouses(tx, companyId);
+      current = await findCompanyWarehouse(tx, companyId, warehouseId);
+    }
+
+    if (deactivates) {
+      if (current.isDefault) {
+        throw ApiError.badRequest('The default warehouse cannot be deactivated; make another warehouse the default first');
+      }
+
+      await assertNoStock(tx, current);
+      await assertNoInboundTransit(tx, current);
+    }
+
+    if (makesDefault) {
+      if (!(data.isActive ?? current.isActive)) {
+        throw ApiError.badRequest('An inactive warehouse cannot be the default');
+      }
+
+      await clearDefault(tx, companyId, warehouseId);
+      data.isDefault = true;
+    }
+
+    return tx.warehouse.update({
+      where: { id: warehouseId },
+      data,
+      select: warehouseSelect
+    });
+  });
+
+  logger.info(`Warehouse updated: ${warehouseId} by ${updatedBy}`);
+
+  return warehouse;
+};
+
+/**
+ * Make a warehouse the company default
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @param {string} updatedBy - ID of user performing the change
+ * @returns {Promise<Object>} New default warehouse
+ */
+export const setDefaultWarehouse = async (companyId, warehouseId, updatedBy) => {
+  return updateWarehouse(companyId, warehouseId, { isDefault: true }, updatedBy);
+};
+
+/**
+ * Delete warehouse
+ * Warehouses with stock history or stock documents must be deactivated instead
+ * @param {string} companyId - Company ID
+ * @param {string} warehouseId - Warehouse ID
+ * @param {string} deletedBy - ID of user performing the deletion
+ */
+export const deleteWarehouse = async (companyId, warehouseId, deletedBy) => {
+  const warehouse = await prisma.warehouse.findFirst({
+    where: { id: warehouseId, companyId },
+    select: {
+      id: true,
+      code: true,
+      isDefault: true,
+      _count: {
+        select: {
+          stockMovements: true,
+          goodsReceipts: true,
+          transfersOut: true,
+          transfersIn: true,
+          stockCounts: true,
+          purchaseOrders: true
+        }
+      }
+    }
+  });
+
+  if (!warehouse) {
+    throw ApiError.notFound('Warehouse not found', ERROR_CODES.DB_RECORD_NOT_FOUND);
+  }
+
+  if (warehouse.isDefault) {
+    throw ApiError.badRequest('The default warehouse cannot be deleted; make another warehouse the default first');
+  }
+
+  if (Object.values(warehouse._count).some((count) => count > 0)) {
+    throw ApiError.conflict(
+      `Warehouse ${warehouse.code} has stock history; deactivate it instead`,
+      ERROR_CODES.DB_FOREIGN_KEY_CONSTRAINT
+    );
+  }
+
+  await assertNoStock(prisma, warehouse);
+
+  await prisma.warehouse.delete({
+    where: { id: warehouseId }
+  });
+
+  logger.info(`Warehouse deleted: ${warehouse.code} (${warehouseId}) by ${deletedBy}`);
+};
+
+export default {
+  createWarehouse,
+  getWarehouseById,
+  getWarehouses,
+  getWarehouseStockSummary,
+  updateWarehouse,
+  setDefaultWarehouse,
+  deleteWarehouse
+};
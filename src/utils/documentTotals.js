@@ -0,0 +1,61 @@
+/**
+ * Document Totals Utilities
+ * Line amounts and header totals for documents with priced items
+ */
+
+import { Prisma } from '@prisma/client';
+
+/**
+ * Price one document line
+ * Tax is charged on the line value after discount, and the line amount
+ * includes tax so that line amounts add up to the document total
+ * @param {Object} item - { quantity, unitPrice, taxRate, discountAmount }
+ * @returns {Object} { grossAmount, discountAmount, taxAmount, amount }
+ */
+export const calculateLineAmounts = (item) => {
+  const grossAmount = new Prisma.Decimal(item.quantity)
+    .times(item.unitPrice)
+    .toDecimalPlaces(2);
+  const discountAmount = new Prisma.Decimal(item.discountAmount || 0);
+  const taxAmount = grossAmount
+    .minus(discountAmount)
+    .times(item.taxRate || 0)
+    .div(100)
+    .toDecimalPlaces(2);
+
+  return {
+    grossAmount,
+    discountAmount,
+    taxAmount,
+    amount: grossAmount.minus(discountAmount).plus(taxAmount)
+  };
+};
+
+/**
+ * Price the items of a document and total them
+ * @param {Array<Object>} items - Items as for calculateLineAmounts
+ * @returns {Object} { items, subtotal, discountAmount, taxAmount, total }
+ * where each item carries its computed amount
+ */
+export const calculateDocumentTotals = (items) => {
+  const zero = new Prisma.Decimal(0);
+  const totals = { subtotal: zero, discountAmount: zero, taxAmount: zero, total: zero };
+
+  const pricedItems = items.map((item) => {
+    const line = calculateLineAmounts(item);
+
+    totals.subtotal = totals.subtotal.plus(line.grossAmount);
+    totals.discountAmount = totals.discountAmount.plus(line.discountAmount);
+    totals.taxAmount = totals.taxAmount.plus(line.taxAmount);
+    totals.total = totals.total.plus(line.amount);
+
+    return { ...item, amount: line.amount };
+  });
+
+  return { items: pricedItems, ...totals };
+};
+
+export default {
+  calculateLineAmounts,
+  calculateDocumentTotals
+};
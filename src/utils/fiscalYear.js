@@ -0,0 +1,90 @@
+/**
+ * Fiscal Year Utilities
+ * Date helpers for fiscal years anchored on Company.fiscalYearStart
+ */
+
+/**
+ * Start of a UTC day
+ * @param {Date|string} date - Any date
+ * @returns {Date} Date at 00:00:00.000 UTC
+ */
+export const startOfDay = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+/**
+ * End of a UTC day
+ * @param {Date|string} date - Any date
+ * @returns {Date} Date at 23:59:59.999 UTC
+ */
+export const endOfDay = (date) => new Date(startOfDay(date).getTime() + 24 * 60 * 60 * 1000 - 1);
+
+/**
+ * Shift a date by whole years, keeping month and day
+ * 29 February maps to 28 February in non-leap years
+ * @param {Date|string} date - Any date
+ * @param {number} years - Years to add (negative to subtract)
+ * @returns {Date} Shifted date
+ */
+export const addYears = (date, years) => {
+  const value = new Date(date);
+  const day = value.getUTCDate();
+  value.setUTCFullYear(value.getUTCFullYear() + years);
+
+  if (value.getUTCDate() !== day) {
+    value.setUTCDate(0);
+  }
+
+  return value;
+};
+
+/**
+ * Get the fiscal year that contains a date
+ * Only the month and day of fiscalYearStart are used, so a company whose
+ * fiscal year starts on 1 April gets April-March years
+ * @param {Date|string} fiscalYearStart - Company fiscal year start
+ * @param {Date|string} [date] - Date inside the fiscal year (defaults to now)
+ * @returns {Object} { startDate, endDate } of the fiscal year
+ */
+export const getFiscalYearBounds = (fiscalYearStart, date = new Date()) => {
+  const anchor = new Date(fiscalYearStart);
+  const value = new Date(date);
+  const month = anchor.getUTCMonth();
+  const day = anchor.getUTCDate();
+
+  let startYear = value.getUTCFullYear();
+  if (Date.UTC(startYear, month, day) > value.getTime()) {
+    startYear -= 1;
+  }
+
+  const startDate = new Date(Date.UTC(startYear, month, day));
+  const endDate = new Date(Date.UTC(startYear + 1, month, day) - 1);
+
+  return { startDate, endDate };
+};
+
+/**
+ * Get a fiscal year label, e.g. "2024-25" for April-March years or
+ * "2024" for calendar years
+ * @param {Date|string} fiscalYearStart - Company fiscal year start
+ * @param {Date|string} [date] - Date inside the fiscal year (defaults to now)
+ * @returns {string} Fiscal year label
+ */
+export const getFiscalYearLabel = (fiscalYearStart, date = new Date()) => {
+  const { startDate, endDate } = getFiscalYearBounds(fiscalYearStart, date);
+  const startYear = startDate.getUTCFullYear();
+  const endYear = endDate.getUTCFullYear();
+
+  return startYear === endYear
+    ? String(startYear)
+    : `${startYear}-${String(endYear).slice(-2)}`;
+};
+
+export default {
+  startOfDay,
+  endOfDay,
+  addYears,
+  getFiscalYearBounds,
+  getFiscalYearLabel
+};
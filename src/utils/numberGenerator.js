@@ -0,0 +1,99 @@
+/**
+ * Number Generator Utilities
+ * Formatting helpers for configurable document number series
+ */
+
+import { NUMBER_SERIES_RESET } from '../config/constants.js';
+import { getFiscalYearLabel } from './fiscalYear.js';
+
+const TOKENS = ['PREFIX', 'FY', 'YYYY', 'YY', 'MM', 'SEQ'];
+const TOKEN_PATTERN = new RegExp(`\\{(${TOKENS.join('|')})\\}`, 'g');
+
+/**
+ * Tokens that must appear in a format for its reset rule, so numbers
+ * from different periods can never repeat
+ */
+const REQUIRED_PERIOD_TOKENS = {
+  [NUMBER_SERIES_RESET.NEVER]: [],
+  [NUMBER_SERIES_RESET.YEARLY]: [['{FY}']],
+  [NUMBER_SERIES_RESET.MONTHLY]: [['{FY}', '{YYYY}', '{YY}'], ['{MM}']]
+};
+
+/**
+ * Check a series format against its reset rule
+ * @param {string} format - Format string, e.g. "{PREFIX}{FY}/{SEQ}"
+ * @param {string} resetFrequency - NEVER, YEARLY or MONTHLY
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const getFormatError = (format, resetFrequency) => {
+  const unknown = (format.match(/\{[^}]*\}/g) || [])
+    .filter((token) => !TOKENS.includes(token.slice(1, -1)));
+
+  if (unknown.length > 0) {
+    return `Unknown format token ${unknown[0]}`;
+  }
+
+  if ((format.match(/\{SEQ\}/g) || []).length !== 1) {
+    return 'Format must contain {SEQ} exactly once';
+  }
+
+  const missing = REQUIRED_PERIOD_TOKENS[resetFrequency]
+    .find((alternatives) => !alternatives.some((token) => format.includes(token)));
+
+  if (missing) {
+    return `${resetFrequency} series must include ${missing.join(' or ')} in the format`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the counter period a document date falls in
+ * @param {string} resetFrequency - NEVER, YEARLY or MONTHLY
+ * @param {Date|string} date - Document date
+ * @param {Date|string} fiscalYearStart - Company fiscal year start
+ * @returns {string|null} Period key, e.g. "2024-25" or "2024-07", or null for NEVER
+ */
+export const getSeriesPeriod = (resetFrequency, date, fiscalYearStart) => {
+  const value = new Date(date);
+
+  if (resetFrequency === NUMBER_SERIES_RESET.YEARLY) {
+    return getFiscalYearLabel(fiscalYearStart, value);
+  }
+
+  if (resetFrequency === NUMBER_SERIES_RESET.MONTHLY) {
+    return `${value.getUTCFullYear()}-${String(value.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Build a document number from a series format
+ * @param {Object} series - { prefix, format, padding }
+ * @param {number} sequence - Sequence value
+ * @param {Date|string} date - Document date
+ * @param {Date|string} fiscalYearStart - Company fiscal year start
+ * @returns {string} Document number, e.g. "INV/2024-25/0001"
+ */
+export const formatDocumentNumber = (series, sequence, date, fiscalYearStart) => {
+  const value = new Date(date);
+  const year = String(value.getUTCFullYear());
+
+  const tokens = {
+    PREFIX: series.prefix,
+    FY: getFiscalYearLabel(fiscalYearStart, value),
+    YYYY: year,
+    YY: year.slice(-2),
+    MM: String(value.getUTCMonth() + 1).padStart(2, '0'),
+    SEQ: String(sequence).padStart(series.padding, '0')
+  };
+
+  return series.format.replace(TOKEN_PATTERN, (_, token) => tokens[token]);
+};
+
+export default {
+  getFormatError,
+  getSeriesPeriod,
+  formatDocumentNumber
+};
@@ -0,0 +1,214 @@
+/**
+ * Account Validation Schemas
+ * Joi validation for chart of accounts endpoints
+ */
+
+import Joi from 'joi';
+import { ACCOUNT_TYPES } from '../config/constants.js';
+
+const accountNumberPattern = /^[A-Za-z0-9.-]{1,20}$/;
+
+/**
+ * Create account validation schema
+ */
+export const createAccountSchema = Joi.object({
+  accountNumber: Joi.string()
+    .trim()
+    .pattern(accountNumberPattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'Account number must be 1 to 20 letters, digits, dots or hyphens',
+      'any.required': 'Account number is required'
+    }),
+
+  accountName: Joi.string()
+    .min(2)
+    .max(150)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Account name must be at least 2 characters long',
+      'string.max': 'Account name must not exceed 150 characters',
+      'any.required': 'Account name is required'
+    }),
+
+  accountType: Joi.string()
+    .valid(...Object.values(ACCOUNT_TYPES))
+    .required()
+    .messages({
+      'any.only': 'Invalid account type',
+      'any.required': 'Account type is required'
+    }),
+
+  parentId: Joi.string()
+    .uuid()
+    .allow(null)
+    .optional()
+    .messages({
+      'string.guid': 'Invalid parent account ID format'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null),
+
+  openingBalance: Joi.number()
+    .precision(2)
+    .default(0)
+    .messages({
+      'number.base': 'Opening balance must be a number'
+    }),
+
+  currency: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(/^[A-Z]{3}$/)
+    .messages({
+      'string.pattern.base': 'Currency must be a 3-letter ISO currency code'
+    })
+});
+
+/**
+ * Update account validation schema
+ */
+export const updateAccountSchema = Joi.object({
+  accountNumber: Joi.string()
+    .trim()
+    .pattern(accountNumberPattern)
+    .messages({
+      'string.pattern.base': 'Account number must be 1 to 20 letters, digits, dots or hyphens'
+    }),
+
+  accountName: Joi.string()
+    .min(2)
+    .max(150)
+    .trim()
+    .messages({
+      'string.min': 'Account name must be at least 2 characters long',
+      'string.max': 'Account name must not exceed 150 characters'
+    }),
+
+  accountType: Joi.string()
+    .valid(...Object.values(ACCOUNT_TYPES))
+    .messages({
+      'any.only': 'Invalid account type'
+    }),
+
+  parentId: Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+      'string.guid': 'Invalid parent account ID format'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null),
+
+  openingBalance: Joi.number()
+    .precision(2)
+    .messages({
+      'number.base': 'Opening balance must be a number'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get account by ID validation schema
+ */
+export const getAccountByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid account ID format',
+      'any.required': 'Account ID is required'
+    })
+});
+
+/**
+ * Get accounts list validation schema (query parameters)
+ */
+export const getAccountsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  accountType: Joi.string()
+    .valid(...Object.values(ACCOUNT_TYPES))
+    .optional()
+    .messages({
+      'any.only': 'Invalid account type filter'
+    }),
+
+  parentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid parent account ID format'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('accountNumber', 'accountName', 'accountType', 'currentBalance', 'createdAt')
+    .default('accountNumber')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+/**
+ * Get account tree validation schema (query parameters)
+ */
+export const getAccountTreeSchema = Joi.object({
+  accountType: Joi.string()
+    .valid(...Object.values(ACCOUNT_TYPES))
+    .optional()
+    .messages({
+      'any.only': 'Invalid account type filter'
+    }),
+
+  includeInactive: Joi.boolean()
+    .default(false)
+});
+
+export default {
+  createAccountSchema,
+  updateAccountSchema,
+  getAccountByIdSchema,
+  getAccountsListSchema,
+  getAccountTreeSchema
+};
@@ -5,6 +5,7 @@
 
 import Joi from 'joi';
 import { USER_ROLES } from '../config/constants.js';
+import { createCompanySchema } from './company.validation.js';
 
 // Email validation pattern
 const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
@@ -83,6 +84,69 @@ export const registerSchema = Joi.object({
     })
 });
 
+/**
+ * Signup validation schema
+ * Admin user details with the company to create
+ */
+export const signupSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .pattern(emailPattern)
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.pattern.base': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(passwordPattern)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 8 characters long',
+      'string.max': 'Password must not exceed 128 characters',
+      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+      'any.required': 'Password is required'
+    }),
+
+  confirmPassword: Joi.string()
+    .valid(Joi.ref('password'))
+    .required()
+    .messages({
+      'any.only': 'Passwords do not match',
+      'any.required': 'Password confirmation is required'
+    }),
+
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name must not exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+
+  phone: Joi.string()
+    .pattern(/^[0-9]{10,15}$/)
+    .optional()
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Phone number must be between 10 and 15 digits'
+    }),
+
+  company: createCompanySchema
+    .required()
+    .messages({
+      'any.required': 'Company details are required'
+    })
+});
+
 /**
  * Login validation schema
  */
@@ -210,6 +274,7 @@ export const resetPasswordSchema = Joi.object({
 
 export default {
   registerSchema,
+  signupSchema,
   loginSchema,
   refreshTokenSchema,
   logoutSchema,
@@ -0,0 +1,129 @@
+/**
+ * Brand Validation Schemas
+ * Joi validation for brand endpoints
+ */
+
+import Joi from 'joi';
+
+/**
+ * Shared brand fields
+ */
+const brandFields = {
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Brand name must be at least 2 characters long',
+      'string.max': 'Brand name must not exceed 100 characters'
+    }),
+
+  description: Joi.string().max(500).trim().allow('', null),
+
+  logo: Joi.string()
+    .uri()
+    .allow('', null)
+    .messages({
+      'string.uri': 'Logo must be a valid URL'
+    })
+};
+
+/**
+ * Create brand validation schema
+ */
+export const createBrandSchema = Joi.object({
+  ...brandFields,
+  name: brandFields.name.required().messages({
+    'any.required': 'Brand name is required'
+  })
+});
+
+/**
+ * Update brand validation schema
+ */
+export const updateBrandSchema = Joi.object({
+  ...brandFields,
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get brand by ID validation schema
+ */
+export const getBrandByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid brand ID format',
+      'any.required': 'Brand ID is required'
+    })
+});
+
+/**
+ * Delete brand validation schema (query parameters)
+ */
+export const deleteBrandSchema = Joi.object({
+  reassignTo: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid brand ID format for reassignment'
+    })
+});
+
+/**
+ * Get brands list validation schema (query parameters)
+ */
+export const getBrandsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('name', 'createdAt')
+    .default('name')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createBrandSchema,
+  updateBrandSchema,
+  getBrandByIdSchema,
+  deleteBrandSchema,
+  getBrandsListSchema
+};
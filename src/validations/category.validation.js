@@ -0,0 +1,145 @@
+/**
+ * Category Validation Schemas
+ * Joi validation for product category endpoints
+ */
+
+import Joi from 'joi';
+
+/**
+ * Shared category fields
+ */
+const categoryFields = {
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Category name must be at least 2 characters long',
+      'string.max': 'Category name must not exceed 100 characters'
+    }),
+
+  description: Joi.string().max(500).trim().allow('', null),
+
+  parentId: Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+      'string.guid': 'Invalid parent category ID format'
+    })
+};
+
+/**
+ * Create category validation schema
+ */
+export const createCategorySchema = Joi.object({
+  ...categoryFields,
+  name: categoryFields.name.required().messages({
+    'any.required': 'Category name is required'
+  })
+});
+
+/**
+ * Update category validation schema
+ */
+export const updateCategorySchema = Joi.object({
+  ...categoryFields,
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get category by ID validation schema
+ */
+export const getCategoryByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid category ID format',
+      'any.required': 'Category ID is required'
+    })
+});
+
+/**
+ * Delete category validation schema (query parameters)
+ */
+export const deleteCategorySchema = Joi.object({
+  reassignTo: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid category ID format for reassignment'
+    })
+});
+
+/**
+ * Get categories list validation schema (query parameters)
+ */
+export const getCategoriesListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  parentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid parent category ID format'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('name', 'createdAt')
+    .default('name')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+/**
+ * Get category tree validation schema (query parameters)
+ */
+export const getCategoryTreeSchema = Joi.object({
+  includeInactive: Joi.boolean()
+    .default(false)
+});
+
+export default {
+  createCategorySchema,
+  updateCategorySchema,
+  getCategoryByIdSchema,
+  deleteCategorySchema,
+  getCategoriesListSchema,
+  getCategoryTreeSchema
+};
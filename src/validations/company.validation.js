@@ -0,0 +1,189 @@
+/**
+ * Company Validation Schemas
+ * Joi validation for company management endpoints
+ */
+
+import Joi from 'joi';
+import { INVENTORY_VALUATION_METHODS } from '../config/constants.js';
+
+const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+// GST/VAT numbers are alphanumeric, 8 to 20 characters
+const taxNumberPattern = /^[A-Z0-9]{8,20}$/;
+
+// ISO 4217 currency code
+const currencyPattern = /^[A-Z]{3}$/;
+
+/**
+ * Shared company profile fields
+ */
+const companyFields = {
+  name: Joi.string()
+    .min(2)
+    .max(150)
+    .trim()
+    .messages({
+      'string.min': 'Company name must be at least 2 characters long',
+      'string.max': 'Company name must not exceed 150 characters'
+    }),
+
+  email: Joi.string()
+    .email()
+    .pattern(emailPattern)
+    .lowercase()
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.pattern.base': 'Please provide a valid email address'
+    }),
+
+  phone: Joi.string()
+    .pattern(/^[0-9]{10,15}$/)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Phone number must be between 10 and 15 digits'
+    }),
+
+  address: Joi.string().max(500).trim().allow('', null),
+  city: Joi.string().max(100).trim().allow('', null),
+  state: Joi.string().max(100).trim().allow('', null),
+  country: Joi.string().max(100).trim(),
+  postalCode: Joi.string().max(20).trim().allow('', null),
+
+  taxNumber: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(taxNumberPattern)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Tax number must be 8 to 20 alphanumeric characters'
+    }),
+
+  registrationNo: Joi.string().max(50).trim().allow('', null),
+
+  logo: Joi.string()
+    .uri()
+    .allow('', null)
+    .messages({
+      'string.uri': 'Logo must be a valid URL'
+    }),
+
+  baseCurrency: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(currencyPattern)
+    .messages({
+      'string.pattern.base': 'Base currency must be a 3-letter ISO currency code'
+    }),
+
+  fiscalYearStart: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Fiscal year start must be a valid date',
+      'date.format': 'Fiscal year start must be in ISO 8601 format'
+    }),
+
+  fiscalYearEnd: Joi.date()
+    .iso()
+    .allow(null)
+    .when('fiscalYearStart', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('fiscalYearStart'))
+    })
+    .messages({
+      'date.base': 'Fiscal year end must be a valid date',
+      'date.format': 'Fiscal year end must be in ISO 8601 format',
+      'date.greater': 'Fiscal year end must be after fiscal year start'
+    }),
+
+  inventoryValuationMethod: Joi.string()
+    .valid(...Object.values(INVENTORY_VALUATION_METHODS))
+    .messages({
+      'any.only': `Inventory valuation method must be one of: ${Object.values(INVENTORY_VALUATION_METHODS).join(', ')}`
+    })
+};
+
+/**
+ * Create company validation schema
+ */
+export const createCompanySchema = Joi.object({
+  ...companyFields,
+  name: companyFields.name.required().messages({
+    'any.required': 'Company name is required'
+  })
+});
+
+/**
+ * Update company validation schema
+ */
+export const updateCompanySchema = Joi.object(companyFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get company by ID validation schema
+ */
+export const getCompanyByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid company ID format',
+      'any.required': 'Company ID is required'
+    })
+});
+
+/**
+ * Get companies list validation schema (query parameters)
+ */
+export const getCompaniesListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('name', 'email', 'createdAt', 'updatedAt')
+    .default('createdAt')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createCompanySchema,
+  updateCompanySchema,
+  getCompanyByIdSchema,
+  getCompaniesListSchema
+};
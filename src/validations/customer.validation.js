@@ -0,0 +1,197 @@
+/**
+ * Customer Validation Schemas
+ * Joi validation for customer master endpoints
+ */
+
+import Joi from 'joi';
+
+const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+// GST/VAT numbers are alphanumeric, 8 to 20 characters
+const taxNumberPattern = /^[A-Z0-9]{8,20}$/;
+
+/**
+ * Contact and commercial fields shared by create and update
+ */
+const customerFields = {
+  name: Joi.string()
+    .min(2)
+    .max(150)
+    .trim()
+    .messages({
+      'string.min': 'Customer name must be at least 2 characters long',
+      'string.max': 'Customer name must not exceed 150 characters'
+    }),
+
+  email: Joi.string()
+    .email()
+    .pattern(emailPattern)
+    .lowercase()
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.pattern.base': 'Please provide a valid email address'
+    }),
+
+  phone: Joi.string()
+    .pattern(/^[0-9]{10,15}$/)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Phone number must be between 10 and 15 digits'
+    }),
+
+  address: Joi.string().max(500).trim().allow('', null),
+  city: Joi.string().max(100).trim().allow('', null),
+  state: Joi.string().max(100).trim().allow('', null),
+  country: Joi.string().max(100).trim(),
+  postalCode: Joi.string().max(20).trim().allow('', null),
+
+  taxNumber: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(taxNumberPattern)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Tax number must be 8 to 20 alphanumeric characters'
+    }),
+
+  creditLimit: Joi.number()
+    .precision(2)
+    .min(0)
+    .messages({
+      'number.base': 'Credit limit must be a number',
+      'number.min': 'Credit limit cannot be negative'
+    }),
+
+  creditDays: Joi.number()
+    .integer()
+    .min(0)
+    .max(365)
+    .messages({
+      'number.base': 'Credit days must be a number',
+      'number.min': 'Credit days cannot be negative',
+      'number.max': 'Credit days must not exceed 365'
+    }),
+
+  openingBalance: Joi.number()
+    .precision(2)
+    .messages({
+      'number.base': 'Opening balance must be a number'
+    }),
+
+  notes: Joi.string().max(2000).trim().allow('', null)
+};
+
+/**
+ * Create customer validation schema
+ */
+export const createCustomerSchema = Joi.object({
+  ...customerFields,
+
+  name: customerFields.name
+    .required()
+    .messages({
+      'any.required': 'Customer name is required'
+    }),
+
+  openingBalance: customerFields.openingBalance.default(0)
+});
+
+/**
+ * Update customer validation schema
+ */
+export const updateCustomerSchema = Joi.object({
+  ...customerFields,
+
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get customer by ID validation schema
+ */
+export const getCustomerByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid customer ID format',
+      'any.required': 'Customer ID is required'
+    })
+});
+
+/**
+ * Get customers list validation schema (query parameters)
+ */
+export const getCustomersListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  hasBalance: Joi.boolean()
+    .optional(),
+
+  minBalance: Joi.number()
+    .optional()
+    .messages({
+      'number.base': 'Minimum balance must be a number'
+    }),
+
+  maxBalance: Joi.number()
+    .optional()
+    .when('minBalance', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minBalance'))
+    })
+    .messages({
+      'number.base': 'Maximum balance must be a number',
+      'number.min': 'Maximum balance must not be less than minimum balance'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('customerNumber', 'name', 'currentBalance', 'createdAt')
+    .default('customerNumber')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createCustomerSchema,
+  updateCustomerSchema,
+  getCustomerByIdSchema,
+  getCustomersListSchema
+};
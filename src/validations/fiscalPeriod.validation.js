@@ -0,0 +1,98 @@
+/**
+ * Fiscal Period Validation Schemas
+ * Joi validation for fiscal period and year-end close endpoints
+ */
+
+import Joi from 'joi';
+import { FISCAL_PERIOD_TYPES, FISCAL_PERIOD_STATUS } from '../config/constants.js';
+
+/**
+ * Generate fiscal periods validation schema
+ */
+export const generateFiscalPeriodsSchema = Joi.object({
+  date: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Date must be a valid date',
+      'date.format': 'Date must be in ISO 8601 format'
+    }),
+
+  periodType: Joi.string()
+    .valid(...Object.values(FISCAL_PERIOD_TYPES))
+    .default(FISCAL_PERIOD_TYPES.MONTHLY)
+    .messages({
+      'any.only': 'Period type must be either MONTHLY or YEARLY'
+    })
+});
+
+/**
+ * Year-end close validation schema
+ */
+export const closeFiscalYearSchema = Joi.object({
+  date: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Date must be a valid date',
+      'date.format': 'Date must be in ISO 8601 format',
+      'any.required': 'A date inside the fiscal year to close is required'
+    }),
+
+  lockPeriods: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Get fiscal period by ID validation schema
+ */
+export const getFiscalPeriodByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid fiscal period ID format',
+      'any.required': 'Fiscal period ID is required'
+    })
+});
+
+/**
+ * Get fiscal periods list validation schema (query parameters)
+ */
+export const getFiscalPeriodsListSchema = Joi.object({
+  periodType: Joi.string()
+    .valid(...Object.values(FISCAL_PERIOD_TYPES))
+    .optional()
+    .messages({
+      'any.only': 'Invalid period type filter'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(FISCAL_PERIOD_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid status filter'
+    }),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    })
+});
+
+export default {
+  generateFiscalPeriodsSchema,
+  closeFiscalYearSchema,
+  getFiscalPeriodByIdSchema,
+  getFiscalPeriodsListSchema
+};
@@ -0,0 +1,294 @@
+/**
+ * Goods Receipt Validation Schemas
+ * Joi validation for goods receipt (GRN) endpoints
+ */
+
+import Joi from 'joi';
+import { DOCUMENT_STATUS } from '../config/constants.js';
+
+const amount = (label) => Joi.number()
+  .precision(2)
+  .min(0)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+const quantity = (label) => Joi.number()
+  .precision(3)
+  .min(0)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+const uuid = (label) => Joi.string()
+  .uuid()
+  .messages({
+    'string.guid': `Invalid ${label} ID format`
+  });
+
+/**
+ * Goods receipt item validation schema
+ * Lines against a purchase order give the order item and take product and
+ * price from it; lines received without an order give their own
+ */
+const receiptItemSchema = Joi.object({
+  orderItemId: uuid('order item'),
+  productId: uuid('product'),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null),
+
+  receivedQty: Joi.number()
+    .precision(3)
+    .greater(0)
+    .required()
+    .messages({
+      'number.base': 'Received quantity must be a number',
+      'number.greater': 'Received quantity must be greater than 0',
+      'any.required': 'Received quantity is required'
+    }),
+
+  acceptedQty: quantity('Accepted quantity')
+    .required()
+    .messages({
+      'any.required': 'Accepted quantity is required'
+    }),
+
+  rejectedQty: quantity('Rejected quantity').default(0),
+  damagedQty: quantity('Damaged quantity').default(0),
+
+  unitPrice: amount('Unit price'),
+
+  taxRate: Joi.number()
+    .precision(2)
+    .min(0)
+    .max(100)
+    .messages({
+      'number.base': 'Tax rate must be a number',
+      'number.min': 'Tax rate cannot be negative',
+      'number.max': 'Tax rate must not exceed 100'
+    }),
+
+  discountAmount: amount('Discount amount'),
+
+  batchNumber: Joi.string()
+    .max(100)
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.max': 'Batch number must not exceed 100 characters'
+    }),
+
+  manufactureDate: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.base': 'Manufacture date must be a valid date',
+      'date.format': 'Manufacture date must be in ISO 8601 format'
+    }),
+
+  expiryDate: Joi.date()
+    .iso()
+    .allow(null)
+    .when('manufactureDate', {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref('manufactureDate'))
+    })
+    .messages({
+      'date.base': 'Expiry date must be a valid date',
+      'date.format': 'Expiry date must be in ISO 8601 format',
+      'date.min': 'Expiry date cannot be before the manufacture date'
+    }),
+
+  serialNumbers: Joi.array()
+    .items(Joi.string().max(100).trim())
+    .unique()
+    .default([])
+    .messages({
+      'array.unique': 'Serial numbers must not repeat'
+    })
+}).xor('orderItemId', 'productId').messages({
+  'object.missing': 'Each item needs an order item or a product',
+  'object.xor': 'Give either an order item or a product, not both'
+});
+
+const receiptItemsSchema = Joi.array()
+  .items(receiptItemSchema)
+  .min(1)
+  .messages({
+    'array.min': 'A goods receipt needs at least one item'
+  });
+
+const transportFields = {
+  vehicleNo: Joi.string()
+    .max(50)
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.max': 'Vehicle number must not exceed 50 characters'
+    }),
+
+  driverName: Joi.string()
+    .max(100)
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.max': 'Driver name must not exceed 100 characters'
+    }),
+
+  driverPhone: Joi.string()
+    .max(20)
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.max': 'Driver phone must not exceed 20 characters'
+    })
+};
+
+/**
+ * Create goods receipt validation schema
+ * Items may be omitted against a purchase order to receive everything
+ * outstanding
+ */
+export const createGoodsReceiptSchema = Joi.object({
+  purchaseOrderId: uuid('purchase order'),
+  vendorId: uuid('vendor'),
+  warehouseId: uuid('warehouse'),
+
+  receiptDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Receipt date must be a valid date',
+      'date.format': 'Receipt date must be in ISO 8601 format'
+    }),
+
+  ...transportFields,
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  items: receiptItemsSchema
+}).or('purchaseOrderId', 'vendorId').messages({
+  'object.missing': 'A purchase order or vendor is required'
+});
+
+/**
+ * Update draft goods receipt validation schema
+ */
+export const updateGoodsReceiptSchema = Joi.object({
+  warehouseId: uuid('warehouse'),
+
+  receiptDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Receipt date must be a valid date',
+      'date.format': 'Receipt date must be in ISO 8601 format'
+    }),
+
+  ...transportFields,
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  items: receiptItemsSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get goods receipt by ID validation schema
+ */
+export const getGoodsReceiptByIdSchema = Joi.object({
+  id: uuid('goods receipt')
+    .required()
+    .messages({
+      'any.required': 'Goods receipt ID is required'
+    })
+});
+
+/**
+ * Get goods receipts list validation schema (query parameters)
+ */
+export const getGoodsReceiptsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(DOCUMENT_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid goods receipt status'
+    }),
+
+  vendorId: uuid('vendor').optional(),
+  purchaseOrderId: uuid('purchase order').optional(),
+  warehouseId: uuid('warehouse').optional(),
+  productId: uuid('product').optional(),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('receiptDate', 'receiptNumber', 'total', 'createdAt')
+    .default('receiptDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createGoodsReceiptSchema,
+  updateGoodsReceiptSchema,
+  getGoodsReceiptByIdSchema,
+  getGoodsReceiptsListSchema
+};
@@ -0,0 +1,239 @@
+/**
+ * Journal Validation Schemas
+ * Joi validation for journal entry endpoints
+ */
+
+import Joi from 'joi';
+import { TRANSACTION_TYPES, JOURNAL_ENTRY_TYPES } from '../config/constants.js';
+
+/**
+ * Journal line validation schema
+ */
+const journalLineSchema = Joi.object({
+  accountId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid account ID format',
+      'any.required': 'Account ID is required'
+    }),
+
+  transactionType: Joi.string()
+    .valid(...Object.values(TRANSACTION_TYPES))
+    .required()
+    .messages({
+      'any.only': 'Transaction type must be either DEBIT or CREDIT',
+      'any.required': 'Transaction type is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be greater than zero',
+      'any.required': 'Amount is required'
+    }),
+
+  description: Joi.string()
+    .max(255)
+    .trim()
+    .allow('', null)
+});
+
+const journalLinesSchema = Joi.array()
+  .items(journalLineSchema)
+  .min(2)
+  .messages({
+    'array.min': 'A journal entry needs at least two lines'
+  });
+
+/**
+ * Create journal entry validation schema
+ * Only manual and adjustment entries can be created through the API
+ */
+export const createJournalEntrySchema = Joi.object({
+  entryDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Entry date must be a valid date',
+      'date.format': 'Entry date must be in ISO 8601 format'
+    }),
+
+  entryType: Joi.string()
+    .valid(JOURNAL_ENTRY_TYPES.MANUAL, JOURNAL_ENTRY_TYPES.ADJUSTMENT)
+    .default(JOURNAL_ENTRY_TYPES.MANUAL)
+    .messages({
+      'any.only': 'Entry type must be either MANUAL or ADJUSTMENT'
+    }),
+
+  referenceNumber: Joi.string()
+    .max(100)
+    .trim()
+    .allow('', null),
+
+  description: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  lines: journalLinesSchema
+    .required()
+    .messages({
+      'any.required': 'Journal lines are required'
+    })
+});
+
+/**
+ * Update journal entry validation schema
+ */
+export const updateJournalEntrySchema = Joi.object({
+  entryDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Entry date must be a valid date',
+      'date.format': 'Entry date must be in ISO 8601 format'
+    }),
+
+  entryType: Joi.string()
+    .valid(JOURNAL_ENTRY_TYPES.MANUAL, JOURNAL_ENTRY_TYPES.ADJUSTMENT)
+    .messages({
+      'any.only': 'Entry type must be either MANUAL or ADJUSTMENT'
+    }),
+
+  referenceNumber: Joi.string()
+    .max(100)
+    .trim()
+    .allow('', null),
+
+  description: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  lines: journalLinesSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Reverse journal entry validation schema
+ */
+export const reverseJournalEntrySchema = Joi.object({
+  entryDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Reversal date must be a valid date',
+      'date.format': 'Reversal date must be in ISO 8601 format'
+    }),
+
+  description: Joi.string()
+    .max(1000)
+    .trim()
+    .optional()
+    .allow('')
+});
+
+/**
+ * Get journal entry by ID validation schema
+ */
+export const getJournalEntryByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid journal entry ID format',
+      'any.required': 'Journal entry ID is required'
+    })
+});
+
+/**
+ * Get journal entries list validation schema (query parameters)
+ */
+export const getJournalEntriesListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  isPosted: Joi.boolean()
+    .optional(),
+
+  entryType: Joi.string()
+    .valid(...Object.values(JOURNAL_ENTRY_TYPES))
+    .optional()
+    .messages({
+      'any.only': 'Invalid entry type filter'
+    }),
+
+  referenceType: Joi.string()
+    .trim()
+    .optional(),
+
+  accountId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid account ID format'
+    }),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('entryDate', 'entryNumber', 'totalDebit', 'createdAt')
+    .default('entryDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createJournalEntrySchema,
+  updateJournalEntrySchema,
+  reverseJournalEntrySchema,
+  getJournalEntryByIdSchema,
+  getJournalEntriesListSchema
+};
@@ -0,0 +1,79 @@
+/**
+ * Number Series Validation Schemas
+ * Joi validation for document numbering endpoints
+ */
+
+import Joi from 'joi';
+import { NUMBER_SERIES_TYPES, NUMBER_SERIES_RESET } from '../config/constants.js';
+
+/**
+ * Document type route parameter validation schema
+ */
+export const documentTypeParamsSchema = Joi.object({
+  documentType: Joi.string()
+    .uppercase()
+    .valid(...Object.values(NUMBER_SERIES_TYPES))
+    .required()
+    .messages({
+      'any.only': 'Invalid document type',
+      'any.required': 'Document type is required'
+    })
+});
+
+/**
+ * Number preview validation schema (query parameters)
+ */
+export const previewNumberSeriesSchema = Joi.object({
+  date: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Date must be a valid date',
+      'date.format': 'Date must be in ISO 8601 format'
+    })
+});
+
+/**
+ * Update number series validation schema
+ */
+export const updateNumberSeriesSchema = Joi.object({
+  prefix: Joi.string()
+    .max(20)
+    .pattern(/^[A-Za-z0-9/_-]*$/)
+    .allow('')
+    .messages({
+      'string.max': 'Prefix must not exceed 20 characters',
+      'string.pattern.base': 'Prefix may only contain letters, digits, slashes, hyphens and underscores'
+    }),
+
+  format: Joi.string()
+    .max(60)
+    .trim()
+    .messages({
+      'string.max': 'Format must not exceed 60 characters'
+    }),
+
+  padding: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .messages({
+      'number.base': 'Padding must be a number',
+      'number.min': 'Padding must be at least 1',
+      'number.max': 'Padding must not exceed 10'
+    }),
+
+  resetFrequency: Joi.string()
+    .valid(...Object.values(NUMBER_SERIES_RESET))
+    .messages({
+      'any.only': 'Reset frequency must be NEVER, YEARLY or MONTHLY'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+export default {
+  documentTypeParamsSchema,
+  previewNumberSeriesSchema,
+  updateNumberSeriesSchema
+};
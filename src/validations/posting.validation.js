@@ -0,0 +1,73 @@
+/**
+ * Posting Validation Schemas
+ * Joi validation for document posting and account mapping endpoints
+ */
+
+import Joi from 'joi';
+import { ACCOUNT_MAPPING_KEYS, POSTABLE_DOCUMENTS } from '../config/constants.js';
+
+/**
+ * Document route params validation schema
+ * documentType is the document's resource name, e.g. invoices or sales-returns
+ */
+export const documentParamsSchema = Joi.object({
+  documentType: Joi.string()
+    .valid(...Object.keys(POSTABLE_DOCUMENTS))
+    .required()
+    .messages({
+      'any.only': `Document type must be one of: ${Object.keys(POSTABLE_DOCUMENTS).join(', ')}`,
+      'any.required': 'Document type is required'
+    }),
+
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid document ID format',
+      'any.required': 'Document ID is required'
+    })
+});
+
+/**
+ * Void document validation schema
+ */
+export const voidDocumentSchema = Joi.object({
+  voidDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Void date must be a valid date',
+      'date.format': 'Void date must be in ISO 8601 format'
+    }),
+
+  reason: Joi.string()
+    .max(500)
+    .trim()
+    .optional()
+    .allow('')
+});
+
+/**
+ * Update account mappings validation schema
+ * Account IDs keyed by mapping key, e.g. { "SALES": "<account id>" }
+ */
+export const updateAccountMappingsSchema = Joi.object(
+  Object.fromEntries(
+    Object.values(ACCOUNT_MAPPING_KEYS).map((key) => [
+      key,
+      Joi.string()
+        .uuid()
+        .messages({
+          'string.guid': `Invalid account ID format for ${key}`
+        })
+    ])
+  )
+).min(1).messages({
+  'object.min': 'At least one account mapping must be provided'
+});
+
+export default {
+  documentParamsSchema,
+  voidDocumentSchema,
+  updateAccountMappingsSchema
+};
@@ -0,0 +1,363 @@
+/**
+ * Product Validation Schemas
+ * Joi validation for product catalog endpoints
+ */
+
+import Joi from 'joi';
+import { PRODUCT_TYPES } from '../config/constants.js';
+
+const skuPattern = /^[A-Z0-9._/-]{1,50}$/;
+
+// EAN/UPC and Code 128 style barcodes
+const barcodePattern = /^[A-Za-z0-9-]{4,50}$/;
+
+// HSN codes are 4, 6 or 8 digits; SAC codes are 6 digits starting with 99
+const hsnCodePattern = /^(\d{4}|\d{6}|\d{8})$/;
+const sacCodePattern = /^99\d{4}$/;
+
+const price = (label) => Joi.number()
+  .precision(2)
+  .min(0)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+const stockLevel = (label) => Joi.number()
+  .integer()
+  .min(0)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+/**
+ * Shared product fields
+ */
+const productFields = {
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(skuPattern)
+    .messages({
+      'string.pattern.base': 'SKU must be 1 to 50 letters, digits, dots, slashes, underscores or hyphens'
+    }),
+
+  name: Joi.string()
+    .min(2)
+    .max(200)
+    .trim()
+    .messages({
+      'string.min': 'Product name must be at least 2 characters long',
+      'string.max': 'Product name must not exceed 200 characters'
+    }),
+
+  description: Joi.string().max(2000).trim().allow('', null),
+
+  type: Joi.string()
+    .valid(...Object.values(PRODUCT_TYPES))
+    .messages({
+      'any.only': 'Product type must be GOODS, SERVICE or BUNDLE'
+    }),
+
+  categoryId: Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+      'string.guid': 'Invalid category ID format'
+    }),
+
+  brandId: Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+      'string.guid': 'Invalid brand ID format'
+    }),
+
+  preferredVendorId: Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+      'string.guid': 'Invalid vendor ID format'
+    }),
+
+  barcode: Joi.string()
+    .trim()
+    .pattern(barcodePattern)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Barcode must be 4 to 50 letters, digits or hyphens'
+    }),
+
+  unit: Joi.string()
+    .trim()
+    .uppercase()
+    .max(10)
+    .messages({
+      'string.max': 'Unit must not exceed 10 characters'
+    }),
+
+  purchasePrice: price('Purchase price'),
+  mrp: price('MRP'),
+
+  sellingPrice: price('Selling price')
+    .when('mrp', {
+      is: Joi.number().greater(0).required(),
+      then: Joi.number().max(Joi.ref('mrp'))
+    })
+    .messages({
+      'number.max': 'Selling price cannot exceed MRP'
+    }),
+
+  taxRate: Joi.number()
+    .precision(2)
+    .min(0)
+    .max(100)
+    .messages({
+      'number.base': 'Tax rate must be a number',
+      'number.min': 'Tax rate cannot be negative',
+      'number.max': 'Tax rate must not exceed 100'
+    }),
+
+  hsnCode: Joi.string()
+    .trim()
+    .pattern(hsnCodePattern)
+    .allow(null)
+    .when('type', {
+      is: PRODUCT_TYPES.SERVICE,
+      then: Joi.valid(null)
+    })
+    .messages({
+      'string.pattern.base': 'HSN code must be 4, 6 or 8 digits',
+      'any.only': 'Services use a SAC code, not an HSN code'
+    }),
+
+  sacCode: Joi.string()
+    .trim()
+    .pattern(sacCodePattern)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'SAC code must be 6 digits starting with 99'
+    }),
+
+  reorderLevel: stockLevel('Reorder level'),
+  minStockLevel: stockLevel('Minimum stock level'),
+  maxStockLevel: stockLevel('Maximum stock level'),
+
+  images: Joi.array()
+    .items(Joi.string().uri().messages({ 'string.uri': 'Image must be a valid URL' }))
+    .max(10)
+    .messages({
+      'array.max': 'A product can have at most 10 images'
+    }),
+
+  isSaleable: Joi.boolean(),
+  isPurchasable: Joi.boolean(),
+
+  trackInventory: Joi.boolean()
+    .when('type', {
+      is: Joi.valid(PRODUCT_TYPES.SERVICE, PRODUCT_TYPES.BUNDLE),
+      then: Joi.valid(false)
+    })
+    .messages({
+      'any.only': 'Services and bundles cannot track inventory'
+    }),
+
+  trackBatches: Joi.boolean()
+    .when('trackInventory', {
+      is: false,
+      then: Joi.valid(false)
+    })
+    .messages({
+      'any.only': 'Only products that track inventory can track batches'
+    }),
+
+  trackSerials: Joi.boolean()
+    .when('trackInventory', {
+      is: false,
+      then: Joi.valid(false)
+    })
+    .messages({
+      'any.only': 'Only products that track inventory can track serial numbers'
+    })
+};
+
+/**
+ * Create product validation schema
+ */
+export const createProductSchema = Joi.object({
+  ...productFields,
+
+  sku: productFields.sku
+    .required()
+    .messages({
+      'any.required': 'SKU is required'
+    }),
+
+  name: productFields.name
+    .required()
+    .messages({
+      'any.required': 'Product name is required'
+    }),
+
+  type: productFields.type.default(PRODUCT_TYPES.GOODS)
+});
+
+/**
+ * Update product validation schema
+ */
+export const updateProductSchema = Joi.object({
+  ...productFields,
+
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Set bundle components validation schema
+ */
+export const setBundleComponentsSchema = Joi.object({
+  components: Joi.array()
+    .items(Joi.object({
+      productId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+          'string.guid': 'Invalid component product ID format',
+          'any.required': 'Component product ID is required'
+        }),
+
+      quantity: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+          'number.base': 'Component quantity must be a number',
+          'number.integer': 'Component quantity must be a whole number',
+          'number.min': 'Component quantity must be at least 1',
+          'any.required': 'Component quantity is required'
+        })
+    }))
+    .min(1)
+    .unique('productId')
+    .required()
+    .messages({
+      'array.min': 'A bundle needs at least one component',
+      'array.unique': 'Each component product may only be listed once',
+      'any.required': 'Components are required'
+    })
+});
+
+/**
+ * Bundle availability validation schema (query parameters)
+ */
+export const bundleAvailabilitySchema = Joi.object({
+  warehouseId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    })
+});
+
+/**
+ * Get product by ID validation schema
+ */
+export const getProductByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid product ID format',
+      'any.required': 'Product ID is required'
+    })
+});
+
+/**
+ * Get products list validation schema (query parameters)
+ */
+export const getProductsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  type: Joi.string()
+    .valid(...Object.values(PRODUCT_TYPES))
+    .optional()
+    .messages({
+      'any.only': 'Invalid product type filter'
+    }),
+
+  categoryId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid category ID format'
+    }),
+
+  brandId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid brand ID format'
+    }),
+
+  preferredVendorId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid vendor ID format'
+    }),
+
+  isActive: Joi.boolean().optional(),
+  isSaleable: Joi.boolean().optional(),
+  isPurchasable: Joi.boolean().optional(),
+  trackInventory: Joi.boolean().optional(),
+  trackBatches: Joi.boolean().optional(),
+  trackSerials: Joi.boolean().optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('name', 'sku', 'sellingPrice', 'purchasePrice', 'createdAt')
+    .default('name')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createProductSchema,
+  updateProductSchema,
+  setBundleComponentsSchema,
+  bundleAvailabilitySchema,
+  getProductByIdSchema,
+  getProductsListSchema
+};
@@ -0,0 +1,265 @@
+/**
+ * Purchase Order Validation Schemas
+ * Joi validation for purchase order endpoints
+ */
+
+import Joi from 'joi';
+import { DOCUMENT_STATUS } from '../config/constants.js';
+
+const amount = (label) => Joi.number()
+  .precision(2)
+  .min(0)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+const uuid = (label) => Joi.string()
+  .uuid()
+  .messages({
+    'string.guid': `Invalid ${label} ID format`
+  });
+
+/**
+ * Purchase order item validation schema
+ * Line amounts are computed by the server
+ */
+const orderItemSchema = Joi.object({
+  productId: uuid('product')
+    .required()
+    .messages({
+      'any.required': 'Product ID is required'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null),
+
+  quantity: Joi.number()
+    .precision(3)
+    .greater(0)
+    .required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.greater': 'Quantity must be greater than 0',
+      'any.required': 'Quantity is required'
+    }),
+
+  unitPrice: amount('Unit price')
+    .required()
+    .messages({
+      'any.required': 'Unit price is required'
+    }),
+
+  taxRate: Joi.number()
+    .precision(2)
+    .min(0)
+    .max(100)
+    .default(0)
+    .messages({
+      'number.base': 'Tax rate must be a number',
+      'number.min': 'Tax rate cannot be negative',
+      'number.max': 'Tax rate must not exceed 100'
+    }),
+
+  discountAmount: amount('Discount amount').default(0)
+});
+
+const orderItemsSchema = Joi.array()
+  .items(orderItemSchema)
+  .min(1)
+  .unique('productId')
+  .messages({
+    'array.min': 'A purchase order needs at least one item',
+    'array.unique': 'Each product can appear only once on a purchase order'
+  });
+
+/**
+ * Create purchase order validation schema
+ */
+export const createPurchaseOrderSchema = Joi.object({
+  vendorId: uuid('vendor')
+    .required()
+    .messages({
+      'any.required': 'Vendor is required'
+    }),
+
+  orderDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Order date must be a valid date',
+      'date.format': 'Order date must be in ISO 8601 format'
+    }),
+
+  expectedDeliveryDate: Joi.date()
+    .iso()
+    .min(Joi.ref('orderDate'))
+    .allow(null)
+    .messages({
+      'date.base': 'Expected delivery date must be a valid date',
+      'date.format': 'Expected delivery date must be in ISO 8601 format',
+      'date.min': 'Expected delivery date cannot be before the order date'
+    }),
+
+  warehouseId: uuid('warehouse').allow(null),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  terms: Joi.string()
+    .max(2000)
+    .trim()
+    .allow('', null),
+
+  items: orderItemsSchema
+    .required()
+    .messages({
+      'any.required': 'Purchase order items are required'
+    })
+});
+
+/**
+ * Update draft purchase order validation schema
+ */
+export const updatePurchaseOrderSchema = Joi.object({
+  vendorId: uuid('vendor'),
+
+  orderDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Order date must be a valid date',
+      'date.format': 'Order date must be in ISO 8601 format'
+    }),
+
+  expectedDeliveryDate: Joi.date()
+    .iso()
+    .allow(null)
+    .when('orderDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('orderDate'))
+    })
+    .messages({
+      'date.base': 'Expected delivery date must be a valid date',
+      'date.format': 'Expected delivery date must be in ISO 8601 format',
+      'date.min': 'Expected delivery date cannot be before the order date'
+    }),
+
+  warehouseId: uuid('warehouse').allow(null),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  terms: Joi.string()
+    .max(2000)
+    .trim()
+    .allow('', null),
+
+  items: orderItemsSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Cancel purchase order validation schema
+ */
+export const cancelPurchaseOrderSchema = Joi.object({
+  reason: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null)
+});
+
+/**
+ * Get purchase order by ID validation schema
+ */
+export const getPurchaseOrderByIdSchema = Joi.object({
+  id: uuid('purchase order')
+    .required()
+    .messages({
+      'any.required': 'Purchase order ID is required'
+    })
+});
+
+/**
+ * Get purchase orders list validation schema (query parameters)
+ */
+export const getPurchaseOrdersListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(DOCUMENT_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid purchase order status'
+    }),
+
+  vendorId: uuid('vendor').optional(),
+  warehouseId: uuid('warehouse').optional(),
+  productId: uuid('product').optional(),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('orderDate', 'orderNumber', 'expectedDeliveryDate', 'total', 'createdAt')
+    .default('orderDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  cancelPurchaseOrderSchema,
+  getPurchaseOrderByIdSchema,
+  getPurchaseOrdersListSchema
+};
@@ -0,0 +1,370 @@
+/**
+ * Purchase Quotation Validation Schemas
+ * Joi validation for RFQ, vendor quote and comparison endpoints
+ */
+
+import Joi from 'joi';
+import { DOCUMENT_STATUS } from '../config/constants.js';
+
+const amount = (label) => Joi.number()
+  .precision(2)
+  .min(0)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+const taxRate = Joi.number()
+  .precision(2)
+  .min(0)
+  .max(100)
+  .messages({
+    'number.base': 'Tax rate must be a number',
+    'number.min': 'Tax rate cannot be negative',
+    'number.max': 'Tax rate must not exceed 100'
+  });
+
+const uuid = (label) => Joi.string()
+  .uuid()
+  .messages({
+    'string.guid': `Invalid ${label} ID format`
+  });
+
+/**
+ * Quotation item validation schema
+ * Prices are optional on an RFQ and recorded when the vendor quotes
+ */
+const quotationItemSchema = Joi.object({
+  productId: uuid('product')
+    .required()
+    .messages({
+      'any.required': 'Product ID is required'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null),
+
+  quantity: Joi.number()
+    .precision(3)
+    .greater(0)
+    .required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.greater': 'Quantity must be greater than 0',
+      'any.required': 'Quantity is required'
+    }),
+
+  unitPrice: amount('Unit price').default(0),
+  taxRate: taxRate.default(0),
+  discountAmount: amount('Discount amount').default(0)
+});
+
+const quotationItemsSchema = Joi.array()
+  .items(quotationItemSchema)
+  .min(1)
+  .unique('productId')
+  .messages({
+    'array.min': 'A purchase quotation needs at least one item',
+    'array.unique': 'Each product can appear only once on a purchase quotation'
+  });
+
+const validTill = Joi.date()
+  .iso()
+  .allow(null)
+  .messages({
+    'date.base': 'Valid till must be a valid date',
+    'date.format': 'Valid till must be in ISO 8601 format'
+  });
+
+/**
+ * Create RFQs validation schema
+ * One quotation is raised per vendor listed
+ */
+export const createPurchaseQuotationSchema = Joi.object({
+  vendorIds: Joi.array()
+    .items(uuid('vendor'))
+    .min(1)
+    .max(20)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one vendor is required',
+      'array.max': 'Request quotes from at most 20 vendors at a time',
+      'array.unique': 'Each vendor can appear only once',
+      'any.required': 'Vendors are required'
+    }),
+
+  quotationDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Quotation date must be a valid date',
+      'date.format': 'Quotation date must be in ISO 8601 format'
+    }),
+
+  validTill: validTill
+    .min(Joi.ref('quotationDate'))
+    .messages({
+      'date.min': 'Valid till must be on or after the quotation date'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  terms: Joi.string()
+    .max(2000)
+    .trim()
+    .allow('', null),
+
+  items: quotationItemsSchema
+    .required()
+    .messages({
+      'any.required': 'Purchase quotation items are required'
+    })
+});
+
+/**
+ * Update draft quotation validation schema
+ */
+export const updatePurchaseQuotationSchema = Joi.object({
+  vendorId: uuid('vendor'),
+
+  quotationDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Quotation date must be a valid date',
+      'date.format': 'Quotation date must be in ISO 8601 format'
+    }),
+
+  validTill,
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  terms: Joi.string()
+    .max(2000)
+    .trim()
+    .allow('', null),
+
+  items: quotationItemsSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Record vendor quote validation schema
+ */
+export const recordVendorQuoteSchema = Joi.object({
+  referenceNo: Joi.string()
+    .max(100)
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.max': 'Vendor reference must not exceed 100 characters'
+    }),
+
+  quotationDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Quotation date must be a valid date',
+      'date.format': 'Quotation date must be in ISO 8601 format'
+    }),
+
+  validTill,
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  terms: Joi.string()
+    .max(2000)
+    .trim()
+    .allow('', null),
+
+  items: Joi.array()
+    .items(Joi.object({
+      itemId: uuid('item')
+        .required()
+        .messages({
+          'any.required': 'Item ID is required'
+        }),
+
+      unitPrice: amount('Unit price')
+        .required()
+        .messages({
+          'any.required': 'Unit price is required'
+        }),
+
+      taxRate,
+      discountAmount: amount('Discount amount')
+    }))
+    .min(1)
+    .unique('itemId')
+    .required()
+    .messages({
+      'array.min': 'At least one item must be quoted',
+      'array.unique': 'Each item can appear only once in a quote',
+      'any.required': 'Quoted items are required'
+    })
+});
+
+/**
+ * Reject quotation validation schema
+ */
+export const rejectPurchaseQuotationSchema = Joi.object({
+  reason: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null)
+});
+
+/**
+ * Convert quotation to purchase order validation schema
+ */
+export const convertToPurchaseOrderSchema = Joi.object({
+  orderDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Order date must be a valid date',
+      'date.format': 'Order date must be in ISO 8601 format'
+    }),
+
+  expectedDeliveryDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Expected delivery date must be a valid date',
+      'date.format': 'Expected delivery date must be in ISO 8601 format'
+    }),
+
+  warehouseId: uuid('warehouse').optional(),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null)
+});
+
+/**
+ * Compare quotations validation schema (query parameters)
+ * Either the quotations to compare or a product whose quotes to compare
+ */
+export const compareQuotationsSchema = Joi.object({
+  quotationIds: Joi.array()
+    .items(uuid('purchase quotation'))
+    .single()
+    .min(2)
+    .max(20)
+    .unique()
+    .messages({
+      'array.min': 'Select at least two quotations to compare',
+      'array.max': 'Compare at most 20 quotations at a time',
+      'array.unique': 'Each quotation can appear only once'
+    }),
+
+  productId: uuid('product'),
+
+  includeExpired: Joi.boolean().default(false)
+}).xor('quotationIds', 'productId').messages({
+  'object.missing': 'Provide either quotationIds or productId',
+  'object.xor': 'Provide either quotationIds or productId, not both'
+});
+
+/**
+ * Get purchase quotation by ID validation schema
+ */
+export const getPurchaseQuotationByIdSchema = Joi.object({
+  id: uuid('purchase quotation')
+    .required()
+    .messages({
+      'any.required': 'Purchase quotation ID is required'
+    })
+});
+
+/**
+ * Get purchase quotations list validation schema (query parameters)
+ */
+export const getPurchaseQuotationsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(DOCUMENT_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid purchase quotation status'
+    }),
+
+  vendorId: uuid('vendor').optional(),
+  productId: uuid('product').optional(),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('quotationDate', 'quotationNumber', 'validTill', 'total', 'createdAt')
+    .default('quotationDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createPurchaseQuotationSchema,
+  updatePurchaseQuotationSchema,
+  recordVendorQuoteSchema,
+  rejectPurchaseQuotationSchema,
+  convertToPurchaseOrderSchema,
+  compareQuotationsSchema,
+  getPurchaseQuotationByIdSchema,
+  getPurchaseQuotationsListSchema
+};
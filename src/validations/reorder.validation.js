@@ -0,0 +1,155 @@
+/**
+ * Reorder Validation Schemas
+ * Joi validation for low-stock, stock alert and purchase suggestion endpoints
+ */
+
+import Joi from 'joi';
+import { STOCK_ALERT_STATUS } from '../config/constants.js';
+
+/**
+ * Filters shared by the low-stock report and purchase order suggestions
+ */
+const reorderFilters = {
+  warehouseId: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    }),
+
+  categoryId: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Invalid category ID format'
+    }),
+
+  vendorId: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Invalid vendor ID format'
+    })
+};
+
+/**
+ * Low-stock report validation schema (query parameters)
+ */
+export const getLowStockReportSchema = Joi.object({
+  ...reorderFilters,
+
+  belowMinimum: Joi.boolean()
+    .messages({
+      'boolean.base': 'belowMinimum must be true or false'
+    })
+});
+
+/**
+ * Suggest purchase orders validation schema
+ */
+export const suggestPurchaseOrdersSchema = Joi.object({
+  ...reorderFilters,
+
+  productIds: Joi.array()
+    .items(Joi.string().uuid().messages({
+      'string.guid': 'Invalid product ID format'
+    }))
+    .min(1)
+    .unique()
+    .messages({
+      'array.min': 'At least one product is required',
+      'array.unique': 'Each product can appear only once'
+    }),
+
+  orderDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Order date must be a valid date',
+      'date.format': 'Order date must be in ISO 8601 format'
+    }),
+
+  expectedDeliveryDate: Joi.date()
+    .iso()
+    .min(Joi.ref('orderDate'))
+    .messages({
+      'date.base': 'Expected delivery date must be a valid date',
+      'date.format': 'Expected delivery date must be in ISO 8601 format',
+      'date.min': 'Expected delivery date cannot be before the order date'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null)
+});
+
+/**
+ * Get stock alert by ID validation schema
+ */
+export const getStockAlertByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid stock alert ID format',
+      'any.required': 'Stock alert ID is required'
+    })
+});
+
+/**
+ * Get stock alerts list validation schema (query parameters)
+ */
+export const getStockAlertsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(STOCK_ALERT_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid stock alert status'
+    }),
+
+  warehouseId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    }),
+
+  productId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid product ID format'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  getLowStockReportSchema,
+  suggestPurchaseOrdersSchema,
+  getStockAlertByIdSchema,
+  getStockAlertsListSchema
+};
@@ -0,0 +1,133 @@
+/**
+ * Report Validation Schemas
+ * Joi validation for financial report endpoints
+ */
+
+import Joi from 'joi';
+import { REPORT_COMPARISONS } from '../config/constants.js';
+
+const compareWith = Joi.string()
+  .valid(...Object.values(REPORT_COMPARISONS))
+  .optional()
+  .messages({
+    'any.only': 'Compare with must be either PREVIOUS_PERIOD or PREVIOUS_YEAR'
+  });
+
+const includeZeroBalances = Joi.boolean()
+  .default(false);
+
+/**
+ * Period report validation schema (query parameters)
+ * Used by the trial balance and profit and loss reports. When fromDate is
+ * omitted the period starts at the beginning of the fiscal year.
+ */
+export const periodReportSchema = Joi.object({
+  fromDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'From date must be a valid date',
+      'date.format': 'From date must be in ISO 8601 format'
+    }),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.base': 'To date must be a valid date',
+      'date.format': 'To date must be in ISO 8601 format',
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  compareWith,
+  includeZeroBalances
+});
+
+/**
+ * Balance sheet validation schema (query parameters)
+ */
+export const balanceSheetSchema = Joi.object({
+  asOfDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'As of date must be a valid date',
+      'date.format': 'As of date must be in ISO 8601 format'
+    }),
+
+  compareWith,
+  includeZeroBalances
+});
+
+/**
+ * Account ledger params validation schema
+ */
+export const ledgerParamsSchema = Joi.object({
+  accountId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid account ID format',
+      'any.required': 'Account ID is required'
+    })
+});
+
+/**
+ * Account ledger validation schema (query parameters)
+ */
+export const ledgerQuerySchema = Joi.object({
+  fromDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'From date must be a valid date',
+      'date.format': 'From date must be in ISO 8601 format'
+    }),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.base': 'To date must be a valid date',
+      'date.format': 'To date must be in ISO 8601 format',
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  includeSubAccounts: Joi.boolean()
+    .default(false),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    })
+});
+
+export default {
+  periodReportSchema,
+  balanceSheetSchema,
+  ledgerParamsSchema,
+  ledgerQuerySchema
+};
@@ -0,0 +1,91 @@
+/**
+ * Serial Number Validation Schemas
+ * Joi validation for serial number list and lookup endpoints
+ */
+
+import Joi from 'joi';
+import { SERIAL_NUMBER_STATUS } from '../config/constants.js';
+
+/**
+ * Serial number lookup validation schema (path parameters)
+ */
+export const lookupSerialNumberSchema = Joi.object({
+  serialNumber: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Serial number must not exceed 100 characters',
+      'any.required': 'Serial number is required'
+    })
+});
+
+/**
+ * Get serial numbers list validation schema (query parameters)
+ */
+export const getSerialNumbersListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  productId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid product ID format'
+    }),
+
+  warehouseId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(SERIAL_NUMBER_STATUS))
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(SERIAL_NUMBER_STATUS).join(', ')}`
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('serialNumber', 'status', 'createdAt', 'updatedAt')
+    .default('serialNumber')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  lookupSerialNumberSchema,
+  getSerialNumbersListSchema
+};
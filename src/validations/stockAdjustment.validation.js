@@ -0,0 +1,156 @@
+/**
+ * Stock Adjustment Validation Schemas
+ * Joi validation for opening stock and stock adjustment endpoints
+ */
+
+import Joi from 'joi';
+import { STOCK_MOVEMENT_TYPES } from '../config/constants.js';
+
+/**
+ * Lot of a batch-tracked product
+ */
+const batchSchema = Joi.object({
+  batchNumber: Joi.string()
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.max': 'Batch number must not exceed 100 characters',
+      'any.required': 'Batch number is required'
+    }),
+
+  manufactureDate: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.base': 'Manufacture date must be a valid date'
+    }),
+
+  expiryDate: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.base': 'Expiry date must be a valid date'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .greater(0)
+    .required()
+    .messages({
+      'number.base': 'Batch quantity must be a number',
+      'number.integer': 'Batch quantity must be a whole number',
+      'number.greater': 'Batch quantity must be greater than 0',
+      'any.required': 'Batch quantity is required'
+    })
+});
+
+/**
+ * Adjustment item validation schema
+ * Quantities are signed: positive brings stock in at unitCost, negative
+ * takes it out
+ */
+const adjustmentItemSchema = Joi.object({
+  productId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid product ID format',
+      'any.required': 'Product ID is required'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .invalid(0)
+    .required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'any.invalid': 'Quantity cannot be zero',
+      'any.required': 'Quantity is required'
+    }),
+
+  unitCost: Joi.number()
+    .precision(2)
+    .min(0)
+    .when('quantity', {
+      is: Joi.number().greater(0),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'number.base': 'Unit cost must be a number',
+      'number.min': 'Unit cost cannot be negative',
+      'any.required': 'Unit cost is required for stock brought in',
+      'any.unknown': 'Unit cost is only given for stock brought in'
+    }),
+
+  batches: Joi.array()
+    .items(batchSchema)
+    .min(1)
+    .unique('batchNumber')
+    .messages({
+      'array.unique': 'Each batch can appear only once per item'
+    }),
+
+  serialNumbers: Joi.array()
+    .items(Joi.string().max(100).trim())
+    .unique()
+    .messages({
+      'array.unique': 'Serial numbers must not repeat'
+    }),
+
+  notes: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null)
+});
+
+/**
+ * Create stock adjustment validation schema
+ */
+export const createStockAdjustmentSchema = Joi.object({
+  warehouseId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format',
+      'any.required': 'Warehouse is required'
+    }),
+
+  movementType: Joi.string()
+    .valid(STOCK_MOVEMENT_TYPES.OPENING_STOCK, STOCK_MOVEMENT_TYPES.ADJUSTMENT)
+    .required()
+    .messages({
+      'any.only': 'Movement type must be OPENING_STOCK or ADJUSTMENT',
+      'any.required': 'Movement type is required'
+    }),
+
+  adjustmentDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Adjustment date must be a valid date',
+      'date.format': 'Adjustment date must be in ISO 8601 format'
+    }),
+
+  reason: Joi.string()
+    .max(500)
+    .trim()
+    .allow('', null),
+
+  items: Joi.array()
+    .items(adjustmentItemSchema)
+    .min(1)
+    .unique('productId')
+    .required()
+    .messages({
+      'array.min': 'At least one item is required',
+      'array.unique': 'Each product can appear only once',
+      'any.required': 'Items are required'
+    })
+});
+
+export default {
+  createStockAdjustmentSchema
+};
@@ -0,0 +1,125 @@
+/**
+ * Stock Batch Validation Schemas
+ * Joi validation for stock batch and near-expiry endpoints
+ */
+
+import Joi from 'joi';
+
+/**
+ * Get stock batch by ID validation schema
+ */
+export const getStockBatchByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid stock batch ID format',
+      'any.required': 'Stock batch ID is required'
+    })
+});
+
+/**
+ * Get stock batches list validation schema (query parameters)
+ */
+export const getStockBatchesListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  productId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid product ID format'
+    }),
+
+  warehouseId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    }),
+
+  inStock: Joi.boolean().optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('expiryDate', 'manufactureDate', 'batchNumber', 'quantity', 'createdAt')
+    .default('expiryDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+/**
+ * Near-expiry report validation schema (query parameters)
+ */
+export const getNearExpiryReportSchema = Joi.object({
+  days: Joi.number()
+    .integer()
+    .min(0)
+    .max(730)
+    .default(30)
+    .messages({
+      'number.base': 'Days must be a number',
+      'number.min': 'Days cannot be negative',
+      'number.max': 'Days must not exceed 730'
+    }),
+
+  warehouseId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    }),
+
+  productId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid product ID format'
+    }),
+
+  includeExpired: Joi.boolean().default(true),
+
+  asOfDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'As-of date must be a valid date',
+      'date.format': 'As-of date must be in ISO 8601 format'
+    })
+});
+
+export default {
+  getStockBatchByIdSchema,
+  getStockBatchesListSchema,
+  getNearExpiryReportSchema
+};
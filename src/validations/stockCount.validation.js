@@ -0,0 +1,211 @@
+/**
+ * Stock Count Validation Schemas
+ * Joi validation for stock count endpoints
+ */
+
+import Joi from 'joi';
+import { STOCK_COUNT_STATUS } from '../config/constants.js';
+
+/**
+ * Create stock count validation schema
+ * productIds and categoryId narrow the count; without them every product
+ * stocked in the warehouse is counted
+ */
+export const createStockCountSchema = Joi.object({
+  warehouseId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format',
+      'any.required': 'Warehouse is required'
+    }),
+
+  countDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Count date must be a valid date',
+      'date.format': 'Count date must be in ISO 8601 format'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  productIds: Joi.array()
+    .items(Joi.string().uuid().messages({
+      'string.guid': 'Invalid product ID format'
+    }))
+    .min(1)
+    .unique()
+    .messages({
+      'array.min': 'At least one product must be counted',
+      'array.unique': 'Each product can appear only once'
+    }),
+
+  categoryId: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Invalid category ID format'
+    })
+}).oxor('productIds', 'categoryId').messages({
+  'object.oxor': 'Provide either productIds or categoryId, not both'
+});
+
+/**
+ * Record counted quantities validation schema
+ */
+export const recordCountedQuantitiesSchema = Joi.object({
+  items: Joi.array()
+    .items(Joi.object({
+      productId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+          'string.guid': 'Invalid product ID format',
+          'any.required': 'Product ID is required'
+        }),
+
+      countedQty: Joi.number()
+        .integer()
+        .min(0)
+        .required()
+        .messages({
+          'number.base': 'Counted quantity must be a number',
+          'number.integer': 'Counted quantity must be a whole number',
+          'number.min': 'Counted quantity cannot be negative',
+          'any.required': 'Counted quantity is required'
+        }),
+
+      notes: Joi.string()
+        .max(255)
+        .trim()
+        .allow('', null)
+    }))
+    .min(1)
+    .unique('productId')
+    .required()
+    .messages({
+      'array.min': 'At least one counted item is required',
+      'array.unique': 'Each product can appear only once',
+      'any.required': 'Counted items are required'
+    })
+});
+
+/**
+ * Barcode scan validation schema
+ */
+export const scanCountItemSchema = Joi.object({
+  barcode: Joi.string()
+    .trim()
+    .max(50)
+    .required()
+    .messages({
+      'any.required': 'Barcode is required'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.min': 'Quantity must be at least 1'
+    })
+});
+
+/**
+ * Get stock count by ID validation schema
+ */
+export const getStockCountByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid stock count ID format',
+      'any.required': 'Stock count ID is required'
+    })
+});
+
+/**
+ * Get stock counts list validation schema (query parameters)
+ */
+export const getStockCountsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(STOCK_COUNT_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid stock count status'
+    }),
+
+  warehouseId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format'
+    }),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('countDate', 'countNumber', 'createdAt')
+    .default('countDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createStockCountSchema,
+  recordCountedQuantitiesSchema,
+  scanCountItemSchema,
+  getStockCountByIdSchema,
+  getStockCountsListSchema
+};
@@ -0,0 +1,302 @@
+/**
+ * Stock Transfer Validation Schemas
+ * Joi validation for stock transfer endpoints
+ */
+
+import Joi from 'joi';
+import { STOCK_TRANSFER_STATUS } from '../config/constants.js';
+
+/**
+ * Stock transfer item validation schema
+ */
+const transferItemSchema = Joi.object({
+  productId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid product ID format',
+      'any.required': 'Product ID is required'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.min': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required'
+    }),
+
+  serialNumbers: Joi.array()
+    .items(Joi.string().trim().max(100))
+    .unique()
+    .messages({
+      'array.unique': 'Each serial number can appear only once'
+    }),
+
+  notes: Joi.string()
+    .max(255)
+    .trim()
+    .allow('', null)
+});
+
+const transferItemsSchema = Joi.array()
+  .items(transferItemSchema)
+  .min(1)
+  .unique('productId')
+  .messages({
+    'array.min': 'A stock transfer needs at least one item',
+    'array.unique': 'Each product can appear only once on a stock transfer'
+  });
+
+const warehouseIdSchema = Joi.string()
+  .uuid()
+  .messages({
+    'string.guid': 'Invalid warehouse ID format'
+  });
+
+/**
+ * Create stock transfer validation schema
+ */
+export const createStockTransferSchema = Joi.object({
+  transferDate: Joi.date()
+    .iso()
+    .default(() => new Date())
+    .messages({
+      'date.base': 'Transfer date must be a valid date',
+      'date.format': 'Transfer date must be in ISO 8601 format'
+    }),
+
+  fromWarehouseId: warehouseIdSchema
+    .required()
+    .messages({
+      'any.required': 'Source warehouse is required'
+    }),
+
+  toWarehouseId: warehouseIdSchema
+    .required()
+    .invalid(Joi.ref('fromWarehouseId'))
+    .messages({
+      'any.required': 'Destination warehouse is required',
+      'any.invalid': 'Source and destination warehouses must be different'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  items: transferItemsSchema
+    .required()
+    .messages({
+      'any.required': 'Stock transfer items are required'
+    })
+});
+
+/**
+ * Update stock transfer validation schema
+ */
+export const updateStockTransferSchema = Joi.object({
+  transferDate: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'Transfer date must be a valid date',
+      'date.format': 'Transfer date must be in ISO 8601 format'
+    }),
+
+  fromWarehouseId: warehouseIdSchema,
+
+  toWarehouseId: warehouseIdSchema
+    .invalid(Joi.ref('fromWarehouseId'))
+    .messages({
+      'any.invalid': 'Source and destination warehouses must be different'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .trim()
+    .allow('', null),
+
+  items: transferItemsSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Dispatch stock transfer validation schema
+ */
+export const dispatchStockTransferSchema = Joi.object({
+  dispatchDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Dispatch date must be a valid date',
+      'date.format': 'Dispatch date must be in ISO 8601 format'
+    })
+});
+
+/**
+ * Receive stock transfer validation schema
+ * Without items, everything still in transit is received
+ */
+export const receiveStockTransferSchema = Joi.object({
+  receivedDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Received date must be a valid date',
+      'date.format': 'Received date must be in ISO 8601 format'
+    }),
+
+  items: Joi.array()
+    .items(Joi.object({
+      itemId: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+          'string.guid': 'Invalid item ID format',
+          'any.required': 'Item ID is required'
+        }),
+
+      quantity: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+          'number.base': 'Quantity must be a number',
+          'number.integer': 'Quantity must be a whole number',
+          'number.min': 'Quantity must be at least 1',
+          'any.required': 'Quantity is required'
+        }),
+
+      serialNumbers: Joi.array()
+        .items(Joi.string().trim().max(100))
+        .unique()
+        .messages({
+          'array.unique': 'Each serial number can appear only once'
+        })
+    }))
+    .min(1)
+    .unique('itemId')
+    .optional()
+    .messages({
+      'array.min': 'At least one item must be received',
+      'array.unique': 'Each item can appear only once in a receipt'
+    })
+});
+
+/**
+ * Get stock transfer by ID validation schema
+ */
+export const getStockTransferByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid stock transfer ID format',
+      'any.required': 'Stock transfer ID is required'
+    })
+});
+
+/**
+ * In-transit stock validation schema (query parameters)
+ */
+export const getInTransitStockSchema = Joi.object({
+  warehouseId: warehouseIdSchema.optional(),
+
+  productId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid product ID format'
+    })
+});
+
+/**
+ * Get stock transfers list validation schema (query parameters)
+ */
+export const getStockTransfersListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(STOCK_TRANSFER_STATUS))
+    .optional()
+    .messages({
+      'any.only': 'Invalid stock transfer status'
+    }),
+
+  warehouseId: warehouseIdSchema.optional(),
+  fromWarehouseId: warehouseIdSchema.optional(),
+  toWarehouseId: warehouseIdSchema.optional(),
+
+  productId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid product ID format'
+    }),
+
+  fromDate: Joi.date()
+    .iso()
+    .optional(),
+
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate'))
+    })
+    .messages({
+      'date.min': 'To date must be on or after from date'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('transferDate', 'transferNumber', 'createdAt')
+    .default('transferDate')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createStockTransferSchema,
+  updateStockTransferSchema,
+  dispatchStockTransferSchema,
+  receiveStockTransferSchema,
+  getStockTransferByIdSchema,
+  getInTransitStockSchema,
+  getStockTransfersListSchema
+};
@@ -0,0 +1,172 @@
+/**
+ * Vendor Validation Schemas
+ * Joi validation for vendor master endpoints
+ */
+
+import Joi from 'joi';
+
+const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+// GST/VAT numbers are alphanumeric, 8 to 20 characters
+const taxNumberPattern = /^[A-Z0-9]{8,20}$/;
+
+/**
+ * Contact and commercial fields shared by create and update
+ */
+const vendorFields = {
+  name: Joi.string()
+    .min(2)
+    .max(150)
+    .trim()
+    .messages({
+      'string.min': 'Vendor name must be at least 2 characters long',
+      'string.max': 'Vendor name must not exceed 150 characters'
+    }),
+
+  email: Joi.string()
+    .email()
+    .pattern(emailPattern)
+    .lowercase()
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.pattern.base': 'Please provide a valid email address'
+    }),
+
+  phone: Joi.string()
+    .pattern(/^[0-9]{10,15}$/)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Phone number must be between 10 and 15 digits'
+    }),
+
+  address: Joi.string().max(500).trim().allow('', null),
+  city: Joi.string().max(100).trim().allow('', null),
+  state: Joi.string().max(100).trim().allow('', null),
+  country: Joi.string().max(100).trim(),
+  postalCode: Joi.string().max(20).trim().allow('', null),
+
+  taxNumber: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(taxNumberPattern)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Tax number must be 8 to 20 alphanumeric characters'
+    }),
+
+  paymentTerms: Joi.number()
+    .integer()
+    .min(0)
+    .max(365)
+    .messages({
+      'number.base': 'Payment terms must be a number of days',
+      'number.min': 'Payment terms cannot be negative',
+      'number.max': 'Payment terms must not exceed 365 days'
+    }),
+
+  openingBalance: Joi.number()
+    .precision(2)
+    .messages({
+      'number.base': 'Opening balance must be a number'
+    }),
+
+  notes: Joi.string().max(2000).trim().allow('', null)
+};
+
+/**
+ * Create vendor validation schema
+ */
+export const createVendorSchema = Joi.object({
+  ...vendorFields,
+
+  name: vendorFields.name
+    .required()
+    .messages({
+      'any.required': 'Vendor name is required'
+    }),
+
+  openingBalance: vendorFields.openingBalance.default(0)
+});
+
+/**
+ * Update vendor validation schema
+ */
+export const updateVendorSchema = Joi.object({
+  ...vendorFields,
+
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get vendor by ID validation schema
+ */
+export const getVendorByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid vendor ID format',
+      'any.required': 'Vendor ID is required'
+    })
+});
+
+/**
+ * Get vendors list validation schema (query parameters)
+ */
+export const getVendorsListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  hasBalance: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('vendorNumber', 'name', 'currentBalance', 'createdAt')
+    .default('vendorNumber')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createVendorSchema,
+  updateVendorSchema,
+  getVendorByIdSchema,
+  getVendorsListSchema
+};
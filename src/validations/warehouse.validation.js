@@ -0,0 +1,155 @@
+/**
+ * Warehouse Validation Schemas
+ * Joi validation for warehouse endpoints
+ */
+
+import Joi from 'joi';
+
+const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+/**
+ * Shared warehouse fields
+ */
+const warehouseFields = {
+  code: Joi.string()
+    .uppercase()
+    .trim()
+    .pattern(/^[A-Z0-9_-]{2,20}$/)
+    .messages({
+      'string.pattern.base': 'Warehouse code must be 2 to 20 letters, digits, hyphens or underscores'
+    }),
+
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Warehouse name must be at least 2 characters long',
+      'string.max': 'Warehouse name must not exceed 100 characters'
+    }),
+
+  address: Joi.string().max(500).trim().allow('', null),
+  city: Joi.string().max(100).trim().allow('', null),
+  state: Joi.string().max(100).trim().allow('', null),
+  country: Joi.string().max(100).trim(),
+  postalCode: Joi.string().max(20).trim().allow('', null),
+
+  phone: Joi.string()
+    .pattern(/^[0-9]{10,15}$/)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Phone number must be between 10 and 15 digits'
+    }),
+
+  email: Joi.string()
+    .email()
+    .pattern(emailPattern)
+    .lowercase()
+    .trim()
+    .allow('', null)
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.pattern.base': 'Please provide a valid email address'
+    }),
+
+  isDefault: Joi.boolean()
+};
+
+/**
+ * Create warehouse validation schema
+ */
+export const createWarehouseSchema = Joi.object({
+  ...warehouseFields,
+  code: warehouseFields.code.required().messages({
+    'any.required': 'Warehouse code is required'
+  }),
+  name: warehouseFields.name.required().messages({
+    'any.required': 'Warehouse name is required'
+  })
+});
+
+/**
+ * Update warehouse validation schema
+ */
+export const updateWarehouseSchema = Joi.object({
+  ...warehouseFields,
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Get warehouse by ID validation schema
+ */
+export const getWarehouseByIdSchema = Joi.object({
+  id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid warehouse ID format',
+      'any.required': 'Warehouse ID is required'
+    })
+});
+
+/**
+ * Warehouse stock summary validation schema (query parameters)
+ */
+export const getWarehouseStockSummarySchema = Joi.object({
+  includeInactive: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Get warehouses list validation schema (query parameters)
+ */
+export const getWarehousesListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit must not exceed 100'
+    }),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .optional()
+    .allow(''),
+
+  sortBy: Joi.string()
+    .valid('code', 'name', 'city', 'createdAt')
+    .default('code')
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('asc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+export default {
+  createWarehouseSchema,
+  updateWarehouseSchema,
+  getWarehouseByIdSchema,
+  getWarehouseStockSummarySchema,
+  getWarehousesListSchema
+};